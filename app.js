@@ -5,27 +5,55 @@
 const express = require("express");
 const cors = require("cors");
 
-const { NotFoundError } = require("./expressError");
+const { NotFoundError, toProblem } = require("./expressError");
 
 const { authenticateJWT } = require("./middleware/auth");
+const {
+  logRequests,
+  resumeRequestContext,
+} = require("./middleware/requestLog");
+const { countRequests } = require("./middleware/metrics");
+const { logger } = require("./helpers/logger");
+const { CORS_ORIGINS, TRUST_PROXY } = require("./config");
 const authRoutes = require("./routes/auth");
 const companiesRoutes = require("./routes/companies");
 const usersRoutes = require("./routes/users");
 const jobRoutes = require("./routes/jobs")
-
-const morgan = require("morgan");
+const searchRoutes = require("./routes/search");
+const rolesRoutes = require("./routes/roles");
+const auditRoutes = require("./routes/audit");
+const docsRoutes = require("./routes/docs");
+const metricsRoutes = require("./routes/metrics");
+const healthRoutes = require("./routes/health");
 
 const app = express();
 
-app.use(cors());
+// behind a proxy, so req.ip (which rate limits go by) is the client's
+if (TRUST_PROXY) {
+  app.set("trust proxy",
+      /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+}
+
+app.use(logRequests);
+app.use(countRequests);
+app.use(cors({
+  origin: CORS_ORIGINS.includes("*") ? "*" : CORS_ORIGINS,
+  exposedHeaders: ["X-Request-Id", "Retry-After"],
+}));
 app.use(express.json());
-app.use(morgan("tiny"));
+app.use(resumeRequestContext);
 app.use(authenticateJWT);
 
 app.use("/auth", authRoutes);
 app.use("/companies", companiesRoutes);
 app.use("/users", usersRoutes);
 app.use("/jobs", jobRoutes)
+app.use("/search", searchRoutes);
+app.use("/roles", rolesRoutes);
+app.use("/audit", auditRoutes);
+app.use(docsRoutes);
+app.use(metricsRoutes);
+app.use(healthRoutes);
 
 
 /** Handle 404 errors -- this matches everything */
@@ -33,15 +61,18 @@ app.use(function (req, res, next) {
   return next(new NotFoundError());
 });
 
-/** Generic error handler; anything unhandled goes here. */
+/** Generic error handler; anything unhandled goes here.
+ *
+ * Responds with RFC 7807 problem details (application/problem+json).
+ */
 app.use(function (err, req, res, next) {
-  if (process.env.NODE_ENV !== "test") console.error(err.stack);
-  const status = err.status || 500;
-  const message = err.message;
+  const problem = toProblem(err, req.originalUrl);
+  if (problem.status >= 500) logger.error("Unhandled error", { err });
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
 
-  return res.status(status).json({
-    error: { message, status },
-  });
+  return res.status(problem.status)
+      .type("application/problem+json")
+      .json(problem);
 });
 
 module.exports = app;
@@ -9,6 +9,28 @@ test("not found for site 404", async function () {
   expect(resp.statusCode).toEqual(404);
 });
 
+test("errors are problem+json", async function () {
+  const resp = await request(app).get("/no-such-path");
+  expect(resp.headers["content-type"]).toMatch(/application\/problem\+json/);
+  expect(resp.body).toEqual({
+    type: "/problems/not_found",
+    title: "Not Found",
+    status: 404,
+    detail: "Not Found",
+    instance: "/no-such-path",
+    code: "not_found",
+  });
+});
+
+test("bad request for malformed JSON", async function () {
+  const resp = await request(app)
+      .post("/auth/token")
+      .set("content-type", "application/json")
+      .send("{nope");
+  expect(resp.statusCode).toEqual(400);
+  expect(resp.body.code).toEqual("bad_request");
+});
+
 test("not found for site 404 (test stack print)", async function () {
   process.env.NODE_ENV = "";
   const resp = await request(app).get("/no-such-path");
@@ -1,23 +1,160 @@
 "use strict";
-/** Database setup for jobly. */
-const { Client } = require("pg");
-const { getDatabaseUri } = require("./config");
+/** Database setup for jobly.
+ *
+ * db is a pool of connections: db.query(sql, values) runs on whichever
+ * connection is free, so requests don't wait on each other. Work that must
+ * happen all-or-nothing goes in db.withTransaction.
+ */
+const { AsyncLocalStorage } = require("async_hooks");
+const { Pool } = require("pg");
+const {
+  getDatabaseConfig,
+  DATABASE_POOL_SIZE,
+  DATABASE_IDLE_TIMEOUT_MS,
+  DATABASE_CONNECT_TIMEOUT_MS,
+} = require("./config");
+const { logger } = require("./helpers/logger");
+const { warnIfMigrationsPending } = require("./helpers/migrations");
+const { instrumentQueries, registerDomainGauges } = require("./helpers/metrics");
 
-let db;
+// the transaction (if any) the running code is part of:
+// { client, depth, hooks: { commit: [fn, ...], rollback: [fn, ...] } }
+const transactionContext = new AsyncLocalStorage();
 
-if (process.env.NODE_ENV === "production") {
-  db = new Client({
-    connectionString: getDatabaseUri(),
-    ssl: {
-      rejectUnauthorized: false
+/** Run each of hooks in turn. They tidy up after work that's already
+ * committed or undone, so one failing is logged rather than thrown. */
+
+async function runHooks(hooks) {
+  for (const hook of hooks) {
+    try {
+      await hook();
+    } catch (err) {
+      logger.error("Transaction hook failed", { err });
     }
-  });
-} else {
-  db = new Client({
-    connectionString: getDatabaseUri()
-  });
+  }
+}
+
+class Database extends Pool {
+  /** Run a query: on the current transaction's connection inside
+   * withTransaction, else on any free connection. */
+
+  query(...args) {
+    const transaction = transactionContext.getStore();
+    return transaction
+        ? transaction.client.query(...args)
+        : super.query(...args);
+  }
+
+  /** Run async fn(client) in a transaction and return what it returns.
+   *
+   * Everything fn does through db.query (including in other models it
+   * calls) runs in the transaction. If fn throws, the transaction is
+   * rolled back and the error rethrown; otherwise it is committed.
+   *
+   * Nested calls, and calls on a connection already in a transaction (as
+   * in the tests), use a savepoint, so only their own work is undone.
+   */
+
+  async withTransaction(fn) {
+    const outer = transactionContext.getStore();
+    const client = outer ? outer.client : await this.connect();
+    const depth = outer ? outer.depth + 1 : 1;
+    const savepoint = (client.transactionStatus !== "I") && `sp_${depth}`;
+    const hooks = { commit: [], rollback: [] };
+
+    let result;
+    let releaseError;
+    try {
+      await client.query(savepoint ? `SAVEPOINT ${savepoint}` : "BEGIN");
+      result = await transactionContext.run(
+          { client, depth, hooks }, () => fn(client));
+      await client.query(
+          savepoint ? `RELEASE SAVEPOINT ${savepoint}` : "COMMIT");
+    } catch (err) {
+      try {
+        await client.query(
+            savepoint ? `ROLLBACK TO SAVEPOINT ${savepoint}` : "ROLLBACK");
+      } catch (rollbackErr) {
+        // the connection is broken; don't hand it out again
+        releaseError = rollbackErr;
+      }
+      await runHooks(hooks.rollback);
+      throw err;
+    } finally {
+      if (!outer) client.release(releaseError);
+    }
+
+    // a nested call's work only sticks once the outer transaction commits
+    if (outer) {
+      outer.hooks.commit.push(...hooks.commit);
+      outer.hooks.rollback.push(...hooks.rollback);
+    } else {
+      await runHooks(hooks.commit);
+    }
+    return result;
+  }
+
+  /** Run async fn once the current transaction commits, and never if it's
+   * rolled back; outside withTransaction, run it now. For work outside the
+   * database, like deleting files, that should only happen if the
+   * transaction's changes stick. Errors from fn are logged, not thrown.
+   */
+
+  async afterCommit(fn) {
+    const transaction = transactionContext.getStore();
+    if (transaction) {
+      transaction.hooks.commit.push(fn);
+    } else {
+      await runHooks([fn]);
+    }
+  }
+
+  /** Run async fn if the current transaction (or the savepoint of the
+   * withTransaction call it's in) is rolled back; outside withTransaction,
+   * do nothing. For undoing work outside the database, like removing a file
+   * written for rows that won't exist. Errors from fn are logged, not
+   * thrown.
+   */
+
+  async afterRollback(fn) {
+    const transaction = transactionContext.getStore();
+    if (transaction) transaction.hooks.rollback.push(fn);
+  }
+
+  /** Close every connection, once the ones in use are given back. Safe to
+   * call more than once. */
+
+  async close() {
+    if (!this.closing) this.closing = this.end();
+    return this.closing;
+  }
 }
 
-db.connect();
+const db = instrumentQueries(new Database({
+  ...getDatabaseConfig(),
+  max: DATABASE_POOL_SIZE,
+  idleTimeoutMillis: DATABASE_IDLE_TIMEOUT_MS,
+  connectionTimeoutMillis: DATABASE_CONNECT_TIMEOUT_MS,
+}));
+
+// keep track of whether each connection is in a transaction: Postgres says
+// so ("I"dle, "T"ransaction or "E"rror) every time it's ready for a query
+db.on("connect", function (client) {
+  client.transactionStatus = "I";
+  client.connection.on("readyForQuery", function (msg) {
+    client.transactionStatus = msg.status;
+  });
+});
+
+// a connection dropping while idle in the pool shouldn't crash the app;
+// the pool replaces it
+db.on("error", function (err) {
+  logger.error("Lost an idle database connection", { err });
+});
+
+// don't refuse to start, but make an out-of-date schema hard to miss
+warnIfMigrationsPending(db);
+
+registerDomainGauges(db);
 
-module.exports = db;
\ No newline at end of file
+module.exports = db;
@@ -0,0 +1,127 @@
+"use strict";
+
+const db = require("./db");
+
+beforeAll(async function () {
+  await db.query("CREATE TEMPORARY TABLE tx_test (n INTEGER)");
+});
+
+beforeEach(async function () {
+  await db.query("BEGIN");
+});
+
+afterEach(async function () {
+  await db.query("ROLLBACK");
+});
+
+afterAll(async function () {
+  await db.close();
+});
+
+async function numbers() {
+  const result = await db.query("SELECT n FROM tx_test ORDER BY n");
+  return result.rows.map(r => r.n);
+}
+
+
+describe("withTransaction", function () {
+  test("keeps the work and returns what fn returns", async function () {
+    const result = await db.withTransaction(async function () {
+      await db.query("INSERT INTO tx_test VALUES (1), (2)");
+      return "done";
+    });
+    expect(result).toEqual("done");
+    expect(await numbers()).toEqual([1, 2]);
+  });
+
+  test("undoes the work if fn throws", async function () {
+    await db.query("INSERT INTO tx_test VALUES (1)");
+    await expect(db.withTransaction(async function () {
+      await db.query("INSERT INTO tx_test VALUES (2)");
+      throw new Error("nope");
+    })).rejects.toThrow("nope");
+    expect(await numbers()).toEqual([1]);
+  });
+
+  test("nested calls only undo their own work", async function () {
+    await db.withTransaction(async function () {
+      await db.query("INSERT INTO tx_test VALUES (1)");
+      await db.withTransaction(async function () {
+        await db.query("INSERT INTO tx_test VALUES (2)");
+        throw new Error("nope");
+      }).catch(() => null);
+      await db.query("INSERT INTO tx_test VALUES (3)");
+    });
+    expect(await numbers()).toEqual([1, 3]);
+  });
+
+  test("passes fn the transaction's connection", async function () {
+    await db.withTransaction(async function (client) {
+      await client.query("INSERT INTO tx_test VALUES (1)");
+    });
+    expect(await numbers()).toEqual([1]);
+  });
+});
+
+describe("afterCommit", function () {
+  test("runs fn once the transaction commits", async function () {
+    const fn = jest.fn();
+    await db.withTransaction(async function () {
+      await db.withTransaction(async function () {
+        await db.afterCommit(fn);
+      });
+      expect(fn).not.toHaveBeenCalled();
+    });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test("never runs fn if the transaction rolls back", async function () {
+    const fn = jest.fn();
+    await db.withTransaction(async function () {
+      await db.withTransaction(async function () {
+        await db.afterCommit(fn);
+        throw new Error("nope");
+      }).catch(() => null);
+    });
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  test("runs fn now outside a transaction", async function () {
+    const fn = jest.fn();
+    await db.afterCommit(fn);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("afterRollback", function () {
+  test("runs fn if the savepoint it was added in rolls back", async function () {
+    const fn = jest.fn();
+    await db.withTransaction(async function () {
+      await db.withTransaction(async function () {
+        await db.afterRollback(fn);
+        throw new Error("nope");
+      }).catch(() => null);
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test("runs fn if an outer transaction rolls back", async function () {
+    const fn = jest.fn();
+    await expect(db.withTransaction(async function () {
+      await db.withTransaction(async function () {
+        await db.afterRollback(fn);
+      });
+      throw new Error("nope");
+    })).rejects.toThrow("nope");
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test("never runs fn if the transaction commits", async function () {
+    const fn = jest.fn();
+    await db.withTransaction(async function () {
+      await db.afterRollback(fn);
+    });
+    expect(fn).not.toHaveBeenCalled();
+  });
+});
@@ -1,14 +1,23 @@
+"use strict";
+
+const { STATUS_CODES } = require("http");
+
 /** ExpressError extends normal JS error so we can
  *  add a status when we make an instance of it.
  *
- *  The error-handling middleware will return this.
+ *  code is a short, stable name for what went wrong (eg "not_found") that
+ *  clients can match on; message may change wording, code shouldn't.
+ *
+ *  The error-handling middleware will return this as problem+json: see
+ *  toProblem.
  */
 
 class ExpressError extends Error {
-  constructor(message, status) {
+  constructor(message, status, code = "error") {
     super();
     this.message = message;
     this.status = status;
+    this.code = code;
   }
 }
 
@@ -16,7 +25,7 @@ class ExpressError extends Error {
 
 class NotFoundError extends ExpressError {
   constructor(message = "Not Found") {
-    super(message, 404);
+    super(message, 404, "not_found");
   }
 }
 
@@ -24,7 +33,7 @@ class NotFoundError extends ExpressError {
 
 class UnauthorizedError extends ExpressError {
   constructor(message = "Unauthorized") {
-    super(message, 401);
+    super(message, 401, "unauthorized");
   }
 }
 
@@ -32,22 +41,107 @@ class UnauthorizedError extends ExpressError {
 
 class BadRequestError extends ExpressError {
   constructor(message = "Bad Request") {
-    super(message, 400);
+    super(message, 400, "bad_request");
   }
 }
 
-/** 403 BAD REQUEST error. */
+/** 400 BAD REQUEST error for a request that fails its schema.
+ *
+ * errors is [{ field, rule, message }, ...], as made by middleware/validate.
+ */
+
+class ValidationError extends BadRequestError {
+  constructor(errors, message = "Request is not valid") {
+    super(message);
+    this.code = "validation_failed";
+    this.errors = errors;
+  }
+}
+
+/** 403 FORBIDDEN error.
+ *
+ * code can say why it's forbidden; it defaults to "forbidden".
+ */
 
 class ForbiddenError extends ExpressError {
-  constructor(message = "Bad Request") {
-    super(message, 403);
+  constructor(message = "Forbidden", code = "forbidden") {
+    super(message, 403, code);
+  }
+}
+
+/** 409 CONFLICT error: the request clashes with the current state of things,
+ * like applying twice to the same job.
+ *
+ * code can name the particular conflict; it defaults to "conflict".
+ */
+
+class ConflictError extends ExpressError {
+  constructor(message = "Conflict", code = "conflict") {
+    super(message, 409, code);
   }
 }
 
+/** 429 TOO MANY REQUESTS error.
+ *
+ * retryAfter is how many seconds until the client may try again; it's sent
+ * as the Retry-After header. code defaults to "rate_limited".
+ */
+
+class TooManyRequestsError extends ExpressError {
+  constructor(message = "Too Many Requests", retryAfter,
+              code = "rate_limited") {
+    super(message, 429, code);
+    this.retryAfter = retryAfter;
+  }
+}
+
+/** Describe err as an RFC 7807 problem details object:
+ *
+ *   { type, title, status, detail, instance, code, errors? }
+ *
+ * instance is the path of the request that failed. Errors that aren't
+ * ExpressErrors are reported as a plain 500 without their message, unless
+ * they are marked as safe to show (like express.json's errors for bad JSON).
+ * errors is only ever an ExpressError's (like ValidationError's list); other
+ * errors can carry their own, eg AggregateError, which aren't for clients.
+ */
+
+function toProblem(err, instance) {
+  let status = err.status || 500;
+  let code = err.code;
+  let detail = err.message;
+
+  if (!(err instanceof ExpressError)) {
+    if (err.expose) {
+      code = (status === 400) ? "bad_request" : "error";
+    } else {
+      status = 500;
+      code = "internal_error";
+      detail = STATUS_CODES[500];
+    }
+  }
+
+  const problem = {
+    type: `/problems/${code}`,
+    title: STATUS_CODES[status] || "Error",
+    status,
+    detail,
+    instance,
+    code,
+  };
+  if (err instanceof ExpressError && err.errors) problem.errors = err.errors;
+
+  return problem;
+}
+
 module.exports = {
   ExpressError,
   NotFoundError,
   UnauthorizedError,
   BadRequestError,
+  ValidationError,
   ForbiddenError,
-};
\ No newline at end of file
+  ConflictError,
+  TooManyRequestsError,
+  toProblem,
+};
@@ -0,0 +1,92 @@
+"use strict";
+
+const {
+  ExpressError,
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  TooManyRequestsError,
+  toProblem,
+} = require("./expressError");
+
+
+describe("toProblem", function () {
+  test("works", function () {
+    expect(toProblem(new NotFoundError("No job: 1"), "/jobs/1")).toEqual({
+      type: "/problems/not_found",
+      title: "Not Found",
+      status: 404,
+      detail: "No job: 1",
+      instance: "/jobs/1",
+      code: "not_found",
+    });
+  });
+
+  test("works: specific code", function () {
+    const problem = toProblem(
+        new ConflictError("Applied already", "already_applied"), "/x");
+    expect(problem).toEqual(expect.objectContaining({
+      type: "/problems/already_applied",
+      title: "Conflict",
+      status: 409,
+      code: "already_applied",
+    }));
+  });
+
+  test("works for too many requests", function () {
+    const err = new TooManyRequestsError(undefined, 30);
+    expect(err.retryAfter).toEqual(30);
+    expect(toProblem(err, "/auth/token")).toEqual(expect.objectContaining({
+      type: "/problems/rate_limited",
+      title: "Too Many Requests",
+      status: 429,
+    }));
+  });
+
+  test("includes validation errors", function () {
+    const errors = [{ field: "title", rule: "type", message: "is not a string" }];
+    const problem = toProblem(new ValidationError(errors), "/jobs");
+    expect(problem.status).toEqual(400);
+    expect(problem.code).toEqual("validation_failed");
+    expect(problem.errors).toEqual(errors);
+  });
+
+  test("defaults to 500 for an ExpressError without a status", function () {
+    const problem = toProblem(new ExpressError("Oops"), "/");
+    expect(problem.status).toEqual(500);
+    expect(problem.code).toEqual("error");
+    expect(problem.detail).toEqual("Oops");
+  });
+
+  test("hides the message of unexpected errors", function () {
+    const problem = toProblem(new Error("password is hunter2"), "/");
+    expect(problem).toEqual(expect.objectContaining({
+      status: 500,
+      code: "internal_error",
+      detail: "Internal Server Error",
+    }));
+  });
+
+  test("leaves out the errors of unexpected errors", function () {
+    const err = new AggregateError(
+        [new Error("connect ECONNREFUSED 10.0.0.5:5432")], "oops");
+    expect(toProblem(err, "/").errors).toBeUndefined();
+
+    const safe = new Error("Unexpected token");
+    safe.status = 400;
+    safe.expose = true;
+    safe.errors = ["internal detail"];
+    expect(toProblem(safe, "/").errors).toBeUndefined();
+  });
+
+  test("shows errors marked as safe to show", function () {
+    const err = new Error("Unexpected token");
+    err.status = 400;
+    err.expose = true;
+    expect(toProblem(err, "/")).toEqual(expect.objectContaining({
+      status: 400,
+      code: "bad_request",
+      detail: "Unexpected token",
+    }));
+  });
+});
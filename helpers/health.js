@@ -0,0 +1,101 @@
+"use strict";
+
+/** Checks behind GET /ready: can we reach the database, and does it have
+ * the tables the app needs? */
+
+const { HEALTH_CHECK_TIMEOUT_MS } = require("../config");
+
+// every table the models use; add new ones here as migrations create them
+const EXPECTED_TABLES = [
+  "companies",
+  "users",
+  "jobs",
+  "applications",
+  "application_transitions",
+  "application_resumes",
+  "password_reset_tokens",
+  "mail_outbox",
+  "auth_sessions",
+  "refresh_tokens",
+  "roles",
+  "role_permissions",
+  "user_roles",
+  "company_members",
+  "rate_limit_hits",
+  "user_totp",
+  "recovery_codes",
+  "api_keys",
+  "audit_events",
+];
+
+/** Resolve as promise does, or reject if it takes longer than ms. */
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+        () => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/** Ping the database.
+ *
+ * Returns { status: "ok", latencyMs } or { status: "failed", error }.
+ */
+
+async function checkDatabase(db, timeoutMs = HEALTH_CHECK_TIMEOUT_MS) {
+  const started = process.hrtime.bigint();
+  try {
+    await withTimeout(db.query("SELECT 1"), timeoutMs);
+    const latencyMs = Number(process.hrtime.bigint() - started) / 1e6;
+    return { status: "ok", latencyMs };
+  } catch (err) {
+    return { status: "failed", error: err.message };
+  }
+}
+
+/** Look for EXPECTED_TABLES in the database.
+ *
+ * Returns { status: "ok" }, { status: "failed", missing: [table, ...] } or
+ * { status: "failed", error } if it couldn't look.
+ */
+
+async function checkTables(db, timeoutMs = HEALTH_CHECK_TIMEOUT_MS) {
+  try {
+    const result = await withTimeout(db.query(
+          `SELECT name
+           FROM unnest($1::text[]) AS name
+           WHERE to_regclass(name) IS NULL`,
+        [EXPECTED_TABLES]), timeoutMs);
+    const missing = result.rows.map(r => r.name);
+    return missing.length ? { status: "failed", missing } : { status: "ok" };
+  } catch (err) {
+    return { status: "failed", error: err.message };
+  }
+}
+
+/** Whether the app is ready to serve requests.
+ *
+ * Returns { status, checks: { database, tables } } where status is "ok" if
+ * every check passed, else "unavailable". The tables aren't looked for if
+ * the database can't be reached.
+ */
+
+async function readiness(db, timeoutMs) {
+  const database = await checkDatabase(db, timeoutMs);
+  const tables = (database.status === "ok")
+      ? await checkTables(db, timeoutMs)
+      : { status: "skipped" };
+
+  const ok = database.status === "ok" && tables.status === "ok";
+  return { status: ok ? "ok" : "unavailable", checks: { database, tables } };
+}
+
+
+module.exports = {
+  EXPECTED_TABLES,
+  checkDatabase,
+  checkTables,
+  readiness,
+};
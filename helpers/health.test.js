@@ -0,0 +1,42 @@
+"use strict";
+
+const { readiness } = require("./health");
+
+
+describe("readiness", function () {
+  test("unavailable if the database can't be reached", async function () {
+    const db = { query: async () => { throw new Error("ECONNREFUSED"); } };
+    expect(await readiness(db)).toEqual({
+      status: "unavailable",
+      checks: {
+        database: { status: "failed", error: "ECONNREFUSED" },
+        tables: { status: "skipped" },
+      },
+    });
+  });
+
+  test("unavailable if the database doesn't answer in time", async function () {
+    const db = { query: () => new Promise(() => {}) };
+    const result = await readiness(db, 10);
+    expect(result.status).toEqual("unavailable");
+    expect(result.checks.database).toEqual({
+      status: "failed",
+      error: "Timed out after 10ms",
+    });
+  });
+
+  test("unavailable if tables can't be checked", async function () {
+    const db = {
+      query: async sql => {
+        if (sql === "SELECT 1") return { rows: [] };
+        throw new Error("permission denied");
+      },
+    };
+    const result = await readiness(db);
+    expect(result.status).toEqual("unavailable");
+    expect(result.checks.tables).toEqual({
+      status: "failed",
+      error: "permission denied",
+    });
+  });
+});
@@ -0,0 +1,101 @@
+"use strict";
+
+/** Starting and stopping the server (see server.js).
+ *
+ * Start-up waits for the database before listening, so a load balancer
+ * never sees an app that can't answer. Shutting down stops taking new
+ * connections, lets requests in flight finish (up to a time limit), then
+ * closes the database pool.
+ */
+
+const { logger } = require("./logger");
+
+/** What the process exits with, so whatever restarts it can tell why it
+ * stopped. */
+
+const EXIT_CODES = {
+  OK: 0,                   // stopped when asked, after finishing its work
+  ERROR: 1,                // crashed, or had to cut requests off to stop
+  CONFIG_INVALID: 2,       // settings missing or invalid (see config.js)
+  DATABASE_UNAVAILABLE: 3, // couldn't reach the database to start
+  LISTEN_FAILED: 4,        // couldn't listen on its port (eg in use)
+};
+
+/** Resolve once db answers a query. Retries every intervalMs; rejects with
+ * the last error if it hasn't answered within timeoutMs. */
+
+async function waitForDatabase(db, { timeoutMs, intervalMs = 1000 }) {
+  const deadline = Date.now() + timeoutMs;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await db.query("SELECT 1");
+      return;
+    } catch (err) {
+      if (Date.now() + intervalMs > deadline) throw err;
+      logger.warn("Waiting for the database", { attempt, err });
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+  }
+}
+
+/** Listen on port with app. Resolves to the http.Server once it's
+ * listening; rejects if it can't listen. */
+
+function listen(app, port) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port);
+    server.once("listening", () => resolve(server));
+    server.once("error", reject);
+  });
+}
+
+/** Stop server, which is serving app, and close db.
+ *
+ * New connections are refused at once, and requests in flight get until
+ * timeoutMs to finish; any still going then are cut off. While draining,
+ * app.locals.draining is true (GET /ready reports it) and responses ask
+ * clients to close their connection.
+ *
+ * Resolves to true if every request finished in time, else false.
+ */
+
+async function shutdown({ server, app, db }, { timeoutMs }) {
+  app.locals.draining = true;
+
+  server.prependListener("request", function (req, res) {
+    res.setHeader("Connection", "close");
+  });
+
+  let timer;
+  const closed = new Promise(resolve => server.close(() => resolve(true)));
+  const timedOut = new Promise(resolve => {
+    timer = setTimeout(() => resolve(false), timeoutMs);
+  });
+
+  // close() waits on keep-alive connections too, so close each one as soon
+  // as it has nothing in flight
+  server.closeIdleConnections();
+  const sweeper = setInterval(() => server.closeIdleConnections(), 100);
+
+  const drained = await Promise.race([closed, timedOut]);
+  clearTimeout(timer);
+  clearInterval(sweeper);
+
+  if (!drained) {
+    logger.error("Requests still in flight at shutdown; cutting them off",
+        { timeoutMs });
+    server.closeAllConnections();
+  }
+
+  await db.close();
+  return drained;
+}
+
+
+module.exports = {
+  EXIT_CODES,
+  waitForDatabase,
+  listen,
+  shutdown,
+};
@@ -0,0 +1,84 @@
+"use strict";
+
+const http = require("http");
+const express = require("express");
+
+const { waitForDatabase, listen, shutdown } = require("./lifecycle");
+
+
+describe("waitForDatabase", function () {
+  test("retries until the database answers", async function () {
+    let calls = 0;
+    const db = {
+      query: async () => {
+        if (++calls < 3) throw new Error("ECONNREFUSED");
+      },
+    };
+    await waitForDatabase(db, { timeoutMs: 1000, intervalMs: 1 });
+    expect(calls).toEqual(3);
+  });
+
+  test("gives up after timeoutMs", async function () {
+    const db = { query: async () => { throw new Error("ECONNREFUSED"); } };
+    await expect(waitForDatabase(db, { timeoutMs: 20, intervalMs: 5 }))
+        .rejects.toThrow("ECONNREFUSED");
+  });
+});
+
+describe("listen and shutdown", function () {
+  let app;
+  let db;
+
+  beforeEach(function () {
+    app = express();
+    app.get("/slow/:ms", function (req, res) {
+      setTimeout(() => res.send("done"), +req.params.ms);
+    });
+    db = { close: jest.fn(async () => undefined) };
+  });
+
+  // GET path from server; resolves to { status, body } or rejects
+  function get(server, path) {
+    const { port } = server.address();
+    return new Promise((resolve, reject) => {
+      http.get({ port, path }, function (res) {
+        let body = "";
+        res.on("data", chunk => { body += chunk; });
+        res.on("end", () => resolve({ status: res.statusCode, body }));
+      }).on("error", reject);
+    });
+  }
+
+  test("lets requests in flight finish", async function () {
+    const server = await listen(app, 0);
+    const inFlight = get(server, "/slow/100");
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const drained = await shutdown(
+        { server, app, db }, { timeoutMs: 2000 });
+
+    expect(drained).toBe(true);
+    expect(await inFlight).toEqual({ status: 200, body: "done" });
+    expect(app.locals.draining).toBe(true);
+    expect(server.listening).toBe(false);
+    expect(db.close).toHaveBeenCalled();
+  });
+
+  test("cuts requests off after timeoutMs", async function () {
+    const server = await listen(app, 0);
+    const inFlight = get(server, "/slow/2000");
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const drained = await shutdown({ server, app, db }, { timeoutMs: 50 });
+
+    expect(drained).toBe(false);
+    await expect(inFlight).rejects.toThrow();
+    expect(db.close).toHaveBeenCalled();
+  });
+
+  test("listen fails if the port is taken", async function () {
+    const server = await listen(app, 0);
+    await expect(listen(app, server.address().port)).rejects.toThrow();
+    server.close();
+  });
+});
@@ -0,0 +1,96 @@
+"use strict";
+
+/** Structured logging.
+ *
+ * Each entry is written as one line of JSON:
+ *
+ *   {"time":"...","level":"info","msg":"Request done","requestId":"...",...}
+ *
+ * Code running on behalf of a request (routes, models) logs with the shared
+ * `logger`; entries pick up the request's ID and username from
+ * requestContext, which middleware/requestLog sets up, so models don't need
+ * to be handed the request.
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+const { LOG_LEVEL } = require("../config");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+/** Fields about the current request, for every entry logged while it is
+ * being handled. */
+
+const requestContext = new AsyncLocalStorage();
+
+// errors don't serialize to JSON on their own
+function replacer(key, value) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      code: value.code,
+      stack: value.stack,
+    };
+  }
+  return value;
+}
+
+class Logger {
+  /** Make a logger writing entries at level or above to stream.
+   *
+   * fields are added to every entry.
+   */
+
+  constructor({ level = "info", stream = process.stdout, fields = {} } = {}) {
+    if (!(level in LEVELS)) throw new Error(`Unknown log level: ${level}`);
+    this.level = level;
+    this.stream = stream;
+    this.fields = fields;
+  }
+
+  /** A logger that adds fields to every entry, writing to the same stream
+   * at the same level. */
+
+  child(fields) {
+    const child = Object.create(this);
+    child.fields = { ...this.fields, ...fields };
+    return child;
+  }
+
+  /** Write an entry at level, if it's at or above this logger's level.
+   *
+   * extra is an object of fields for just this entry; an Error in it (eg
+   * { err }) is logged with its message and stack.
+   */
+
+  log(level, msg, extra = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...this.fields,
+      ...requestContext.getStore(),
+      ...extra,
+    };
+    this.stream.write(JSON.stringify(entry, replacer) + "\n");
+  }
+
+  debug(msg, extra) { this.log("debug", msg, extra); }
+  info(msg, extra) { this.log("info", msg, extra); }
+  warn(msg, extra) { this.log("warn", msg, extra); }
+  error(msg, extra) { this.log("error", msg, extra); }
+}
+
+/** The app's logger, at LOG_LEVEL, writing to stdout. */
+
+const logger = new Logger({ level: LOG_LEVEL });
+
+
+module.exports = {
+  Logger,
+  LEVELS,
+  logger,
+  requestContext,
+};
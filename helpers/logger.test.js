@@ -0,0 +1,83 @@
+"use strict";
+
+const { Logger, requestContext } = require("./logger");
+
+
+/** A stream that keeps what's written to it, one parsed entry per line. */
+
+function memoryStream() {
+  const entries = [];
+  return {
+    entries,
+    write(line) {
+      entries.push(JSON.parse(line));
+    },
+  };
+}
+
+describe("Logger", function () {
+  test("writes JSON lines", function () {
+    const stream = memoryStream();
+    const logger = new Logger({ stream });
+    logger.info("Hello", { count: 2 });
+    expect(stream.entries).toEqual([{
+      time: expect.any(String),
+      level: "info",
+      msg: "Hello",
+      count: 2,
+    }]);
+  });
+
+  test("skips entries below its level", function () {
+    const stream = memoryStream();
+    const logger = new Logger({ level: "warn", stream });
+    logger.debug("no");
+    logger.info("no");
+    logger.warn("yes");
+    logger.error("yes");
+    expect(stream.entries.map(e => e.level)).toEqual(["warn", "error"]);
+  });
+
+  test("silent writes nothing", function () {
+    const stream = memoryStream();
+    new Logger({ level: "silent", stream }).error("no");
+    expect(stream.entries).toEqual([]);
+  });
+
+  test("unknown level", function () {
+    expect(() => new Logger({ level: "loud" })).toThrow();
+  });
+
+  test("logs errors with message and stack", function () {
+    const stream = memoryStream();
+    new Logger({ stream }).error("Oops", { err: new Error("broken") });
+    expect(stream.entries[0].err).toEqual({
+      name: "Error",
+      message: "broken",
+      stack: expect.stringContaining("broken"),
+    });
+  });
+
+  test("child adds fields", function () {
+    const stream = memoryStream();
+    const child = new Logger({ stream, fields: { app: "jobly" } })
+        .child({ part: "mail" });
+    child.info("Sent");
+    expect(stream.entries[0]).toEqual(expect.objectContaining({
+      app: "jobly",
+      part: "mail",
+    }));
+  });
+
+  test("adds fields from the request context", async function () {
+    const stream = memoryStream();
+    const logger = new Logger({ stream });
+    await requestContext.run({ requestId: "abc" }, async function () {
+      await Promise.resolve();
+      logger.info("Inside");
+    });
+    logger.info("Outside");
+    expect(stream.entries[0].requestId).toEqual("abc");
+    expect(stream.entries[1].requestId).toBeUndefined();
+  });
+});
@@ -0,0 +1,82 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const db = require("../db.js");
+const {
+  outboxTransport,
+  directoryTransport,
+  transportFor,
+  setTransport,
+  sendMail,
+} = require("./mail");
+
+const message = { to: "a@b.com", subject: "Hi", text: "Hello there" };
+
+afterEach(function () {
+  setTransport();
+});
+
+afterAll(async function () {
+  await db.end();
+});
+
+describe("sendMail", function () {
+  test("works: default outbox table", async function () {
+    await db.query("BEGIN");
+    try {
+      await sendMail(message);
+      const result = await db.query(
+          "SELECT to_address, subject, body FROM mail_outbox");
+      expect(result.rows).toEqual([
+        { to_address: "a@b.com", subject: "Hi", body: "Hello there" },
+      ]);
+    } finally {
+      await db.query("ROLLBACK");
+    }
+  });
+
+  test("works: custom transport", async function () {
+    const sent = [];
+    setTransport({ send: async (msg) => { sent.push(msg); } });
+    await sendMail(message);
+    expect(sent).toEqual([message]);
+  });
+
+  test("works: directory transport", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-mail-"));
+    try {
+      setTransport(directoryTransport(dir));
+      await sendMail(message);
+      const files = fs.readdirSync(dir);
+      expect(files.length).toEqual(1);
+      expect(JSON.parse(fs.readFileSync(path.join(dir, files[0]), "utf8")))
+          .toEqual(message);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("transportFor", function () {
+  test("works: the outbox in development and test", function () {
+    expect(transportFor({ PROFILE: "development" })).toBe(outboxTransport);
+    expect(transportFor({ PROFILE: "test" })).toBe(outboxTransport);
+  });
+
+  test("works: a mail server if one is set", function () {
+    const transport = transportFor({
+      PROFILE: "production",
+      SMTP_URL: "smtp://mail.example.com",
+      MAIL_FROM: "Jobly <no-reply@example.com>",
+    });
+    expect(transport).not.toBe(outboxTransport);
+  });
+
+  test("throws in production without a mail server", function () {
+    expect(() => transportFor({ PROFILE: "production" }))
+        .toThrow("SMTP_URL must be set in production");
+  });
+});
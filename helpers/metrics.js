@@ -0,0 +1,263 @@
+"use strict";
+
+/** Metrics, served to Prometheus by GET /metrics.
+ *
+ * Counters and histograms are updated as things happen; gauges are worked
+ * out when Prometheus asks (see Gauge). render() writes them all in the
+ * Prometheus text format:
+ * https://prometheus.io/docs/instrumenting/exposition_formats/
+ */
+
+const { logger } = require("./logger");
+
+// latency buckets, in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+function escapeLabel(value) {
+  return String(value)
+      .replace(/\\/g, "\\\\")
+      .replace(/\n/g, "\\n")
+      .replace(/"/g, "\\\"");
+}
+
+/** Format labels as {name="value",...}, or "" if there are none. */
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+      .map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+/** Base for the kinds of metric: name, help text, and values kept per
+ * distinct set of labels. */
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.values = new Map();
+  }
+
+  // the series for labels, made with init() the first time it's seen
+  series(labels, init) {
+    const key = formatLabels(labels);
+    if (!this.values.has(key)) this.values.set(key, { labels, ...init() });
+    return this.values.get(key);
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+/** A count that only goes up, eg requests served. */
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super("counter", name, help);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.series(labels, () => ({ value: 0 })).value += value;
+  }
+
+  async lines() {
+    return [...this.values.values()].map(
+        ({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+/** Observations (eg how long requests took) counted into buckets. */
+
+class Histogram extends Metric {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    super("histogram", name, help);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this.series(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /** Start timing; returns a function that records the seconds since, with
+   * labels (which can be added to when it's called). */
+
+  startTimer(labels = {}) {
+    const started = process.hrtime.bigint();
+    return (more = {}) => this.observe(
+        { ...labels, ...more },
+        Number(process.hrtime.bigint() - started) / 1e9);
+  }
+
+  async lines() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+/** A value read when metrics are rendered, eg how many jobs are open.
+ *
+ * collect is an async function returning [{ labels, value }, ...].
+ */
+
+class Gauge extends Metric {
+  constructor(name, help, collect) {
+    super("gauge", name, help);
+    this.collect = collect;
+  }
+
+  async lines() {
+    const samples = await this.collect();
+    return samples.map(
+        ({ labels = {}, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+/** A set of metrics to render together. */
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /** All metrics in the Prometheus text format.
+   *
+   * A gauge that can't be collected is logged and left out rather than
+   * failing the rest.
+   */
+
+  async render() {
+    const out = [];
+    for (const metric of this.metrics) {
+      let lines;
+      try {
+        lines = await metric.lines();
+      } catch (err) {
+        logger.warn(`Could not collect metric ${metric.name}`, { err });
+        continue;
+      }
+      out.push(...metric.header(), ...lines);
+    }
+    return out.join("\n") + "\n";
+  }
+
+  reset() {
+    for (const metric of this.metrics) metric.reset();
+  }
+}
+
+
+/** The app's metrics. */
+
+const registry = new Registry();
+
+const httpRequests = registry.register(new Counter(
+    "jobly_http_requests_total",
+    "HTTP requests served, by method, route and status"));
+
+const httpRequestDuration = registry.register(new Histogram(
+    "jobly_http_request_duration_seconds",
+    "Time taken to serve HTTP requests, by method and route"));
+
+const httpErrors = registry.register(new Counter(
+    "jobly_http_errors_total",
+    "HTTP responses with an error status, by status"));
+
+const dbQueryDuration = registry.register(new Histogram(
+    "jobly_db_query_duration_seconds",
+    "Time taken by database queries, by statement type and outcome"));
+
+/** Time every query made through db.query, as dbQueryDuration labelled with
+ * the statement (SELECT, INSERT, ...) and whether it succeeded. Only
+ * promise-style calls are timed. */
+
+function instrumentQueries(db) {
+  const query = db.query;
+
+  db.query = function (...args) {
+    const text = (typeof args[0] === "string") ? args[0] : (args[0] || {}).text;
+    const match = /^\s*(\w+)/.exec(text || "");
+    const statement = match ? match[1].toUpperCase() : "OTHER";
+    const done = dbQueryDuration.startTimer({ statement });
+
+    const result = query.apply(this, args);
+    if (result && typeof result.then === "function") {
+      result.then(() => done({ outcome: "ok" }), () => done({ outcome: "error" }));
+    }
+    return result;
+  };
+
+  return db;
+}
+
+/** Add the gauges about jobs and applications, counted from db. */
+
+function registerDomainGauges(db) {
+  registry.register(new Gauge(
+      "jobly_open_jobs",
+      "Jobs that are published and haven't expired or been deleted",
+      async function () {
+        const result = await db.query(
+              `SELECT COUNT(*) AS "count"
+               FROM jobs
+               WHERE status = 'published'
+                 AND (expires_at IS NULL OR expires_at > NOW())
+                 AND deleted_at IS NULL`);
+        return [{ value: +result.rows[0].count }];
+      }));
+
+  registry.register(new Gauge(
+      "jobly_applications",
+      "Applications submitted, by current state",
+      async function () {
+        const result = await db.query(
+              `SELECT state, COUNT(*) AS "count"
+               FROM applications
+               GROUP BY state
+               ORDER BY state`);
+        return result.rows.map(
+            row => ({ labels: { state: row.state }, value: +row.count }));
+      }));
+}
+
+
+module.exports = {
+  Counter,
+  Histogram,
+  Gauge,
+  Registry,
+  registry,
+  httpRequests,
+  httpRequestDuration,
+  httpErrors,
+  dbQueryDuration,
+  instrumentQueries,
+  registerDomainGauges,
+};
@@ -0,0 +1,93 @@
+"use strict";
+
+const {
+  Counter,
+  Histogram,
+  Gauge,
+  Registry,
+  instrumentQueries,
+  dbQueryDuration,
+} = require("./metrics");
+
+
+describe("Registry", function () {
+  test("renders counters", async function () {
+    const registry = new Registry();
+    const counter = registry.register(new Counter("things_total", "Things"));
+    counter.inc({ kind: "a" });
+    counter.inc({ kind: "a" }, 2);
+    counter.inc({ kind: "b\"c" });
+    expect(await registry.render()).toEqual(
+        "# HELP things_total Things\n"
+        + "# TYPE things_total counter\n"
+        + "things_total{kind=\"a\"} 3\n"
+        + "things_total{kind=\"b\\\"c\"} 1\n");
+  });
+
+  test("renders histograms", async function () {
+    const registry = new Registry();
+    const histogram = registry.register(
+        new Histogram("took_seconds", "Time", [0.1, 1]));
+    histogram.observe({}, 0.05);
+    histogram.observe({}, 0.5);
+    histogram.observe({}, 5);
+    expect(await registry.render()).toEqual(
+        "# HELP took_seconds Time\n"
+        + "# TYPE took_seconds histogram\n"
+        + "took_seconds_bucket{le=\"0.1\"} 1\n"
+        + "took_seconds_bucket{le=\"1\"} 2\n"
+        + "took_seconds_bucket{le=\"+Inf\"} 3\n"
+        + "took_seconds_sum 5.55\n"
+        + "took_seconds_count 3\n");
+  });
+
+  test("renders gauges when asked", async function () {
+    const registry = new Registry();
+    let value = 1;
+    registry.register(new Gauge("size", "Size", async () => [{ value }]));
+    expect(await registry.render()).toContain("\nsize 1\n");
+    value = 2;
+    expect(await registry.render()).toContain("\nsize 2\n");
+  });
+
+  test("leaves out gauges that fail", async function () {
+    const registry = new Registry();
+    registry.register(new Gauge("broken", "Broken", async () => {
+      throw new Error("nope");
+    }));
+    registry.register(new Counter("ok_total", "OK")).inc();
+    expect(await registry.render()).toEqual(
+        "# HELP ok_total OK\n# TYPE ok_total counter\nok_total 1\n");
+  });
+
+  test("reset", async function () {
+    const registry = new Registry();
+    registry.register(new Counter("c_total", "C")).inc();
+    registry.reset();
+    expect(await registry.render()).not.toContain("c_total 1");
+  });
+});
+
+describe("instrumentQueries", function () {
+  beforeEach(function () {
+    dbQueryDuration.reset();
+  });
+
+  test("times queries by statement and outcome", async function () {
+    const db = instrumentQueries({
+      query: async sql => {
+        if (sql.includes("nope")) throw new Error("bad");
+        return { rows: [] };
+      },
+    });
+
+    expect(await db.query("SELECT 1")).toEqual({ rows: [] });
+    await expect(db.query("  insert into nope")).rejects.toThrow("bad");
+
+    const series = [...dbQueryDuration.values.values()].map(s => s.labels);
+    expect(series).toEqual([
+      { statement: "SELECT", outcome: "ok" },
+      { statement: "INSERT", outcome: "error" },
+    ]);
+  });
+});
@@ -0,0 +1,274 @@
+"use strict";
+
+/** Versioned database migrations.
+ *
+ * Migrations live in migrations/ as pairs of SQL files:
+ *
+ *   001-initial-schema.up.sql     applies the change
+ *   001-initial-schema.down.sql   undoes it
+ *
+ * The number is the version; migrations run in version order and each one
+ * runs in its own transaction. The schema_migrations table records which
+ * versions have been applied to a database.
+ *
+ * Databases built before migrations, from the old jobly-schema.sql, already
+ * have what the first migration makes: baseline records it as applied so
+ * migrate can carry on from there.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const FILE_PATTERN = /^(\d+)-([a-z0-9-]+)\.(up|down)\.sql$/;
+
+/** Tables the first migration makes, which databases built from the old
+ * jobly-schema.sql already have. */
+
+const BASELINE_TABLES = [
+  "companies",
+  "users",
+  "jobs",
+  "applications",
+];
+
+/** "001-initial-schema" for { version: 1, name: "initial-schema" }. */
+
+function migrationLabel({ version, name }) {
+  return `${String(version).padStart(3, "0")}-${name}`;
+}
+
+/** Read the migrations in dir.
+ *
+ * Returns [{ version, name, up, down }, ...] sorted by version, where up
+ * and down are the SQL to run.
+ *
+ * Throws if a migration is missing its up or down file, or two migrations
+ * share a version.
+ */
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = {};
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+
+    const [, num, name, direction] = match;
+    const version = +num;
+    const migration = byVersion[version] || { version, name };
+
+    if (migration.name !== name) {
+      throw new Error(`Two migrations share version ${version}: `
+          + `${migration.name} and ${name}`);
+    }
+
+    migration[direction] = fs.readFileSync(path.join(dir, file), "utf8");
+    byVersion[version] = migration;
+  }
+
+  const migrations = Object.values(byVersion)
+      .sort((a, b) => a.version - b.version);
+
+  for (const migration of migrations) {
+    if (migration.up === undefined || migration.down === undefined) {
+      throw new Error(`Migration ${migrationLabel(migration)} `
+          + `needs both an up and a down file`);
+    }
+  }
+
+  return migrations;
+}
+
+/** Create the schema_migrations table if this database doesn't have it. */
+
+async function ensureMigrationsTable(db) {
+  await db.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+           version INTEGER PRIMARY KEY,
+           name TEXT NOT NULL,
+           applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+         )`);
+}
+
+/** Return [{ version, name, appliedAt }, ...] for applied migrations.
+ *
+ * A database without a schema_migrations table has none applied.
+ */
+
+async function appliedMigrations(db) {
+  const tableRes = await db.query(
+        `SELECT to_regclass('schema_migrations') IS NOT NULL AS "exists"`);
+  if (!tableRes.rows[0].exists) return [];
+
+  const result = await db.query(
+        `SELECT version, name, applied_at AS "appliedAt"
+         FROM schema_migrations
+         ORDER BY version`);
+  return result.rows;
+}
+
+/** Return which of BASELINE_TABLES db has: [name, ...] */
+
+async function baselineTablesIn(db) {
+  const result = await db.query(
+        `SELECT name
+         FROM unnest($1::TEXT[]) AS name
+         WHERE to_regclass(name) IS NOT NULL`,
+      [BASELINE_TABLES]);
+  return result.rows.map(row => row.name);
+}
+
+/** Run one migration's SQL and record it, all in one transaction. */
+
+async function runMigration(db, migration, direction) {
+  try {
+    await db.query("BEGIN");
+    await db.query(migration[direction]);
+    if (direction === "up") {
+      await db.query(
+            `INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`,
+          [migration.version, migration.name]);
+    } else {
+      await db.query(
+            `DELETE FROM schema_migrations WHERE version = $1`,
+          [migration.version]);
+    }
+    await db.query("COMMIT");
+  } catch (err) {
+    await db.query("ROLLBACK");
+    err.message = `Migration ${migrationLabel(migration)} `
+        + `(${direction}) failed: ${err.message}`;
+    throw err;
+  }
+}
+
+/** Return migrations in dir not yet applied to db, oldest first. */
+
+async function pendingMigrations(db, { dir } = {}) {
+  const applied = new Set((await appliedMigrations(db)).map(m => m.version));
+  return loadMigrations(dir).filter(m => !applied.has(m.version));
+}
+
+/** Apply every pending migration, oldest first.
+ *
+ * Returns the migrations applied: [{ version, name }, ...]
+ *
+ * Throws if the database was built without migrations (it has tables but
+ * no migrations recorded); baseline it first.
+ */
+
+async function migrate(db, { dir } = {}) {
+  if (!(await appliedMigrations(db)).length
+      && (await baselineTablesIn(db)).length) {
+    throw new Error("Database was built without migrations (from the old "
+        + "jobly-schema.sql): run \"npm run migrate -- baseline\" first");
+  }
+
+  await ensureMigrationsTable(db);
+  const pending = await pendingMigrations(db, { dir });
+  for (const migration of pending) {
+    await runMigration(db, migration, "up");
+  }
+  return pending.map(({ version, name }) => ({ version, name }));
+}
+
+/** Adopt migrations on a database built from the old jobly-schema.sql:
+ * record the first migration as applied, without running it.
+ *
+ * Returns the migration recorded: [{ version, name }]
+ *
+ * Throws if the database already has migrations recorded, or doesn't have
+ * every table the first migration makes.
+ */
+
+async function baseline(db, { dir } = {}) {
+  if ((await appliedMigrations(db)).length) {
+    throw new Error("Database already has migrations recorded; "
+        + "use \"npm run migrate\"");
+  }
+
+  const found = await baselineTablesIn(db);
+  const missing = BASELINE_TABLES.filter(table => !found.includes(table));
+  if (missing.length) {
+    throw new Error(`Database is missing ${missing.join(", ")}, so it `
+        + `wasn't built from jobly-schema.sql; use "npm run migrate"`);
+  }
+
+  const [first] = loadMigrations(dir);
+  await ensureMigrationsTable(db);
+  await db.query(
+        `INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`,
+      [first.version, first.name]);
+  return [{ version: first.version, name: first.name }];
+}
+
+/** Roll back the most recently applied `steps` migrations, newest first.
+ *
+ * Returns the migrations rolled back: [{ version, name }, ...]
+ *
+ * Throws if an applied migration is no longer on disk.
+ */
+
+async function rollback(db, { dir, steps = 1 } = {}) {
+  const onDisk = loadMigrations(dir);
+  const toUndo = (await appliedMigrations(db)).reverse().slice(0, steps);
+
+  for (const applied of toUndo) {
+    const migration = onDisk.find(m => m.version === applied.version);
+    if (!migration) {
+      throw new Error(
+          `Cannot roll back ${migrationLabel(applied)}: file not found`);
+    }
+    await runMigration(db, migration, "down");
+  }
+
+  return toUndo.map(({ version, name }) => ({ version, name }));
+}
+
+/** Return every migration on disk and when it was applied.
+ *
+ * Returns [{ version, name, appliedAt }, ...] where appliedAt is null for
+ * pending migrations.
+ */
+
+async function status(db, { dir } = {}) {
+  const applied = await appliedMigrations(db);
+  return loadMigrations(dir).map(({ version, name }) => {
+    const done = applied.find(m => m.version === version);
+    return { version, name, appliedAt: done ? done.appliedAt : null };
+  });
+}
+
+/** Log a warning if db is missing migrations; never throws.
+ *
+ * The app still starts so a deploy can run `npm run migrate` against it.
+ */
+
+async function warnIfMigrationsPending(db) {
+  try {
+    const pending = await pendingMigrations(db);
+    if (pending.length) {
+      logger.warn(
+          `Database is missing ${pending.length} migration(s); `
+          + `run "npm run migrate"`,
+          { pending: pending.map(migrationLabel) });
+    }
+  } catch (err) {
+    logger.warn("Could not check database migrations", { err });
+  }
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  migrationLabel,
+  loadMigrations,
+  appliedMigrations,
+  pendingMigrations,
+  migrate,
+  baseline,
+  rollback,
+  status,
+  warnIfMigrationsPending,
+};
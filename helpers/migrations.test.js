@@ -0,0 +1,210 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { Client } = require("pg");
+const db = require("../db.js");
+const { getDatabaseConfig } = require("../config");
+const {
+  migrationLabel,
+  loadMigrations,
+  pendingMigrations,
+  migrate,
+  baseline,
+  rollback,
+  status,
+} = require("./migrations");
+
+let dir;
+
+function writeMigration(file, sql) {
+  fs.writeFileSync(path.join(dir, file), sql);
+}
+
+beforeEach(function () {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-migrations-"));
+});
+
+afterEach(function () {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+afterAll(async function () {
+  await db.end();
+});
+
+describe("migrationLabel", function () {
+  test("works", function () {
+    expect(migrationLabel({ version: 7, name: "add-things" }))
+        .toEqual("007-add-things");
+  });
+});
+
+describe("loadMigrations", function () {
+  test("works: sorted by version", function () {
+    writeMigration("010-second.up.sql", "up 10");
+    writeMigration("010-second.down.sql", "down 10");
+    writeMigration("002-first.up.sql", "up 2");
+    writeMigration("002-first.down.sql", "down 2");
+    writeMigration("notes.txt", "ignored");
+    expect(loadMigrations(dir)).toEqual([
+      { version: 2, name: "first", up: "up 2", down: "down 2" },
+      { version: 10, name: "second", up: "up 10", down: "down 10" },
+    ]);
+  });
+
+  test("works: the real migrations start at the initial schema", function () {
+    expect(loadMigrations()[0]).toEqual(expect.objectContaining({
+      version: 1,
+      name: "initial-schema",
+    }));
+  });
+
+  test("throws without a down file", function () {
+    writeMigration("001-lonely.up.sql", "up");
+    expect(() => loadMigrations(dir)).toThrow(/needs both/);
+  });
+
+  test("throws on a shared version", function () {
+    writeMigration("001-one.up.sql", "up");
+    writeMigration("001-other.up.sql", "up");
+    expect(() => loadMigrations(dir)).toThrow(/share version 1/);
+  });
+});
+
+describe("migrate / rollback / status", function () {
+  beforeEach(function () {
+    writeMigration("901-first-test-table.up.sql",
+        "CREATE TABLE migration_test_one (id INTEGER)");
+    writeMigration("901-first-test-table.down.sql",
+        "DROP TABLE migration_test_one");
+    writeMigration("902-second-test-table.up.sql",
+        "CREATE TABLE migration_test_two (id INTEGER)");
+    writeMigration("902-second-test-table.down.sql",
+        "DROP TABLE migration_test_two");
+  });
+
+  async function tableExists(name) {
+    const result = await db.query(
+        `SELECT to_regclass($1) IS NOT NULL AS "exists"`, [name]);
+    return result.rows[0].exists;
+  }
+
+  test("works: up, status, then down", async function () {
+    expect((await pendingMigrations(db, { dir })).length).toEqual(2);
+
+    expect(await migrate(db, { dir })).toEqual([
+      { version: 901, name: "first-test-table" },
+      { version: 902, name: "second-test-table" },
+    ]);
+    expect(await tableExists("migration_test_two")).toEqual(true);
+    expect(await migrate(db, { dir })).toEqual([]);
+    expect(await status(db, { dir })).toEqual([
+      { version: 901, name: "first-test-table", appliedAt: expect.any(Date) },
+      { version: 902, name: "second-test-table", appliedAt: expect.any(Date) },
+    ]);
+
+    expect(await rollback(db, { dir })).toEqual([
+      { version: 902, name: "second-test-table" },
+    ]);
+    expect(await tableExists("migration_test_two")).toEqual(false);
+    expect(await tableExists("migration_test_one")).toEqual(true);
+
+    await rollback(db, { dir });
+    expect(await tableExists("migration_test_one")).toEqual(false);
+    expect((await pendingMigrations(db, { dir })).length).toEqual(2);
+  });
+
+  test("a failing migration is rolled back and not recorded",
+      async function () {
+        writeMigration("903-broken.up.sql",
+            "CREATE TABLE migration_test_three (id INTEGER); SELECT nope;");
+        writeMigration("903-broken.down.sql", "");
+        await expect(migrate(db, { dir })).rejects.toThrow(/903-broken/);
+        expect(await tableExists("migration_test_three")).toEqual(false);
+        expect((await pendingMigrations(db, { dir })).map(m => m.version))
+            .toEqual([903]);
+        await rollback(db, { dir, steps: 2 });
+      });
+});
+
+describe("baseline", function () {
+  // a database built from the old jobly-schema.sql, in a schema of its own
+  // on its own connection, so the test database isn't touched
+  const LEGACY_SCHEMA = "migration_test_legacy";
+  let legacy;
+
+  beforeEach(async function () {
+    legacy = new Client(getDatabaseConfig());
+    await legacy.connect();
+    await legacy.query(`DROP SCHEMA IF EXISTS ${LEGACY_SCHEMA} CASCADE`);
+    await legacy.query(`CREATE SCHEMA ${LEGACY_SCHEMA}`);
+    await legacy.query(`SET search_path TO ${LEGACY_SCHEMA}`);
+  });
+
+  afterEach(async function () {
+    await legacy.query(`DROP SCHEMA ${LEGACY_SCHEMA} CASCADE`);
+    await legacy.end();
+  });
+
+  async function loadLegacySchema() {
+    await legacy.query(fs.readFileSync(
+        path.join(__dirname, "fixtures", "jobly-schema.sql"), "utf8"));
+  }
+
+  test("works: adopts a database built from jobly-schema.sql",
+      async function () {
+        await loadLegacySchema();
+        await legacy.query(
+              `INSERT INTO companies (handle, name, description)
+               VALUES ('c1', 'Acme', 'Anvils')`);
+        await legacy.query(
+              `INSERT INTO users
+               (username, password, first_name, last_name, email)
+               VALUES ('u1', 'x', 'U', 'One', 'u1@email.com')`);
+        await legacy.query(
+              `INSERT INTO jobs (title, company_handle)
+               VALUES ('Welder', 'c1')`);
+        await legacy.query(
+              `INSERT INTO applications (username, job_id) VALUES ('u1', 1)`);
+        await expect(migrate(legacy)).rejects.toThrow(/baseline/);
+
+        expect(await baseline(legacy)).toEqual([
+          { version: 1, name: "initial-schema" },
+        ]);
+        const applied = await migrate(legacy);
+        expect(applied.map(m => m.version))
+            .toEqual(loadMigrations().slice(1).map(m => m.version));
+        expect((await pendingMigrations(legacy)).length).toEqual(0);
+
+        const columns = await legacy.query(
+            `SELECT column_name
+             FROM information_schema.columns
+             WHERE table_schema = $1
+               AND table_name = 'jobs'
+               AND column_name = 'deleted_at'`,
+            [LEGACY_SCHEMA]);
+        expect(columns.rows.length).toEqual(1);
+
+        // what later migrations added is there for the old rows too
+        const application = await legacy.query(
+            "SELECT state FROM applications");
+        expect(application.rows).toEqual([{ state: "applied" }]);
+        const job = await legacy.query(
+            `SELECT search_vector @@ to_tsquery('english', 'acme') AS "found"
+             FROM jobs`);
+        expect(job.rows).toEqual([{ found: true }]);
+      });
+
+  test("throws if migrations are already recorded", async function () {
+    await loadLegacySchema();
+    await baseline(legacy);
+    await expect(baseline(legacy)).rejects.toThrow(/already/);
+  });
+
+  test("throws on a database without the old schema", async function () {
+    await expect(baseline(legacy)).rejects.toThrow(/missing companies/);
+  });
+});
@@ -0,0 +1,574 @@
+"use strict";
+
+/** The OpenAPI 3 description of the API.
+ *
+ * The paths come from the app's own routers: every route they define, with
+ * its path and query parameters and request body taken from the schemas
+ * its validate() middleware checks (see middleware/validate), so the docs
+ * can't drift from the rules the routes apply. What each route is for and
+ * who may call it is written in DOCS; helpers/openapi.test.js fails if a
+ * route has no entry there.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { version } = require("../package.json");
+
+const SCHEMAS_DIR = path.join(__dirname, "..", "schemas");
+
+/** The schemas in schemas/, by the objects routes get from requiring them
+ * (require gives every module the same object), named after their files. */
+
+const SCHEMA_NAMES = new Map(
+    fs.readdirSync(SCHEMAS_DIR)
+        .filter(file => file.endsWith(".json"))
+        .map(file => [
+          require(path.join(SCHEMAS_DIR, file)),
+          path.basename(file, ".json"),
+        ]));
+
+/** What each route does and who may call it, keyed by "METHOD /path" with
+ * path parameters written OpenAPI-style ({id}).
+ *
+ * Entries are { tag, summary, auth, status, download }:
+ * - auth: who may call it (omitted for anyone)
+ * - status: the success status, if not 200
+ * - download: the route responds with a file rather than JSON
+ */
+
+const DOCS = {
+  "GET /openapi.json": {
+    tag: "docs",
+    summary: "This OpenAPI document",
+  },
+  "GET /docs": {
+    tag: "docs",
+    summary: "Interactive API documentation",
+    download: "text/html",
+  },
+  "GET /metrics": {
+    tag: "monitoring",
+    summary: "Metrics for Prometheus",
+    download: "text/plain",
+  },
+  "GET /health": {
+    tag: "monitoring",
+    summary: "Liveness: whether the app is running",
+  },
+  "GET /ready": {
+    tag: "monitoring",
+    summary: "Readiness: whether the database is reachable (503 if not)",
+  },
+
+  "POST /auth/token": {
+    tag: "auth",
+    summary: "Log in; returns an access token and a refresh token "
+        + "(rate limited: 429 with Retry-After)",
+  },
+  "POST /auth/token/mfa": {
+    tag: "auth",
+    summary: "Finish logging in with a 2FA code",
+  },
+  "POST /auth/register": {
+    tag: "auth",
+    summary: "Sign up; returns an access token and a refresh token",
+    status: 201,
+  },
+  "POST /auth/refresh": {
+    tag: "auth",
+    summary: "Trade a refresh token for new tokens",
+  },
+  "POST /auth/logout": {
+    tag: "auth",
+    summary: "End the session a refresh token belongs to",
+  },
+  "POST /auth/verify-email": {
+    tag: "auth",
+    summary: "Verify an email address with the token from its link",
+  },
+  "POST /auth/verify-email/resend": {
+    tag: "auth",
+    summary: "Mail a new email verification link "
+        + "(rate limited: 429 with Retry-After)",
+    auth: "login",
+    status: 202,
+  },
+  "POST /auth/password-reset/request": {
+    tag: "auth",
+    summary: "Email a password reset link",
+    status: 202,
+  },
+  "POST /auth/password-reset/confirm": {
+    tag: "auth",
+    summary: "Set a new password with a reset token",
+  },
+
+  "POST /companies": {
+    tag: "companies",
+    summary: "Create a company",
+    auth: "admin",
+    status: 201,
+  },
+  "GET /companies": {
+    tag: "companies",
+    summary: "List companies",
+  },
+  "GET /companies/{handle}": {
+    tag: "companies",
+    summary: "Get a company",
+  },
+  "PATCH /companies/{handle}": {
+    tag: "companies",
+    summary: "Update a company",
+    auth: "admin",
+  },
+  "DELETE /companies/{handle}": {
+    tag: "companies",
+    summary: "Delete a company and its jobs (they can be restored)",
+    auth: "admin",
+  },
+  "POST /companies/{handle}/restore": {
+    tag: "companies",
+    summary: "Restore a deleted company, with the jobs deleted along with it",
+    auth: "admin",
+  },
+  "GET /companies/{handle}/members": {
+    tag: "companies",
+    summary: "List the company's members",
+    auth: "admin or member of the company",
+  },
+  "POST /companies/{handle}/members": {
+    tag: "companies",
+    summary: "Add a member to the company",
+    auth: "admin",
+    status: 201,
+  },
+  "DELETE /companies/{handle}/members/{username}": {
+    tag: "companies",
+    summary: "Remove a member from the company",
+    auth: "admin",
+  },
+
+  "POST /jobs": {
+    tag: "jobs",
+    summary: "Create a job",
+    auth: "jobs:write permission for the company",
+    status: 201,
+  },
+  "GET /jobs": {
+    tag: "jobs",
+    summary: "List jobs; only published ones unless you can manage them",
+  },
+  "GET /jobs/{id}": {
+    tag: "jobs",
+    summary: "Get a job",
+  },
+  "PATCH /jobs/{id}": {
+    tag: "jobs",
+    summary: "Update a job",
+    auth: "jobs:write permission for the job's company",
+    status: 201,
+  },
+  "DELETE /jobs/{id}": {
+    tag: "jobs",
+    summary: "Delete a job (it can be restored)",
+    auth: "jobs:write permission for the job's company",
+  },
+  "POST /jobs/{id}/restore": {
+    tag: "jobs",
+    summary: "Restore a deleted job (409 if its company is deleted)",
+    auth: "admin",
+  },
+  "POST /jobs/{id}/publish": {
+    tag: "jobs",
+    summary: "Publish a draft job",
+    auth: "jobs:write permission for the job's company",
+  },
+  "POST /jobs/{id}/close": {
+    tag: "jobs",
+    summary: "Close a published job",
+    auth: "jobs:write permission for the job's company",
+  },
+  "POST /jobs/{id}/reopen": {
+    tag: "jobs",
+    summary: "Reopen a closed or expired job",
+    auth: "jobs:write permission for the job's company",
+  },
+  "GET /jobs/{id}/applications": {
+    tag: "jobs",
+    summary: "List applications to a job",
+    auth: "applications:review permission for the job's company",
+  },
+
+  "POST /users": {
+    tag: "users",
+    summary: "Create a user; they log in for themselves",
+    auth: "admin",
+    status: 201,
+  },
+  "GET /users": {
+    tag: "users",
+    summary: "List users",
+    auth: "admin",
+  },
+  "GET /users/{username}": {
+    tag: "users",
+    summary: "Get a user",
+    auth: "admin or same user",
+  },
+  "PATCH /users/{username}": {
+    tag: "users",
+    summary: "Update a user",
+    auth: "admin or same user, not with an API key",
+  },
+  "DELETE /users/{username}": {
+    tag: "users",
+    summary: "Delete a user (they can be restored)",
+    auth: "admin or same user, not with an API key",
+  },
+  "POST /users/{username}/restore": {
+    tag: "users",
+    summary: "Restore a deleted user",
+    auth: "admin",
+  },
+  "POST /users/{username}/unlock": {
+    tag: "users",
+    summary: "Unlock an account locked by failed logins",
+    auth: "admin",
+  },
+  "POST /users/{username}/api-keys": {
+    tag: "api keys",
+    summary: "Make a personal API key; the key is only shown once",
+    auth: "admin or same user, not with an API key",
+    status: 201,
+  },
+  "GET /users/{username}/api-keys": {
+    tag: "api keys",
+    summary: "List a user's API keys",
+    auth: "admin or same user",
+  },
+  "DELETE /users/{username}/api-keys/{id}": {
+    tag: "api keys",
+    summary: "Revoke an API key",
+    auth: "admin or same user, not with an API key",
+  },
+  "POST /users/{username}/2fa": {
+    tag: "2fa",
+    summary: "Start turning on two-factor authentication",
+    auth: "same user",
+    status: 201,
+  },
+  "POST /users/{username}/2fa/confirm": {
+    tag: "2fa",
+    summary: "Turn on two-factor authentication with a code",
+    auth: "same user",
+  },
+  "POST /users/{username}/2fa/recovery-codes": {
+    tag: "2fa",
+    summary: "Replace recovery codes",
+    auth: "same user",
+  },
+  "DELETE /users/{username}/2fa": {
+    tag: "2fa",
+    summary: "Turn off two-factor authentication",
+    auth: "admin or same user",
+  },
+  "POST /users/{username}/jobs/{jobId}": {
+    tag: "applications",
+    summary: "Apply to a job, with an optional cover letter and resume",
+    auth: "admin or same user (API keys need applications:apply)",
+    status: 201,
+  },
+  "GET /users/{username}/jobs/{jobId}": {
+    tag: "applications",
+    summary: "Get an application and its history",
+    auth: "applications:review permission for the job's company, or same user",
+  },
+  "PATCH /users/{username}/jobs/{jobId}": {
+    tag: "applications",
+    summary: "Move an application to a new state",
+    auth: "applications:review permission for the job's company, " +
+        "or same user to withdraw (API keys need applications:apply)",
+  },
+  "PUT /users/{username}/jobs/{jobId}/resume": {
+    tag: "applications",
+    summary: "Attach a resume to an application",
+    auth: "same user (API keys need applications:apply)",
+  },
+  "GET /users/{username}/jobs/{jobId}/resume": {
+    tag: "applications",
+    summary: "Download an application's resume",
+    auth: "applications:review permission for the job's company, or same user",
+    download: "application/octet-stream",
+  },
+  "POST /users/{username}/roles/{role}": {
+    tag: "roles",
+    summary: "Give a user a role",
+    auth: "admin",
+    status: 201,
+  },
+  "DELETE /users/{username}/roles/{role}": {
+    tag: "roles",
+    summary: "Take a role away from a user",
+    auth: "admin",
+  },
+
+  "GET /roles": {
+    tag: "roles",
+    summary: "List roles and their permissions",
+    auth: "admin",
+  },
+
+  "GET /audit": {
+    tag: "audit",
+    summary: "List audit events, newest first",
+    auth: "admin",
+  },
+
+  "GET /search": {
+    tag: "search",
+    summary: "Full-text search over companies and open jobs",
+  },
+};
+
+/** Copy a jsonschema schema as an OpenAPI schema object.
+ *
+ * The draft-07 "$schema" and "$id" keywords are dropped: the ids aren't
+ * unique across our files, and the document says which dialect it uses.
+ */
+
+function openApiSchema(schema) {
+  return JSON.parse(JSON.stringify(schema), function (key, value) {
+    return (key === "$schema" || key === "$id") ? undefined : value;
+  });
+}
+
+/** RFC 7807 problem details, as sent by the error handler in app.js. */
+
+const PROBLEM_SCHEMA = {
+  type: "object",
+  properties: {
+    type: { type: "string", format: "uri-reference" },
+    title: { type: "string" },
+    status: { type: "integer" },
+    detail: { type: "string" },
+    instance: { type: "string", format: "uri-reference" },
+    code: {
+      type: "string",
+      description: "Stable name for the error, eg not_found or already_applied",
+    },
+    errors: {
+      type: "array",
+      description: "For validation_failed: what is wrong with the request",
+      items: {
+        type: "object",
+        properties: {
+          field: { type: ["string", "null"] },
+          rule: { type: "string" },
+          message: { type: "string" },
+        },
+      },
+    },
+  },
+  required: ["type", "title", "status", "code"],
+};
+
+/** Make the OpenAPI operation for route (as found by listRoutes), with
+ * docs, its DOCS entry. */
+
+function operationFor(route, docs) {
+  const { method, path: routePath, schemas, files } = route;
+  const params = schemas.params || {};
+
+  const parameters = [];
+  for (const [, name] of routePath.matchAll(/{(\w+)}/g)) {
+    const { type = "string" } = (params.properties || {})[name] || {};
+    parameters.push({ name, in: "path", required: true, schema: { type } });
+  }
+  if (schemas.query) {
+    const query = openApiSchema(schemas.query);
+    for (const [name, property] of Object.entries(query.properties)) {
+      const { description, ...schema } = property;
+      const required = (query.required || []).includes(name);
+      parameters.push({ name, in: "query", required, description, schema });
+    }
+  }
+
+  const operation = {
+    operationId: `${method.toLowerCase()} ${routePath}`,
+    tags: [docs.tag],
+    summary: docs.summary,
+    parameters,
+    responses: {
+      [docs.status || 200]: {
+        description: "Success",
+        content: docs.download
+            ? { [docs.download]: {} }
+            : { "application/json": { schema: { type: "object" } } },
+      },
+      default: {
+        description: "Error",
+        content: {
+          "application/problem+json": {
+            schema: { $ref: "#/components/schemas/Problem" },
+          },
+        },
+      },
+    },
+  };
+
+  if (docs.auth) {
+    operation.description = `Authorization required: ${docs.auth}`;
+    operation.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }];
+  }
+
+  const body = schemas.body && schemaRef(schemas.body);
+  const upload = Object.keys(files).length > 0;
+  if (body || upload) {
+    const content = {};
+    if (body) content["application/json"] = { schema: body };
+    if (upload) {
+      const properties = {};
+      for (const [name, description] of Object.entries(files)) {
+        properties[name] = {
+          type: "string",
+          contentMediaType: "application/octet-stream",
+          description,
+        };
+      }
+      content["multipart/form-data"] = {
+        schema: {
+          allOf: [...(body ? [body] : []), { type: "object", properties }],
+        },
+      };
+    }
+    operation.requestBody = { required: !upload, content };
+  }
+
+  return operation;
+}
+
+/** A reference to schema among the document's components if it's one of
+ * the files in schemas/, else a copy of it. */
+
+function schemaRef(schema) {
+  const name = SCHEMA_NAMES.get(schema);
+  return name
+      ? { $ref: `#/components/schemas/${name}` }
+      : openApiSchema(schema);
+}
+
+/** Build the OpenAPI document for app's routes. */
+
+function buildSpec(app) {
+  const spec = {
+    openapi: "3.1.0",
+    info: {
+      title: "Jobly",
+      version,
+      description: "Companies, the jobs they post, and the people who apply.",
+    },
+    paths: {},
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+        apiKeyAuth: {
+          type: "apiKey",
+          in: "header",
+          name: "Authorization",
+          description: "A personal API key, sent as \"ApiKey <key>\"",
+        },
+      },
+      schemas: { Problem: PROBLEM_SCHEMA },
+    },
+  };
+
+  for (const route of listRoutes(app)) {
+    const docs = DOCS[`${route.method} ${route.path}`] || {};
+    spec.paths[route.path] = {
+      ...spec.paths[route.path],
+      [route.method.toLowerCase()]: operationFor(route, docs),
+    };
+    const name = route.schemas.body && SCHEMA_NAMES.get(route.schemas.body);
+    if (name) spec.components.schemas[name] = openApiSchema(route.schemas.body);
+  }
+
+  return spec;
+}
+
+/** List the routes app handles, as
+ *   [{ method, path, schemas: { body, query, params }, files }, ...]
+ * with paths written the way DOCS keys are. schemas are those the route's
+ * validate() middleware checks, and files the file fields its upload
+ * middleware takes, as { name: description } (see uploadResume in
+ * routes/users).
+ *
+ * Looks through express's router internals, so only understands routers
+ * mounted at plain paths. Parameters restricted to alternatives, like
+ * :action(publish|close), give one route per alternative.
+ */
+
+function listRoutes(app) {
+  const routes = [];
+
+  function walk(stack, prefix) {
+    for (const layer of stack) {
+      if (layer.route) {
+        const handlers = layer.route.stack.map(({ handle }) => handle);
+        const schemas = Object.assign(
+            {}, ...handlers.map(handler => handler.schemas));
+        const files = Object.assign(
+            {}, ...handlers.map(handler => handler.files));
+        for (const routePath of expandPath(prefix + layer.route.path)) {
+          for (const method of Object.keys(layer.route.methods)) {
+            routes.push({
+              method: method.toUpperCase(),
+              path: routePath,
+              schemas,
+              files,
+            });
+          }
+        }
+      } else if (layer.name === "router" && layer.handle.stack) {
+        walk(layer.handle.stack, prefix + mountPath(layer.regexp));
+      }
+    }
+  }
+
+  walk(app._router.stack, "");
+  return routes;
+}
+
+/** Recover the path a router was mounted at from the regexp express made
+ * from it, eg /^\/jobs\/?(?=\/|$)/i => "/jobs".
+ */
+
+function mountPath(regexp) {
+  if (regexp.fast_slash) return "";
+  return regexp.source
+      .replace(/^\^/, "")
+      .replace("\\/?(?=\\/|$)", "")
+      .replace(/\\\//g, "/");
+}
+
+/** Turn an express path into OpenAPI paths: "/jobs/:id/:action(a|b)/" =>
+ * ["/jobs/{id}/a", "/jobs/{id}/b"].
+ */
+
+function expandPath(expressPath) {
+  const trimmed = expressPath.replace(/(.)\/$/, "$1");
+  const choice = trimmed.match(/:\w+\(([\w|]+)\)/);
+
+  if (choice) {
+    return choice[1].split("|").flatMap(
+        option => expandPath(trimmed.replace(choice[0], option)));
+  }
+
+  return [trimmed.replace(/:(\w+)/g, "{$1}")];
+}
+
+module.exports = {
+  DOCS,
+  buildSpec,
+  listRoutes,
+};
@@ -0,0 +1,95 @@
+"use strict";
+
+const db = require("../db");
+const app = require("../app");
+const { DOCS, buildSpec, listRoutes } = require("./openapi");
+const jobParamsSchema = require("../schemas/jobParams.json");
+const jobUpdateSchema = require("../schemas/jobUpdate.json");
+
+afterAll(async function () {
+  await db.end();
+});
+
+function routeKeys() {
+  return listRoutes(app).map(({ method, path }) => `${method} ${path}`);
+}
+
+describe("DOCS", function () {
+  test("every route has an entry", function () {
+    const undocumented = routeKeys().filter(route => !DOCS[route]);
+    expect(undocumented).toEqual([]);
+  });
+
+  test("every entry is a route", function () {
+    const routes = routeKeys();
+    const stale = Object.keys(DOCS).filter(key => !routes.includes(key));
+    expect(stale).toEqual([]);
+  });
+});
+
+describe("listRoutes", function () {
+  test("works", function () {
+    const routes = routeKeys();
+    expect(routes).toContain("GET /companies");
+    expect(routes).toContain("PATCH /users/{username}/jobs/{jobId}");
+    expect(routes).toContain("POST /jobs/{id}/reopen");
+    expect(routes).toContain("GET /openapi.json");
+  });
+
+  test("with the routes' schemas and uploads", function () {
+    const routes = listRoutes(app);
+    expect(routes.find(({ method, path }) =>
+        method === "PATCH" && path === "/jobs/{id}")).toEqual({
+      method: "PATCH",
+      path: "/jobs/{id}",
+      schemas: { params: jobParamsSchema, body: jobUpdateSchema },
+      files: {},
+    });
+    expect(routes.find(({ method, path }) =>
+        method === "PUT" && path === "/users/{username}/jobs/{jobId}/resume")
+        .files).toEqual({ resume: "PDF or DOCX" });
+  });
+});
+
+describe("buildSpec", function () {
+  const spec = buildSpec(app);
+
+  test("works", function () {
+    expect(spec.openapi).toEqual("3.1.0");
+    expect(spec.paths["/jobs/{id}"]).toEqual({
+      get: expect.any(Object),
+      patch: expect.any(Object),
+      delete: expect.any(Object),
+    });
+  });
+
+  test("request bodies come from the schema files", function () {
+    const operation = spec.paths["/companies"].post;
+    expect(operation.requestBody.content["application/json"].schema)
+        .toEqual({ $ref: "#/components/schemas/companyNew" });
+
+    const schema = spec.components.schemas.companyNew;
+    expect(schema).toEqual(expect.objectContaining({
+      type: "object",
+      required: expect.arrayContaining(["handle", "name"]),
+    }));
+    expect(schema.$id).toBeUndefined();
+    expect(schema.$schema).toBeUndefined();
+  });
+
+  test("path parameters and auth", function () {
+    const operation = spec.paths["/users/{username}/jobs/{jobId}"].patch;
+    expect(operation.parameters).toEqual([
+      { name: "username", in: "path", required: true, schema: { type: "string" } },
+      { name: "jobId", in: "path", required: true, schema: { type: "integer" } },
+    ]);
+    expect(operation.security).toEqual([{ bearerAuth: [] }, { apiKeyAuth: [] }]);
+    expect(spec.paths["/companies"].get.security).toBeUndefined();
+  });
+
+  test("query parameters come from the routes' schemas", function () {
+    const names = spec.paths["/jobs/{id}/applications"].get.parameters
+        .map(({ name, in: where }) => `${where} ${name}`);
+    expect(names).toEqual(["path id", "query includeDeleted"]);
+  });
+});
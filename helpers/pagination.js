@@ -0,0 +1,204 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+
+const DEFAULT_PAGE_LIMIT = 20;
+const MAX_PAGE_LIMIT = 100;
+
+/** Postgres error codes for values that can't be used as the type asked
+ * for ("22" is the data exception class, eg invalid_text_representation). */
+
+const DATA_EXCEPTION_CLASS = "22";
+
+/** Encode a cursor as an opaque, url-safe string.
+ *
+ * A cursor remembers the sort values of the row it points at, which
+ * direction ("next" or "prev") the following page should be read in, and
+ * the sort it belongs to (see sortKeyFor), so it can't be used with another:
+ *   { direction: "next", sortKey: "name,handle ASC", values: ["C2", "c2"] }
+ *     => "eyJkIjoibmV4dCIs..."
+ */
+
+function encodeCursor({ direction, sortKey, values }) {
+  return Buffer.from(JSON.stringify({ d: direction, k: sortKey, v: values }))
+      .toString("base64url");
+}
+
+/** Decode a cursor made by encodeCursor.
+ *
+ * Throws BadRequestError if the cursor has been tampered with or is garbage.
+ */
+
+function decodeCursor(cursor) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (err) {
+    throw new BadRequestError("Invalid cursor");
+  }
+
+  if (!decoded
+      || !["next", "prev"].includes(decoded.d)
+      || typeof decoded.k !== "string"
+      || !Array.isArray(decoded.v)
+      || !decoded.v.every(val => val === null
+          || ["string", "number", "boolean"].includes(typeof val))) {
+    throw new BadRequestError("Invalid cursor");
+  }
+
+  return { direction: decoded.d, sortKey: decoded.k, values: decoded.v };
+}
+
+/** Name a sort, eg sortKeyFor(["name", "handle"], true) => "name,handle ASC" */
+
+function sortKeyFor(orderBy, ascending) {
+  return `${orderBy.join(",")} ${ascending ? "ASC" : "DESC"}`;
+}
+
+/** Turn the raw { limit, cursor } from a query string into page options.
+ *
+ * Returns { limit, cursor } where limit is an integer between 1 and
+ * MAX_PAGE_LIMIT (DEFAULT_PAGE_LIMIT if not given) and cursor is the
+ * decoded cursor or undefined.
+ *
+ * Throws BadRequestError on a bad limit or cursor.
+ */
+
+function parsePage({ limit, cursor } = {}) {
+  let pageLimit = DEFAULT_PAGE_LIMIT;
+
+  if (limit !== undefined && limit !== "") {
+    pageLimit = Number(limit);
+    if (!Number.isInteger(pageLimit)
+        || pageLimit < 1
+        || pageLimit > MAX_PAGE_LIMIT) {
+      throw new BadRequestError(
+          `limit must be an integer between 1 and ${MAX_PAGE_LIMIT}`);
+    }
+  }
+
+  return {
+    limit: pageLimit,
+    cursor: cursor ? decodeCursor(cursor) : undefined,
+  };
+}
+
+/** Run a keyset-paginated query and return one page of it.
+ *
+ * - columns: the SELECT list, eg `handle, name AS "companyName"`
+ * - from: the FROM clause (tables and joins)
+ * - where: array of SQL conditions ANDed together (may be empty)
+ * - values: parameters for the `where` conditions ($1, $2, ...)
+ * - orderBy: SQL expressions to sort on, ending with the primary key so
+ *   the order is stable, eg ["name", "handle"]
+ * - ascending: sort direction for every orderBy expression
+ * - page: { limit, cursor } as returned by parsePage
+ *
+ * Returns { rows, meta } where meta is
+ *   { limit, total, nextCursor, prevCursor }
+ * and a cursor is null when there is no page in that direction.
+ *
+ * Throws BadRequestError if the cursor is from another sort, or its values
+ * don't fit the columns sorted on.
+ */
+
+async function paginate(db, {
+  columns,
+  from,
+  where = [],
+  values = [],
+  orderBy,
+  ascending = true,
+  page = {},
+}) {
+  const { limit = DEFAULT_PAGE_LIMIT, cursor } = page;
+  const conditions = [...where];
+  const params = [...values];
+
+  // reading backwards means flipping the order, then un-flipping the rows
+  const backwards = !!cursor && cursor.direction === "prev";
+  const forwardSort = ascending !== backwards;
+  const sortKey = sortKeyFor(orderBy, ascending);
+
+  if (cursor) {
+    if (cursor.sortKey !== sortKey
+        || cursor.values.length !== orderBy.length) {
+      throw new BadRequestError("Invalid cursor");
+    }
+    const placeholders = cursor.values.map(
+        (val, idx) => `$${params.length + idx + 1}`);
+    conditions.push(
+        `(${orderBy.join(", ")}) ${forwardSort ? ">" : "<"} `
+        + `(${placeholders.join(", ")})`);
+    params.push(...cursor.values);
+  }
+
+  const whereSql = (cond) => cond.length ? `WHERE ${cond.join(" AND ")}` : "";
+  const sortCols = orderBy.map((expr, idx) => `${expr} AS "_sort${idx}"`);
+  const direction = forwardSort ? "ASC" : "DESC";
+
+  const pageSql = `SELECT ${columns}, ${sortCols.join(", ")}
+                   FROM ${from}
+                   ${whereSql(conditions)}
+                   ORDER BY ${orderBy.map(expr => `${expr} ${direction}`).join(", ")}
+                   LIMIT ${limit + 1}`;
+  let pageRes;
+  if (cursor) {
+    // a tampered cursor's values may not fit the columns; in a transaction
+    // of its own (or a savepoint), so the failure doesn't spoil the caller's
+    try {
+      pageRes = await db.withTransaction(() => db.query(pageSql, params));
+    } catch (err) {
+      if (String(err.code).startsWith(DATA_EXCEPTION_CLASS)) {
+        throw new BadRequestError("Invalid cursor");
+      }
+      throw err;
+    }
+  } else {
+    pageRes = await db.query(pageSql, params);
+  }
+
+  const countRes = await db.query(
+        `SELECT COUNT(*) AS "total"
+         FROM ${from}
+         ${whereSql(where)}`,
+      values);
+
+  const hasMore = pageRes.rows.length > limit;
+  const found = pageRes.rows.slice(0, limit);
+  if (backwards) found.reverse();
+
+  const sortValues = found.map(row => {
+    const vals = orderBy.map((expr, idx) => row[`_sort${idx}`]);
+    orderBy.forEach((expr, idx) => delete row[`_sort${idx}`]);
+    return vals;
+  });
+
+  const first = sortValues[0];
+  const last = sortValues[sortValues.length - 1];
+  const hasNext = backwards ? !!cursor : hasMore;
+  const hasPrev = backwards ? hasMore : !!cursor;
+
+  return {
+    rows: found,
+    meta: {
+      limit,
+      total: +countRes.rows[0].total,
+      nextCursor: hasNext && last
+          ? encodeCursor({ direction: "next", sortKey, values: last })
+          : null,
+      prevCursor: hasPrev && first
+          ? encodeCursor({ direction: "prev", sortKey, values: first })
+          : null,
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parsePage,
+  paginate,
+};
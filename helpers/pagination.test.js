@@ -0,0 +1,64 @@
+const {
+  encodeCursor,
+  decodeCursor,
+  parsePage,
+  DEFAULT_PAGE_LIMIT,
+} = require("./pagination");
+const { BadRequestError } = require("../expressError");
+
+describe("encodeCursor / decodeCursor", function () {
+  test("round trips", function () {
+    const cursor = encodeCursor(
+        { direction: "next", sortKey: "name,handle ASC", values: ["C1", "c1"] });
+    expect(typeof cursor).toEqual("string");
+    expect(decodeCursor(cursor)).toEqual({
+      direction: "next",
+      sortKey: "name,handle ASC",
+      values: ["C1", "c1"],
+    });
+  });
+
+  test("bad request on garbage", function () {
+    expect(() => decodeCursor("not-a-cursor")).toThrow(BadRequestError);
+  });
+
+  test("bad request on wrong shape", function () {
+    const cursor = Buffer.from(JSON.stringify({ d: "sideways", v: [] }))
+        .toString("base64url");
+    expect(() => decodeCursor(cursor)).toThrow(BadRequestError);
+  });
+
+  test("bad request without a sort key, or with odd values", function () {
+    const noKey = Buffer.from(JSON.stringify({ d: "next", v: [1] }))
+        .toString("base64url");
+    expect(() => decodeCursor(noKey)).toThrow(BadRequestError);
+
+    const odd = encodeCursor(
+        { direction: "next", sortKey: "id ASC", values: [{ id: 1 }] });
+    expect(() => decodeCursor(odd)).toThrow(BadRequestError);
+  });
+});
+
+describe("parsePage", function () {
+  test("works: defaults", function () {
+    expect(parsePage({})).toEqual({
+      limit: DEFAULT_PAGE_LIMIT,
+      cursor: undefined,
+    });
+  });
+
+  test("works: limit and cursor", function () {
+    const cursor = encodeCursor(
+        { direction: "prev", sortKey: "id ASC", values: [3] });
+    expect(parsePage({ limit: "5", cursor })).toEqual({
+      limit: 5,
+      cursor: { direction: "prev", sortKey: "id ASC", values: [3] },
+    });
+  });
+
+  test("bad request on bad limit", function () {
+    expect(() => parsePage({ limit: "0" })).toThrow(BadRequestError);
+    expect(() => parsePage({ limit: "1000" })).toThrow(BadRequestError);
+    expect(() => parsePage({ limit: "two" })).toThrow(BadRequestError);
+  });
+});
@@ -0,0 +1,114 @@
+"use strict";
+
+/** Stores for rate limiting (see middleware/rateLimit.js).
+ *
+ * A store counts hits per key (eg "ip:1.2.3.4") in fixed windows: the
+ * first hit starts a window of windowMs, and the count starts again once
+ * it's over. Every store has:
+ *
+ * - hit(key, windowMs): count a hit; resolves to { hits, resetAt }, the
+ *   hits so far in this window and when it ends (ms since the epoch)
+ * - reset(key): forget key's hits
+ * - clear(): forget everything
+ */
+
+/** Counts kept in this process. Fine for one instance; with several, each
+ * counts separately, so a client gets the limit once per instance. */
+
+class MemoryStore {
+  constructor() {
+    this.windows = new Map();
+    this.nextSweep = 0;
+  }
+
+  async hit(key, windowMs) {
+    const now = Date.now();
+    this.sweep(now);
+
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { hits: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+    window.hits++;
+
+    return { hits: window.hits, resetAt: window.resetAt };
+  }
+
+  async reset(key) {
+    this.windows.delete(key);
+  }
+
+  async clear() {
+    this.windows.clear();
+  }
+
+  // drop windows that are over, at most once a minute, so keys that are
+  // never seen again don't pile up
+  sweep(now) {
+    if (now < this.nextSweep) return;
+    this.nextSweep = now + 60 * 1000;
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+  }
+}
+
+/** Counts kept in the rate_limit_hits table, shared by every instance.
+ *
+ * Times are statement_timestamp() rather than NOW(), which stands still
+ * for the length of a transaction.
+ */
+
+class PostgresStore {
+  constructor(db) {
+    this.db = db;
+    this.nextSweep = 0;
+  }
+
+  async hit(key, windowMs) {
+    await this.sweep(Date.now());
+
+    const result = await this.db.query(
+          `INSERT INTO rate_limit_hits AS r (key, hits, window_ends_at)
+           VALUES ($1, 1, statement_timestamp()
+                            + make_interval(secs => $2 / 1000.0))
+           ON CONFLICT (key) DO UPDATE
+             SET hits = CASE WHEN r.window_ends_at > statement_timestamp()
+                             THEN r.hits + 1
+                             ELSE 1 END,
+                 window_ends_at = CASE WHEN r.window_ends_at > statement_timestamp()
+                                       THEN r.window_ends_at
+                                       ELSE EXCLUDED.window_ends_at END
+           RETURNING hits, window_ends_at AS "resetAt"`,
+        [key, windowMs]);
+
+    const { hits, resetAt } = result.rows[0];
+    return { hits, resetAt: resetAt.getTime() };
+  }
+
+  async reset(key) {
+    await this.db.query(
+          `DELETE FROM rate_limit_hits WHERE key = $1`, [key]);
+  }
+
+  async clear() {
+    // noinspection SqlWithoutWhere
+    await this.db.query(`DELETE FROM rate_limit_hits`);
+  }
+
+  // as MemoryStore's; each instance sweeps, which does no harm
+  async sweep(now) {
+    if (now < this.nextSweep) return;
+    this.nextSweep = now + 60 * 1000;
+    await this.db.query(
+          `DELETE FROM rate_limit_hits
+           WHERE window_ends_at <= statement_timestamp()`);
+  }
+}
+
+
+module.exports = {
+  MemoryStore,
+  PostgresStore,
+};
@@ -0,0 +1,62 @@
+"use strict";
+
+const db = require("../db");
+const { MemoryStore, PostgresStore } = require("./rateLimit");
+
+beforeEach(async function () {
+  await db.query("BEGIN");
+});
+
+afterEach(async function () {
+  await db.query("ROLLBACK");
+});
+
+afterAll(async function () {
+  await db.end();
+});
+
+
+describe.each([
+  ["MemoryStore", () => new MemoryStore()],
+  ["PostgresStore", () => new PostgresStore(db)],
+])("%s", function (name, makeStore) {
+  let store;
+  beforeEach(function () {
+    store = makeStore();
+  });
+
+  test("counts hits per key in a window", async function () {
+    const before = Date.now();
+    const first = await store.hit("a", 60000);
+    expect(first.hits).toEqual(1);
+    expect(first.resetAt).toBeGreaterThanOrEqual(before + 59000);
+    expect(first.resetAt).toBeLessThanOrEqual(Date.now() + 61000);
+
+    const second = await store.hit("a", 60000);
+    expect(second).toEqual({ hits: 2, resetAt: first.resetAt });
+    expect((await store.hit("b", 60000)).hits).toEqual(1);
+  });
+
+  test("starts again once the window is over", async function () {
+    await store.hit("a", 20);
+    await store.hit("a", 20);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect((await store.hit("a", 20)).hits).toEqual(1);
+  });
+
+  test("reset forgets a key", async function () {
+    await store.hit("a", 60000);
+    await store.hit("b", 60000);
+    await store.reset("a");
+    expect((await store.hit("a", 60000)).hits).toEqual(1);
+    expect((await store.hit("b", 60000)).hits).toEqual(2);
+  });
+
+  test("clear forgets everything", async function () {
+    await store.hit("a", 60000);
+    await store.hit("b", 60000);
+    await store.clear();
+    expect((await store.hit("a", 60000)).hits).toEqual(1);
+    expect((await store.hit("b", 60000)).hits).toEqual(1);
+  });
+});
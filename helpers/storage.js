@@ -0,0 +1,86 @@
+"use strict";
+
+/** Storing uploaded files.
+ *
+ * Files live in a storage backend: any object with async
+ * put(key, data), get(key) and remove(key), where data is a Buffer and get
+ * resolves to null for a missing key. By default files are written under
+ * UPLOADS_DIR; deployments plug in another backend (eg an object store)
+ * with setStorage.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { UPLOADS_DIR } = require("../config");
+
+/** Make a backend that keeps each file at dir/key. */
+
+function directoryStorage(dir) {
+  const root = path.resolve(dir);
+
+  // keys are made by us, but never let one escape dir
+  function fileFor(key) {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  }
+
+  return {
+    async put(key, data) {
+      const file = fileFor(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, data);
+    },
+
+    async get(key) {
+      try {
+        return await fs.promises.readFile(fileFor(key));
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    },
+  };
+}
+
+const defaultStorage = directoryStorage(UPLOADS_DIR);
+
+let storage = defaultStorage;
+
+/** Store files in newStorage from now on; pass nothing to reset. */
+
+function setStorage(newStorage) {
+  storage = newStorage || defaultStorage;
+}
+
+/** Store data (a Buffer) under key, replacing anything already there. */
+
+async function putFile(key, data) {
+  await storage.put(key, data);
+}
+
+/** Return the Buffer stored under key, or null if there isn't one. */
+
+async function getFile(key) {
+  return storage.get(key);
+}
+
+/** Delete the file stored under key; fine if there isn't one. */
+
+async function removeFile(key) {
+  await storage.remove(key);
+}
+
+module.exports = {
+  directoryStorage,
+  setStorage,
+  putFile,
+  getFile,
+  removeFile,
+};
@@ -0,0 +1,63 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  directoryStorage,
+  setStorage,
+  putFile,
+  getFile,
+  removeFile,
+} = require("./storage");
+
+let dir;
+
+beforeEach(function () {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-storage-"));
+});
+
+afterEach(function () {
+  setStorage();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("directoryStorage", function () {
+  test("works: put, get, remove", async function () {
+    const storage = directoryStorage(dir);
+    await storage.put("a/b.txt", Buffer.from("hello"));
+    expect(fs.readFileSync(path.join(dir, "a", "b.txt"), "utf8"))
+        .toEqual("hello");
+    expect((await storage.get("a/b.txt")).toString()).toEqual("hello");
+
+    await storage.remove("a/b.txt");
+    expect(await storage.get("a/b.txt")).toBeNull();
+  });
+
+  test("works: removing a missing file", async function () {
+    await directoryStorage(dir).remove("nope.txt");
+  });
+
+  test("refuses keys outside its directory", async function () {
+    await expect(directoryStorage(dir).put("../escape.txt", Buffer.from("x")))
+        .rejects.toThrow("Invalid storage key");
+  });
+});
+
+describe("setStorage", function () {
+  test("works: custom backend", async function () {
+    const files = new Map();
+    setStorage({
+      put: async (key, data) => { files.set(key, data); },
+      get: async (key) => files.get(key) || null,
+      remove: async (key) => { files.delete(key); },
+    });
+
+    await putFile("k", Buffer.from("data"));
+    expect(files.get("k").toString()).toEqual("data");
+    expect((await getFile("k")).toString()).toEqual("data");
+    await removeFile("k");
+    expect(await getFile("k")).toBeNull();
+  });
+});
@@ -1,18 +1,157 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const {
+  SECRET_KEY,
+  ACCESS_TOKEN_TTL,
+  EMAIL_VERIFICATION_TTL_HOURS,
+  MFA_CHALLENGE_TTL,
+} = require("../config");
 
-/** return signed JWT from user data. */
+/** return a key for one purpose, made from SECRET_KEY.
+ *
+ * Each kind of token gets a key of its own, so one kind can never pass as
+ * another (eg an email verification token as an access token).
+ */
 
-function createToken(user) {
+function deriveKey(purpose) {
+  return crypto.createHmac("sha256", SECRET_KEY).update(purpose).digest();
+}
+
+const EMAIL_VERIFICATION_KEY = deriveKey("email-verification");
+const MFA_CHALLENGE_KEY = deriveKey("mfa-challenge");
+const SEALING_KEY = deriveKey("sealed-secrets");
+
+/** return signed, expiring JWT from user data.
+ *
+ * The token carries the user's roles and permissions (see models/role.js)
+ * so routes can check them without a database lookup.
+ *
+ * sessionId ties the token to a login session (see models/session.js) so
+ * it stops working when the session is revoked. It's required: tokens
+ * without one aren't accepted, so mint tokens by starting a session (see
+ * startSession in routes/auth.js).
+ */
+
+function createToken(user, sessionId) {
   console.assert(user.isAdmin !== undefined,
       "createToken passed user without isAdmin property");
+  if (!sessionId) throw new Error("createToken needs a sessionId");
 
-  let payload = {
+  const payload = {
     username: user.username,
     isAdmin: user.isAdmin || false,
+    roles: user.roles || [],
+    permissions: user.permissions || [],
+    sid: sessionId,
   };
 
-  return jwt.sign(payload, SECRET_KEY);
+  return jwt.sign(payload, SECRET_KEY, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+/** return a random, url-safe secret for one-off links (password resets etc).
+ *
+ * Only its hash (see hashSecret) should be stored.
+ */
+
+function createSecret() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+/** return the SHA-256 hex digest of a secret made by createSecret.
+ *
+ * The secrets are long and random, so a fast hash is enough (unlike
+ * passwords, which need bcrypt).
+ */
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+/** return signed, expiring token proving user owns user.email.
+ *
+ * It's only good for that address at user.emailVersion: if the user's
+ * email changes, even back to this address, links already sent stop
+ * working.
+ */
+
+function createEmailVerificationToken(user) {
+  return jwt.sign(
+      {
+        username: user.username,
+        email: user.email,
+        emailVersion: user.emailVersion,
+      },
+      EMAIL_VERIFICATION_KEY,
+      { expiresIn: `${EMAIL_VERIFICATION_TTL_HOURS}h` });
+}
+
+/** return { username, email, emailVersion } from a token made by
+ * createEmailVerificationToken, or undefined if it's invalid or expired. */
+
+function readEmailVerificationToken(token) {
+  try {
+    const { username, email, emailVersion } =
+        jwt.verify(token, EMAIL_VERIFICATION_KEY);
+    return { username, email, emailVersion };
+  } catch (err) {
+    return undefined;
+  }
+}
+
+/** return signed, short-lived token saying username got their password
+ * right and now owes a 2FA code (see POST /auth/token). */
+
+function createMfaToken(username) {
+  return jwt.sign(
+      { username }, MFA_CHALLENGE_KEY, { expiresIn: MFA_CHALLENGE_TTL });
+}
+
+/** return the username from a token made by createMfaToken, or undefined
+ * if it's invalid or expired. */
+
+function readMfaToken(token) {
+  try {
+    return jwt.verify(token, MFA_CHALLENGE_KEY).username;
+  } catch (err) {
+    return undefined;
+  }
+}
+
+/** return text encrypted (AES-256-GCM) for storing, eg 2FA secrets, which
+ * unlike passwords must be readable again.
+ *
+ * Changing SECRET_KEY makes everything sealed with the old one unreadable.
+ */
+
+function sealSecret(text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", SEALING_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted]
+      .map(part => part.toString("base64url"))
+      .join(".");
+}
+
+/** return the text sealSecret sealed. Throws if sealed was tampered with
+ * or sealed with another key. */
+
+function openSecret(sealed) {
+  const [iv, tag, encrypted] = sealed.split(".")
+      .map(part => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", SEALING_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()])
+      .toString("utf8");
 }
 
-module.exports = { createToken };
+module.exports = {
+  createToken,
+  createSecret,
+  hashSecret,
+  createEmailVerificationToken,
+  readEmailVerificationToken,
+  createMfaToken,
+  readMfaToken,
+  sealSecret,
+  openSecret,
+};
@@ -1,36 +1,164 @@
 const jwt = require("jsonwebtoken");
-const { createToken } = require("./tokens");
+const {
+  createToken,
+  createSecret,
+  hashSecret,
+  createEmailVerificationToken,
+  readEmailVerificationToken,
+  createMfaToken,
+  readMfaToken,
+  sealSecret,
+  openSecret,
+} = require("./tokens");
 const { SECRET_KEY } = require("../config");
 
 describe("createToken", function () {
   test("works: not admin", function () {
-    const token = createToken({ username: "test", is_admin: false });
+    const token = createToken({ username: "test", is_admin: false }, "s1");
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: "test",
       isAdmin: false,
+      roles: [],
+      permissions: [],
+      sid: "s1",
     });
   });
 
   test("works: admin", function () {
-    const token = createToken({ username: "test", isAdmin: true });
+    const token = createToken({ username: "test", isAdmin: true }, "s1");
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: "test",
       isAdmin: true,
+      roles: [],
+      permissions: [],
+      sid: "s1",
     });
   });
 
   test("works: default no admin", function () {
     // given the security risk if this didn't work, checking this specifically
-    const token = createToken({ username: "test" });
+    const token = createToken({ username: "test" }, "s1");
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: "test",
       isAdmin: false,
+      roles: [],
+      permissions: [],
+      sid: "s1",
     });
   });
 });
+
+describe("createToken with roles", function () {
+  test("works", function () {
+    const token = createToken({
+      username: "test",
+      isAdmin: false,
+      roles: ["recruiter"],
+      permissions: ["jobs:write"],
+    }, "s1");
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.roles).toEqual(["recruiter"]);
+    expect(payload.permissions).toEqual(["jobs:write"]);
+  });
+});
+
+describe("createToken with a session", function () {
+  test("works", function () {
+    const token = createToken({ username: "test", isAdmin: false }, "s1");
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.sid).toEqual("s1");
+    expect(payload.exp).toBeGreaterThan(payload.iat);
+  });
+
+  test("throws without a session", function () {
+    expect(() => createToken({ username: "test", isAdmin: false }))
+        .toThrow("sessionId");
+  });
+});
+
+describe("createSecret / hashSecret", function () {
+  test("secrets are random and url-safe", function () {
+    const secret = createSecret();
+    expect(secret).toMatch(/^[\w-]{43}$/);
+    expect(createSecret()).not.toEqual(secret);
+  });
+
+  test("hashes are stable and don't reveal the secret", function () {
+    const secret = createSecret();
+    expect(hashSecret(secret)).toEqual(hashSecret(secret));
+    expect(hashSecret(secret)).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashSecret(secret)).not.toContain(secret);
+  });
+});
+
+describe("email verification tokens", function () {
+  const user = { username: "test", email: "test@test.com", emailVersion: 2 };
+
+  test("works", function () {
+    const token = createEmailVerificationToken(user);
+    expect(readEmailVerificationToken(token)).toEqual(user);
+  });
+
+  test("invalid if tampered with or not one", function () {
+    expect(readEmailVerificationToken("nope")).toBeUndefined();
+    expect(readEmailVerificationToken(createToken({ username: "test" }, "s1")))
+        .toBeUndefined();
+  });
+
+  test("can't be used as an access token", function () {
+    const token = createEmailVerificationToken(user);
+    expect(() => jwt.verify(token, SECRET_KEY)).toThrow();
+  });
+
+  test("invalid once expired", function () {
+    const realNow = Date.now;
+    const token = createEmailVerificationToken(user);
+    try {
+      Date.now = () => realNow() + 25 * 60 * 60 * 1000;
+      expect(readEmailVerificationToken(token)).toBeUndefined();
+    } finally {
+      Date.now = realNow;
+    }
+  });
+});
+
+describe("MFA tokens", function () {
+  test("works", function () {
+    expect(readMfaToken(createMfaToken("test"))).toEqual("test");
+  });
+
+  test("invalid if not one", function () {
+    expect(readMfaToken("nope")).toBeUndefined();
+    expect(readMfaToken(createToken({ username: "test" }, "s1"))).toBeUndefined();
+    expect(readMfaToken(createEmailVerificationToken(
+        { username: "test", email: "test@test.com" }))).toBeUndefined();
+  });
+
+  test("can't be used as an access token", function () {
+    expect(() => jwt.verify(createMfaToken("test"), SECRET_KEY)).toThrow();
+  });
+});
+
+describe("sealSecret", function () {
+  test("works", function () {
+    const sealed = sealSecret("JBSWY3DPEHPK3PXP");
+    expect(sealed).not.toContain("JBSWY3DPEHPK3PXP");
+    expect(sealed).not.toEqual(sealSecret("JBSWY3DPEHPK3PXP"));
+    expect(openSecret(sealed)).toEqual("JBSWY3DPEHPK3PXP");
+  });
+
+  test("throws if tampered with", function () {
+    const [iv, tag, encrypted] = sealSecret("secret").split(".");
+    const tampered = [iv, tag, encrypted.replace(/^./, c => c === "A" ? "B" : "A")];
+    expect(() => openSecret(tampered.join("."))).toThrow();
+  });
+});
@@ -0,0 +1,148 @@
+"use strict";
+
+/** Time-based one-time passwords (RFC 6238), as made by authenticator apps.
+ *
+ * A secret is shared once, as an otpauth:// URI (usually shown as a QR
+ * code). From then on, app and server each work out a 6-digit code from
+ * the secret and the current 30-second time step (HOTP, RFC 4226, with
+ * the step as counter) and compare.
+ */
+
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+/** Encode buf as base32 (RFC 4648) without padding, as authenticator apps
+ * expect secrets. */
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+  return out;
+}
+
+/** Decode base32 text (case, spaces and padding don't matter) to a Buffer.
+ *
+ * Throws an Error if text has characters that aren't base32.
+ */
+
+function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Not base32: ${char}`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/** return a new random secret, base32-encoded (160 bits, as RFC 4226
+ * recommends). */
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/** return the HOTP code for a base32 secret and counter, as a string of
+ * DIGITS digits. */
+
+function hotp(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac("sha1", base32Decode(secret))
+      .update(message)
+      .digest();
+
+  // dynamic truncation: 31 bits from the offset the last nibble gives
+  const offset = digest[digest.length - 1] & 15;
+  const code = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(code % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+/** return the time step for time (ms since the epoch; default now). */
+
+function timeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/** return the TOTP code for secret at time (default now). */
+
+function totp(secret, time = Date.now()) {
+  return hotp(secret, timeStep(time));
+}
+
+/** Check code against secret at time.
+ *
+ * Codes from up to window steps either side of now are accepted, to allow
+ * for clocks that are a little out and for typing slowly.
+ *
+ * return the time step code is for, or null if it doesn't match. Callers
+ * should refuse steps they've already accepted, so a code can't be used
+ * twice.
+ */
+
+function verifyTotp(secret, code, { time = Date.now(), window = 1 } = {}) {
+  if (!/^\d+$/.test(code) || code.length !== DIGITS) return null;
+
+  const now = timeStep(time);
+  for (let step = now - window; step <= now + window; step++) {
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/** return an otpauth:// URI for adding secret to an authenticator app,
+ * labelled with issuer and account. */
+
+function otpauthUri({ secret, account, issuer = "Jobly" }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  totp,
+  timeStep,
+  verifyTotp,
+  otpauthUri,
+};
@@ -0,0 +1,77 @@
+"use strict";
+
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  totp,
+  verifyTotp,
+  otpauthUri,
+} = require("./totp");
+
+// the shared secret from the RFC 4226 and RFC 6238 test vectors
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+
+describe("base32", function () {
+  test("works", function () {
+    expect(base32Encode(Buffer.from("foobar"))).toEqual("MZXW6YTBOI");
+    expect(base32Decode("MZXW6YTBOI").toString()).toEqual("foobar");
+    expect(base32Decode("mzxw 6ytb oi======").toString()).toEqual("foobar");
+  });
+
+  test("throws on other characters", function () {
+    expect(() => base32Decode("MZXW1")).toThrow();
+  });
+
+  test("secrets are 160 bits", function () {
+    expect(base32Decode(generateSecret()).length).toEqual(20);
+    expect(generateSecret()).not.toEqual(generateSecret());
+  });
+});
+
+describe("hotp", function () {
+  test("matches RFC 4226", function () {
+    expect([0, 1, 2, 9].map(counter => hotp(RFC_SECRET, counter)))
+        .toEqual(["755224", "287082", "359152", "520489"]);
+  });
+});
+
+describe("totp", function () {
+  test("matches RFC 6238 (last 6 digits)", function () {
+    expect(totp(RFC_SECRET, 59 * 1000)).toEqual("287082");
+    expect(totp(RFC_SECRET, 1111111109 * 1000)).toEqual("081804");
+    expect(totp(RFC_SECRET, 2000000000 * 1000)).toEqual("279037");
+  });
+});
+
+describe("verifyTotp", function () {
+  const time = 1111111109 * 1000;
+
+  test("returns the step of a good code", function () {
+    expect(verifyTotp(RFC_SECRET, "081804", { time })).toEqual(37037036);
+  });
+
+  test("allows a step either side", function () {
+    expect(verifyTotp(RFC_SECRET, totp(RFC_SECRET, time - 30000), { time }))
+        .toEqual(37037035);
+    expect(verifyTotp(RFC_SECRET, totp(RFC_SECRET, time + 30000), { time }))
+        .toEqual(37037037);
+    expect(verifyTotp(RFC_SECRET, totp(RFC_SECRET, time + 60000), { time }))
+        .toBeNull();
+  });
+
+  test("null for codes that aren't 6 digits", function () {
+    expect(verifyTotp(RFC_SECRET, "81804", { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, "08180a", { time })).toBeNull();
+  });
+});
+
+describe("otpauthUri", function () {
+  test("works", function () {
+    expect(otpauthUri({ secret: "ABC", account: "u1" })).toEqual(
+        "otpauth://totp/Jobly%3Au1?secret=ABC&issuer=Jobly"
+        + "&algorithm=SHA1&digits=6&period=30");
+  });
+});
@@ -1,18 +1,20 @@
 -- both test users have the password "password"
 
-INSERT INTO users (username, password, first_name, last_name, email, is_admin)
+INSERT INTO users (username, password, first_name, last_name, email)
 VALUES ('testuser',
         '$2b$12$AZH7virni5jlTTiGgEg4zu3lSvAw68qVEfSIOjJ3RqtbJbdW/Oi5q',
         'Test',
         'User',
-        'joel@joelburton.com',
-        FALSE),
+        'joel@joelburton.com'),
        ('testadmin',
         '$2b$12$AZH7virni5jlTTiGgEg4zu3lSvAw68qVEfSIOjJ3RqtbJbdW/Oi5q',
         'Test',
         'Admin!',
-        'joel@joelburton.com',
-        TRUE);
+        'joel@joelburton.com');
+
+INSERT INTO user_roles (username, role)
+VALUES ('testuser', 'candidate'),
+       ('testadmin', 'admin');
 
 INSERT INTO companies (handle,
                        name,
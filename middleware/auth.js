@@ -4,23 +4,42 @@
 
 const jwt = require("jsonwebtoken");
 const { SECRET_KEY } = require("../config");
-const { UnauthorizedError } = require("../expressError");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
+const Session = require("../models/session");
+const ApiKey = require("../models/apiKey");
+const CompanyMember = require("../models/companyMember");
 
 
 /** Middleware: Authenticate user.
  *
  * If a token was provided, verify it, and, if valid, store the token payload
- * on res.locals (this will include the username and isAdmin field.)
+ * on res.locals (this will include the username, isAdmin, roles and
+ * permissions fields.)
+ *
+ * Expired tokens are not valid, nor are tokens without a session id or
+ * from a session that has been revoked (by logging out, refresh-token
+ * reuse or an admin).
+ *
+ * Machine clients can send "Authorization: ApiKey <key>" instead, with a
+ * personal API key (see models/apiKey.js); res.locals.user is then the
+ * key's user, with only the permissions its scopes allow, and apiKeyId.
  *
  * It's not an error if no token was provided or if the token is not valid.
  */
 
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
   try {
     const authHeader = req.headers && req.headers.authorization;
-    if (authHeader) {
+    const apiKey = authHeader && /^ApiKey\s+(\S+)$/i.exec(authHeader);
+    if (apiKey) {
+      const user = await ApiKey.authenticate(apiKey[1]);
+      if (user) res.locals.user = user;
+    } else if (authHeader) {
       const token = authHeader.replace(/^[Bb]earer /, "").trim();
-      res.locals.user = jwt.verify(token, SECRET_KEY);
+      const payload = jwt.verify(token, SECRET_KEY);
+      if (payload.sid && await Session.isActive(payload.sid)) {
+        res.locals.user = payload;
+      }
     }
     return next();
   } catch (err) {
@@ -42,6 +61,11 @@ function ensureLoggedIn(req, res, next) {
   }
 }
 
+/** Middleware to use when they must be an admin.
+ *
+ * If not, raises Unauthorized.
+ */
+
 function ensureIsAdmin(req, res, next) {
   try {
     if (!res.locals.user || !res.locals.user.isAdmin) throw new UnauthorizedError();
@@ -51,9 +75,143 @@ function ensureIsAdmin(req, res, next) {
   }
 }
 
+/** Middleware to use on routes that take ?includeDeleted=true, which only
+ * admins may ask for; use it after validate, so the flag is a boolean.
+ *
+ * If anyone else asks, raises Unauthorized.
+ */
+
+function ensureAdminForIncludeDeleted(req, res, next) {
+  try {
+    if (req.query.includeDeleted === true
+        && (!res.locals.user || !res.locals.user.isAdmin)) {
+      throw new UnauthorizedError();
+    }
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/** Middleware to use for things API keys mustn't do, like making more of
+ * them; the user must log in themselves.
+ *
+ * If they used one, raises Forbidden.
+ */
+
+function ensureNotApiKey(req, res, next) {
+  if (res.locals.user && res.locals.user.apiKeyId) {
+    return next(new ForbiddenError(
+        "API keys can't be used for this; log in instead",
+        "api_key_not_allowed"));
+  }
+  return next();
+}
+
+/** Throw Forbidden if user came in with an API key whose scopes don't
+ * include scope; users who logged in themselves aren't affected. For
+ * routes whose checks let a key act as its user, eg applying to jobs. */
+
+function checkApiKeyScope(user, scope) {
+  if (user && user.apiKeyId && !(user.permissions || []).includes(scope)) {
+    throw new ForbiddenError(
+        `This API key needs the ${scope} scope`, "api_key_scope_missing");
+  }
+}
+
+/** Middleware factory for checkApiKeyScope, eg
+ * `ensureApiKeyScope("applications:apply")`.
+ *
+ * If the key lacks the scope, raises Forbidden.
+ */
+
+function ensureApiKeyScope(scope) {
+  return function (req, res, next) {
+    try {
+      checkApiKeyScope(res.locals.user, scope);
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+/** Return true if user (a token payload) has permission.
+ *
+ * Admins have every permission.
+ */
+
+function hasPermission(user, permission) {
+  if (!user) return false;
+  return !!user.isAdmin
+      || (user.permissions || []).includes(permission);
+}
+
+/** Middleware factory for when they must have every one of permissions,
+ * eg `ensurePermission("jobs:write")`.
+ *
+ * If not, raises Unauthorized.
+ */
+
+function ensurePermission(...permissions) {
+  return function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (!permissions.every(p => hasPermission(user, p))) {
+        throw new UnauthorizedError();
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+/** Return true if user (a token payload) has permission for the company
+ * with handle.
+ *
+ * Admins have every permission for every company; anyone else needs the
+ * permission and to be a member of the company.
+ */
+
+async function hasCompanyPermission(user, handle, permission) {
+  if (!user) return false;
+  if (user.isAdmin) return true;
+  if (!hasPermission(user, permission)) return false;
+  return CompanyMember.isMember(handle, user.username);
+}
+
+/** Middleware to use when they must be an admin or a member of the company
+ * in the :handle route parameter.
+ *
+ * If not, raises Unauthorized.
+ */
+
+async function ensureCompanyMember(req, res, next) {
+  try {
+    const user = res.locals.user;
+    if (!user) throw new UnauthorizedError();
+    if (!user.isAdmin
+        && !await CompanyMember.isMember(req.params.handle, user.username)) {
+      throw new UnauthorizedError();
+    }
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
 
 module.exports = {
   authenticateJWT,
   ensureLoggedIn,
-  ensureIsAdmin
+  ensureIsAdmin,
+  ensureAdminForIncludeDeleted,
+  ensureNotApiKey,
+  checkApiKeyScope,
+  ensureApiKeyScope,
+  ensurePermission,
+  ensureCompanyMember,
+  hasPermission,
+  hasCompanyPermission,
 };
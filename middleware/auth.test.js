@@ -1,38 +1,57 @@
 "use strict";
 
 const jwt = require("jsonwebtoken");
-const { UnauthorizedError } = require("../expressError");
+const db = require("../db");
+const Session = require("../models/session");
+const ApiKey = require("../models/apiKey");
+const CompanyMember = require("../models/companyMember");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
 const {
   authenticateJWT,
   ensureLoggedIn,
-  ensureIsAdmin
+  ensureIsAdmin,
+  ensureAdminForIncludeDeleted,
+  ensureNotApiKey,
+  ensurePermission,
+  ensureCompanyMember,
+  hasCompanyPermission,
 } = require("./auth");
 
 
 const { SECRET_KEY } = require("../config");
-const testJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
-const adminJwt = jwt.sign({ username: "test", isAdmin: true }, SECRET_KEY);
+const testJwt = jwt.sign(
+    { username: "test", isAdmin: false, sid: "s1" }, SECRET_KEY);
+const adminJwt = jwt.sign(
+    { username: "test", isAdmin: true, sid: "s1" }, SECRET_KEY);
 const badJwt = jwt.sign({ username: "test", isAdmin: false }, "wrong");
+const expiredJwt = jwt.sign(
+    { username: "test", isAdmin: false, exp: Math.floor(Date.now() / 1000) - 60 },
+    SECRET_KEY);
+
+afterAll(async function () {
+  await db.end();
+});
 
 
 describe("authenticateJWT", function () {
-  test("works: via header", function () {
-    expect.assertions(2);
+  test("works: via header", async function () {
+    const spy = jest.spyOn(Session, "isActive").mockResolvedValue(true);
      //there are multiple ways to pass an authorization token, this is how you pass it in the header.
     //this has been provided to show you another way to pass the token. you are only expected to read this code for this project.
     const req = { headers: { authorization: `Bearer ${testJwt}` } };
     const res = { locals: {} };
-    const next = function (err) {
+    await authenticateJWT(req, res, function (err) {
       expect(err).toBeFalsy();
-    };
-    authenticateJWT(req, res, next);
+    });
     expect(res.locals).toEqual({
       user: {
         iat: expect.any(Number),
         username: "test",
         isAdmin: false,
+        sid: "s1",
       },
     });
+    spy.mockRestore();
   });
 
   test("works: no header", function () {
@@ -56,6 +75,101 @@ describe("authenticateJWT", function () {
     authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
+
+  test("works: expired token", function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${expiredJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: token from an active session", async function () {
+    const spy = jest.spyOn(Session, "isActive").mockResolvedValue(true);
+    const token = jwt.sign(
+        { username: "test", isAdmin: false, sid: "s1" }, SECRET_KEY);
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const res = { locals: {} };
+    await authenticateJWT(req, res, function () {});
+    expect(spy).toHaveBeenCalledWith("s1");
+    expect(res.locals.user.username).toEqual("test");
+    spy.mockRestore();
+  });
+
+  test("works: token from a revoked session", async function () {
+    const spy = jest.spyOn(Session, "isActive").mockResolvedValue(false);
+    const token = jwt.sign(
+        { username: "test", isAdmin: false, sid: "s1" }, SECRET_KEY);
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const res = { locals: {} };
+    await authenticateJWT(req, res, function () {});
+    expect(res.locals).toEqual({});
+    spy.mockRestore();
+  });
+
+  test("works: token without a session isn't accepted", async function () {
+    const spy = jest.spyOn(Session, "isActive");
+    const token = jwt.sign({ username: "test", isAdmin: true }, SECRET_KEY);
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const res = { locals: {} };
+    await authenticateJWT(req, res, function () {});
+    expect(res.locals).toEqual({});
+    expect(spy).not.toHaveBeenCalled();
+    spy.mockRestore();
+  });
+
+  test("works: API key", async function () {
+    const keyUser = {
+      username: "test",
+      isAdmin: false,
+      roles: ["recruiter"],
+      permissions: ["applications:review"],
+      apiKeyId: 1,
+    };
+    const spy = jest.spyOn(ApiKey, "authenticate").mockResolvedValue(keyUser);
+    const req = { headers: { authorization: "ApiKey jobly_abc" } };
+    const res = { locals: {} };
+    await authenticateJWT(req, res, function () {});
+    expect(spy).toHaveBeenCalledWith("jobly_abc");
+    expect(res.locals).toEqual({ user: keyUser });
+    spy.mockRestore();
+  });
+
+  test("works: unknown API key", async function () {
+    const spy = jest.spyOn(ApiKey, "authenticate").mockResolvedValue(undefined);
+    const req = { headers: { authorization: "ApiKey jobly_abc" } };
+    const res = { locals: {} };
+    await authenticateJWT(req, res, function () {});
+    expect(res.locals).toEqual({});
+    spy.mockRestore();
+  });
+});
+
+
+describe("ensureNotApiKey", function () {
+  test("works", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureNotApiKey(req, res, next);
+  });
+
+  test("forbidden with an API key", function () {
+    expect.assertions(2);
+    const req = {};
+    const res = { locals: { user: { username: "test", apiKeyId: 1 } } };
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+      expect(err.code).toEqual("api_key_not_allowed");
+    };
+    ensureNotApiKey(req, res, next);
+  });
 });
 
 
@@ -113,3 +227,159 @@ describe("ensureIsAdmin", function () {
     ensureIsAdmin(req, res, next);
   });
 });
+
+
+describe("ensureAdminForIncludeDeleted", function () {
+  test("works: anyone without includeDeleted", function () {
+    expect.assertions(1);
+    const req = { query: { includeDeleted: false } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureAdminForIncludeDeleted(req, res, next);
+  });
+
+  test("works: admin with includeDeleted", function () {
+    expect.assertions(1);
+    const req = { query: { includeDeleted: true } };
+    const res = { locals: { user: { username: "test", isAdmin: true } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureAdminForIncludeDeleted(req, res, next);
+  });
+
+  test("unauth if not admin", function () {
+    expect.assertions(1);
+    const req = { query: { includeDeleted: true } };
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureAdminForIncludeDeleted(req, res, next);
+  });
+});
+
+
+describe("ensurePermission", function () {
+  test("works", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = {
+      locals: {
+        user: {
+          username: "test",
+          isAdmin: false,
+          permissions: ["applications:review", "jobs:write"],
+        },
+      },
+    };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensurePermission("jobs:write", "applications:review")(req, res, next);
+  });
+
+  test("works: admin has every permission", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", isAdmin: true } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensurePermission("jobs:write")(req, res, next);
+  });
+
+  test("unauth if missing a permission", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = {
+      locals: {
+        user: { username: "test", isAdmin: false, permissions: ["jobs:write"] },
+      },
+    };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensurePermission("jobs:write", "applications:review")(req, res, next);
+  });
+
+  test("unauth if no login", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensurePermission("jobs:write")(req, res, next);
+  });
+});
+
+
+describe("hasCompanyPermission", function () {
+  const recruiter = {
+    username: "test",
+    isAdmin: false,
+    permissions: ["jobs:write"],
+  };
+
+  test("works for a member with the permission", async function () {
+    const spy = jest.spyOn(CompanyMember, "isMember").mockResolvedValue(true);
+    expect(await hasCompanyPermission(recruiter, "c1", "jobs:write"))
+        .toEqual(true);
+    expect(spy).toHaveBeenCalledWith("c1", "test");
+    spy.mockRestore();
+  });
+
+  test("false for a non-member", async function () {
+    const spy = jest.spyOn(CompanyMember, "isMember").mockResolvedValue(false);
+    expect(await hasCompanyPermission(recruiter, "c1", "jobs:write"))
+        .toEqual(false);
+    spy.mockRestore();
+  });
+
+  test("false for a member without the permission", async function () {
+    const spy = jest.spyOn(CompanyMember, "isMember").mockResolvedValue(true);
+    expect(await hasCompanyPermission(recruiter, "c1", "applications:review"))
+        .toEqual(false);
+    spy.mockRestore();
+  });
+
+  test("true for admin", async function () {
+    expect(await hasCompanyPermission(
+        { username: "test", isAdmin: true }, "c1", "jobs:write"))
+        .toEqual(true);
+  });
+});
+
+
+describe("ensureCompanyMember", function () {
+  test("works", async function () {
+    const spy = jest.spyOn(CompanyMember, "isMember").mockResolvedValue(true);
+    const req = { params: { handle: "c1" } };
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const next = jest.fn();
+    await ensureCompanyMember(req, res, next);
+    expect(next).toHaveBeenCalledWith();
+    spy.mockRestore();
+  });
+
+  test("unauth if not a member", async function () {
+    const spy = jest.spyOn(CompanyMember, "isMember").mockResolvedValue(false);
+    const req = { params: { handle: "c1" } };
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const next = jest.fn();
+    await ensureCompanyMember(req, res, next);
+    expect(next.mock.calls[0][0] instanceof UnauthorizedError).toBeTruthy();
+    spy.mockRestore();
+  });
+
+  test("unauth if no login", async function () {
+    const req = { params: { handle: "c1" } };
+    const res = { locals: {} };
+    const next = jest.fn();
+    await ensureCompanyMember(req, res, next);
+    expect(next.mock.calls[0][0] instanceof UnauthorizedError).toBeTruthy();
+  });
+});
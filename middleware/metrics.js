@@ -0,0 +1,37 @@
+"use strict";
+
+/** Middleware to count and time requests for GET /metrics. */
+
+const {
+  httpRequests,
+  httpRequestDuration,
+  httpErrors,
+} = require("../helpers/metrics");
+
+/** Middleware: once the response is sent, count the request and record how
+ * long it took, labelled by its route pattern (eg "/jobs/:id") so each job
+ * isn't a series of its own. Requests that match no route share the route
+ * "unmatched".
+ *
+ * Must come after logRequests, which notes the route pattern.
+ */
+
+function countRequests(req, res, next) {
+  const done = httpRequestDuration.startTimer();
+
+  res.on("finish", function () {
+    const route = req.routePattern || "unmatched";
+    const status = res.statusCode;
+
+    httpRequests.inc({ method: req.method, route, status });
+    done({ method: req.method, route });
+    if (status >= 400) httpErrors.inc({ status });
+  });
+
+  return next();
+}
+
+
+module.exports = {
+  countRequests,
+};
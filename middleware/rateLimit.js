@@ -0,0 +1,104 @@
+"use strict";
+
+/** Middleware to limit how often clients can try things, eg logging in. */
+
+const db = require("../db");
+const { TooManyRequestsError } = require("../expressError");
+const { MemoryStore, PostgresStore } = require("../helpers/rateLimit");
+const {
+  AUTH_RATE_LIMIT_MAX,
+  AUTH_RATE_LIMIT_WINDOW_MS,
+  AUTH_RATE_LIMIT_STORE,
+} = require("../config");
+
+/** Make middleware allowing each key max requests per windowMs.
+ *
+ * keys(req, res) gives the keys to count the request under (eg its IP and
+ * the username it's for); it's refused if any of them is over the limit, with
+ * a TooManyRequestsError saying how long until that key's window ends.
+ * Counts are kept in store (see helpers/rateLimit).
+ */
+
+function rateLimit({ store, max, windowMs, keys }) {
+  return async function (req, res, next) {
+    try {
+      let retryAt = 0;
+      for (const key of keys(req, res)) {
+        const { hits, resetAt } = await store.hit(key, windowMs);
+        if (hits > max) retryAt = Math.max(retryAt, resetAt);
+      }
+
+      if (retryAt) {
+        throw new TooManyRequestsError(
+            "Too many attempts; try again later",
+            Math.max(1, Math.ceil((retryAt - Date.now()) / 1000)));
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+
+/** Login attempts, counted per client IP and per username. */
+
+const loginAttempts = (AUTH_RATE_LIMIT_STORE === "postgres")
+    ? new PostgresStore(db)
+    : new MemoryStore();
+
+function loginKey(username) {
+  return `user:${username}`;
+}
+
+/** Middleware for POST /auth/token: limits login attempts from each client
+ * and against each username to AUTH_RATE_LIMIT_MAX per
+ * AUTH_RATE_LIMIT_WINDOW_MS. Must come after the body is validated. */
+
+const limitLogins = rateLimit({
+  store: loginAttempts,
+  max: AUTH_RATE_LIMIT_MAX,
+  windowMs: AUTH_RATE_LIMIT_WINDOW_MS,
+  keys: req => [`ip:${req.ip}`, loginKey(req.body.username)],
+});
+
+/** Middleware for POST /auth/token/mfa, and the routes that change 2FA
+ * settings given a code: 2FA codes count against the same per-client limit
+ * as passwords. (Wrong codes also count towards locking
+ * the account; see User.recordFailedLogin.) */
+
+const limitMfaAttempts = rateLimit({
+  store: loginAttempts,
+  max: AUTH_RATE_LIMIT_MAX,
+  windowMs: AUTH_RATE_LIMIT_WINDOW_MS,
+  keys: req => [`ip:${req.ip}`],
+});
+
+/** Middleware for POST /auth/verify-email/resend: each user can have
+ * AUTH_RATE_LIMIT_MAX verification links mailed per AUTH_RATE_LIMIT_WINDOW_MS,
+ * so the route can't be used to flood their inbox. Must come after
+ * ensureLoggedIn. */
+
+const limitVerificationMails = rateLimit({
+  store: loginAttempts,
+  max: AUTH_RATE_LIMIT_MAX,
+  windowMs: AUTH_RATE_LIMIT_WINDOW_MS,
+  keys: (req, res) => [`verify-email:${res.locals.user.username}`],
+});
+
+/** Forget the login attempts against username, eg once they've logged in
+ * or an admin has unlocked their account. */
+
+async function forgetLoginAttempts(username) {
+  await loginAttempts.reset(loginKey(username));
+}
+
+
+module.exports = {
+  rateLimit,
+  loginAttempts,
+  limitLogins,
+  limitMfaAttempts,
+  limitVerificationMails,
+  forgetLoginAttempts,
+};
@@ -0,0 +1,91 @@
+"use strict";
+
+/** Middleware to give each request an ID and log it when it's done. */
+
+const crypto = require("crypto");
+const { logger, requestContext } = require("../helpers/logger");
+
+// IDs we accept from clients or proxies; anything else gets a new one
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+
+// each request's requestContext, for resumeRequestContext
+const contexts = new WeakMap();
+
+/** Pick the request's correlation ID: the X-Request-Id it came with, if
+ * that looks sane, else a new UUID. */
+
+function requestIdFor(req) {
+  const given = req.get("X-Request-Id");
+  return (given && REQUEST_ID_RE.test(given)) ? given : crypto.randomUUID();
+}
+
+/** Middleware: set req.id and the X-Request-Id response header, and log
+ * one entry per request once the response is sent, with its method, path,
+ * route, status, time taken and the logged in user (if any).
+ *
+ * Everything logged while handling the request carries its requestId and
+ * username (see helpers/logger).
+ */
+
+function logRequests(req, res, next) {
+  const started = process.hrtime.bigint();
+  req.id = requestIdFor(req);
+  res.set("X-Request-Id", req.id);
+
+  // routers reset req.baseUrl when an error leaves them, so note the full
+  // route pattern when Express picks the route
+  let route;
+  Object.defineProperty(req, "route", {
+    configurable: true,
+    enumerable: true,
+    get() { return route; },
+    set(value) {
+      route = value;
+      req.routePattern = req.baseUrl + value.path;
+    },
+  });
+
+  const context = {
+    requestId: req.id,
+    get username() {
+      return res.locals.user ? res.locals.user.username : undefined;
+    },
+  };
+  // for the audit log (see models/auditEvent), but not every log entry
+  Object.defineProperty(context, "ip", { value: req.ip });
+  contexts.set(req, context);
+
+  res.on("finish", function () {
+    const status = res.statusCode;
+    const level = (status >= 500) ? "error" : (status >= 400) ? "warn" : "info";
+    logger.log(level, "Request done", {
+      requestId: context.requestId,
+      username: context.username,
+      method: req.method,
+      path: req.originalUrl,
+      route: req.routePattern,
+      status,
+      durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+    });
+  });
+
+  return requestContext.run(context, next);
+}
+
+/** Middleware to put the request back in its requestContext.
+ *
+ * Body parsers finish reading in callbacks from the request stream, which
+ * run outside the context logRequests set up; use this after each of them
+ * (express.json in app.js, multer in routes/users.js).
+ */
+
+function resumeRequestContext(req, res, next) {
+  const context = contexts.get(req);
+  return context ? requestContext.run(context, next) : next();
+}
+
+
+module.exports = {
+  logRequests,
+  resumeRequestContext,
+};
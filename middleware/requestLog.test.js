@@ -0,0 +1,115 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const db = require("../db");
+const { logger } = require("../helpers/logger");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+} = require("../routes/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+let entries;
+const { level, stream } = logger;
+
+beforeEach(function () {
+  entries = [];
+  logger.level = "debug";
+  logger.stream = { write: line => entries.push(JSON.parse(line)) };
+});
+
+afterEach(function () {
+  logger.level = level;
+  logger.stream = stream;
+});
+
+function requestEntries() {
+  return entries.filter(e => e.msg === "Request done");
+}
+
+
+describe("logRequests", function () {
+  test("gives each request an ID", async function () {
+    const resp = await request(app).get("/companies");
+    const id = resp.headers["x-request-id"];
+    expect(id).toMatch(/^[0-9a-f-]{36}$/);
+
+    const other = await request(app).get("/companies");
+    expect(other.headers["x-request-id"]).not.toEqual(id);
+  });
+
+  test("keeps the ID the request came with", async function () {
+    const resp = await request(app)
+        .get("/companies")
+        .set("X-Request-Id", "upstream-123");
+    expect(resp.headers["x-request-id"]).toEqual("upstream-123");
+  });
+
+  test("replaces an unlikely ID", async function () {
+    const resp = await request(app)
+        .get("/companies")
+        .set("X-Request-Id", "<script>");
+    expect(resp.headers["x-request-id"]).not.toEqual("<script>");
+  });
+
+  test("logs the request", async function () {
+    const resp = await request(app)
+        .get("/companies/c1")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(requestEntries()).toEqual([{
+      time: expect.any(String),
+      level: "info",
+      msg: "Request done",
+      requestId: resp.headers["x-request-id"],
+      username: "u1",
+      method: "GET",
+      path: "/companies/c1",
+      route: "/companies/:handle",
+      status: 200,
+      durationMs: expect.any(Number),
+    }]);
+  });
+
+  test("logs failed requests with their route", async function () {
+    await request(app).get("/companies/nope");
+    expect(requestEntries()).toEqual([expect.objectContaining({
+      level: "warn",
+      route: "/companies/:handle",
+      status: 404,
+    })]);
+  });
+
+  test("model logs carry the request's ID and user", async function () {
+    const resp = await request(app)
+        .post("/users/u1/jobs/1")
+        .set("authorization", `Bearer ${u1Token}`);
+    const applied = entries.find(e => e.msg === "Applied to job");
+    expect(applied).toEqual(expect.objectContaining({
+      requestId: resp.headers["x-request-id"],
+      username: "u1",
+      applicant: "u1",
+      jobId: "1",
+    }));
+  });
+
+  test("so do logs from requests with a body", async function () {
+    const resp = await request(app)
+        .post("/users/u1/jobs/1")
+        .send({ coverLetter: "Hello" })
+        .set("authorization", `Bearer ${u1Token}`);
+    const applied = entries.find(e => e.msg === "Applied to job");
+    expect(applied).toEqual(expect.objectContaining({
+      requestId: resp.headers["x-request-id"],
+      username: "u1",
+    }));
+  });
+});
@@ -0,0 +1,124 @@
+"use strict";
+
+/** Middleware to check requests against JSON schemas. */
+
+const jsonschema = require("jsonschema");
+const { ValidationError } = require("../expressError");
+
+
+/** Turn strings from a query string or path into the types schema wants.
+ *
+ * Only values that are plainly numbers or booleans are converted; anything
+ * else is left for validation to reject. Empty values for non-string
+ * fields (eg "?minSalary=") count as not given.
+ *
+ * Returns a new object; values isn't changed.
+ */
+
+function coerce(values, schema) {
+  const coerced = { ...values };
+
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const value = coerced[name];
+    const types = [].concat(property.type || []);
+    if (typeof value !== "string" || types.includes("string")) continue;
+
+    if (value === "") {
+      delete coerced[name];
+    } else if ((types.includes("integer") || types.includes("number"))
+        && value.trim() !== "" && !Number.isNaN(Number(value))) {
+      coerced[name] = Number(value);
+    } else if (types.includes("boolean")
+        && ["true", "false", "1", "0"].includes(value)) {
+      coerced[name] = (value === "true" || value === "1");
+    }
+  }
+
+  return coerced;
+}
+
+/** Name the field a jsonschema error is about, eg "address.zip".
+ *
+ * "required" and "additionalProperties" errors are reported against the
+ * object, so the field is the property it lacks or shouldn't have. Errors
+ * about the whole value have a null field.
+ */
+
+function fieldFor(error) {
+  const path = error.property.replace(/^instance\.?/, "");
+
+  if (error.name === "required" || error.name === "additionalProperties") {
+    return path ? `${path}.${error.argument}` : error.argument;
+  }
+
+  return path || null;
+}
+
+/** Check value against schema.
+ *
+ * Returns [{ field, rule, message }, ...], empty if value is valid; rule is
+ * the schema keyword that failed, like "required" or "minimum".
+ */
+
+function check(value, schema) {
+  const result = jsonschema.validate(value, schema);
+  return result.errors.map(error => ({
+    field: fieldFor(error),
+    rule: error.name,
+    message: error.message,
+  }));
+}
+
+/** Middleware factory: check the request's body, query and/or params
+ * against JSON schemas, eg
+ *
+ *   router.get("/", validate({ query: jobQuerySchema }), ...)
+ *
+ * Query and params values are converted to the types their schemas ask for
+ * (see coerce) before they are checked. The converted query replaces
+ * req.query, so handlers get numbers and booleans; params are left as the
+ * strings Express matched, since they are echoed back in responses.
+ *
+ * If anything is invalid, raises ValidationError with every problem found
+ * as [{ field, rule, message }, ...].
+ *
+ * The schemas are kept on the middleware as its `schemas`, for the API
+ * docs to describe the route with (see helpers/openapi).
+ */
+
+function validate({ body, query, params } = {}) {
+  function middleware(req, res, next) {
+    try {
+      const errors = [];
+
+      if (params) {
+        errors.push(...check(coerce(req.params, params), params));
+      }
+
+      if (query) {
+        const coerced = coerce(req.query, query);
+        errors.push(...check(coerced, query));
+        req.query = coerced;
+      }
+
+      if (body) {
+        errors.push(...check(req.body || {}, body));
+      }
+
+      if (errors.length) throw new ValidationError(errors);
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  }
+
+  middleware.schemas = { body, query, params };
+  return middleware;
+}
+
+
+module.exports = {
+  validate,
+  coerce,
+  check,
+};
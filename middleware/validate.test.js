@@ -0,0 +1,157 @@
+"use strict";
+
+const { ValidationError } = require("../expressError");
+const { validate, coerce, check } = require("./validate");
+
+
+const querySchema = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    minSalary: { type: "integer", minimum: 0 },
+    hasEquity: { type: "boolean" },
+  },
+};
+
+const bodySchema = {
+  type: "object",
+  properties: {
+    username: { type: "string" },
+    address: {
+      type: "object",
+      properties: { zip: { type: "string" } },
+      required: ["zip"],
+    },
+  },
+  additionalProperties: false,
+  required: ["username"],
+};
+
+/** Run the middleware on req; returns what it passed to next. */
+
+function run(middleware, req) {
+  const next = jest.fn();
+  middleware({ params: {}, query: {}, ...req }, {}, next);
+  return next.mock.calls[0][0];
+}
+
+
+/************************************** coerce */
+
+describe("coerce", function () {
+  test("converts numbers and booleans", function () {
+    expect(coerce({ name: "1", minSalary: "50", hasEquity: "true" }, querySchema))
+        .toEqual({ name: "1", minSalary: 50, hasEquity: true });
+    expect(coerce({ hasEquity: "0" }, querySchema))
+        .toEqual({ hasEquity: false });
+  });
+
+  test("leaves values that aren't plainly the right type", function () {
+    expect(coerce({ minSalary: "lots", hasEquity: "yes" }, querySchema))
+        .toEqual({ minSalary: "lots", hasEquity: "yes" });
+  });
+
+  test("drops empty values", function () {
+    expect(coerce({ name: "", minSalary: "" }, querySchema))
+        .toEqual({ name: "" });
+  });
+
+  test("doesn't change what it's given", function () {
+    const values = { minSalary: "50" };
+    coerce(values, querySchema);
+    expect(values).toEqual({ minSalary: "50" });
+  });
+});
+
+/************************************** check */
+
+describe("check", function () {
+  test("valid", function () {
+    expect(check({ username: "u1" }, bodySchema)).toEqual([]);
+  });
+
+  test("structured errors", function () {
+    expect(check({ username: 1, address: {}, extra: true }, bodySchema))
+        .toEqual([
+          { field: "username", rule: "type", message: expect.any(String) },
+          { field: "address.zip", rule: "required",
+            message: expect.any(String) },
+          { field: "extra", rule: "additionalProperties",
+            message: expect.any(String) },
+        ]);
+  });
+
+  test("missing required field", function () {
+    expect(check({}, bodySchema)).toEqual([
+      { field: "username", rule: "required", message: expect.any(String) },
+    ]);
+  });
+
+  test("errors about the whole value have no field", function () {
+    expect(check("nope", bodySchema)).toEqual([
+      { field: null, rule: "type", message: expect.any(String) },
+    ]);
+  });
+});
+
+/************************************** validate */
+
+describe("validate", function () {
+  test("works: body", function () {
+    expect(run(validate({ body: bodySchema }), { body: { username: "u1" } }))
+        .toBeUndefined();
+  });
+
+  test("bad request: body", function () {
+    const err = run(validate({ body: bodySchema }), { body: {} });
+    expect(err instanceof ValidationError).toBeTruthy();
+    expect(err.errors).toEqual([
+      { field: "username", rule: "required", message: expect.any(String) },
+    ]);
+  });
+
+  test("bad request: missing body", function () {
+    const err = run(validate({ body: bodySchema }), { body: undefined });
+    expect(err instanceof ValidationError).toBeTruthy();
+  });
+
+  test("coerces query", function () {
+    const req = { params: {}, query: { minSalary: "5", hasEquity: "false" } };
+    const next = jest.fn();
+    validate({ query: querySchema })(req, {}, next);
+    expect(next).toHaveBeenCalledWith();
+    expect(req.query).toEqual({ minSalary: 5, hasEquity: false });
+  });
+
+  test("bad request: query", function () {
+    const err = run(validate({ query: querySchema }),
+        { query: { minSalary: "-1", hasEquity: "maybe" } });
+    expect(err.errors).toEqual([
+      { field: "minSalary", rule: "minimum", message: expect.any(String) },
+      { field: "hasEquity", rule: "type", message: expect.any(String) },
+    ]);
+  });
+
+  test("checks params but leaves them as strings", function () {
+    const params = {
+      type: "object",
+      properties: { id: { type: "integer" } },
+    };
+    const req = { params: { id: "7" }, query: {} };
+    const next = jest.fn();
+    validate({ params })(req, {}, next);
+    expect(next).toHaveBeenCalledWith();
+    expect(req.params).toEqual({ id: "7" });
+
+    const err = run(validate({ params }), { params: { id: "seven" } });
+    expect(err.errors).toEqual([
+      { field: "id", rule: "type", message: expect.any(String) },
+    ]);
+  });
+
+  test("reports problems from every part together", function () {
+    const err = run(validate({ query: querySchema, body: bodySchema }),
+        { query: { minSalary: "x" }, body: {} });
+    expect(err.errors.map(e => e.field)).toEqual(["minSalary", "username"]);
+  });
+});
@@ -0,0 +1,63 @@
+"use strict";
+
+/** Command line runner for database migrations.
+ *
+ *   node migrate.js [up]          apply every pending migration
+ *   node migrate.js down [steps]  roll back the last `steps` (default 1)
+ *   node migrate.js status        list migrations and when they ran
+ *   node migrate.js baseline      adopt migrations on a database built from
+ *                                 the old jobly-schema.sql, then run up
+ *
+ * Runs against the same database the app would (see config.js), so use
+ * NODE_ENV=test to migrate the test database.
+ */
+
+const { Client } = require("pg");
+const { getDatabaseConfig } = require("./config");
+const {
+  migrate,
+  baseline,
+  rollback,
+  status,
+  migrationLabel,
+} = require("./helpers/migrations");
+
+async function main([command = "up", arg]) {
+  const db = new Client(getDatabaseConfig());
+  await db.connect();
+
+  try {
+    if (command === "up") {
+      const applied = await migrate(db);
+      if (!applied.length) console.log("Database is up to date.");
+      for (const m of applied) console.log(`Applied ${migrationLabel(m)}`);
+    } else if (command === "down") {
+      const steps = arg === undefined ? 1 : Number(arg);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`steps must be a positive integer, not ${arg}`);
+      }
+      const undone = await rollback(db, { steps });
+      if (!undone.length) console.log("Nothing to roll back.");
+      for (const m of undone) console.log(`Rolled back ${migrationLabel(m)}`);
+    } else if (command === "baseline") {
+      for (const m of await baseline(db)) {
+        console.log(`Recorded ${migrationLabel(m)} as applied`);
+      }
+    } else if (command === "status") {
+      for (const m of await status(db)) {
+        const when = m.appliedAt ? m.appliedAt.toISOString() : "pending";
+        console.log(`${migrationLabel(m)}  ${when}`);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}": `
+          + `use up, down, status or baseline`);
+    }
+  } finally {
+    await db.end();
+  }
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,2 @@
+DROP TABLE application_transitions;
+ALTER TABLE applications DROP COLUMN state;
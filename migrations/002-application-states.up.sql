@@ -0,0 +1,20 @@
+-- where each application is in the hiring pipeline (see
+-- models/application.js), and every move it has made. Applications from
+-- before this start out 'applied', with no history.
+
+ALTER TABLE applications
+  ADD COLUMN state TEXT NOT NULL DEFAULT 'applied'
+    CHECK (state IN ('applied', 'screening', 'interviewing', 'offered',
+                     'hired', 'rejected', 'withdrawn'));
+
+CREATE TABLE application_transitions (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL,
+  job_id INTEGER NOT NULL,
+  from_state TEXT,
+  to_state TEXT NOT NULL,
+  changed_by VARCHAR(25),
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  FOREIGN KEY (username, job_id)
+    REFERENCES applications ON DELETE CASCADE
+);
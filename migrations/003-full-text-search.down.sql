@@ -0,0 +1,7 @@
+DROP TRIGGER companies_name_refresh_jobs_trigger ON companies;
+DROP TRIGGER jobs_search_vector_trigger ON jobs;
+DROP FUNCTION companies_name_refresh_jobs();
+DROP FUNCTION jobs_search_vector_update();
+
+ALTER TABLE jobs DROP COLUMN search_vector;
+ALTER TABLE companies DROP COLUMN search_vector;
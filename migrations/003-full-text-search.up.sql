@@ -0,0 +1,47 @@
+-- full-text search over companies and jobs (see models/search.js)
+
+ALTER TABLE companies
+  ADD COLUMN search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', name), 'A') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'B')
+  ) STORED;
+
+CREATE INDEX companies_search_idx ON companies USING GIN (search_vector);
+
+ALTER TABLE jobs ADD COLUMN search_vector TSVECTOR;
+
+CREATE INDEX jobs_search_idx ON jobs USING GIN (search_vector);
+
+-- a job's search vector covers its company's name too, so it can't be a
+-- generated column: keep it current with triggers on both tables
+
+CREATE FUNCTION jobs_search_vector_update() RETURNS TRIGGER AS $$
+BEGIN
+  NEW.search_vector :=
+    setweight(to_tsvector('english', NEW.title), 'A') ||
+    setweight(to_tsvector('english', coalesce(
+      (SELECT name FROM companies WHERE handle = NEW.company_handle), '')), 'B');
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER jobs_search_vector_trigger
+  BEFORE INSERT OR UPDATE OF title, company_handle ON jobs
+  FOR EACH ROW EXECUTE FUNCTION jobs_search_vector_update();
+
+CREATE FUNCTION companies_name_refresh_jobs() RETURNS TRIGGER AS $$
+BEGIN
+  -- touching title fires jobs_search_vector_trigger for each job
+  UPDATE jobs SET title = title WHERE company_handle = NEW.handle;
+  RETURN NULL;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER companies_name_refresh_jobs_trigger
+  AFTER UPDATE OF name ON companies
+  FOR EACH ROW
+  WHEN (OLD.name IS DISTINCT FROM NEW.name)
+  EXECUTE FUNCTION companies_name_refresh_jobs();
+
+-- jobs already there get their vectors the same way
+UPDATE jobs SET title = title;
@@ -0,0 +1,37 @@
+-- roles replace users.is_admin: admin can do everything, other roles can
+-- do what their permissions say
+
+CREATE TABLE roles (
+  name TEXT PRIMARY KEY,
+  description TEXT NOT NULL
+);
+
+CREATE TABLE role_permissions (
+  role TEXT NOT NULL
+    REFERENCES roles ON DELETE CASCADE,
+  permission TEXT NOT NULL,
+  PRIMARY KEY (role, permission)
+);
+
+CREATE TABLE user_roles (
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  role TEXT NOT NULL
+    REFERENCES roles ON DELETE CASCADE,
+  PRIMARY KEY (username, role)
+);
+
+INSERT INTO roles (name, description)
+VALUES ('admin', 'Full access to everything'),
+       ('recruiter', 'Posts jobs and reviews applications'),
+       ('candidate', 'Looks for and applies to jobs');
+
+INSERT INTO role_permissions (role, permission)
+VALUES ('recruiter', 'jobs:write'),
+       ('recruiter', 'applications:review');
+
+INSERT INTO user_roles (username, role)
+SELECT username, CASE WHEN is_admin THEN 'admin' ELSE 'candidate' END
+FROM users;
+
+ALTER TABLE users DROP COLUMN is_admin;
@@ -0,0 +1,13 @@
+-- who works for which company: recruiters can only manage the jobs and
+-- applications of companies they are members of
+
+CREATE TABLE company_members (
+  company_handle VARCHAR(25) NOT NULL
+    REFERENCES companies ON DELETE CASCADE,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  added_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (company_handle, username)
+);
+
+CREATE INDEX company_members_username_idx ON company_members (username);
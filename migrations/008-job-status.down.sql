@@ -0,0 +1,3 @@
+ALTER TABLE jobs
+  DROP COLUMN expires_at,
+  DROP COLUMN status;
@@ -0,0 +1,9 @@
+-- jobs start as drafts or go straight to published, and end up closed
+-- either by hand or when expires_at passes. Existing jobs are published.
+
+ALTER TABLE jobs
+  ADD COLUMN status TEXT NOT NULL DEFAULT 'published'
+    CHECK (status IN ('draft', 'published', 'closed')),
+  ADD COLUMN expires_at TIMESTAMPTZ;
+
+CREATE INDEX jobs_status_idx ON jobs (status);
@@ -0,0 +1,3 @@
+DROP TABLE application_resumes;
+
+ALTER TABLE applications DROP COLUMN cover_letter;
@@ -0,0 +1,17 @@
+-- what a candidate sends with an application: optional cover letter text
+-- and an optional resume file, kept in file storage (see helpers/storage.js)
+
+ALTER TABLE applications ADD COLUMN cover_letter TEXT;
+
+CREATE TABLE application_resumes (
+  username VARCHAR(25) NOT NULL,
+  job_id INTEGER NOT NULL,
+  filename TEXT NOT NULL,
+  content_type TEXT NOT NULL,
+  size INTEGER NOT NULL CHECK (size >= 0),
+  storage_key TEXT NOT NULL UNIQUE,
+  uploaded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (username, job_id),
+  FOREIGN KEY (username, job_id)
+    REFERENCES applications ON DELETE CASCADE
+);
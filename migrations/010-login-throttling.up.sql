@@ -0,0 +1,14 @@
+-- brute-force protection for logins: consecutive failed logins per account,
+-- which lock it for a while once there are too many, and attempt counts per
+-- client and username for the Postgres rate limit store (see
+-- helpers/rateLimit.js), which instances share
+
+ALTER TABLE users
+  ADD COLUMN failed_logins INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN locked_until TIMESTAMPTZ;
+
+CREATE TABLE rate_limit_hits (
+  key TEXT PRIMARY KEY,
+  hits INTEGER NOT NULL,
+  window_ends_at TIMESTAMPTZ NOT NULL
+);
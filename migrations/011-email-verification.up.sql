@@ -0,0 +1,7 @@
+-- when the user proved they own their email address, by following the link
+-- mailed to them; NULL until then. Accounts from before verification
+-- existed count as verified.
+
+ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMPTZ;
+
+UPDATE users SET email_verified_at = NOW();
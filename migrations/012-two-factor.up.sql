@@ -0,0 +1,23 @@
+-- two-factor authentication with TOTP (see models/twoFactor.js). secret is
+-- encrypted (see sealSecret in helpers/tokens.js); it's pending until the
+-- user confirms it with a code. last_used_step is the time step of the
+-- last code accepted, so no code works twice.
+
+CREATE TABLE user_totp (
+  username VARCHAR(25) PRIMARY KEY
+    REFERENCES users ON DELETE CASCADE,
+  secret TEXT NOT NULL,
+  confirmed_at TIMESTAMPTZ,
+  last_used_step BIGINT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- one-time codes for logging in without the authenticator; only hashes
+-- are stored
+CREATE TABLE recovery_codes (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  code_hash TEXT NOT NULL UNIQUE,
+  used_at TIMESTAMPTZ
+);
@@ -0,0 +1,8 @@
+-- soft deleted rows would come back to life, so they go for good
+DELETE FROM jobs WHERE deleted_at IS NOT NULL;
+DELETE FROM companies WHERE deleted_at IS NOT NULL;
+DELETE FROM users WHERE deleted_at IS NOT NULL;
+
+ALTER TABLE companies DROP COLUMN deleted_at;
+ALTER TABLE jobs DROP COLUMN deleted_at;
+ALTER TABLE users DROP COLUMN deleted_at;
@@ -0,0 +1,16 @@
+-- companies, jobs and users are soft deleted: deleted_at is set and the
+-- rest of the app treats them as gone, until they're restored or purged
+-- (see purge.js). Deleting a company soft deletes its jobs too, with the
+-- same deleted_at, so restoring it brings back just those.
+
+ALTER TABLE companies ADD COLUMN deleted_at TIMESTAMPTZ;
+ALTER TABLE jobs ADD COLUMN deleted_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN deleted_at TIMESTAMPTZ;
+
+-- for purging
+CREATE INDEX companies_deleted_at_idx ON companies (deleted_at)
+  WHERE deleted_at IS NOT NULL;
+CREATE INDEX jobs_deleted_at_idx ON jobs (deleted_at)
+  WHERE deleted_at IS NOT NULL;
+CREATE INDEX users_deleted_at_idx ON users (deleted_at)
+  WHERE deleted_at IS NOT NULL;
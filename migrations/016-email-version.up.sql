@@ -0,0 +1,5 @@
+-- bumped whenever a user's email changes. Verification links carry the
+-- version they were sent for, so changing the address away and back again
+-- doesn't bring old links back to life.
+
+ALTER TABLE users ADD COLUMN email_version INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,6 @@
+-- TRUNCATE skips row triggers, so the append-only trigger from 014 never
+-- sees it; this statement trigger refuses it too
+
+CREATE TRIGGER audit_events_no_truncate
+  BEFORE TRUNCATE ON audit_events
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_events_append_only();
@@ -0,0 +1,3 @@
+UPDATE api_keys SET scopes = array_remove(scopes, 'applications:apply');
+
+DELETE FROM role_permissions WHERE permission = 'applications:apply';
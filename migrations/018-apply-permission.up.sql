@@ -0,0 +1,5 @@
+-- applying to jobs (and withdrawing) is a permission, so an API key can
+-- only do it if it's given the scope; candidates have it
+
+INSERT INTO role_permissions (role, permission)
+VALUES ('candidate', 'applications:apply');
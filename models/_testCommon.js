@@ -10,6 +10,15 @@ async function commonBeforeAll() {
   await db.query("DELETE FROM users");
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM jobs");
+  // the audit log is append-only, even to TRUNCATE; only its owner can
+  // switch that off, as here
+  await db.withTransaction(async function () {
+    await db.query(
+        "ALTER TABLE audit_events DISABLE TRIGGER audit_events_no_truncate");
+    await db.query("TRUNCATE audit_events");
+    await db.query(
+        "ALTER TABLE audit_events ENABLE TRIGGER audit_events_no_truncate");
+  });
 
   // this is needed to reset the auto incrementor so you test better
   await db.query("alter sequence jobs_id_seq restart with 1")
@@ -25,15 +34,25 @@ async function commonBeforeAll() {
                           password,
                           first_name,
                           last_name,
-                          email)
-        VALUES ('u1', $1, 'U1F', 'U1L', 'u1@email.com'),
-               ('u2', $2, 'U2F', 'U2L', 'u2@email.com')
+                          email,
+                          email_verified_at)
+        VALUES ('u1', $1, 'U1F', 'U1L', 'u1@email.com', NOW()),
+               ('u2', $2, 'U2F', 'U2L', 'u2@email.com', NOW())
         RETURNING username`,
       [
         await bcrypt.hash("password1", BCRYPT_WORK_FACTOR),
         await bcrypt.hash("password2", BCRYPT_WORK_FACTOR),
       ]);
 
+  await db.query(`
+    INSERT INTO user_roles (username, role)
+    VALUES ('u1', 'candidate'),
+           ('u2', 'candidate')`);
+
+  await db.query(`
+    INSERT INTO company_members (company_handle, username)
+    VALUES ('c1', 'u1')`);
+
   await db.query(`
     insert into jobs 
       (title, salary, equity, company_handle)
@@ -46,6 +65,16 @@ async function commonBeforeAll() {
       ('j23', 23, 0, 'c3')
     returning title
   `)
+
+  await db.query(`
+    insert into applications (username, job_id)
+    values ('u1', 1)
+  `)
+  await db.query(`
+    insert into application_transitions
+      (username, job_id, from_state, to_state, changed_by)
+    values ('u1', 1, null, 'applied', 'u1')
+  `)
 }
 
 async function commonBeforeEach() {
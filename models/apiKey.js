@@ -0,0 +1,184 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { createSecret, hashSecret } = require("../helpers/tokens");
+const Role = require("./role");
+const AuditEvent = require("./auditEvent");
+
+// keys look like "jobly_<secret>", so they're easy to spot (eg by secret
+// scanners) if they leak
+const KEY_PREFIX = "jobly_";
+// how much of a key is kept to show which one it is
+const SHOWN_LENGTH = KEY_PREFIX.length + 6;
+
+const API_KEY_COLUMNS = `id,
+                         name,
+                         prefix,
+                         scopes,
+                         created_at AS "createdAt",
+                         expires_at AS "expiresAt",
+                         last_used_at AS "lastUsedAt"`;
+
+/** Related functions for personal API keys.
+ *
+ * A key lets a machine client (eg an applicant tracking system) act as the
+ * user who made it, without their password. Each key has a name, scopes
+ * (the permissions it may use, eg "applications:review") and, optionally,
+ * an expiry. Keys never carry admin powers, since admins must log in with
+ * two-factor authentication.
+ *
+ * The key itself is only shown when it's made; just its hash is stored.
+ */
+
+class ApiKey {
+  /** Make a key for username with { name, scopes, expiresAt }.
+   *
+   * Returns { apiKey, key }
+   *   where apiKey is { id, name, prefix, scopes, createdAt, expiresAt,
+   *                     lastUsedAt }
+   *   and key is the key itself, which can't be shown again.
+   *
+   * Throws NotFoundError if there's no such user, or BadRequestError if a
+   * scope isn't a permission or expiresAt has passed.
+   **/
+
+  static async create(username, { name, scopes = [], expiresAt = null }) {
+    const userRes = await db.query(
+          `SELECT username
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [username]);
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const known = await db.query(
+          `SELECT DISTINCT permission
+           FROM role_permissions
+           WHERE permission = ANY($1)`,
+        [scopes]);
+    const unknown = scopes.filter(
+        scope => !known.rows.some(row => row.permission === scope));
+    if (unknown.length) {
+      throw new BadRequestError(`Unknown scopes: ${unknown.join(", ")}`);
+    }
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      throw new BadRequestError("expiresAt must be in the future");
+    }
+
+    const key = KEY_PREFIX + createSecret();
+
+    return db.withTransaction(async function () {
+      const result = await db.query(
+            `INSERT INTO api_keys
+             (username, name, prefix, key_hash, scopes, expires_at)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING ${API_KEY_COLUMNS}`,
+          [username, name, key.slice(0, SHOWN_LENGTH), hashSecret(key),
+           scopes, expiresAt]);
+      const apiKey = result.rows[0];
+
+      await AuditEvent.record({
+        action: "api_key.create",
+        targetType: "api_key",
+        targetId: apiKey.id,
+        after: { username, name, prefix: apiKey.prefix, scopes, expiresAt },
+      });
+
+      return { apiKey, key };
+    });
+  }
+
+  /** Find username's keys that haven't been revoked (including expired
+   * ones), newest first.
+   *
+   * Returns [{ id, name, prefix, scopes, createdAt, expiresAt,
+   *            lastUsedAt }, ...]
+   **/
+
+  static async findAll(username) {
+    const result = await db.query(
+          `SELECT ${API_KEY_COLUMNS}
+           FROM api_keys
+           WHERE username = $1 AND revoked_at IS NULL
+           ORDER BY created_at DESC, id DESC`,
+        [username]);
+    return result.rows;
+  }
+
+  /** Revoke username's key with id; it stops working at once.
+   *
+   * Throws NotFoundError if they have no such key (or it's revoked).
+   **/
+
+  static async revoke(username, id) {
+    await db.withTransaction(async function () {
+      const result = await db.query(
+            `UPDATE api_keys
+             SET revoked_at = NOW()
+             WHERE id = $1 AND username = $2 AND revoked_at IS NULL
+             RETURNING name, prefix`,
+          [id, username]);
+
+      const apiKey = result.rows[0];
+      if (!apiKey) throw new NotFoundError(`No API key: ${id}`);
+
+      await AuditEvent.record({
+        action: "api_key.revoke",
+        targetType: "api_key",
+        targetId: id,
+        before: { username, ...apiKey },
+      });
+    });
+  }
+
+  /** Look up a key as sent by a client, and note that it was used.
+   *
+   * Returns what middleware/auth puts in res.locals.user for it:
+   *   { username, isAdmin: false, roles, permissions, apiKeyId }
+   * where permissions are the user's current ones that the key's scopes
+   * allow. Returns undefined if the key is unknown, revoked or expired.
+   **/
+
+  static async authenticate(key) {
+    if (!key.startsWith(KEY_PREFIX)) return undefined;
+
+    const result = await db.query(
+          `SELECT id,
+                  username,
+                  scopes,
+                  last_used_at > NOW() - INTERVAL '1 minute' AS "usedRecently"
+           FROM api_keys
+           WHERE key_hash = $1
+             AND revoked_at IS NULL
+             AND (expires_at IS NULL OR expires_at > NOW())
+             AND username IN (SELECT username
+                              FROM users
+                              WHERE deleted_at IS NULL)`,
+        [hashSecret(key)]);
+
+    const apiKey = result.rows[0];
+    if (!apiKey) return undefined;
+
+    // only noted once a minute, to save writes for clients making lots of
+    // calls
+    if (!apiKey.usedRecently) {
+      await db.query(
+            `UPDATE api_keys SET last_used_at = NOW() WHERE id = $1`,
+          [apiKey.id]);
+    }
+
+    const { roles, permissions } = await Role.forUser(apiKey.username);
+
+    return {
+      username: apiKey.username,
+      isAdmin: false,
+      roles: roles.filter(role => role !== "admin"),
+      permissions: permissions.filter(p => apiKey.scopes.includes(p)),
+      apiKeyId: apiKey.id,
+    };
+  }
+}
+
+
+module.exports = ApiKey;
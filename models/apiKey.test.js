@@ -0,0 +1,163 @@
+"use strict";
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const db = require("../db.js");
+const ApiKey = require("./apiKey.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const { apiKey, key } = await ApiKey.create("u1", { name: "ats" });
+    expect(key).toMatch(/^jobly_/);
+    expect(apiKey).toEqual({
+      id: expect.any(Number),
+      name: "ats",
+      prefix: key.slice(0, 12),
+      scopes: [],
+      createdAt: expect.any(Date),
+      expiresAt: null,
+      lastUsedAt: null,
+    });
+
+    const stored = await db.query("SELECT key_hash FROM api_keys");
+    expect(stored.rows[0].key_hash).not.toContain(key.slice(6));
+  });
+
+  test("works: scopes and expiry", async function () {
+    const expiresAt = new Date(Date.now() + ONE_DAY).toISOString();
+    const { apiKey } = await ApiKey.create("u1", {
+      name: "ats",
+      scopes: ["applications:review"],
+      expiresAt,
+    });
+    expect(apiKey.scopes).toEqual(["applications:review"]);
+    expect(apiKey.expiresAt).toEqual(new Date(expiresAt));
+  });
+
+  test("bad request with unknown scope", async function () {
+    try {
+      await ApiKey.create("u1", { name: "ats", scopes: ["everything"] });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toContain("everything");
+    }
+  });
+
+  test("bad request if already expired", async function () {
+    const expiresAt = new Date(Date.now() - ONE_DAY).toISOString();
+    await expect(ApiKey.create("u1", { name: "ats", expiresAt }))
+        .rejects.toBeInstanceOf(BadRequestError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(ApiKey.create("nope", { name: "ats" }))
+        .rejects.toBeInstanceOf(NotFoundError);
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works: newest first, not revoked, only theirs", async function () {
+    const first = await ApiKey.create("u1", { name: "first" });
+    const second = await ApiKey.create("u1", { name: "second" });
+    const revoked = await ApiKey.create("u1", { name: "revoked" });
+    await ApiKey.create("u2", { name: "theirs" });
+    await ApiKey.revoke("u1", revoked.apiKey.id);
+
+    const apiKeys = await ApiKey.findAll("u1");
+    expect(apiKeys).toEqual([second.apiKey, first.apiKey]);
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    const { apiKey, key } = await ApiKey.create("u1", { name: "ats" });
+    await ApiKey.revoke("u1", apiKey.id);
+    expect(await ApiKey.authenticate(key)).toBeUndefined();
+  });
+
+  test("not found for another user's key", async function () {
+    const { apiKey } = await ApiKey.create("u1", { name: "ats" });
+    await expect(ApiKey.revoke("u2", apiKey.id))
+        .rejects.toBeInstanceOf(NotFoundError);
+  });
+
+  test("not found if already revoked", async function () {
+    const { apiKey } = await ApiKey.create("u1", { name: "ats" });
+    await ApiKey.revoke("u1", apiKey.id);
+    await expect(ApiKey.revoke("u1", apiKey.id))
+        .rejects.toBeInstanceOf(NotFoundError);
+  });
+});
+
+/************************************** authenticate */
+
+describe("authenticate", function () {
+  beforeEach(async function () {
+    await db.query(
+        `INSERT INTO user_roles (username, role)
+         VALUES ('u1', 'recruiter'), ('u1', 'admin')`);
+  });
+
+  test("works: permissions limited to scopes, never admin", async function () {
+    const { apiKey, key } = await ApiKey.create("u1", {
+      name: "ats",
+      scopes: ["applications:review"],
+    });
+
+    const user = await ApiKey.authenticate(key);
+    expect(user).toEqual({
+      username: "u1",
+      isAdmin: false,
+      roles: expect.not.arrayContaining(["admin"]),
+      permissions: ["applications:review"],
+      apiKeyId: apiKey.id,
+    });
+    expect(user.roles).toContain("recruiter");
+  });
+
+  test("notes when it was last used", async function () {
+    const { key } = await ApiKey.create("u1", { name: "ats" });
+    await ApiKey.authenticate(key);
+    const [apiKey] = await ApiKey.findAll("u1");
+    expect(apiKey.lastUsedAt).toEqual(expect.any(Date));
+  });
+
+  test("undefined for unknown keys", async function () {
+    expect(await ApiKey.authenticate("jobly_nope")).toBeUndefined();
+    expect(await ApiKey.authenticate("nope")).toBeUndefined();
+  });
+
+  test("undefined once expired", async function () {
+    const { apiKey, key } = await ApiKey.create("u1", { name: "ats" });
+    await db.query(
+        `UPDATE api_keys SET expires_at = NOW() - INTERVAL '1 second'
+         WHERE id = $1`,
+        [apiKey.id]);
+    expect(await ApiKey.authenticate(key)).toBeUndefined();
+  });
+
+  test("undefined once its user is deleted", async function () {
+    const { key } = await ApiKey.create("u1", { name: "ats" });
+    await db.query(`UPDATE users SET deleted_at = NOW() WHERE username = 'u1'`);
+    expect(await ApiKey.authenticate(key)).toBeUndefined();
+  });
+});
@@ -0,0 +1,193 @@
+"use strict";
+
+const db = require("../db");
+const {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+} = require("../expressError");
+const AuditEvent = require("./auditEvent");
+
+/** The state machine every application moves through.
+ *
+ * Each state maps to the states it may move to next; hired, rejected and
+ * withdrawn are final.
+ */
+
+const TRANSITIONS = {
+  applied: ["screening", "interviewing", "rejected", "withdrawn"],
+  screening: ["interviewing", "rejected", "withdrawn"],
+  interviewing: ["offered", "rejected", "withdrawn"],
+  offered: ["hired", "rejected", "withdrawn"],
+  hired: [],
+  rejected: [],
+  withdrawn: [],
+};
+
+const STATES = Object.keys(TRANSITIONS);
+
+/** Related functions for job applications. */
+
+class Application {
+  /** Given a username and job id, return the application and its history.
+   *
+   * Returns { username, jobId, state, coverLetter, resume, history }
+   *   where resume is { filename, contentType, size, uploadedAt } or null
+   *   and history is [{ fromState, toState, changedBy, changedAt }, ...]
+   *   oldest first
+   *
+   * Throws NotFoundError if that user has not applied to that job.
+   **/
+
+  static async get(username, jobId) {
+    const applicationRes = await db.query(
+          `SELECT a.username,
+                  a.job_id AS "jobId",
+                  a.state,
+                  a.cover_letter AS "coverLetter",
+                  r.filename,
+                  r.content_type AS "contentType",
+                  r.size,
+                  r.uploaded_at AS "uploadedAt"
+           FROM applications a
+           LEFT JOIN application_resumes r
+           ON r.username = a.username AND r.job_id = a.job_id
+           WHERE a.username = $1 AND a.job_id = $2`,
+        [username, jobId]);
+
+    const row = applicationRes.rows[0];
+
+    if (!row) {
+      throw new NotFoundError(`No application: ${username} to job ${jobId}`);
+    }
+
+    const { filename, contentType, size, uploadedAt, ...application } = row;
+    application.resume = filename
+        ? { filename, contentType, size, uploadedAt }
+        : null;
+
+    const historyRes = await db.query(
+          `SELECT from_state AS "fromState",
+                  to_state AS "toState",
+                  changed_by AS "changedBy",
+                  changed_at AS "changedAt"
+           FROM application_transitions
+           WHERE username = $1 AND job_id = $2
+           ORDER BY changed_at, id`,
+        [username, jobId]);
+
+    application.history = historyRes.rows;
+
+    return application;
+  }
+
+  /** Find all applications to a job.
+   *
+   * Applications from deleted users are left out, unless asked for with
+   * { includeDeleted: true }.
+   *
+   * Returns [{ username, jobId, state, updatedAt }, ...] ordered by username,
+   *   where updatedAt is when the application last changed state
+   *
+   * Throws NotFoundError if the job does not exist.
+   **/
+
+  static async findForJob(jobId, { includeDeleted = false } = {}) {
+    const jobRes = await db.query(
+          `SELECT id FROM jobs WHERE id = $1 AND deleted_at IS NULL`,
+        [jobId]);
+
+    if (!jobRes.rows[0]) throw new NotFoundError(`No job: ${jobId}`);
+
+    const result = await db.query(
+          `SELECT a.username,
+                  a.job_id AS "jobId",
+                  a.state,
+                  MAX(t.changed_at) AS "updatedAt"
+           FROM applications a
+           JOIN users u ON u.username = a.username
+           LEFT JOIN application_transitions t
+           ON t.username = a.username AND t.job_id = a.job_id
+           WHERE a.job_id = $1 AND ($2 OR u.deleted_at IS NULL)
+           GROUP BY a.username, a.job_id, a.state
+           ORDER BY a.username`,
+        [jobId, includeDeleted]);
+
+    return result.rows;
+  }
+
+  /** Record that an application moved from one state to another.
+   *
+   * fromState is null for the first entry, made when the user applies.
+   **/
+
+  static async recordTransition(username, jobId, fromState, toState, changedBy) {
+    await db.query(
+          `INSERT INTO application_transitions
+           (username, job_id, from_state, to_state, changed_by)
+           VALUES ($1, $2, $3, $4, $5)`,
+        [username, jobId, fromState, toState, changedBy]);
+  }
+
+  /** Move an application to a new state.
+   *
+   * changedBy is the username of whoever made the change.
+   *
+   * Returns { username, jobId, state }
+   *
+   * Throws BadRequestError for an unknown state, NotFoundError if there is
+   * no such application, and a 409 if the application's current state
+   * cannot move to `state`.
+   **/
+
+  static async transition(username, jobId, state, changedBy) {
+    if (!STATES.includes(state)) {
+      throw new BadRequestError(`Unknown application state: ${state}`);
+    }
+
+    const current = await Application.get(username, jobId);
+
+    if (!TRANSITIONS[current.state].includes(state)) {
+      throw new ConflictError(
+          `Cannot move application from ${current.state} to ${state}`,
+          "invalid_transition");
+    }
+
+    // the new state and its history entry are saved together or not at all
+    return db.withTransaction(async function () {
+      // only update if nobody else moved it in the meantime
+      const result = await db.query(
+            `UPDATE applications
+             SET state = $1
+             WHERE username = $2 AND job_id = $3 AND state = $4
+             RETURNING username, job_id AS "jobId", state`,
+          [state, username, jobId, current.state]);
+
+      const application = result.rows[0];
+
+      if (!application) {
+        throw new ConflictError(
+            `Application ${username} to job ${jobId} changed, try again`,
+            "edit_conflict");
+      }
+
+      await Application.recordTransition(
+          username, jobId, current.state, state, changedBy);
+      await AuditEvent.record({
+        action: "application.transition",
+        targetType: "application",
+        targetId: `${username}/${jobId}`,
+        before: { state: current.state },
+        after: { state },
+      });
+
+      return application;
+    });
+  }
+}
+
+Application.STATES = STATES;
+Application.TRANSITIONS = TRANSITIONS;
+
+
+module.exports = Application;
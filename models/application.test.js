@@ -0,0 +1,171 @@
+"use strict";
+
+const {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+} = require("../expressError");
+const db = require("../db.js");
+const Application = require("./application.js");
+const User = require("./user.js");
+const AuditEvent = require("./auditEvent.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    const application = await Application.get("u1", 1);
+    expect(application).toEqual({
+      username: "u1",
+      jobId: 1,
+      state: "applied",
+      coverLetter: null,
+      resume: null,
+      history: [
+        {
+          fromState: null,
+          toState: "applied",
+          changedBy: "u1",
+          changedAt: expect.any(Date),
+        },
+      ],
+    });
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await Application.get("u2", 1);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findForJob */
+
+describe("findForJob", function () {
+  test("works", async function () {
+    await User.apply("u2", 1);
+    const applications = await Application.findForJob(1);
+    expect(applications).toEqual([
+      { username: "u1", jobId: 1, state: "applied", updatedAt: expect.any(Date) },
+      { username: "u2", jobId: 1, state: "applied", updatedAt: expect.any(Date) },
+    ]);
+  });
+
+  test("leaves out deleted users unless asked", async function () {
+    await User.apply("u2", 1);
+    await User.remove("u2");
+    expect((await Application.findForJob(1)).map(a => a.username))
+        .toEqual(["u1"]);
+    expect((await Application.findForJob(1, { includeDeleted: true }))
+        .map(a => a.username)).toEqual(["u1", "u2"]);
+  });
+
+  test("works: no applications", async function () {
+    const applications = await Application.findForJob(2);
+    expect(applications).toEqual([]);
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await Application.findForJob(0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** transition */
+
+describe("transition", function () {
+  test("works", async function () {
+    const application = await Application.transition(
+        "u1", 1, "screening", "admin");
+    expect(application).toEqual({
+      username: "u1",
+      jobId: 1,
+      state: "screening",
+    });
+
+    const { history } = await Application.get("u1", 1);
+    expect(history.map(h => [h.fromState, h.toState, h.changedBy])).toEqual([
+      [null, "applied", "u1"],
+      ["applied", "screening", "admin"],
+    ]);
+
+    const { events } = await AuditEvent.findAll({ targetId: "u1/1" });
+    expect(events).toEqual([expect.objectContaining({
+      action: "application.transition",
+      targetType: "application",
+      before: { state: "applied" },
+      after: { state: "screening" },
+    })]);
+  });
+
+  test("works: full pipeline", async function () {
+    for (const state of ["screening", "interviewing", "offered", "hired"]) {
+      await Application.transition("u1", 1, state, "admin");
+    }
+    const application = await Application.get("u1", 1);
+    expect(application.state).toEqual("hired");
+    expect(application.history.length).toEqual(5);
+  });
+
+  test("conflict on a move the pipeline does not allow", async function () {
+    await Application.transition("u1", 1, "withdrawn", "u1");
+    try {
+      await Application.transition("u1", 1, "screening", "admin");
+      fail();
+    } catch (err) {
+      expect(err instanceof ConflictError).toBeTruthy();
+      expect(err.code).toEqual("invalid_transition");
+    }
+  });
+
+  test("bad request on unknown state", async function () {
+    try {
+      await Application.transition("u1", 1, "promoted", "admin");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await Application.transition("u2", 1, "screening", "admin");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** User.apply */
+
+describe("User.apply", function () {
+  test("records the first step", async function () {
+    await User.apply("u2", 2, "admin");
+    const found = await db.query(
+        `SELECT from_state, to_state, changed_by
+         FROM application_transitions
+         WHERE username = 'u2' AND job_id = 2`);
+    expect(found.rows).toEqual([
+      { from_state: null, to_state: "applied", changed_by: "admin" },
+    ]);
+  });
+});
@@ -0,0 +1,132 @@
+"use strict";
+
+const db = require("../db");
+const { requestContext } = require("../helpers/logger");
+const { paginate } = require("../helpers/pagination");
+
+const AUDIT_EVENT_COLUMNS = `id,
+                             occurred_at AS "occurredAt",
+                             actor,
+                             action,
+                             target_type AS "targetType",
+                             target_id AS "targetId",
+                             before,
+                             after,
+                             request_id AS "requestId",
+                             ip`;
+
+/** Reduce before and after (snapshots of a record, either may be null) to
+ * the fields that differ.
+ *
+ * Returns { before, after }, each null if it was null, eg
+ *   diff({ name: "A", size: 1 }, { name: "B", size: 1 })
+ *     => { before: { name: "A" }, after: { name: "B" } }
+ */
+
+function diff(before, after) {
+  if (!before || !after) return { before, after };
+
+  const changed = { before: {}, after: {} };
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const field of fields) {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changed.before[field] = before[field];
+      changed.after[field] = after[field];
+    }
+  }
+  return changed;
+}
+
+/** Related functions for the audit log.
+ *
+ * Models record an event for every change to companies, jobs, users
+ * (including their roles and security settings) and applications, and for
+ * logins and logouts, in the same transaction as the change. Who made it,
+ * and the request's ID and IP, come from requestContext (see
+ * middleware/requestLog), so models don't need to be handed the request.
+ *
+ * The table is append-only: events can't be changed, deleted or
+ * truncated.
+ */
+
+class AuditEvent {
+  /** Record that action (eg "company.update") was done to the target with
+   * targetType and targetId.
+   *
+   * before and after are snapshots of the target, without secrets; only
+   * the fields that changed are kept, and updates that change nothing
+   * aren't recorded. Leave out before for things that are made, and after
+   * for things that are removed.
+   *
+   * actor is the request's user unless given, eg for a login, which comes
+   * before there is one.
+   **/
+
+  static async record(
+      { action, targetType, targetId, before = null, after = null, actor }) {
+    const context = requestContext.getStore() || {};
+    const changes = diff(before, after);
+    if (before && after && !Object.keys(changes.after).length) return;
+
+    await db.query(
+          `INSERT INTO audit_events
+           (actor, action, target_type, target_id, before, after,
+            request_id, ip)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [actor || context.username || null, action, targetType, String(targetId),
+         changes.before, changes.after, context.requestId || null,
+         context.ip || null]);
+  }
+
+  /** Find audit events matching filters, newest first, one page at a time.
+   *
+   * filters are all optional: { actor, targetType, targetId, since, until }
+   * where since and until are times (since inclusive, until exclusive).
+   * page is { limit, cursor } as returned by parsePage.
+   *
+   * Returns { events, meta }
+   *   where events is [{ id, occurredAt, actor, action, targetType,
+   *                      targetId, before, after, requestId, ip }, ...]
+   *   and meta is { limit, total, nextCursor, prevCursor }
+   **/
+
+  static async findAll(filters = {}, page = {}) {
+    const where = [];
+    const values = [];
+
+    const conditions = {
+      actor: "actor",
+      targetType: "target_type",
+      targetId: "target_id",
+    };
+    for (const [filter, column] of Object.entries(conditions)) {
+      if (filters[filter] !== undefined) {
+        values.push(filters[filter]);
+        where.push(`${column} = $${values.length}`);
+      }
+    }
+    if (filters.since !== undefined) {
+      values.push(filters.since);
+      where.push(`occurred_at >= $${values.length}`);
+    }
+    if (filters.until !== undefined) {
+      values.push(filters.until);
+      where.push(`occurred_at < $${values.length}`);
+    }
+
+    const { rows, meta } = await paginate(db, {
+      columns: AUDIT_EVENT_COLUMNS,
+      from: "audit_events",
+      where,
+      values,
+      orderBy: ["id"],
+      ascending: false,
+      page,
+    });
+
+    return { events: rows, meta };
+  }
+}
+
+
+module.exports = AuditEvent;
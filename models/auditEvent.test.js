@@ -0,0 +1,148 @@
+"use strict";
+
+const db = require("../db.js");
+const AuditEvent = require("./auditEvent.js");
+const { requestContext } = require("../helpers/logger");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** record */
+
+describe("record", function () {
+  test("works: keeps just what changed", async function () {
+    await AuditEvent.record({
+      action: "company.update",
+      targetType: "company",
+      targetId: "c1",
+      before: { handle: "c1", name: "C1", numEmployees: 1 },
+      after: { handle: "c1", name: "New", numEmployees: 1 },
+    });
+
+    const { events } = await AuditEvent.findAll();
+    expect(events).toEqual([{
+      id: expect.any(Number),
+      occurredAt: expect.any(Date),
+      actor: null,
+      action: "company.update",
+      targetType: "company",
+      targetId: "c1",
+      before: { name: "C1" },
+      after: { name: "New" },
+      requestId: null,
+      ip: null,
+    }]);
+  });
+
+  test("works: actor, request ID and IP from the request", async function () {
+    const context = { requestId: "req-1", username: "u1" };
+    Object.defineProperty(context, "ip", { value: "127.0.0.1" });
+
+    await requestContext.run(context, () => AuditEvent.record({
+      action: "job.remove",
+      targetType: "job",
+      targetId: 7,
+      before: { id: 7, title: "J1" },
+    }));
+
+    const { events } = await AuditEvent.findAll();
+    expect(events[0]).toEqual(expect.objectContaining({
+      actor: "u1",
+      targetId: "7",
+      before: { id: 7, title: "J1" },
+      after: null,
+      requestId: "req-1",
+      ip: "127.0.0.1",
+    }));
+  });
+
+  test("updates that change nothing aren't recorded", async function () {
+    await AuditEvent.record({
+      action: "company.update",
+      targetType: "company",
+      targetId: "c1",
+      before: { name: "C1" },
+      after: { name: "C1" },
+    });
+    const { events } = await AuditEvent.findAll();
+    expect(events).toEqual([]);
+  });
+
+  test("events can't be changed, deleted or truncated", async function () {
+    await AuditEvent.record({
+      action: "user.2fa_disable",
+      targetType: "user",
+      targetId: "u1",
+    });
+    // in transactions, so the failures are rolled back
+    await expect(db.withTransaction(
+        () => db.query("UPDATE audit_events SET actor = 'u2'")))
+        .rejects.toThrow("append-only");
+    await expect(db.withTransaction(
+        () => db.query("DELETE FROM audit_events")))
+        .rejects.toThrow("append-only");
+    await expect(db.withTransaction(
+        () => db.query("TRUNCATE audit_events")))
+        .rejects.toThrow("append-only");
+
+    const { events } = await AuditEvent.findAll();
+    expect(events.length).toEqual(1);
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  beforeEach(async function () {
+    await db.query(
+        `INSERT INTO audit_events
+         (occurred_at, actor, action, target_type, target_id)
+         VALUES ('2020-01-01', 'u1', 'company.create', 'company', 'c1'),
+                ('2020-01-02', 'u2', 'job.create', 'job', '1'),
+                ('2020-01-03', 'u1', 'job.update', 'job', '1')`);
+  });
+
+  function actions({ events }) {
+    return events.map(e => e.action);
+  }
+
+  test("works: newest first", async function () {
+    const result = await AuditEvent.findAll();
+    expect(actions(result))
+        .toEqual(["job.update", "job.create", "company.create"]);
+    expect(result.meta.total).toEqual(3);
+  });
+
+  test("works: by actor", async function () {
+    expect(actions(await AuditEvent.findAll({ actor: "u1" })))
+        .toEqual(["job.update", "company.create"]);
+  });
+
+  test("works: by target", async function () {
+    expect(actions(await AuditEvent.findAll({ targetType: "job" })))
+        .toEqual(["job.update", "job.create"]);
+    expect(actions(await AuditEvent.findAll(
+        { targetType: "company", targetId: "c1" })))
+        .toEqual(["company.create"]);
+  });
+
+  test("works: by time range", async function () {
+    expect(actions(await AuditEvent.findAll(
+        { since: "2020-01-02T00:00:00Z", until: "2020-01-03T00:00:00Z" })))
+        .toEqual(["job.create"]);
+  });
+
+  test("works: paged", async function () {
+    const first = await AuditEvent.findAll({}, { limit: 2 });
+    expect(actions(first)).toEqual(["job.update", "job.create"]);
+    expect(first.meta.nextCursor).toEqual(expect.any(String));
+  });
+});
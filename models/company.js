@@ -3,8 +3,30 @@
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const { paginate } = require("../helpers/pagination");
+const AuditEvent = require("./auditEvent");
+const Resume = require("./resume");
+
+const COMPANY_COLUMNS = `handle,
+                         name,
+                         description,
+                         num_employees AS "numEmployees",
+                         logo_url AS "logoUrl"`;
+
+/** The columns to select: with includeDeleted, deletedAt too, so deleted
+ * companies can be told apart. */
+
+function columnsFor({ includeDeleted = false } = {}) {
+  return includeDeleted
+      ? `${COMPANY_COLUMNS}, deleted_at AS "deletedAt"`
+      : COMPANY_COLUMNS;
+}
 
-/** Related functions for companies. */
+/** Related functions for companies.
+ *
+ * Companies are soft deleted (see remove): finders leave deleted ones out
+ * unless asked for them with { includeDeleted: true }.
+ */
 
 class Company {
   /** Create a company (from data), update db, return new company data.
@@ -17,48 +39,57 @@ class Company {
    * */
 
   static async create({ handle, name, description, numEmployees, logoUrl }) {
-    const duplicateCheck = await db.query(
-          `SELECT handle
-           FROM companies
-           WHERE handle = $1`,
-        [handle]);
-
-    if (duplicateCheck.rows[0])
-      throw new BadRequestError(`Duplicate company: ${handle}`);
-
-    const result = await db.query(
-          `INSERT INTO companies
-           (handle, name, description, num_employees, logo_url)
-           VALUES ($1, $2, $3, $4, $5)
-           RETURNING handle, name, description, num_employees AS "numEmployees", logo_url AS "logoUrl"`,
-        [
-          handle,
-          name,
-          description,
-          numEmployees,
-          logoUrl,
-        ],
-    );
-    const company = result.rows[0];
-
-    return company;
+    return db.withTransaction(async function () {
+      // checking for the handle and inserting in one statement means two
+      // requests for the same handle can't both get past the check
+      const result = await db.query(
+            `INSERT INTO companies
+             (handle, name, description, num_employees, logo_url)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (handle) DO NOTHING
+             RETURNING ${COMPANY_COLUMNS}`,
+          [
+            handle,
+            name,
+            description,
+            numEmployees,
+            logoUrl,
+          ],
+      );
+      const company = result.rows[0];
+
+      if (!company) throw new BadRequestError(`Duplicate company: ${handle}`);
+
+      await AuditEvent.record({
+        action: "company.create",
+        targetType: "company",
+        targetId: handle,
+        after: company,
+      });
+
+      return company;
+    });
   }
 
-  /** Find all companies.
+  /** Find all companies, one page at a time.
    *
-   * Returns [{ handle, name, description, numEmployees, logoUrl }, ...]
+   * page is { limit, cursor } as returned by parsePage; companies are
+   * ordered by name, then handle.
+   *
+   * Returns { companies, meta }
+   *   where companies is [{ handle, name, description, numEmployees, logoUrl }, ...]
+   *   and meta is { limit, total, nextCursor, prevCursor }
    * */
 
-  static async findAll() {
-    const companiesRes = await db.query(
-          `SELECT handle,
-                  name,
-                  description,
-                  num_employees AS "numEmployees",
-                  logo_url AS "logoUrl"
-           FROM companies
-           ORDER BY name`);
-    return companiesRes.rows;
+  static async findAll(page = {}, { includeDeleted = false } = {}) {
+    const { rows, meta } = await paginate(db, {
+      columns: columnsFor({ includeDeleted }),
+      from: "companies",
+      where: includeDeleted ? [] : ["deleted_at IS NULL"],
+      orderBy: ["name", "handle"],
+      page,
+    });
+    return { companies: rows, meta };
   }
 
   /** Given a company handle, return data about company.
@@ -69,16 +100,13 @@ class Company {
    * Throws NotFoundError if not found.
    **/
 
-  static async get(handle) {
+  static async get(handle, { includeDeleted = false } = {}) {
     const companyRes = await db.query(
-          `SELECT handle,
-                  name,
-                  description,
-                  num_employees AS "numEmployees",
-                  logo_url AS "logoUrl"
+          `SELECT ${columnsFor({ includeDeleted })}
            FROM companies
-           WHERE handle = $1`,
-        [handle]);
+           WHERE handle = $1
+             AND ($2 OR deleted_at IS NULL)`,
+        [handle, includeDeleted]);
 
     const company = companyRes.rows[0];
 
@@ -91,9 +119,10 @@ class Company {
   // nameLike (will find case-insensitive, partial matches) If the minEmployees 
   // parameter is greater than the maxEmployees parameter will respond with a 400 error 
   // with an appropriate message.
-  // Returns [{ handle, name, description, numEmployees, logoUrl }, ...]
+  // Results are paged like findAll; takes the same page and options objects.
+  // Returns { companies: [{ handle, name, description, numEmployees, logoUrl }, ...], meta }
 
-  static async find( filters ) {
+  static async find( filters, page = {}, { includeDeleted = false } = {} ) {
 
     let sqlComponents = []  // this is used to agregate all the SQL components
     let sqlInputs = [] // this is used to agregate all the inputs
@@ -121,21 +150,20 @@ class Company {
       sqlComponents.push( `lower(name) like lower($${ i++ })` )
       sqlInputs.push( '%' + nameLike + '%' )
     }
+    if( !includeDeleted ){
+      sqlComponents.push( `deleted_at IS NULL` )
+    }
 
-    const sqlSearchLine = 
-      `select 
-        handle, 
-        name, 
-        description, 
-        num_employees as "numEmployees", 
-        logo_url as "logoUrl"
-      from companies
-      where ${ sqlComponents.join(" and ") }`
-
-
-    let searchResults = await db.query( sqlSearchLine, sqlInputs )
+    const { rows, meta } = await paginate(db, {
+      columns: columnsFor({ includeDeleted }),
+      from: "companies",
+      where: sqlComponents,
+      values: sqlInputs,
+      orderBy: ["name", "handle"],
+      page,
+    })
 
-    return searchResults.rows
+    return { companies: rows, meta }
   }
 
   /** Update company data with `data`.
@@ -159,37 +187,145 @@ class Company {
         });
     const handleVarIdx = "$" + (values.length + 1);
 
-    const querySql = `UPDATE companies 
-                      SET ${setCols} 
-                      WHERE handle = ${handleVarIdx} 
-                      RETURNING handle, 
-                                name, 
-                                description, 
-                                num_employees AS "numEmployees", 
-                                logo_url AS "logoUrl"`;
-    const result = await db.query(querySql, [...values, handle]);
-    const company = result.rows[0];
-
-    if (!company) throw new NotFoundError(`No company: ${handle}`);
-
-    return company;
+    return db.withTransaction(async function () {
+      const before = await db.query(
+            `SELECT ${COMPANY_COLUMNS}
+             FROM companies
+             WHERE handle = $1 AND deleted_at IS NULL
+             FOR UPDATE`,
+          [handle]);
+      if (!before.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+
+      const querySql = `UPDATE companies 
+                        SET ${setCols} 
+                        WHERE handle = ${handleVarIdx} 
+                        RETURNING ${COMPANY_COLUMNS}`;
+      const result = await db.query(querySql, [...values, handle]);
+      const company = result.rows[0];
+
+      await AuditEvent.record({
+        action: "company.update",
+        targetType: "company",
+        targetId: handle,
+        before: before.rows[0],
+        after: company,
+      });
+
+      return company;
+    });
   }
 
-  /** Delete given company from database; returns undefined.
+  /** Delete given company, and its jobs; returns undefined.
+   *
+   * They're only marked deleted, and can be brought back with restore
+   * until they're purged.
    *
    * Throws NotFoundError if company not found.
    **/
 
   static async remove(handle) {
-    const result = await db.query(
-          `DELETE
-           FROM companies
-           WHERE handle = $1
-           RETURNING handle`,
-        [handle]);
-    const company = result.rows[0];
+    return db.withTransaction(async function () {
+      const result = await db.query(
+            `UPDATE companies
+             SET deleted_at = NOW()
+             WHERE handle = $1 AND deleted_at IS NULL
+             RETURNING ${COMPANY_COLUMNS}`,
+          [handle]);
+      const company = result.rows[0];
+
+      if (!company) throw new NotFoundError(`No company: ${handle}`);
+
+      // with the same deleted_at, so restore knows which to bring back
+      await db.query(
+            `UPDATE jobs
+             SET deleted_at = NOW()
+             WHERE company_handle = $1 AND deleted_at IS NULL`,
+          [handle]);
+
+      await AuditEvent.record({
+        action: "company.remove",
+        targetType: "company",
+        targetId: handle,
+        before: company,
+      });
+    });
+  }
 
-    if (!company) throw new NotFoundError(`No company: ${handle}`);
+  /** Bring back a deleted company, with the jobs deleted along with it.
+   *
+   * Returns { handle, name, description, numEmployees, logoUrl }
+   *
+   * Throws NotFoundError if there's no deleted company with handle.
+   **/
+
+  static async restore(handle) {
+    return db.withTransaction(async function () {
+      // before the company, while its deleted_at says which jobs went with it
+      await db.query(
+            `UPDATE jobs j
+             SET deleted_at = NULL
+             FROM companies c
+             WHERE c.handle = $1
+               AND j.company_handle = c.handle
+               AND j.deleted_at = c.deleted_at`,
+          [handle]);
+
+      const result = await db.query(
+            `UPDATE companies
+             SET deleted_at = NULL
+             WHERE handle = $1 AND deleted_at IS NOT NULL
+             RETURNING ${COMPANY_COLUMNS}`,
+          [handle]);
+      const company = result.rows[0];
+
+      if (!company) throw new NotFoundError(`No deleted company: ${handle}`);
+
+      await AuditEvent.record({
+        action: "company.restore",
+        targetType: "company",
+        targetId: handle,
+        after: company,
+      });
+
+      return company;
+    });
+  }
+
+  /** Remove companies deleted more than days ago for good, with their jobs
+   * and those jobs' applications.
+   *
+   * Returns [handle, ...]
+   **/
+
+  static async purge(days) {
+    return db.withTransaction(async function () {
+      // resume rows go with the jobs' applications, but not their files
+      const resumes = await db.query(
+            `SELECT r.storage_key AS "storageKey"
+             FROM application_resumes r
+             JOIN jobs j ON j.id = r.job_id
+             JOIN companies c ON c.handle = j.company_handle
+             WHERE c.deleted_at < NOW() - make_interval(days => $1)`,
+          [days]);
+      await Resume.removeFiles(resumes.rows.map(r => r.storageKey));
+
+      const result = await db.query(
+            `DELETE
+             FROM companies
+             WHERE deleted_at < NOW() - make_interval(days => $1)
+             RETURNING handle`,
+          [days]);
+
+      for (const { handle } of result.rows) {
+        await AuditEvent.record({
+          action: "company.purge",
+          targetType: "company",
+          targetId: handle,
+        });
+      }
+
+      return result.rows.map(row => row.handle);
+    });
   }
 }
 
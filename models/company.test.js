@@ -3,6 +3,10 @@
 const db = require("../db.js");
 const { BadRequestError, NotFoundError } = require("../expressError");
 const Company = require("./company.js");
+const AuditEvent = require("./auditEvent.js");
+const Resume = require("./resume.js");
+const { setStorage } = require("../helpers/storage");
+const { decodeCursor } = require("../helpers/pagination");
 const {
   commonBeforeAll,
   commonBeforeEach,
@@ -60,7 +64,7 @@ describe("create", function () {
 
 describe("findAll", function () {
   test("works: no filter", async function () {
-    let companies = await Company.findAll();
+    let { companies } = await Company.findAll();
     expect(companies).toEqual([
       {
         handle: "c1",
@@ -85,13 +89,35 @@ describe("findAll", function () {
       },
     ]);
   });
+
+  test("works: pages forward and back", async function () {
+    const first = await Company.findAll({ limit: 2 });
+    expect(first.companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+    expect(first.meta).toEqual({
+      limit: 2,
+      total: 3,
+      nextCursor: expect.any(String),
+      prevCursor: null,
+    });
+
+    const second = await Company.findAll(
+        { limit: 2, cursor: decodeCursor(first.meta.nextCursor) });
+    expect(second.companies.map(c => c.handle)).toEqual(["c3"]);
+    expect(second.meta.nextCursor).toBeNull();
+
+    const back = await Company.findAll(
+        { limit: 2, cursor: decodeCursor(second.meta.prevCursor) });
+    expect(back.companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+    expect(back.meta.prevCursor).toBeNull();
+    expect(back.meta.nextCursor).toEqual(expect.any(String));
+  });
 });
 
 /************************************** find */
 
 describe("find", function () {
   test("works: filter nameLike is 'c'", async function () {
-    let companies = await Company.find({nameLike:"c"});
+    let { companies } = await Company.find({nameLike:"c"});
     expect(companies).toEqual([
       {
         handle: "c1",
@@ -117,7 +143,7 @@ describe("find", function () {
     ]);
   });
   test("works: filter nameLike is '1'", async function () {
-    let companies = await Company.find({nameLike:"1"});
+    let { companies } = await Company.find({nameLike:"1"});
     expect(companies).toEqual([
       {
         handle: "c1",
@@ -129,7 +155,7 @@ describe("find", function () {
     ]);
   });
   test("works: filter minEmployee is 2", async function () {
-    let companies = await Company.find({minEmployees:2});
+    let { companies } = await Company.find({minEmployees:2});
     expect(companies).toEqual([
       {
         handle: "c2",
@@ -148,7 +174,7 @@ describe("find", function () {
     ]);
   });
   test("works: filter maxEmployee is 2", async function () {
-    let companies = await Company.find({maxEmployees:2});
+    let { companies } = await Company.find({maxEmployees:2});
     expect(companies).toEqual([
       {
         handle: "c1",
@@ -167,7 +193,7 @@ describe("find", function () {
     ]);
   });
   test("works: filter maxEmployee is 2 and minEmployees is 2", async function () {
-    let companies = await Company.find({maxEmployees:2, minEmployees:2});
+    let { companies } = await Company.find({maxEmployees:2, minEmployees:2});
     expect(companies).toEqual([
       {
         handle: "c2",
@@ -178,9 +204,20 @@ describe("find", function () {
       }
     ]);
   });
+  test("works: pages filtered results", async function () {
+    const first = await Company.find({ minEmployees: 2 }, { limit: 1 });
+    expect(first.companies.map(c => c.handle)).toEqual(["c2"]);
+    expect(first.meta.total).toEqual(2);
+
+    const second = await Company.find(
+        { minEmployees: 2 },
+        { limit: 1, cursor: decodeCursor(first.meta.nextCursor) });
+    expect(second.companies.map(c => c.handle)).toEqual(["c3"]);
+    expect(second.meta.nextCursor).toBeNull();
+  });
   test("not found if minEmployees is more than maxEmployees", async function () {
     try {
-      let companies = await Company.find({maxEmployees:1, minEmployees:3});
+      let { companies } = await Company.find({maxEmployees:1, minEmployees:3});
       fail();
     } catch (err) {
       expect(err instanceof NotFoundError).toBeTruthy();
@@ -210,6 +247,17 @@ describe("get", function () {
       expect(err instanceof NotFoundError).toBeTruthy();
     }
   });
+
+  test("deleted companies only with includeDeleted", async function () {
+    await Company.remove("c1");
+    await expect(Company.get("c1")).rejects.toBeInstanceOf(NotFoundError);
+
+    const company = await Company.get("c1", { includeDeleted: true });
+    expect(company).toEqual(expect.objectContaining({
+      handle: "c1",
+      deletedAt: expect.any(Date),
+    }));
+  });
 });
 
 /************************************** update */
@@ -242,6 +290,17 @@ describe("update", function () {
     }]);
   });
 
+  test("works: audited with what changed", async function () {
+    await Company.update("c1", { name: "New", numEmployees: 1 });
+    const { events } = await AuditEvent.findAll({ targetType: "company" });
+    expect(events).toEqual([expect.objectContaining({
+      action: "company.update",
+      targetId: "c1",
+      before: { name: "C1" },
+      after: { name: "New" },
+    })]);
+  });
+
   test("works: null fields", async function () {
     const updateDataSetNulls = {
       name: "New",
@@ -291,11 +350,26 @@ describe("update", function () {
 /************************************** remove */
 
 describe("remove", function () {
-  test("works", async function () {
+  test("works: marks the company and its jobs deleted", async function () {
     await Company.remove("c1");
     const res = await db.query(
-        "SELECT handle FROM companies WHERE handle='c1'");
-    expect(res.rows.length).toEqual(0);
+        "SELECT deleted_at FROM companies WHERE handle='c1'");
+    expect(res.rows[0].deleted_at).toEqual(expect.any(Date));
+    const jobs = await db.query(
+        "SELECT id FROM jobs WHERE company_handle='c1' AND deleted_at IS NULL");
+    expect(jobs.rows).toEqual([]);
+
+    const { companies } = await Company.findAll();
+    expect(companies.map(c => c.handle)).toEqual(["c2", "c3"]);
+    const all = await Company.findAll({}, { includeDeleted: true });
+    expect(all.companies.map(c => c.handle)).toEqual(["c1", "c2", "c3"]);
+
+    const { events } = await AuditEvent.findAll({ targetType: "company" });
+    expect(events[0]).toEqual(expect.objectContaining({
+      action: "company.remove",
+      before: expect.objectContaining({ handle: "c1", name: "C1" }),
+      after: null,
+    }));
   });
 
   test("not found if no such company", async function () {
@@ -306,4 +380,88 @@ describe("remove", function () {
       expect(err instanceof NotFoundError).toBeTruthy();
     }
   });
+
+  test("not found if already deleted", async function () {
+    await Company.remove("c1");
+    await expect(Company.remove("c1")).rejects.toBeInstanceOf(NotFoundError);
+  });
+});
+
+/************************************** restore */
+
+describe("restore", function () {
+  test("works: brings back the jobs deleted with it", async function () {
+    // deleted earlier, on its own, so it stays deleted
+    await db.query(
+        `UPDATE jobs SET deleted_at = NOW() - INTERVAL '1 day' WHERE id = 2`);
+    await Company.remove("c1");
+
+    const company = await Company.restore("c1");
+    expect(company).toEqual({
+      handle: "c1",
+      name: "C1",
+      description: "Desc1",
+      numEmployees: 1,
+      logoUrl: "http://c1.img",
+    });
+    const jobs = await db.query(
+        `SELECT id FROM jobs
+         WHERE company_handle='c1' AND deleted_at IS NULL`);
+    expect(jobs.rows).toEqual([{ id: 1 }]);
+
+    const { events } = await AuditEvent.findAll({ targetId: "c1" });
+    expect(events.map(e => e.action))
+        .toEqual(["company.restore", "company.remove"]);
+  });
+
+  test("not found if not deleted", async function () {
+    await expect(Company.restore("c1")).rejects.toBeInstanceOf(NotFoundError);
+  });
+});
+
+/************************************** purge */
+
+describe("purge", function () {
+  test("works: only companies deleted long enough ago", async function () {
+    await db.query(
+        `UPDATE companies SET deleted_at = NOW() - INTERVAL '31 days'
+         WHERE handle = 'c1'`);
+    await db.query(
+        `UPDATE companies SET deleted_at = NOW() - INTERVAL '29 days'
+         WHERE handle = 'c2'`);
+
+    expect(await Company.purge(30)).toEqual(["c1"]);
+    const res = await db.query("SELECT handle FROM companies ORDER BY handle");
+    expect(res.rows.map(r => r.handle)).toEqual(["c2", "c3"]);
+    const jobs = await db.query(
+        "SELECT id FROM jobs WHERE company_handle = 'c1'");
+    expect(jobs.rows).toEqual([]);
+
+    const { events } = await AuditEvent.findAll({ targetId: "c1" });
+    expect(events.map(e => e.action)).toEqual(["company.purge"]);
+  });
+
+  test("removes the stored resume files", async function () {
+    const files = new Map();
+    setStorage({
+      put: async (key, data) => files.set(key, data),
+      get: async key => files.get(key) || null,
+      remove: async key => files.delete(key),
+    });
+    try {
+      await Resume.save("u1", 1, {
+        originalname: "cv.pdf",
+        mimetype: "application/pdf",
+        size: 8,
+        buffer: Buffer.from("%PDF-1.7"),
+      });
+      await db.query(
+          `UPDATE companies SET deleted_at = NOW() - INTERVAL '31 days'
+           WHERE handle = 'c1'`);
+      await Company.purge(30);
+      expect(files.size).toEqual(0);
+    } finally {
+      setStorage();
+    }
+  });
 });
@@ -0,0 +1,130 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const AuditEvent = require("./auditEvent");
+
+/** Related functions for company members.
+ *
+ * Members are the users who work for a company. A recruiter's permissions
+ * only reach the jobs and applications of companies they are a member of.
+ */
+
+class CompanyMember {
+  /** Given a company handle, return its members.
+   *
+   * Returns [{ username, firstName, lastName, email, addedAt }, ...]
+   *
+   * Throws NotFoundError if the company doesn't exist.
+   **/
+
+  static async findAll(handle) {
+    await CompanyMember.checkExists(handle);
+
+    const result = await db.query(
+          `SELECT u.username,
+                  u.first_name AS "firstName",
+                  u.last_name AS "lastName",
+                  u.email,
+                  m.added_at AS "addedAt"
+           FROM company_members m
+           JOIN users u ON u.username = m.username
+           WHERE m.company_handle = $1 AND u.deleted_at IS NULL
+           ORDER BY u.username`,
+        [handle]);
+    return result.rows;
+  }
+
+  /** Make username a member of the company; does nothing if they already are.
+   *
+   * Returns { companyHandle, username }
+   *
+   * Throws NotFoundError if the company or the user doesn't exist.
+   **/
+
+  static async add(handle, username) {
+    await CompanyMember.checkExists(handle, username);
+
+    await db.withTransaction(async function () {
+      const result = await db.query(
+            `INSERT INTO company_members (company_handle, username)
+             VALUES ($1, $2)
+             ON CONFLICT DO NOTHING
+             RETURNING username`,
+          [handle, username]);
+
+      if (result.rows[0]) {
+        await AuditEvent.record({
+          action: "company.member_add",
+          targetType: "company",
+          targetId: handle,
+          after: { username },
+        });
+      }
+    });
+
+    return { companyHandle: handle, username };
+  }
+
+  /** Remove username from the company.
+   *
+   * Throws NotFoundError if they aren't a member.
+   **/
+
+  static async remove(handle, username) {
+    await db.withTransaction(async function () {
+      const result = await db.query(
+            `DELETE
+             FROM company_members
+             WHERE company_handle = $1 AND username = $2
+             RETURNING username`,
+          [handle, username]);
+
+      if (!result.rows[0]) {
+        throw new NotFoundError(`${username} is not a member of ${handle}`);
+      }
+
+      await AuditEvent.record({
+        action: "company.member_remove",
+        targetType: "company",
+        targetId: handle,
+        before: { username },
+      });
+    });
+  }
+
+  /** Return true if username is a member of the company. */
+
+  static async isMember(handle, username) {
+    const result = await db.query(
+          `SELECT username
+           FROM company_members
+           WHERE company_handle = $1 AND username = $2`,
+        [handle, username]);
+    return result.rows.length > 0;
+  }
+
+  /** Throw NotFoundError unless the company (and username, if given) exist
+   * and aren't deleted. */
+
+  static async checkExists(handle, username) {
+    const result = await db.query(
+          `SELECT EXISTS (SELECT 1
+                          FROM companies
+                          WHERE handle = $1 AND deleted_at IS NULL)
+                    AS "company",
+                  EXISTS (SELECT 1
+                          FROM users
+                          WHERE username = $2 AND deleted_at IS NULL)
+                    AS "user"`,
+        [handle, username || null]);
+
+    const found = result.rows[0];
+
+    if (!found.company) throw new NotFoundError(`No company: ${handle}`);
+    if (username && !found.user) throw new NotFoundError(`No user: ${username}`);
+  }
+}
+
+
+module.exports = CompanyMember;
@@ -0,0 +1,106 @@
+"use strict";
+
+const { NotFoundError } = require("../expressError");
+const CompanyMember = require("./companyMember.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    const members = await CompanyMember.findAll("c1");
+    expect(members).toEqual([
+      {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "u1@email.com",
+        addedAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("works: no members", async function () {
+    expect(await CompanyMember.findAll("c2")).toEqual([]);
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await CompanyMember.findAll("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** add */
+
+describe("add", function () {
+  test("works", async function () {
+    const member = await CompanyMember.add("c2", "u2");
+    expect(member).toEqual({ companyHandle: "c2", username: "u2" });
+    expect(await CompanyMember.isMember("c2", "u2")).toEqual(true);
+  });
+
+  test("works: already a member", async function () {
+    await CompanyMember.add("c1", "u1");
+    expect((await CompanyMember.findAll("c1")).length).toEqual(1);
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await CompanyMember.add("nope", "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await CompanyMember.add("c1", "nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    await CompanyMember.remove("c1", "u1");
+    expect(await CompanyMember.isMember("c1", "u1")).toEqual(false);
+  });
+
+  test("not found if not a member", async function () {
+    try {
+      await CompanyMember.remove("c1", "u2");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** isMember */
+
+describe("isMember", function () {
+  test("works", async function () {
+    expect(await CompanyMember.isMember("c1", "u1")).toEqual(true);
+    expect(await CompanyMember.isMember("c1", "u2")).toEqual(false);
+    expect(await CompanyMember.isMember("c2", "u1")).toEqual(false);
+  });
+});
@@ -0,0 +1,119 @@
+"use strict";
+
+const db = require("../db");
+const AuditEvent = require("./auditEvent");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const {
+  createEmailVerificationToken,
+  readEmailVerificationToken,
+} = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mail");
+const { EMAIL_VERIFICATION_TTL_HOURS, FRONTEND_URL } = require("../config");
+
+/** Related functions for verifying users' email addresses.
+ *
+ * New users are mailed a link with a signed token for their address (see
+ * helpers/tokens). Following it marks the address verified; until then
+ * they can log in but not apply to jobs. Changing the address makes it
+ * unverified again.
+ *
+ * Nothing is stored for a token: it carries the address it's for, and
+ * that address's email_version (bumped by every change), and expires by
+ * itself.
+ */
+
+class EmailVerification {
+  /** Mail username a link to verify their email address.
+   *
+   * Returns true if it was sent, or false if the address is already
+   * verified.
+   *
+   * Throws NotFoundError if there's no such user.
+   **/
+
+  static async send(username) {
+    const result = await db.query(
+          `SELECT username,
+                  email,
+                  email_version AS "emailVersion",
+                  email_verified_at IS NOT NULL AS "emailVerified"
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [username]);
+
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+    if (user.emailVerified) return false;
+
+    const token = createEmailVerificationToken(user);
+
+    await sendMail({
+      to: user.email,
+      subject: "Verify your Jobly email address",
+      text: `Welcome to Jobly, ${user.username}!\n\n`
+          + `To verify your email address, visit:\n`
+          + `${FRONTEND_URL}/verify-email?token=${token}\n\n`
+          + `This link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours. `
+          + `If you didn't sign up, you can ignore this email.`,
+    });
+
+    return true;
+  }
+
+  /** Mark an email address verified, with the token from a link made by
+   * send. Verifying an address twice is fine.
+   *
+   * Returns { username }
+   *
+   * Throws BadRequestError if the token is invalid or expired, or the
+   * user's address has changed since it was sent (even if it has since
+   * changed back).
+   **/
+
+  static async confirm(token) {
+    const claims = readEmailVerificationToken(token);
+
+    if (!claims) {
+      throw new BadRequestError("Invalid or expired verification token");
+    }
+
+    return db.withTransaction(async () => {
+      const result = await db.query(
+            `UPDATE users
+             SET email_verified_at = COALESCE(users.email_verified_at, NOW())
+             FROM (SELECT email_verified_at
+                   FROM users
+                   WHERE username = $1
+                   FOR UPDATE) AS old
+             WHERE username = $1 AND email = $2 AND email_version = $3
+             RETURNING username,
+                       old.email_verified_at AS "wasVerifiedAt",
+                       users.email_verified_at AS "emailVerifiedAt"`,
+          [claims.username, claims.email, claims.emailVersion]);
+
+      const user = result.rows[0];
+
+      if (!user) {
+        throw new BadRequestError("Invalid or expired verification token");
+      }
+
+      // verifying again changes nothing, so isn't worth an event
+      if (!user.wasVerifiedAt) {
+        await AuditEvent.record({
+          action: "user.email_verify",
+          targetType: "user",
+          targetId: user.username,
+          before: { email: claims.email, emailVerifiedAt: null },
+          after: { email: claims.email, emailVerifiedAt: user.emailVerifiedAt },
+          actor: user.username,
+        });
+      }
+
+      return { username: user.username };
+    });
+  }
+}
+
+
+module.exports = EmailVerification;
@@ -0,0 +1,143 @@
+"use strict";
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const db = require("../db.js");
+const EmailVerification = require("./emailVerification.js");
+const User = require("./user.js");
+const AuditEvent = require("./auditEvent.js");
+const { createEmailVerificationToken } = require("../helpers/tokens");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Pull the verification token out of the most recent mail to `to`. */
+
+async function mailedToken(to) {
+  const result = await db.query(
+        `SELECT body FROM mail_outbox
+         WHERE to_address = $1
+         ORDER BY id DESC
+         LIMIT 1`,
+      [to]);
+  return /token=([\w.-]+)/.exec(result.rows[0].body)[1];
+}
+
+async function unverify(username) {
+  await db.query(
+      "UPDATE users SET email_verified_at = NULL WHERE username = $1",
+      [username]);
+}
+
+/************************************** send */
+
+describe("send", function () {
+  test("works", async function () {
+    await unverify("u1");
+    expect(await EmailVerification.send("u1")).toEqual(true);
+
+    const mail = await db.query(
+        "SELECT to_address, subject FROM mail_outbox");
+    expect(mail.rows).toEqual([
+      { to_address: "u1@email.com", subject: "Verify your Jobly email address" },
+    ]);
+    expect(await mailedToken("u1@email.com")).toEqual(expect.any(String));
+  });
+
+  test("does nothing if already verified", async function () {
+    expect(await EmailVerification.send("u1")).toEqual(false);
+    const mail = await db.query("SELECT * FROM mail_outbox");
+    expect(mail.rows).toEqual([]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await EmailVerification.send("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works", async function () {
+    await unverify("u1");
+    await EmailVerification.send("u1");
+    const token = await mailedToken("u1@email.com");
+
+    expect(await EmailVerification.confirm(token)).toEqual({ username: "u1" });
+    expect((await User.get("u1")).emailVerified).toEqual(true);
+
+    // following the link again is harmless
+    expect(await EmailVerification.confirm(token)).toEqual({ username: "u1" });
+
+    const { events } = await AuditEvent.findAll({ targetId: "u1" });
+    expect(events).toEqual([expect.objectContaining({
+      actor: "u1",
+      action: "user.email_verify",
+      before: { emailVerifiedAt: null },
+      after: { emailVerifiedAt: expect.any(String) },
+    })]);
+  });
+
+  test("bad request with invalid token", async function () {
+    try {
+      await EmailVerification.confirm("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if the email changed since", async function () {
+    await unverify("u1");
+    await EmailVerification.send("u1");
+    const token = await mailedToken("u1@email.com");
+    await User.update("u1", { email: "new@email.com" });
+
+    try {
+      await EmailVerification.confirm(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+    expect((await User.get("u1")).emailVerified).toEqual(false);
+  });
+
+  test("bad request if the email changed and changed back", async function () {
+    await unverify("u1");
+    await EmailVerification.send("u1");
+    const token = await mailedToken("u1@email.com");
+    await User.update("u1", { email: "new@email.com" });
+    await User.update("u1", { email: "u1@email.com" });
+
+    try {
+      await EmailVerification.confirm(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+    expect((await User.get("u1")).emailVerified).toEqual(false);
+  });
+
+  test("bad request for a user that's gone", async function () {
+    const token = createEmailVerificationToken(
+        { username: "nope", email: "nope@email.com" });
+    try {
+      await EmailVerification.confirm(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
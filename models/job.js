@@ -1,89 +1,199 @@
 "use strict";
 
 const db = require("../db");
-const { BadRequestError, NotFoundError } = require("../expressError");
+const {
+    BadRequestError,
+    NotFoundError,
+    ConflictError,
+} = require("../expressError");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const { paginate } = require("../helpers/pagination");
+const AuditEvent = require("./auditEvent");
+const Resume = require("./resume");
+
+// a published job counts as closed once its expires_at has passed
+const STATUS_SQL = `CASE
+                      WHEN status = 'published' AND expires_at <= NOW()
+                      THEN 'closed'
+                      ELSE status
+                    END`
+
+const JOB_COLUMNS = `id,
+                     title,
+                     salary,
+                     equity,
+                     company_handle AS "companyHandle",
+                     ${STATUS_SQL} AS "status",
+                     expires_at AS "expiresAt"`
+
+// what each lifecycle action can move a job from, and what it moves it to
+const STATUS_ACTIONS = {
+    publish: { from: [ "draft" ], to: "published" },
+    close: { from: [ "published" ], to: "closed" },
+    reopen: { from: [ "closed" ], to: "published" },
+}
+
+// sortable fields and the SQL they sort on; nulls sort as -1 so keyset
+// comparisons never see a NULL
+const SORT_COLUMNS = {
+    id: "id",
+    title: "title",
+    salary: "COALESCE(salary, -1)",
+    equity: "COALESCE(equity, -1)",
+    companyHandle: "company_handle",
+}
 
+// Returns { sql, values } limiting a query to the jobs viewer (the logged in
+// user's token payload, or undefined) may see; $i is the first free
+// placeholder. Everyone sees published jobs, admins see every job, and
+// recruiters also see every job of the companies they are members of.
+
+function visibleTo( viewer, i ) {
+    if( viewer && viewer.isAdmin ) return { sql: null, values: [] }
+
+    if( viewer && (viewer.permissions || []).includes("jobs:write") ) {
+        return {
+            sql: `(${STATUS_SQL} = 'published'
+                   or company_handle in (select company_handle
+                                         from company_members
+                                         where username = $${i}))`,
+            values: [ viewer.username ],
+        }
+    }
+
+    return { sql: `${STATUS_SQL} = 'published'`, values: [] }
+}
 
-/** Related functions for jobs. */
+
+// the columns to select: with includeDeleted, deletedAt too, so deleted
+// jobs can be told apart
+
+function columnsFor({ includeDeleted = false } = {}) {
+    return includeDeleted
+        ? `${JOB_COLUMNS}, deleted_at AS "deletedAt"`
+        : JOB_COLUMNS
+}
+
+
+/** Related functions for jobs.
+ *
+ * Jobs are soft deleted (see remove): finders leave deleted ones out
+ * unless asked for them with { includeDeleted: true }.
+ */
 
 class Job {
 
     /** Create a job (from data), update db, return new job data.
    *
-   * data should be { title, salary, equity, companyHandle }
+   * data should be { title, salary, equity, companyHandle } and can also
+   * have status ("draft" or the default, "published") and expiresAt.
    *
-   * Returns { id, title, salary, equity, companyHandle }
+   * Returns { id, title, salary, equity, companyHandle, status, expiresAt }
    *
-   * Throws BadRequestError if company already in database.
+   * Throws NotFoundError if the company doesn't exist or is deleted, and
+   * BadRequestError if expiresAt isn't in the future.
    * */
-    static async create({ title, salary, equity, companyHandle }) {
-
-        let job = await db.query(
-            `insert into jobs
-            (title, salary, equity, company_handle)
-            values ($1,$2,$3,$4)
-            returning 
-            id, title, salary, equity, company_handle as "companyHandle"`,
-            [title, salary, equity, companyHandle]
-        )
+    static async create({
+        title,
+        salary,
+        equity,
+        companyHandle,
+        status = "published",
+        expiresAt = null,
+    }) {
+
+        if( expiresAt && new Date(expiresAt) <= new Date() ) {
+            throw new BadRequestError( "expiresAt must be in the future" )
+        }
 
-        return job.rows[0]
+        return db.withTransaction( async () => {
+            const company = await db.query(
+                `select handle
+                from companies
+                where handle = $1 and deleted_at is null
+                for share`,
+                [companyHandle]
+            )
+            if( !company.rows[0] ) {
+                throw new NotFoundError(`No company: ${companyHandle}`)
+            }
+
+            let result = await db.query(
+                `insert into jobs
+                (title, salary, equity, company_handle, status, expires_at)
+                values ($1,$2,$3,$4,$5,$6)
+                returning ${JOB_COLUMNS}`,
+                [title, salary, equity, companyHandle, status, expiresAt]
+            )
+            const job = result.rows[0]
+
+            await AuditEvent.record({
+                action: "job.create",
+                targetType: "job",
+                targetId: job.id,
+                after: job,
+            })
+
+            return job
+        })
     }
 
-    /** Find all jobs.
+    /** Find all jobs, one page at a time.
+    *
+    * sortBy is one of id, title, salary, equity or companyHandle; ties are
+    * broken by id so pages are stable. page is { limit, cursor } as returned
+    * by parsePage. Only the jobs viewer (the logged in user, if any) may see
+    * are included: see visibleTo. Deleted jobs are left out, unless
+    * includeDeleted.
     *
-    * Returns [{ id, title, salary, equity, companyHandle }, ...]
+    * Returns { jobs: [{ id, title, salary, equity, companyHandle, status,
+    *                    expiresAt }, ...], meta }
     * */
-    static async findAll( sortBy = 'title', ascending = true ) {
-
-        if( ![
-            "id", 
-            "title", 
-            "salary", 
-            "equity", 
-            "companyHandle"].includes(sortBy)
-        ) {
+    static async findAll(
+        sortBy = 'title',
+        ascending = true,
+        page = {},
+        viewer,
+        { includeDeleted = false } = {}
+    ) {
+
+        if( !Object.keys(SORT_COLUMNS).includes(sortBy) ) {
             throw new BadRequestError( "Unknown sorting system" )
         }
 
-        const sqlSearchLine = 
-            `select 
-                id, 
-                title, 
-                salary, 
-                equity, 
-                company_handle as "companyHandle"
-            from jobs
-            order by 
-                ${ (sortBy == "companyHandle") ? "company_handle" : sortBy } 
-                ${ ascending ? "asc" : "desc" }`
-    
-        let jobs = await db.query( sqlSearchLine )
+        const visible = visibleTo( viewer, 1 )
+        const where = visible.sql ? [ visible.sql ] : []
+        if( !includeDeleted ) where.push( "deleted_at is null" )
+
+        const { rows, meta } = await paginate(db, {
+            columns: columnsFor({ includeDeleted }),
+            from: "jobs",
+            where,
+            values: visible.values,
+            orderBy: sortBy == "id" ? ["id"] : [SORT_COLUMNS[sortBy], "id"],
+            ascending,
+            page,
+        })
 
-        return jobs.rows
+        return { jobs: rows, meta }
 
     }
 
     /** Given a job id, return data about job.
      *
-     * Returns { id, title, salary, equity, companyHandle }
+     * Returns { id, title, salary, equity, companyHandle, status, expiresAt }
      *
      * Throws NotFoundError if not found.
      **/
 
-    static async get(id) {
+    static async get(id, { includeDeleted = false } = {}) {
 
         const results = await db.query(
-            `select 
-                id, 
-                title, 
-                salary, 
-                equity, 
-                company_handle as "companyHandle"
+            `select ${columnsFor({ includeDeleted })}
             from jobs
-            where id = $1`,
-            [id]
+            where id = $1
+              and ($2 or deleted_at is null)`,
+            [id, includeDeleted]
         )
 
         const job = results.rows[0]
@@ -95,10 +205,18 @@ class Job {
     
     // Search for a list of jobs where the given filters are met takes in an 
     // object with parameters.  Looks for title (will find case-insensitive, partial 
-    // matches), minSalary, hasEquity 
-    // Returns [{ id, title, salary, equity, companyHandle }, ...]
-
-    static async find( { title, minSalary, hasEquity = 0, companyHandle } ) {
+    // matches), minSalary, hasEquity, companyHandle and status
+    // Results are ordered by id, paged and limited to what viewer may see
+    // like findAll, which takes the same options.
+    // Returns { jobs: [{ id, title, salary, equity, companyHandle, status,
+    //                    expiresAt }, ...], meta }
+
+    static async find(
+        { title, minSalary, hasEquity = 0, companyHandle, status },
+        page = {},
+        viewer,
+        { includeDeleted = false } = {}
+    ) {
 
         let sqlComponents = []  // this is used to agregate all the SQL components
         let sqlInputs = [] // this is used to agregate all the inputs
@@ -119,20 +237,30 @@ class Job {
             sqlComponents.push( `company_handle = $${ i++ }` )
             sqlInputs.push(companyHandle)
         }
+        if( status ) {
+            sqlComponents.push( `${STATUS_SQL} = $${ i++ }` )
+            sqlInputs.push(status)
+        }
 
-        const sqlSearchLine = 
-            `select 
-                id,
-                title,
-                salary,
-                equity,
-                company_handle as "companyHandle"
-            from jobs
-            where ${ sqlComponents.join(' and ') }`
+        const visible = visibleTo( viewer, i )
+        if( visible.sql ) {
+            sqlComponents.push( visible.sql )
+            sqlInputs.push( ...visible.values )
+        }
+        if( !includeDeleted ) {
+            sqlComponents.push( "deleted_at is null" )
+        }
 
-        let jobs = await db.query( sqlSearchLine, sqlInputs )
+        const { rows, meta } = await paginate(db, {
+            columns: columnsFor({ includeDeleted }),
+            from: "jobs",
+            where: sqlComponents,
+            values: sqlInputs,
+            orderBy: ["id"],
+            page,
+        })
 
-        return jobs.rows
+        return { jobs: rows, meta }
     }
 
      /** Update job data with `data`.
@@ -140,9 +268,9 @@ class Job {
      * This is a "partial update" --- it's fine if data doesn't contain all the
      * fields; this only changes provided ones.
      *
-     * Data can include: { title, salary, equity, companyHandle }
+     * Data can include: { title, salary, equity, companyHandle, expiresAt }
      *
-     * Returns { id, title, salary, equity, companyHandle }
+     * Returns { id, title, salary, equity, companyHandle, status, expiresAt }
      *
      * Throws NotFoundError if not found.
      */
@@ -151,50 +279,225 @@ class Job {
         
         const { setCols, values } = sqlForPartialUpdate(
             data,
-            { companyHandle:"company_handle" }
+            {
+                companyHandle:"company_handle",
+                expiresAt:"expires_at",
+            }
         )
 
         const sqlSearchLine = 
             `update jobs
             set ${ setCols }
             where id = $${values.length + 1}
-            returning
-                id,
-                title,
-                equity,
-                salary,
-                company_handle as "companyHandle"`
+            returning ${JOB_COLUMNS}`
+
+        return db.withTransaction( async () => {
+            const before = await db.query(
+                `select ${JOB_COLUMNS}
+                from jobs
+                where id = $1 and deleted_at is null
+                for update`,
+                [id]
+            )
+            if (!before.rows[0]) throw new NotFoundError(`No job: ${id}`)
+
+            const result = await db.query(sqlSearchLine, [...values, id])
+            const job = result.rows[0]
+
+            await AuditEvent.record({
+                action: "job.update",
+                targetType: "job",
+                targetId: id,
+                before: before.rows[0],
+                after: job,
+            })
+
+            return job
+        })
+    }
 
-        const result = await db.query(sqlSearchLine, [...values, id])
+    /** Move a job along its lifecycle. action is one of:
+     * - publish: draft => published
+     * - close: published => closed
+     * - reopen: closed (by hand or by expiring) => published
+     *
+     * expiresAt, if given, becomes the job's new expiry. Otherwise publishing
+     * keeps the job's expiresAt and reopening clears it.
+     *
+     * Returns { id, title, salary, equity, companyHandle, status, expiresAt }
+     *
+     * Throws NotFoundError if not found, ConflictError if the job's
+     * status doesn't allow action (or someone else changed it meanwhile),
+     * and BadRequestError if the job would expire as soon as it was
+     * published.
+     **/
 
-        const job = result.rows[0]
+    static async changeStatus( id, action, expiresAt ) {
 
-        if (!job) throw new NotFoundError(`No job: ${id}`)
+        const move = STATUS_ACTIONS[action]
+        if( !move ) throw new BadRequestError( `Unknown action: ${action}` )
 
-        return job
+        const job = await Job.get(id)
+
+        if( !move.from.includes(job.status) ) {
+            throw new ConflictError(
+                `Can't ${action} a ${job.status} job`,
+                "invalid_transition"
+            )
+        }
 
+        if( expiresAt === undefined ) {
+            expiresAt = action == "publish" ? job.expiresAt : null
+        }
+
+        if( move.to == "published" && expiresAt && new Date(expiresAt) <= new Date() ) {
+            throw new BadRequestError( "expiresAt must be in the future" )
+        }
+
+        return db.withTransaction( async () => {
+            // only update if nobody else moved it in the meantime
+            const result = await db.query(
+                `update jobs
+                set status = $1, expires_at = $2
+                where id = $3 and ${STATUS_SQL} = $4 and deleted_at is null
+                returning ${JOB_COLUMNS}`,
+                [ move.to, expiresAt, id, job.status ]
+            )
+
+            if( !result.rows[0] ) {
+                throw new ConflictError(
+                    `Job ${id} changed, try again`,
+                    "edit_conflict"
+                )
+            }
+
+            await AuditEvent.record({
+                action: `job.${action}`,
+                targetType: "job",
+                targetId: id,
+                before: job,
+                after: result.rows[0],
+            })
+
+            return result.rows[0]
+        })
     }
 
-    /** Delete given job from database; returns undefined.
+    /** Delete given job; returns undefined.
+     *
+     * It's only marked deleted, and can be brought back with restore until
+     * it's purged.
      *
-     * Throws NotFoundError if company not found.
+     * Throws NotFoundError if job not found.
      **/
 
     static async remove(id) {
-        const result = await db.query(
-            `DELETE
-             FROM jobs
-             WHERE id = $1
-             RETURNING id`,
-            [id]
-        );
-
-        const job = result.rows[0];
-    
-        if (!job) throw new NotFoundError(`No job: ${id}`);
+        return db.withTransaction( async () => {
+            const result = await db.query(
+                `update jobs
+                set deleted_at = now()
+                where id = $1 and deleted_at is null
+                returning ${JOB_COLUMNS}`,
+                [id]
+            );
+
+            const job = result.rows[0];
+        
+            if (!job) throw new NotFoundError(`No job: ${id}`);
+
+            await AuditEvent.record({
+                action: "job.remove",
+                targetType: "job",
+                targetId: id,
+                before: job,
+            });
+        })
+    }
+
+    /** Bring back a deleted job.
+     *
+     * Returns { id, title, salary, equity, companyHandle, status, expiresAt }
+     *
+     * Throws NotFoundError if there's no deleted job with id, and
+     * ConflictError if its company is deleted (restore that instead).
+     **/
+
+    static async restore(id) {
+        return db.withTransaction( async () => {
+            const result = await db.query(
+                `update jobs j
+                set deleted_at = null
+                from companies c
+                where j.id = $1
+                  and j.deleted_at is not null
+                  and c.handle = j.company_handle
+                returning c.deleted_at is not null as "companyDeleted"`,
+                [id]
+            )
+
+            const restored = result.rows[0]
+
+            if( !restored ) throw new NotFoundError(`No deleted job: ${id}`)
+            if( restored.companyDeleted ) {
+                throw new ConflictError(
+                    `job ID: ${id}'s company is deleted; restore it instead`,
+                    "company_deleted"
+                )
+            }
+
+            const job = await Job.get(id)
+
+            await AuditEvent.record({
+                action: "job.restore",
+                targetType: "job",
+                targetId: id,
+                after: job,
+            })
+
+            return job
+        })
+    }
+
+    /** Remove jobs deleted more than days ago for good, with their
+     * applications.
+     *
+     * Returns [id, ...]
+     **/
+
+    static async purge(days) {
+        return db.withTransaction( async () => {
+            // resume rows go with the jobs' applications, but not their files
+            const resumes = await db.query(
+                `select r.storage_key as "storageKey"
+                from application_resumes r
+                join jobs j on j.id = r.job_id
+                where j.deleted_at < now() - make_interval(days => $1)`,
+                [days]
+            )
+            await Resume.removeFiles( resumes.rows.map( r => r.storageKey ) )
+
+            const result = await db.query(
+                `delete from jobs
+                where deleted_at < now() - make_interval(days => $1)
+                returning id`,
+                [days]
+            )
+
+            for( const { id } of result.rows ) {
+                await AuditEvent.record({
+                    action: "job.purge",
+                    targetType: "job",
+                    targetId: id,
+                })
+            }
+
+            return result.rows.map( row => row.id )
+        })
     }
 }
 
 
 
+Job.STATUS_ACTIONS = STATUS_ACTIONS
+
 module.exports = Job
\ No newline at end of file
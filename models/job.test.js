@@ -2,9 +2,15 @@
 
 const {
   NotFoundError,
+  BadRequestError,
+  ConflictError,
 } = require("../expressError");
 const db = require("../db.js");
 const Job = require("./job.js");
+const AuditEvent = require("./auditEvent.js");
+const Resume = require("./resume.js");
+const { setStorage } = require("../helpers/storage");
+const { decodeCursor } = require("../helpers/pagination");
 const {
   commonBeforeAll,
   commonBeforeEach,
@@ -32,7 +38,9 @@ describe("create", function () {
 
         expect(newJob).toEqual({
             ...job,
-            id:7
+            id:7,
+            status:"published",
+            expiresAt:null
         })
         const found = await db.query(`
             SELECT * 
@@ -41,13 +49,26 @@ describe("create", function () {
         `,[job.title]);
         expect(found.rows.length).toEqual(1);
     })
+    test("bad request if it would expire straight away", async function () {
+        try {
+            await Job.create({ ...job, expiresAt:"2000-01-01T00:00:00Z" })
+            fail()
+        } catch (err) {
+            expect(err instanceof BadRequestError).toBeTruthy()
+            expect(err.message).toEqual("expiresAt must be in the future")
+        }
+        const found = await db.query(
+            `SELECT id FROM jobs WHERE title = $1`, [job.title]
+        )
+        expect(found.rows).toEqual([])
+    })
 })
 
 /************************************** findAll */
 
 describe("findAll", function () {
     test("works", async function () {
-        let allJobs = await Job.findAll()
+        let { jobs: allJobs } = await Job.findAll()
         expect(allJobs.length).toEqual(6)
         expect(allJobs).toEqual([
             {
@@ -55,47 +76,100 @@ describe("findAll", function () {
                 salary:11,
                 equity:"0",
                 id:1,
-                companyHandle:'c1'
+                companyHandle:'c1',
+                status:'published',
+                expiresAt:null
             },
             {
                 title:'j12',
                 salary:12,
                 equity:"0",
                 id:3,
-                companyHandle:'c2'
+                companyHandle:'c2',
+                status:'published',
+                expiresAt:null
             },
             {
                 title:'j13',
                 salary:13,
                 equity:"0",
                 id:5,
-                companyHandle:'c3'
+                companyHandle:'c3',
+                status:'published',
+                expiresAt:null
             },
             {
                 title:'j21',
                 salary:21,
                 equity:"0",
                 id:2,
-                companyHandle:'c1'
+                companyHandle:'c1',
+                status:'published',
+                expiresAt:null
             },
             {
                 title:'j22',
                 salary:22,
                 equity:"0",
                 id:4,
-                companyHandle:'c2'
+                companyHandle:'c2',
+                status:'published',
+                expiresAt:null
             },
             {
                 title:'j23',
                 salary:23,
                 equity:"0",
                 id:6,
-                companyHandle:'c3'
+                companyHandle:'c3',
+                status:'published',
+                expiresAt:null
             },
         ])
     })
 })
 
+describe("findAll paging", function () {
+    test("works: sorted by salary, descending", async function () {
+        const first = await Job.findAll("salary", false, { limit: 4 })
+        expect(first.jobs.map(j => j.title))
+            .toEqual(["j23", "j22", "j21", "j13"])
+        expect(first.meta).toEqual({
+            limit: 4,
+            total: 6,
+            nextCursor: expect.any(String),
+            prevCursor: null,
+        })
+
+        const second = await Job.findAll(
+            "salary", false,
+            { limit: 4, cursor: decodeCursor(first.meta.nextCursor) }
+        )
+        expect(second.jobs.map(j => j.title)).toEqual(["j12", "j11"])
+        expect(second.meta.nextCursor).toBeNull()
+        expect(second.meta.prevCursor).toEqual(expect.any(String))
+    })
+    test("works: jobs without a salary still page", async function () {
+        await db.query("update jobs set salary = null where id in (1, 2)")
+        const first = await Job.findAll("salary", true, { limit: 1 })
+        expect(first.jobs.map(j => j.id)).toEqual([1])
+
+        const second = await Job.findAll(
+            "salary", true,
+            { limit: 1, cursor: decodeCursor(first.meta.nextCursor) }
+        )
+        expect(second.jobs.map(j => j.id)).toEqual([2])
+    })
+    test("bad request on unknown sort", async function () {
+        try {
+            await Job.findAll("nope")
+            fail()
+        } catch (err) {
+            expect(err instanceof BadRequestError).toBeTruthy()
+        }
+    })
+})
+
 /************************************** get */
 
 describe("get", function () {
@@ -106,7 +180,9 @@ describe("get", function () {
             salary:23,
             equity:"0",
             id:6,
-            companyHandle:'c3'
+            companyHandle:'c3',
+            status:'published',
+            expiresAt:null
         })
     })
     test("not found if no such job", async function () {
@@ -117,13 +193,20 @@ describe("get", function () {
             expect(err instanceof NotFoundError).toBeTruthy();
         }
     })
+    test("deleted jobs only with includeDeleted", async function () {
+        await Job.remove(6)
+        await expect(Job.get(6)).rejects.toBeInstanceOf(NotFoundError)
+
+        const job = await Job.get(6, { includeDeleted: true })
+        expect(job.deletedAt).toEqual(expect.any(Date))
+    })
 })
 
 /************************************** find */
 
 describe("find", function () {
     test("works: title contains j", async function () {
-        let jobs = await Job.find({title:'j'})
+        let { jobs } = await Job.find({title:'j'})
         expect(jobs.length).toEqual(6)
         expect(jobs).toEqual([
             {
@@ -131,47 +214,59 @@ describe("find", function () {
                 salary:11,
                 equity:"0",
                 id:1,
-                companyHandle:'c1'
+                companyHandle:'c1',
+                status:'published',
+                expiresAt:null
             },
             {
                 title:'j21',
                 salary:21,
                 equity:"0",
                 id:2,
-                companyHandle:'c1'
+                companyHandle:'c1',
+                status:'published',
+                expiresAt:null
             },
             {
                 title:'j12',
                 salary:12,
                 equity:"0",
                 id:3,
-                companyHandle:'c2'
+                companyHandle:'c2',
+                status:'published',
+                expiresAt:null
             },
             {
                 title:'j22',
                 salary:22,
                 equity:"0",
                 id:4,
-                companyHandle:'c2'
+                companyHandle:'c2',
+                status:'published',
+                expiresAt:null
             },
             {
                 title:'j13',
                 salary:13,
                 equity:"0",
                 id:5,
-                companyHandle:'c3'
+                companyHandle:'c3',
+                status:'published',
+                expiresAt:null
             },
             {
                 title:'j23',
                 salary:23,
                 equity:"0",
                 id:6,
-                companyHandle:'c3'
+                companyHandle:'c3',
+                status:'published',
+                expiresAt:null
             },
         ])
     })
     test("works: title contains 1", async function () {
-        let jobs = await Job.find({title:'1'})
+        let { jobs } = await Job.find({title:'1'})
         expect(jobs.length).toEqual(4)
         expect(jobs).toEqual([
             {
@@ -179,33 +274,41 @@ describe("find", function () {
                 salary:11,
                 equity:"0",
                 id:1,
-                companyHandle:'c1'
+                companyHandle:'c1',
+                status:'published',
+                expiresAt:null
             },
             {
                 title:'j21',
                 salary:21,
                 equity:"0",
                 id:2,
-                companyHandle:'c1'
+                companyHandle:'c1',
+                status:'published',
+                expiresAt:null
             },
             {
                 title:'j12',
                 salary:12,
                 equity:"0",
                 id:3,
-                companyHandle:'c2'
+                companyHandle:'c2',
+                status:'published',
+                expiresAt:null
             },
             {
                 title:'j13',
                 salary:13,
                 equity:"0",
                 id:5,
-                companyHandle:'c3'
+                companyHandle:'c3',
+                status:'published',
+                expiresAt:null
             },
         ])
     })
     test("works: company handle is c1", async function () {
-        let jobs = await Job.find({companyHandle:"c1"})
+        let { jobs } = await Job.find({companyHandle:"c1"})
         expect(jobs.length).toEqual(2)
         expect(jobs).toEqual([
             {
@@ -213,19 +316,23 @@ describe("find", function () {
                 salary:11,
                 equity:"0",
                 id:1,
-                companyHandle:'c1'
+                companyHandle:'c1',
+                status:'published',
+                expiresAt:null
             },
             {
                 title:'j21',
                 salary:21,
                 equity:"0",
                 id:2,
-                companyHandle:'c1'
+                companyHandle:'c1',
+                status:'published',
+                expiresAt:null
             },
         ])
     })
     test("works: minimum salary is 20", async function () {
-        let jobs = await Job.find({minSalary:20})
+        let { jobs } = await Job.find({minSalary:20})
         expect(jobs.length).toEqual(3)
         expect(jobs).toEqual([
             {
@@ -233,21 +340,27 @@ describe("find", function () {
                 salary:21,
                 equity:"0",
                 id:2,
-                companyHandle:'c1'
+                companyHandle:'c1',
+                status:'published',
+                expiresAt:null
             },
             {
                 title:'j22',
                 salary:22,
                 equity:"0",
                 id:4,
-                companyHandle:'c2'
+                companyHandle:'c2',
+                status:'published',
+                expiresAt:null
             },
             {
                 title:'j23',
                 salary:23,
                 equity:"0",
                 id:6,
-                companyHandle:'c3'
+                companyHandle:'c3',
+                status:'published',
+                expiresAt:null
             },
         ])
     })
@@ -263,7 +376,9 @@ describe("update", function () {
             salary:50,
             equity:"0",
             id:1,
-            companyHandle:'c1'
+            companyHandle:'c1',
+            status:'published',
+            expiresAt:null
         })
     })
     test("not found if no such job", async function () {
@@ -276,14 +391,124 @@ describe("update", function () {
     })
 })
 
+/************************************** visibility */
+
+describe("visibility", function () {
+    beforeEach(async function () {
+        await db.query("update jobs set status = 'draft' where id in (1, 3)")
+    })
+    test("anon only sees published jobs", async function () {
+        let { jobs } = await Job.findAll("id")
+        expect(jobs.map(j => j.id)).toEqual([2, 4, 5, 6])
+    })
+    test("expired jobs count as closed", async function () {
+        await db.query(
+            "update jobs set expires_at = now() - interval '1 day' where id = 2"
+        )
+        let { jobs } = await Job.find({ status:"closed" }, {}, { isAdmin:true })
+        expect(jobs.map(j => j.id)).toEqual([2])
+        expect((await Job.get(2)).status).toEqual("closed")
+    })
+    test("admin sees every job", async function () {
+        let { jobs } = await Job.findAll("id", true, {}, { isAdmin:true })
+        expect(jobs.length).toEqual(6)
+    })
+    test("recruiter also sees their own companies' jobs", async function () {
+        const viewer = { username:"u1", permissions:["jobs:write"] }
+        let { jobs } = await Job.findAll("id", true, {}, viewer)
+        expect(jobs.map(j => j.id)).toEqual([1, 2, 4, 5, 6])
+        ;({ jobs } = await Job.find({ status:"draft" }, {}, viewer))
+        expect(jobs.map(j => j.id)).toEqual([1])
+    })
+})
+
+/************************************** changeStatus */
+
+describe("changeStatus", function () {
+    test("works: publish a draft", async function () {
+        const draft = await Job.create({
+            title:"new", companyHandle:"c1", status:"draft"
+        })
+        const job = await Job.changeStatus(draft.id, "publish")
+        expect(job.status).toEqual("published")
+    })
+    test("works: close, then reopen clearing the expiry", async function () {
+        await Job.update(1, { expiresAt:"2999-01-01T00:00:00Z" })
+        let job = await Job.changeStatus(1, "close")
+        expect(job.status).toEqual("closed")
+        job = await Job.changeStatus(1, "reopen")
+        expect(job).toEqual(expect.objectContaining({
+            status:"published",
+            expiresAt:null
+        }))
+    })
+    test("works: reopen an expired job with a new expiry", async function () {
+        await db.query(
+            "update jobs set expires_at = now() - interval '1 day' where id = 1"
+        )
+        const job = await Job.changeStatus(1, "reopen", "2999-01-01T00:00:00Z")
+        expect(job.status).toEqual("published")
+        expect(job.expiresAt).toEqual(new Date("2999-01-01T00:00:00Z"))
+    })
+    test("conflict on a move the lifecycle does not allow", async function () {
+        try {
+            await Job.changeStatus(1, "publish")
+            fail()
+        } catch (err) {
+            expect(err.status).toEqual(409)
+        }
+    })
+    test("conflict if someone else moved it meanwhile", async function () {
+        const stale = await Job.get(1)
+        await Job.changeStatus(1, "close")
+        jest.spyOn(Job, "get").mockResolvedValueOnce(stale)
+        try {
+            await Job.changeStatus(1, "close")
+            fail()
+        } catch (err) {
+            expect(err instanceof ConflictError).toBeTruthy()
+            expect(err.code).toEqual("edit_conflict")
+        }
+    })
+    test("bad request if it would expire straight away", async function () {
+        await Job.changeStatus(1, "close")
+        try {
+            await Job.changeStatus(1, "reopen", "2000-01-01T00:00:00Z")
+            fail()
+        } catch (err) {
+            expect(err instanceof BadRequestError).toBeTruthy()
+        }
+    })
+    test("not found if no such job", async function () {
+        try {
+            await Job.changeStatus(7, "close")
+            fail()
+        } catch (err) {
+            expect(err instanceof NotFoundError).toBeTruthy()
+        }
+    })
+})
+
 /************************************** remove */
 
 describe("remove", function () {
     test("works", async function () {
         await Job.remove(1);
         const res = await db.query(
-            "SELECT * FROM jobs WHERE id=1");
-        expect(res.rows.length).toEqual(0);
+            "SELECT deleted_at FROM jobs WHERE id=1");
+        expect(res.rows[0].deleted_at).toEqual(expect.any(Date));
+
+        const { jobs } = await Job.findAll('id')
+        expect(jobs.map( j => j.id )).toEqual([2, 3, 4, 5, 6])
+        const all = await Job.findAll('id', true, {}, undefined, { includeDeleted: true })
+        expect(all.jobs.map( j => j.id )).toEqual([1, 2, 3, 4, 5, 6])
+
+        const { events } = await AuditEvent.findAll({ targetType: "job" })
+        expect(events[0]).toEqual(expect.objectContaining({
+            action: "job.remove",
+            targetId: "1",
+            before: expect.objectContaining({ id: 1 }),
+        }))
       });
     test("not found if no such job", async function () {
         try {
@@ -293,4 +518,75 @@ describe("remove", function () {
             expect(err instanceof NotFoundError).toBeTruthy();
         }
     })
-})
\ No newline at end of file
+})
+
+/************************************** restore */
+
+describe("restore", function () {
+    test("works", async function () {
+        await Job.remove(1)
+        const job = await Job.restore(1)
+        expect(job).toEqual(expect.objectContaining({ id: 1, title: 'j11' }))
+        expect(job.deletedAt).toBeUndefined()
+
+        const { events } = await AuditEvent.findAll({ targetType: "job" })
+        expect(events.map( e => e.action )).toEqual(["job.restore", "job.remove"])
+    })
+    test("conflict if its company is deleted", async function () {
+        await db.query(
+            `update companies set deleted_at = now() where handle = 'c1'`)
+        await db.query(`update jobs set deleted_at = now() where id = 1`)
+        try {
+            await Job.restore(1)
+            fail()
+        } catch (err) {
+            expect(err instanceof ConflictError).toBeTruthy()
+            expect(err.code).toEqual("company_deleted")
+        }
+        const res = await db.query("SELECT deleted_at FROM jobs WHERE id=1")
+        expect(res.rows[0].deleted_at).toEqual(expect.any(Date))
+    })
+    test("not found if not deleted", async function () {
+        await expect(Job.restore(1)).rejects.toBeInstanceOf(NotFoundError)
+    })
+})
+
+/************************************** purge */
+
+describe("purge", function () {
+    test("works", async function () {
+        await db.query(
+            `update jobs set deleted_at = now() - interval '31 days' where id = 1`)
+        await db.query(
+            `update jobs set deleted_at = now() - interval '29 days' where id = 2`)
+
+        expect(await Job.purge(30)).toEqual([1])
+        const res = await db.query("SELECT id FROM jobs WHERE id IN (1, 2)")
+        expect(res.rows).toEqual([{ id: 2 }])
+        const applications = await db.query(
+            "SELECT * FROM applications WHERE job_id = 1")
+        expect(applications.rows).toEqual([])
+    })
+    test("removes the stored resume files", async function () {
+        const files = new Map()
+        setStorage({
+            put: async (key, data) => files.set(key, data),
+            get: async key => files.get(key) || null,
+            remove: async key => files.delete(key),
+        })
+        try {
+            await Resume.save("u1", 1, {
+                originalname: "cv.pdf",
+                mimetype: "application/pdf",
+                size: 8,
+                buffer: Buffer.from("%PDF-1.7"),
+            })
+            await db.query(
+                `update jobs set deleted_at = now() - interval '31 days' where id = 1`)
+            await Job.purge(30)
+            expect(files.size).toEqual(0)
+        } finally {
+            setStorage()
+        }
+    })
+})
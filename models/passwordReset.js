@@ -0,0 +1,97 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { createSecret, hashSecret } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mail");
+const { PASSWORD_RESET_TTL_MINUTES, FRONTEND_URL } = require("../config");
+const User = require("./user");
+const Session = require("./session");
+
+/** Related functions for resetting forgotten passwords.
+ *
+ * A reset token is mailed to the user and only its hash is stored; each
+ * token can be used once, and only until it expires.
+ */
+
+class PasswordReset {
+  /** Start a password reset for username.
+   *
+   * Stores a new reset token and mails the user a link containing it.
+   *
+   * Does nothing if there is no such user, so callers can't use this to
+   * find out which usernames exist.
+   **/
+
+  static async request(username) {
+    const userRes = await db.query(
+          `SELECT username, email
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [username]);
+
+    const user = userRes.rows[0];
+
+    if (!user) return;
+
+    const token = createSecret();
+
+    await db.query(
+          `INSERT INTO password_reset_tokens
+           (username, token_hash, expires_at)
+           VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+        [user.username, hashSecret(token), PASSWORD_RESET_TTL_MINUTES]);
+
+    await sendMail({
+      to: user.email,
+      subject: "Reset your Jobly password",
+      text: `Someone asked to reset the password for ${user.username}.\n\n`
+          + `To choose a new password, visit:\n`
+          + `${FRONTEND_URL}/reset-password?token=${token}\n\n`
+          + `This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. `
+          + `If you didn't ask for this, you can ignore this email.`,
+    });
+  }
+
+  /** Finish a password reset by setting a new password.
+   *
+   * Uses up the token, along with any other outstanding tokens for the
+   * same user, and logs the user out everywhere. It's all one transaction,
+   * so if the password can't be set the token can still be used.
+   *
+   * Returns { username }
+   *
+   * Throws BadRequestError if the token is unknown, used or expired.
+   **/
+
+  static async confirm(token, password) {
+    return db.withTransaction(async function () {
+      const result = await db.query(
+            `UPDATE password_reset_tokens
+             SET used_at = NOW()
+             WHERE token_hash = $1
+               AND used_at IS NULL
+               AND expires_at > NOW()
+             RETURNING username`,
+          [hashSecret(token)]);
+
+      const reset = result.rows[0];
+
+      if (!reset) throw new BadRequestError("Invalid or expired reset token");
+
+      await db.query(
+            `UPDATE password_reset_tokens
+             SET used_at = NOW()
+             WHERE username = $1 AND used_at IS NULL`,
+          [reset.username]);
+
+      await User.update(reset.username, { password });
+      await Session.revokeAllForUser(reset.username);
+
+      return { username: reset.username };
+    });
+  }
+}
+
+
+module.exports = PasswordReset;
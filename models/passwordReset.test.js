@@ -0,0 +1,139 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const PasswordReset = require("./passwordReset.js");
+const User = require("./user.js");
+const Session = require("./session.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Pull the reset token out of the most recent mail to `to`. */
+
+async function mailedToken(to) {
+  const result = await db.query(
+        `SELECT body FROM mail_outbox
+         WHERE to_address = $1
+         ORDER BY id DESC
+         LIMIT 1`,
+      [to]);
+  return /token=([\w-]+)/.exec(result.rows[0].body)[1];
+}
+
+/************************************** request */
+
+describe("request", function () {
+  test("works: mails a link and stores only a hash", async function () {
+    await PasswordReset.request("u1");
+
+    const mail = await db.query(
+        "SELECT to_address, subject FROM mail_outbox");
+    expect(mail.rows).toEqual([
+      { to_address: "u1@email.com", subject: "Reset your Jobly password" },
+    ]);
+
+    const token = await mailedToken("u1@email.com");
+    const stored = await db.query(
+        "SELECT username, token_hash, expires_at FROM password_reset_tokens");
+    expect(stored.rows).toEqual([{
+      username: "u1",
+      token_hash: expect.any(String),
+      expires_at: expect.any(Date),
+    }]);
+    expect(stored.rows[0].token_hash).not.toEqual(token);
+    expect(stored.rows[0].expires_at > new Date()).toBeTruthy();
+  });
+
+  test("does nothing for an unknown user", async function () {
+    await PasswordReset.request("nope");
+    const mail = await db.query("SELECT * FROM mail_outbox");
+    expect(mail.rows).toEqual([]);
+  });
+});
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works", async function () {
+    await PasswordReset.request("u1");
+    const token = await mailedToken("u1@email.com");
+
+    const result = await PasswordReset.confirm(token, "brand-new");
+    expect(result).toEqual({ username: "u1" });
+
+    const user = await User.authenticate("u1", "brand-new");
+    expect(user.username).toEqual("u1");
+  });
+
+  test("logs the user out everywhere", async function () {
+    const { sessionId } = await Session.create("u1");
+    await PasswordReset.request("u1");
+    const token = await mailedToken("u1@email.com");
+    await PasswordReset.confirm(token, "brand-new");
+    expect(await Session.isActive(sessionId)).toEqual(false);
+  });
+
+  test("a token only works once", async function () {
+    await PasswordReset.request("u1");
+    const token = await mailedToken("u1@email.com");
+    await PasswordReset.confirm(token, "brand-new");
+    try {
+      await PasswordReset.confirm(token, "again-new");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("using one token spends the user's others", async function () {
+    await PasswordReset.request("u1");
+    const older = await mailedToken("u1@email.com");
+    await PasswordReset.request("u1");
+    const newer = await mailedToken("u1@email.com");
+    await PasswordReset.confirm(newer, "brand-new");
+    await expect(PasswordReset.confirm(older, "again-new"))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("the token still works if the password can't be set",
+      async function () {
+        await PasswordReset.request("u1");
+        const token = await mailedToken("u1@email.com");
+
+        const update = jest.spyOn(User, "update")
+            .mockRejectedValueOnce(new Error("database went away"));
+        try {
+          await expect(PasswordReset.confirm(token, "brand-new"))
+              .rejects.toThrow("database went away");
+        } finally {
+          update.mockRestore();
+        }
+
+        await PasswordReset.confirm(token, "brand-new");
+        const user = await User.authenticate("u1", "brand-new");
+        expect(user.username).toEqual("u1");
+      });
+
+  test("bad request if expired", async function () {
+    await PasswordReset.request("u1");
+    const token = await mailedToken("u1@email.com");
+    await db.query(
+        "UPDATE password_reset_tokens SET expires_at = NOW() - INTERVAL '1 minute'");
+    await expect(PasswordReset.confirm(token, "brand-new"))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request with unknown token", async function () {
+    await expect(PasswordReset.confirm("made-up", "brand-new"))
+        .rejects.toThrow(BadRequestError);
+  });
+});
@@ -0,0 +1,172 @@
+"use strict";
+
+const crypto = require("crypto");
+const path = require("path");
+const db = require("../db");
+const { NotFoundError, BadRequestError } = require("../expressError");
+const { putFile, getFile, removeFile } = require("../helpers/storage");
+const { MAX_RESUME_BYTES } = require("../config");
+const AuditEvent = require("./auditEvent");
+
+/** The file types a resume can be, and the bytes each kind of file starts
+ * with. Checking those bytes stops a file being uploaded under a type it
+ * isn't.
+ */
+
+const RESUME_TYPES = {
+  "application/pdf": {
+    extension: ".pdf",
+    magic: Buffer.from("%PDF-"),
+  },
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": {
+    extension: ".docx",
+    magic: Buffer.from([0x50, 0x4b, 0x03, 0x04]),  // a zip archive
+  },
+};
+
+/** Related functions for the resumes attached to applications. */
+
+class Resume {
+  /** Check an uploaded file can be a resume: a PDF or DOCX of at most
+   * MAX_RESUME_BYTES.
+   *
+   * file is { originalname, mimetype, size, buffer }, as multer gives it.
+   *
+   * Throws BadRequestError if not.
+   **/
+
+  static check(file) {
+    const type = RESUME_TYPES[file.mimetype];
+
+    if (!type
+        || path.extname(file.originalname).toLowerCase() !== type.extension
+        || !file.buffer.subarray(0, type.magic.length).equals(type.magic)) {
+      throw new BadRequestError("Resume must be a PDF or DOCX file");
+    }
+
+    if (file.size > MAX_RESUME_BYTES) {
+      throw new BadRequestError(
+          `Resume must be at most ${MAX_RESUME_BYTES} bytes`);
+    }
+  }
+
+  /** Attach file as the resume for username's application to jobId,
+   * replacing any earlier one.
+   *
+   * The new file is removed again if the resume isn't saved after all, and
+   * the earlier one only once the replacement is committed.
+   *
+   * Returns { filename, contentType, size, uploadedAt }
+   *
+   * Throws BadRequestError if the file can't be a resume (see check) and
+   * NotFoundError if there is no such application.
+   **/
+
+  static async save(username, jobId, file) {
+    Resume.check(file);
+
+    return db.withTransaction(async function () {
+      const applicationRes = await db.query(
+            `SELECT a.username, r.storage_key AS "oldKey"
+             FROM applications a
+             LEFT JOIN application_resumes r
+             ON r.username = a.username AND r.job_id = a.job_id
+             WHERE a.username = $1 AND a.job_id = $2
+             FOR UPDATE OF a`,
+          [username, jobId]);
+
+      const application = applicationRes.rows[0];
+
+      if (!application) {
+        throw new NotFoundError(`No application: ${username} to job ${jobId}`);
+      }
+
+      const { extension } = RESUME_TYPES[file.mimetype];
+      const storageKey = `resumes/${crypto.randomUUID()}${extension}`;
+      await db.afterRollback(() => removeFile(storageKey));
+      await putFile(storageKey, file.buffer);
+
+      const result = await db.query(
+            `INSERT INTO application_resumes
+             (username, job_id, filename, content_type, size, storage_key)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             ON CONFLICT (username, job_id) DO UPDATE
+             SET filename = EXCLUDED.filename,
+                 content_type = EXCLUDED.content_type,
+                 size = EXCLUDED.size,
+                 storage_key = EXCLUDED.storage_key,
+                 uploaded_at = NOW()
+             RETURNING filename,
+                       content_type AS "contentType",
+                       size,
+                       uploaded_at AS "uploadedAt"`,
+          [username, jobId, file.originalname, file.mimetype, file.size,
+            storageKey]);
+
+      if (application.oldKey) {
+        await db.afterCommit(() => removeFile(application.oldKey));
+      }
+
+      await AuditEvent.record({
+        action: "application.resume_upload",
+        targetType: "application",
+        targetId: `${username}/${jobId}`,
+        after: {
+          filename: file.originalname,
+          contentType: file.mimetype,
+          size: file.size,
+        },
+      });
+
+      return result.rows[0];
+    });
+  }
+
+  /** Given a username and job id, return the resume and its contents.
+   *
+   * Returns { filename, contentType, size, uploadedAt, data }
+   *   where data is a Buffer
+   *
+   * Throws NotFoundError if the application has no resume.
+   **/
+
+  static async get(username, jobId) {
+    const result = await db.query(
+          `SELECT filename,
+                  content_type AS "contentType",
+                  size,
+                  uploaded_at AS "uploadedAt",
+                  storage_key AS "storageKey"
+           FROM application_resumes
+           WHERE username = $1 AND job_id = $2`,
+        [username, jobId]);
+
+    const resume = result.rows[0];
+
+    if (!resume) {
+      throw new NotFoundError(`No resume: ${username} to job ${jobId}`);
+    }
+
+    const { storageKey, ...info } = resume;
+    const data = await getFile(storageKey);
+
+    if (!data) throw new NotFoundError(`Resume file is missing: ${storageKey}`);
+
+    return { ...info, data };
+  }
+
+  /** Remove the files stored under storageKeys once the current
+   * transaction commits: for resumes whose rows go when their applications
+   * are deleted.
+   **/
+
+  static async removeFiles(storageKeys) {
+    for (const storageKey of storageKeys) {
+      await db.afterCommit(() => removeFile(storageKey));
+    }
+  }
+}
+
+
+
+module.exports = Resume;
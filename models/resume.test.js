@@ -0,0 +1,179 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { NotFoundError, BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const Resume = require("./resume.js");
+const Application = require("./application.js");
+const AuditEvent = require("./auditEvent.js");
+const { directoryStorage, setStorage } = require("../helpers/storage");
+const { MAX_RESUME_BYTES } = require("../config");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+let dir;
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+beforeEach(function () {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-resumes-"));
+  setStorage(directoryStorage(dir));
+});
+afterEach(commonAfterEach);
+afterEach(function () {
+  setStorage();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+afterAll(commonAfterAll);
+
+const PDF = "application/pdf";
+const DOCX =
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+function makeFile(originalname, mimetype, contents) {
+  const buffer = Buffer.from(contents);
+  return { originalname, mimetype, size: buffer.length, buffer };
+}
+
+const pdf = makeFile("cv.pdf", PDF, "%PDF-1.7 resume");
+
+/************************************** check */
+
+describe("check", function () {
+  test("works: pdf and docx", function () {
+    Resume.check(pdf);
+    Resume.check(makeFile("cv.DOCX", DOCX, "PK\x03\x04rest of the zip"));
+  });
+
+  test("bad request for other types", function () {
+    expect(() => Resume.check(makeFile("cv.txt", "text/plain", "hi")))
+        .toThrow(BadRequestError);
+  });
+
+  test("bad request if contents don't match the type", function () {
+    expect(() => Resume.check(makeFile("cv.pdf", PDF, "<html>")))
+        .toThrow(BadRequestError);
+  });
+
+  test("bad request if extension doesn't match the type", function () {
+    expect(() => Resume.check(makeFile("cv.exe", PDF, "%PDF-1.7")))
+        .toThrow(BadRequestError);
+  });
+
+  test("bad request if too big", function () {
+    expect(() => Resume.check({ ...pdf, size: MAX_RESUME_BYTES + 1 }))
+        .toThrow(BadRequestError);
+  });
+});
+
+/************************************** save */
+
+describe("save", function () {
+  test("works", async function () {
+    const resume = await Resume.save("u1", 1, pdf);
+    expect(resume).toEqual({
+      filename: "cv.pdf",
+      contentType: PDF,
+      size: pdf.size,
+      uploadedAt: expect.any(Date),
+    });
+    expect(fs.readdirSync(path.join(dir, "resumes")).length).toEqual(1);
+
+    const { events } = await AuditEvent.findAll({ targetId: "u1/1" });
+    expect(events).toEqual([expect.objectContaining({
+      action: "application.resume_upload",
+      targetType: "application",
+      after: { filename: "cv.pdf", contentType: PDF, size: pdf.size },
+    })]);
+  });
+
+  test("works: replaces an earlier resume and its file", async function () {
+    await Resume.save("u1", 1, pdf);
+    await Resume.save("u1", 1, makeFile("new.pdf", PDF, "%PDF-1.7 newer"));
+
+    const resume = await Resume.get("u1", 1);
+    expect(resume.filename).toEqual("new.pdf");
+    expect(resume.data.toString()).toEqual("%PDF-1.7 newer");
+    expect(fs.readdirSync(path.join(dir, "resumes")).length).toEqual(1);
+  });
+
+  test("keeps the earlier file if the replacement rolls back",
+      async function () {
+        await Resume.save("u1", 1, pdf);
+        await expect(db.withTransaction(async function () {
+          await Resume.save("u1", 1, makeFile("new.pdf", PDF, "%PDF-1.7 new"));
+          throw new Error("nope");
+        })).rejects.toThrow("nope");
+
+        const resume = await Resume.get("u1", 1);
+        expect(resume.data).toEqual(pdf.buffer);
+        expect(fs.readdirSync(path.join(dir, "resumes")).length).toEqual(1);
+      });
+
+  test("not found if no such application", async function () {
+    try {
+      await Resume.save("u2", 1, pdf);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    await Resume.save("u1", 1, pdf);
+    const resume = await Resume.get("u1", 1);
+    expect(resume).toEqual({
+      filename: "cv.pdf",
+      contentType: PDF,
+      size: pdf.size,
+      uploadedAt: expect.any(Date),
+      data: pdf.buffer,
+    });
+  });
+
+  test("not found if no resume", async function () {
+    try {
+      await Resume.get("u1", 1);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("application shows the resume", async function () {
+    await Resume.save("u1", 1, pdf);
+    const application = await Application.get("u1", 1);
+    expect(application.resume).toEqual({
+      filename: "cv.pdf",
+      contentType: PDF,
+      size: pdf.size,
+      uploadedAt: expect.any(Date),
+    });
+  });
+});
+
+/************************************** removeFiles */
+
+describe("removeFiles", function () {
+  test("removes the files once the transaction commits", async function () {
+    await Resume.save("u1", 1, pdf);
+    const files = fs.readdirSync(path.join(dir, "resumes"));
+
+    await db.withTransaction(async function () {
+      await Resume.removeFiles(files.map(file => `resumes/${file}`));
+      expect(fs.readdirSync(path.join(dir, "resumes"))).toEqual(files);
+    });
+    expect(fs.readdirSync(path.join(dir, "resumes"))).toEqual([]);
+  });
+});
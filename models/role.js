@@ -0,0 +1,134 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const AuditEvent = require("./auditEvent");
+
+/** Related functions for roles and their permissions.
+ *
+ * Users can have any number of roles. Each role grants permissions such
+ * as "jobs:write"; the admin role needs none because admins may do
+ * anything (see ensurePermission in middleware/auth.js).
+ */
+
+class Role {
+  /** Find all roles.
+   *
+   * Returns [{ name, description, permissions }, ...]
+   *   where permissions is [permission, ...]
+   **/
+
+  static async findAll() {
+    const result = await db.query(
+          `SELECT r.name,
+                  r.description,
+                  ARRAY_REMOVE(ARRAY_AGG(p.permission ORDER BY p.permission),
+                               NULL) AS "permissions"
+           FROM roles r
+           LEFT JOIN role_permissions p ON p.role = r.name
+           GROUP BY r.name, r.description
+           ORDER BY r.name`);
+    return result.rows;
+  }
+
+  /** Given a username, return the roles they have and what those allow.
+   *
+   * Returns { roles, permissions } where both are sorted arrays of strings.
+   **/
+
+  static async forUser(username) {
+    const result = await db.query(
+          `SELECT ur.role, rp.permission
+           FROM user_roles ur
+           LEFT JOIN role_permissions rp ON rp.role = ur.role
+           WHERE ur.username = $1`,
+        [username]);
+
+    const roles = new Set();
+    const permissions = new Set();
+    for (const row of result.rows) {
+      roles.add(row.role);
+      if (row.permission) permissions.add(row.permission);
+    }
+
+    return {
+      roles: [...roles].sort(),
+      permissions: [...permissions].sort(),
+    };
+  }
+
+  /** Give username a role; does nothing if they already have it.
+   *
+   * Throws NotFoundError if the user or the role doesn't exist.
+   **/
+
+  static async assign(username, role) {
+    await Role.checkExists(username, role);
+
+    await db.withTransaction(async function () {
+      const result = await db.query(
+            `INSERT INTO user_roles (username, role)
+             VALUES ($1, $2)
+             ON CONFLICT DO NOTHING
+             RETURNING role`,
+          [username, role]);
+
+      if (result.rows[0]) {
+        await AuditEvent.record({
+          action: "user.role_assign",
+          targetType: "user",
+          targetId: username,
+          after: { role },
+        });
+      }
+    });
+  }
+
+  /** Take a role away from username.
+   *
+   * Throws NotFoundError if the user doesn't have that role.
+   **/
+
+  static async unassign(username, role) {
+    await db.withTransaction(async function () {
+      const result = await db.query(
+            `DELETE
+             FROM user_roles
+             WHERE username = $1 AND role = $2
+             RETURNING role`,
+          [username, role]);
+
+      if (!result.rows[0]) {
+        throw new NotFoundError(`User ${username} does not have role: ${role}`);
+      }
+
+      await AuditEvent.record({
+        action: "user.role_unassign",
+        targetType: "user",
+        targetId: username,
+        before: { role },
+      });
+    });
+  }
+
+  /** Throw NotFoundError unless both the user (not deleted) and the role
+   * exist. */
+
+  static async checkExists(username, role) {
+    const result = await db.query(
+          `SELECT EXISTS (SELECT 1
+                          FROM users
+                          WHERE username = $1 AND deleted_at IS NULL)
+                    AS "user",
+                  EXISTS (SELECT 1 FROM roles WHERE name = $2) AS "role"`,
+        [username, role]);
+
+    const found = result.rows[0];
+
+    if (!found.user) throw new NotFoundError(`No user: ${username}`);
+    if (!found.role) throw new NotFoundError(`No role: ${role}`);
+  }
+}
+
+
+module.exports = Role;
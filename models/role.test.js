@@ -0,0 +1,111 @@
+"use strict";
+
+const { NotFoundError } = require("../expressError");
+const Role = require("./role.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    const roles = await Role.findAll();
+    expect(roles).toEqual([
+      {
+        name: "admin",
+        description: expect.any(String),
+        permissions: [],
+      },
+      {
+        name: "candidate",
+        description: expect.any(String),
+        permissions: ["applications:apply"],
+      },
+      {
+        name: "recruiter",
+        description: expect.any(String),
+        permissions: ["applications:review", "jobs:write"],
+      },
+    ]);
+  });
+});
+
+/************************************** forUser */
+
+describe("forUser", function () {
+  test("works", async function () {
+    expect(await Role.forUser("u1")).toEqual({
+      roles: ["candidate"],
+      permissions: ["applications:apply"],
+    });
+  });
+
+  test("works: no roles", async function () {
+    expect(await Role.forUser("nope")).toEqual({
+      roles: [],
+      permissions: [],
+    });
+  });
+});
+
+/************************************** assign */
+
+describe("assign", function () {
+  test("works", async function () {
+    await Role.assign("u1", "recruiter");
+    expect(await Role.forUser("u1")).toEqual({
+      roles: ["candidate", "recruiter"],
+      permissions: ["applications:apply", "applications:review", "jobs:write"],
+    });
+  });
+
+  test("works: already has role", async function () {
+    await Role.assign("u1", "candidate");
+    expect((await Role.forUser("u1")).roles).toEqual(["candidate"]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Role.assign("nope", "recruiter");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such role", async function () {
+    try {
+      await Role.assign("u1", "nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** unassign */
+
+describe("unassign", function () {
+  test("works", async function () {
+    await Role.unassign("u1", "candidate");
+    expect((await Role.forUser("u1")).roles).toEqual([]);
+  });
+
+  test("not found if user doesn't have role", async function () {
+    try {
+      await Role.unassign("u1", "recruiter");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
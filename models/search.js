@@ -0,0 +1,97 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { DEFAULT_PAGE_LIMIT } = require("../helpers/pagination");
+
+// matched words come back wrapped in <b></b> for the frontend to style
+const HEADLINE_OPTIONS = "StartSel=<b>, StopSel=</b>, MaxWords=25, MinWords=10";
+
+/** SQL that HTML-escapes the text expr, so snippets (which are HTML) can't
+ * carry markup from company descriptions or job titles. */
+
+function escapeHtmlSql(expr) {
+  return `replace(replace(replace(replace(replace(${expr},
+            '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;'),
+            '''', '&#39;')`;
+}
+
+/** Full-text search across companies and jobs. */
+
+class Search {
+  /** Search companies and jobs for q, best matches first.
+   *
+   * q is a web-style search string: words, "quoted phrases", `or`, and
+   * `-excluded` words all work.
+   *
+   * Returns [result, ...] where result is either
+   *   { type: "company", handle, name, snippet, rank }
+   * or
+   *   { type: "job", id, title, companyHandle, snippet, rank }
+   * and snippet is the matching text, HTML-escaped, with matches wrapped in
+   * <b></b>.
+   * Only open jobs (published and not expired) are searched.
+   *
+   * Throws BadRequestError if q is empty.
+   **/
+
+  static async search(q, limit = DEFAULT_PAGE_LIMIT) {
+    if (!q || !q.trim()) throw new BadRequestError("Search query is required");
+
+    const result = await db.query(
+          `SELECT type, key, title, company_handle, snippet, rank
+           FROM (
+             SELECT 'company' AS type,
+                    c.handle AS key,
+                    c.name AS title,
+                    NULL AS company_handle,
+                    ts_headline('english',
+                                ${escapeHtmlSql(
+                                  "c.name || ' ' || coalesce(c.description, '')")},
+                                query, $3) AS snippet,
+                    ts_rank(c.search_vector, query) AS rank
+             FROM companies c, websearch_to_tsquery('english', $1) query
+             WHERE c.search_vector @@ query
+               AND c.deleted_at IS NULL
+             UNION ALL
+             SELECT 'job' AS type,
+                    j.id::TEXT AS key,
+                    j.title,
+                    j.company_handle,
+                    ts_headline('english',
+                                ${escapeHtmlSql("j.title || ' at ' || c.name")},
+                                query, $3) AS snippet,
+                    ts_rank(j.search_vector, query) AS rank
+             FROM jobs j
+             JOIN companies c ON c.handle = j.company_handle,
+                  websearch_to_tsquery('english', $1) query
+             WHERE j.search_vector @@ query
+               AND j.status = 'published'
+               AND (j.expires_at IS NULL OR j.expires_at > NOW())
+               AND j.deleted_at IS NULL
+           ) results
+           ORDER BY rank DESC, type, key
+           LIMIT $2`,
+        [q, limit, HEADLINE_OPTIONS]);
+
+    return result.rows.map(row => (row.type === "company")
+        ? {
+          type: "company",
+          handle: row.key,
+          name: row.title,
+          snippet: row.snippet,
+          rank: row.rank,
+        }
+        : {
+          type: "job",
+          id: +row.key,
+          title: row.title,
+          companyHandle: row.company_handle,
+          snippet: row.snippet,
+          rank: row.rank,
+        });
+  }
+}
+
+
+module.exports = Search;
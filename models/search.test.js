@@ -0,0 +1,119 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const Search = require("./search.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** search */
+
+describe("search", function () {
+  test("works: matches companies and their jobs", async function () {
+    const results = await Search.search("c1");
+    expect(results).toEqual([
+      {
+        type: "company",
+        handle: "c1",
+        name: "C1",
+        snippet: expect.stringContaining("<b>C1</b>"),
+        rank: expect.any(Number),
+      },
+      {
+        type: "job",
+        id: 1,
+        title: "j11",
+        companyHandle: "c1",
+        snippet: "j11 at <b>C1</b>",
+        rank: expect.any(Number),
+      },
+      {
+        type: "job",
+        id: 2,
+        title: "j21",
+        companyHandle: "c1",
+        snippet: "j21 at <b>C1</b>",
+        rank: expect.any(Number),
+      },
+    ]);
+    expect(results[0].rank).toBeGreaterThan(results[1].rank);
+  });
+
+  test("works: ranks title matches above description matches",
+      async function () {
+        await db.query(
+            `UPDATE companies SET description = 'Hiring engineers'
+             WHERE handle = 'c2'`);
+        await db.query(
+            `UPDATE jobs SET title = 'Engineer' WHERE id = 5`);
+        const results = await Search.search("engineer");
+        expect(results.map(r => r.type)).toEqual(["job", "company"]);
+        expect(results[0].id).toEqual(5);
+        expect(results[1].handle).toEqual("c2");
+      });
+
+  test("works: snippets are HTML-escaped", async function () {
+    await db.query(
+        `UPDATE companies
+         SET description = $1
+         WHERE handle = 'c1'`,
+        [`<img src=x onerror="alert(1)"> & c1's`]);
+    const [company] = await Search.search("c1");
+    expect(company.snippet).not.toContain("<img");
+    expect(company.snippet)
+        .toContain("&lt;img src=x onerror=&quot;alert(1)&quot;&gt; &amp;");
+    expect(company.snippet).toContain("<b>C1</b>");
+  });
+
+  test("works: jobs follow a company rename", async function () {
+    await db.query(`UPDATE companies SET name = 'Acme' WHERE handle = 'c3'`);
+    const results = await Search.search("acme");
+    expect(results.filter(r => r.type === "job").map(r => r.id))
+        .toEqual([5, 6]);
+  });
+
+  test("works: leaves out jobs that aren't open", async function () {
+    await db.query(`UPDATE jobs SET status = 'draft' WHERE id = 1`);
+    await db.query(
+        `UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day' WHERE id = 2`);
+    const results = await Search.search("c1");
+    expect(results.map(r => r.type)).toEqual(["company"]);
+  });
+
+  test("works: leaves out deleted companies and jobs", async function () {
+    await db.query(`UPDATE jobs SET deleted_at = NOW() WHERE id = 1`);
+    expect((await Search.search("c1")).map(r => r.id || r.handle))
+        .toEqual(["c1", 2]);
+
+    await db.query(`UPDATE companies SET deleted_at = NOW() WHERE handle = 'c1'`);
+    expect((await Search.search("c1")).map(r => r.type)).toEqual(["job"]);
+  });
+
+  test("works: respects limit", async function () {
+    const results = await Search.search("c1", 1);
+    expect(results.length).toEqual(1);
+  });
+
+  test("works: no matches", async function () {
+    const results = await Search.search("nothing-like-this");
+    expect(results).toEqual([]);
+  });
+
+  test("bad request with empty query", async function () {
+    try {
+      await Search.search("  ");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
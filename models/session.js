@@ -0,0 +1,197 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db");
+const AuditEvent = require("./auditEvent");
+const { UnauthorizedError } = require("../expressError");
+const { createSecret, hashSecret } = require("../helpers/tokens");
+const { REFRESH_TOKEN_TTL_DAYS } = require("../config");
+
+/** Related functions for login sessions and their refresh tokens.
+ *
+ * Logging in starts a session. The client gets a short-lived access token
+ * (a JWT carrying the session id) and a refresh token. Refresh tokens are
+ * single use: each refresh swaps the old one for a new one. If a used
+ * refresh token shows up again it has been stolen or replayed, so the
+ * whole session is revoked.
+ *
+ * Starting and revoking sessions are recorded in the audit log, against
+ * the session's user.
+ */
+
+class Session {
+  /** Store a new refresh token for a session; returns the raw token. */
+
+  static async issueRefreshToken(sessionId) {
+    const refreshToken = createSecret();
+
+    await db.query(
+          `INSERT INTO refresh_tokens (token_hash, session_id, expires_at)
+           VALUES ($1, $2, NOW() + make_interval(days => $3))`,
+        [hashSecret(refreshToken), sessionId, REFRESH_TOKEN_TTL_DAYS]);
+
+    return refreshToken;
+  }
+
+  /** Start a session for username, ie log them in.
+   *
+   * Returns { sessionId, refreshToken }
+   **/
+
+  static async create(username) {
+    const sessionId = crypto.randomUUID();
+
+    return db.withTransaction(async () => {
+      await db.query(
+            `INSERT INTO auth_sessions (id, username)
+             VALUES ($1, $2)`,
+          [sessionId, username]);
+
+      const refreshToken = await Session.issueRefreshToken(sessionId);
+
+      await AuditEvent.record({
+        action: "user.login",
+        targetType: "user",
+        targetId: username,
+        after: { sessionId },
+        actor: username,
+      });
+
+      return { sessionId, refreshToken };
+    });
+  }
+
+  /** Swap a refresh token for a new one in the same session.
+   *
+   * Returns { username, sessionId, refreshToken }
+   *
+   * Throws UnauthorizedError if the token is unknown or expired, or its
+   * session was revoked. Throws UnauthorizedError and revokes the session
+   * if the token was already used.
+   **/
+
+  static async rotate(refreshToken) {
+    const tokenHash = hashSecret(refreshToken);
+
+    const result = await db.query(
+          `SELECT r.session_id AS "sessionId",
+                  r.expires_at < NOW() AS "expired",
+                  r.used_at IS NOT NULL AS "used",
+                  s.revoked_at IS NOT NULL AS "revoked",
+                  s.username
+           FROM refresh_tokens r
+           JOIN auth_sessions s ON s.id = r.session_id
+           WHERE r.token_hash = $1`,
+        [tokenHash]);
+
+    const found = result.rows[0];
+
+    if (!found) throw new UnauthorizedError("Invalid refresh token");
+
+    if (found.used) {
+      await Session.revoke(found.sessionId, "refresh_token_reused");
+      throw new UnauthorizedError(
+          "Refresh token was already used; session revoked");
+    }
+
+    if (found.revoked || found.expired) {
+      throw new UnauthorizedError("Invalid refresh token");
+    }
+
+    // mark used only if nobody beat us to it
+    const usedRes = await db.query(
+          `UPDATE refresh_tokens
+           SET used_at = NOW()
+           WHERE token_hash = $1 AND used_at IS NULL
+           RETURNING token_hash`,
+        [tokenHash]);
+
+    if (!usedRes.rows[0]) {
+      await Session.revoke(found.sessionId, "refresh_token_reused");
+      throw new UnauthorizedError(
+          "Refresh token was already used; session revoked");
+    }
+
+    const newToken = await Session.issueRefreshToken(found.sessionId);
+
+    return {
+      username: found.username,
+      sessionId: found.sessionId,
+      refreshToken: newToken,
+    };
+  }
+
+  /** Find the session a refresh token belongs to.
+   *
+   * Returns { sessionId, username }
+   *
+   * Throws UnauthorizedError if the token is unknown.
+   **/
+
+  static async findByRefreshToken(refreshToken) {
+    const result = await db.query(
+          `SELECT s.id AS "sessionId", s.username
+           FROM refresh_tokens r
+           JOIN auth_sessions s ON s.id = r.session_id
+           WHERE r.token_hash = $1`,
+        [hashSecret(refreshToken)]);
+
+    const session = result.rows[0];
+
+    if (!session) throw new UnauthorizedError("Invalid refresh token");
+
+    return session;
+  }
+
+  /** Revoke a session; its access and refresh tokens stop working.
+   *
+   * reason is "logout" (the default), which is recorded as the user
+   * logging out, or why else it was revoked (eg "refresh_token_reused").
+   **/
+
+  static async revoke(sessionId, reason = "logout") {
+    await db.withTransaction(async () => {
+      const result = await db.query(
+            `UPDATE auth_sessions
+             SET revoked_at = NOW()
+             WHERE id = $1 AND revoked_at IS NULL
+             RETURNING username`,
+          [sessionId]);
+
+      const session = result.rows[0];
+      if (!session) return;
+
+      await AuditEvent.record({
+        action: reason === "logout" ? "user.logout" : "user.session_revoke",
+        targetType: "user",
+        targetId: session.username,
+        after: { sessionId, reason },
+        actor: reason === "logout" ? session.username : undefined,
+      });
+    });
+  }
+
+  /** Revoke every session username has (eg after a password change). */
+
+  static async revokeAllForUser(username) {
+    await db.query(
+          `UPDATE auth_sessions
+           SET revoked_at = NOW()
+           WHERE username = $1 AND revoked_at IS NULL`,
+        [username]);
+  }
+
+  /** Return true if sessionId exists and has not been revoked. */
+
+  static async isActive(sessionId) {
+    const result = await db.query(
+          `SELECT id
+           FROM auth_sessions
+           WHERE id = $1 AND revoked_at IS NULL`,
+        [sessionId]);
+    return result.rows.length > 0;
+  }
+}
+
+
+module.exports = Session;
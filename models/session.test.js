@@ -0,0 +1,134 @@
+"use strict";
+
+const { UnauthorizedError } = require("../expressError");
+const db = require("../db.js");
+const Session = require("./session.js");
+const AuditEvent = require("./auditEvent.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const { sessionId, refreshToken } = await Session.create("u1");
+    expect(sessionId).toEqual(expect.any(String));
+    expect(refreshToken).toEqual(expect.any(String));
+    expect(await Session.isActive(sessionId)).toEqual(true);
+
+    const stored = await db.query("SELECT token_hash FROM refresh_tokens");
+    expect(stored.rows.length).toEqual(1);
+    expect(stored.rows[0].token_hash).not.toEqual(refreshToken);
+
+    const { events } = await AuditEvent.findAll({ targetId: "u1" });
+    expect(events).toEqual([expect.objectContaining({
+      actor: "u1",
+      action: "user.login",
+      after: { sessionId },
+    })]);
+  });
+});
+
+/************************************** rotate */
+
+describe("rotate", function () {
+  test("works", async function () {
+    const { sessionId, refreshToken } = await Session.create("u1");
+    const rotated = await Session.rotate(refreshToken);
+    expect(rotated).toEqual({
+      username: "u1",
+      sessionId,
+      refreshToken: expect.any(String),
+    });
+    expect(rotated.refreshToken).not.toEqual(refreshToken);
+
+    const again = await Session.rotate(rotated.refreshToken);
+    expect(again.sessionId).toEqual(sessionId);
+  });
+
+  test("reuse revokes the session", async function () {
+    const { sessionId, refreshToken } = await Session.create("u1");
+    const rotated = await Session.rotate(refreshToken);
+
+    await expect(Session.rotate(refreshToken))
+        .rejects.toThrow(UnauthorizedError);
+    expect(await Session.isActive(sessionId)).toEqual(false);
+    await expect(Session.rotate(rotated.refreshToken))
+        .rejects.toThrow(UnauthorizedError);
+
+    const { events } = await AuditEvent.findAll({ targetId: "u1" });
+    expect(events[0]).toEqual(expect.objectContaining({
+      actor: null,
+      action: "user.session_revoke",
+      after: { sessionId, reason: "refresh_token_reused" },
+    }));
+  });
+
+  test("unauth if expired", async function () {
+    const { refreshToken } = await Session.create("u1");
+    await db.query(
+        "UPDATE refresh_tokens SET expires_at = NOW() - INTERVAL '1 day'");
+    await expect(Session.rotate(refreshToken))
+        .rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth if unknown", async function () {
+    await expect(Session.rotate("made-up"))
+        .rejects.toThrow(UnauthorizedError);
+  });
+});
+
+/************************************** findByRefreshToken */
+
+describe("findByRefreshToken", function () {
+  test("works", async function () {
+    const { sessionId, refreshToken } = await Session.create("u1");
+    expect(await Session.findByRefreshToken(refreshToken))
+        .toEqual({ sessionId, username: "u1" });
+  });
+
+  test("unauth if unknown", async function () {
+    await expect(Session.findByRefreshToken("made-up"))
+        .rejects.toThrow(UnauthorizedError);
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    const { sessionId, refreshToken } = await Session.create("u1");
+    await Session.revoke(sessionId);
+    expect(await Session.isActive(sessionId)).toEqual(false);
+    await expect(Session.rotate(refreshToken))
+        .rejects.toThrow(UnauthorizedError);
+
+    // revoking again changes nothing, so isn't recorded again
+    await Session.revoke(sessionId);
+    const { events } = await AuditEvent.findAll({ targetId: "u1" });
+    expect(events.map(e => e.action)).toEqual(["user.logout", "user.login"]);
+    expect(events[0]).toEqual(expect.objectContaining({
+      actor: "u1",
+      after: { sessionId, reason: "logout" },
+    }));
+  });
+
+  test("works: every session for a user", async function () {
+    const one = await Session.create("u1");
+    const two = await Session.create("u1");
+    const other = await Session.create("u2");
+    await Session.revokeAllForUser("u1");
+    expect(await Session.isActive(one.sessionId)).toEqual(false);
+    expect(await Session.isActive(two.sessionId)).toEqual(false);
+    expect(await Session.isActive(other.sessionId)).toEqual(true);
+  });
+});
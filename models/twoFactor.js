@@ -0,0 +1,245 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db");
+const { logger } = require("../helpers/logger");
+const AuditEvent = require("./auditEvent");
+const {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} = require("../expressError");
+const { hashSecret, sealSecret, openSecret } = require("../helpers/tokens");
+const {
+  base32Encode,
+  generateSecret,
+  otpauthUri,
+  verifyTotp,
+} = require("../helpers/totp");
+
+const RECOVERY_CODE_COUNT = 10;
+
+/** return a new recovery code, eg "k3p7-xq2m-v9ab-c4de" (80 random bits,
+ * so a fast hash is enough to store it). */
+
+function newRecoveryCode() {
+  return base32Encode(crypto.randomBytes(10))
+      .toLowerCase()
+      .match(/.{4}/g)
+      .join("-");
+}
+
+/** Recovery codes are compared without their dashes, spaces or case. */
+
+function hashRecoveryCode(code) {
+  return hashSecret(code.replace(/[\s-]/g, "").toLowerCase());
+}
+
+/** Check code against a sealed secret; return its time step or null.
+ *
+ * Secrets sealed under an old SECRET_KEY can't be opened, so no code
+ * matches them (recovery codes still work).
+ */
+
+function verifySealed(sealed, code) {
+  let secret;
+  try {
+    secret = openSecret(sealed);
+  } catch (err) {
+    logger.warn("Could not open a 2FA secret; was SECRET_KEY changed?");
+    return null;
+  }
+  return verifyTotp(secret, code);
+}
+
+/** Related functions for two-factor authentication (2FA) with TOTP.
+ *
+ * Enrolling gives the user a secret to add to their authenticator app;
+ * 2FA is on once they confirm it with a code from the app. Confirming also
+ * gives them recovery codes, each good for one login without the app.
+ * With 2FA on, logging in takes a code as well as the password (see
+ * POST /auth/token).
+ */
+
+class TwoFactor {
+  /** return true if username has 2FA on. */
+
+  static async isEnabled(username) {
+    const result = await db.query(
+          `SELECT 1
+           FROM user_totp
+           WHERE username = $1 AND confirmed_at IS NOT NULL`,
+        [username]);
+    return result.rows.length > 0;
+  }
+
+  /** Start enrolling username: make them a new secret, replacing any
+   * enrollment they didn't finish.
+   *
+   * Returns { secret, otpauthUri }
+   *
+   * Throws NotFoundError if there's no such user, or ConflictError if they
+   * already have 2FA on.
+   **/
+
+  static async enroll(username) {
+    const userRes = await db.query(
+          `SELECT username
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [username]);
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const secret = generateSecret();
+
+    const result = await db.query(
+          `INSERT INTO user_totp (username, secret)
+           VALUES ($1, $2)
+           ON CONFLICT (username) DO UPDATE
+             SET secret = EXCLUDED.secret,
+                 last_used_step = NULL,
+                 created_at = NOW()
+             WHERE user_totp.confirmed_at IS NULL
+           RETURNING username`,
+        [username, sealSecret(secret)]);
+
+    if (!result.rows[0]) {
+      throw new ConflictError(
+          `${username} already has two-factor authentication on`,
+          "already_enabled");
+    }
+
+    return { secret, otpauthUri: otpauthUri({ secret, account: username }) };
+  }
+
+  /** Finish enrolling username with a code from their app, turning 2FA on.
+   *
+   * Returns { recoveryCodes }: new recovery codes, which can't be shown
+   * again.
+   *
+   * Throws BadRequestError if they have no enrollment to finish or code is
+   * wrong.
+   **/
+
+  static async confirm(username, code) {
+    const result = await db.query(
+          `SELECT secret
+           FROM user_totp
+           WHERE username = $1 AND confirmed_at IS NULL`,
+        [username]);
+
+    const pending = result.rows[0];
+    if (!pending) {
+      throw new BadRequestError("No two-factor enrollment to confirm");
+    }
+
+    const step = verifySealed(pending.secret, code);
+    if (step === null) throw new BadRequestError("Invalid code");
+
+    return db.withTransaction(async function () {
+      await db.query(
+            `UPDATE user_totp
+             SET confirmed_at = NOW(), last_used_step = $2
+             WHERE username = $1`,
+          [username, step]);
+      const recoveryCodes = await TwoFactor.newRecoveryCodes(username);
+      await AuditEvent.record({
+        action: "user.2fa_enable",
+        targetType: "user",
+        targetId: username,
+      });
+      return { recoveryCodes };
+    });
+  }
+
+  /** Check a code for username, who has 2FA on: either a code from their
+   * app or one of their recovery codes. Either can only be used once.
+   *
+   * return true if it's good, else false.
+   **/
+
+  static async verify(username, code) {
+    if (/^\d{6}$/.test(code)) {
+      const result = await db.query(
+            `SELECT secret
+             FROM user_totp
+             WHERE username = $1 AND confirmed_at IS NOT NULL`,
+          [username]);
+      if (!result.rows[0]) return false;
+
+      const step = verifySealed(result.rows[0].secret, code);
+      if (step === null) return false;
+
+      // only if no code this recent was accepted, so a code can't be
+      // replayed (even by two requests at once)
+      const used = await db.query(
+            `UPDATE user_totp
+             SET last_used_step = $2
+             WHERE username = $1
+               AND (last_used_step IS NULL OR last_used_step < $2)
+             RETURNING username`,
+          [username, step]);
+      return used.rows.length > 0;
+    }
+
+    const result = await db.query(
+          `UPDATE recovery_codes
+           SET used_at = NOW()
+           WHERE username = $1 AND code_hash = $2 AND used_at IS NULL
+           RETURNING id`,
+        [username, hashRecoveryCode(code)]);
+    return result.rows.length > 0;
+  }
+
+  /** Replace username's recovery codes with new ones.
+   *
+   * Returns [code, ...]
+   **/
+
+  static async newRecoveryCodes(username) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+
+    await db.withTransaction(async function () {
+      await db.query(
+            `DELETE FROM recovery_codes WHERE username = $1`, [username]);
+      await db.query(
+            `INSERT INTO recovery_codes (username, code_hash)
+             SELECT $1, UNNEST($2::TEXT[])`,
+          [username, codes.map(hashRecoveryCode)]);
+      await AuditEvent.record({
+        action: "user.2fa_recovery_codes",
+        targetType: "user",
+        targetId: username,
+      });
+    });
+
+    return codes;
+  }
+
+  /** Turn 2FA off for username, forgetting their secret and recovery codes.
+   *
+   * Throws NotFoundError if they don't have it on or enrolling.
+   **/
+
+  static async disable(username) {
+    return db.withTransaction(async function () {
+      const result = await db.query(
+            `DELETE FROM user_totp WHERE username = $1 RETURNING username`,
+          [username]);
+      if (!result.rows[0]) {
+        throw new NotFoundError(
+            `${username} doesn't have two-factor authentication on`);
+      }
+      await db.query(
+            `DELETE FROM recovery_codes WHERE username = $1`, [username]);
+      await AuditEvent.record({
+        action: "user.2fa_disable",
+        targetType: "user",
+        targetId: username,
+      });
+    });
+  }
+}
+
+
+module.exports = TwoFactor;
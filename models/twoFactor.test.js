@@ -0,0 +1,174 @@
+"use strict";
+
+const {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} = require("../expressError");
+const db = require("../db.js");
+const TwoFactor = require("./twoFactor.js");
+const { totp } = require("../helpers/totp");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** A code from the next time step, which hasn't been used yet. */
+
+function nextCode(secret) {
+  return totp(secret, Date.now() + 30 * 1000);
+}
+
+/** Turn 2FA on for username; returns { secret, recoveryCodes }. */
+
+async function enable(username) {
+  const { secret } = await TwoFactor.enroll(username);
+  const { recoveryCodes } = await TwoFactor.confirm(username, totp(secret));
+  return { secret, recoveryCodes };
+}
+
+/************************************** enroll */
+
+describe("enroll", function () {
+  test("works", async function () {
+    const { secret, otpauthUri } = await TwoFactor.enroll("u1");
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(otpauthUri).toEqual(expect.stringContaining(`secret=${secret}`));
+    expect(await TwoFactor.isEnabled("u1")).toEqual(false);
+
+    const stored = await db.query("SELECT secret FROM user_totp");
+    expect(stored.rows[0].secret).not.toContain(secret);
+  });
+
+  test("starting again replaces the secret", async function () {
+    const first = await TwoFactor.enroll("u1");
+    const second = await TwoFactor.enroll("u1");
+    expect(second.secret).not.toEqual(first.secret);
+    await expect(TwoFactor.confirm("u1", totp(first.secret)))
+        .rejects.toBeInstanceOf(BadRequestError);
+  });
+
+  test("conflict if already on", async function () {
+    await enable("u1");
+    try {
+      await TwoFactor.enroll("u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof ConflictError).toBeTruthy();
+      expect(err.code).toEqual("already_enabled");
+    }
+  });
+
+  test("not found if no such user", async function () {
+    await expect(TwoFactor.enroll("nope"))
+        .rejects.toBeInstanceOf(NotFoundError);
+  });
+});
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works", async function () {
+    const { recoveryCodes } = await enable("u1");
+    expect(await TwoFactor.isEnabled("u1")).toEqual(true);
+    expect(recoveryCodes).toHaveLength(10);
+    expect(recoveryCodes[0]).toMatch(/^[a-z2-7]{4}(-[a-z2-7]{4}){3}$/);
+  });
+
+  test("bad request with wrong code", async function () {
+    await TwoFactor.enroll("u1");
+    await expect(TwoFactor.confirm("u1", "000000"))
+        .rejects.toBeInstanceOf(BadRequestError);
+    expect(await TwoFactor.isEnabled("u1")).toEqual(false);
+  });
+
+  test("bad request if not enrolling", async function () {
+    await expect(TwoFactor.confirm("u1", "123456"))
+        .rejects.toBeInstanceOf(BadRequestError);
+  });
+});
+
+/************************************** verify */
+
+describe("verify", function () {
+  test("works with a code, once", async function () {
+    const { secret } = await enable("u1");
+    const code = nextCode(secret);
+    expect(await TwoFactor.verify("u1", code)).toEqual(true);
+    expect(await TwoFactor.verify("u1", code)).toEqual(false);
+  });
+
+  test("refuses the code used to confirm", async function () {
+    const { secret } = await TwoFactor.enroll("u1");
+    const code = totp(secret);
+    await TwoFactor.confirm("u1", code);
+    expect(await TwoFactor.verify("u1", code)).toEqual(false);
+  });
+
+  test("works with a recovery code, once", async function () {
+    const { recoveryCodes } = await enable("u1");
+    const code = recoveryCodes[3].toUpperCase().replace(/-/g, " ");
+    expect(await TwoFactor.verify("u1", code)).toEqual(true);
+    expect(await TwoFactor.verify("u1", recoveryCodes[3])).toEqual(false);
+    expect(await TwoFactor.verify("u1", recoveryCodes[4])).toEqual(true);
+  });
+
+  test("false for wrong codes", async function () {
+    await enable("u1");
+    expect(await TwoFactor.verify("u1", "000000")).toEqual(false);
+    expect(await TwoFactor.verify("u1", "aaaa-bbbb-cccc-dddd")).toEqual(false);
+  });
+
+  test("false without 2FA on", async function () {
+    const { secret } = await TwoFactor.enroll("u1");
+    expect(await TwoFactor.verify("u1", nextCode(secret))).toEqual(false);
+  });
+
+  test("only recovery codes work if the secret can't be opened", async function () {
+    const { secret, recoveryCodes } = await enable("u1");
+    await db.query("UPDATE user_totp SET secret = 'a.b.c'");
+    expect(await TwoFactor.verify("u1", nextCode(secret))).toEqual(false);
+    expect(await TwoFactor.verify("u1", recoveryCodes[0])).toEqual(true);
+  });
+
+  test("another user's recovery code doesn't work", async function () {
+    const { recoveryCodes } = await enable("u1");
+    await enable("u2");
+    expect(await TwoFactor.verify("u2", recoveryCodes[0])).toEqual(false);
+  });
+});
+
+/************************************** newRecoveryCodes */
+
+describe("newRecoveryCodes", function () {
+  test("replaces the old ones", async function () {
+    const { recoveryCodes: old } = await enable("u1");
+    const codes = await TwoFactor.newRecoveryCodes("u1");
+    expect(codes).toHaveLength(10);
+    expect(await TwoFactor.verify("u1", old[0])).toEqual(false);
+    expect(await TwoFactor.verify("u1", codes[0])).toEqual(true);
+  });
+});
+
+/************************************** disable */
+
+describe("disable", function () {
+  test("works", async function () {
+    const { recoveryCodes } = await enable("u1");
+    await TwoFactor.disable("u1");
+    expect(await TwoFactor.isEnabled("u1")).toEqual(false);
+    expect(await TwoFactor.verify("u1", recoveryCodes[0])).toEqual(false);
+  });
+
+  test("not found if not on", async function () {
+    await expect(TwoFactor.disable("u1"))
+        .rejects.toBeInstanceOf(NotFoundError);
+  });
+});
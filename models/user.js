@@ -3,23 +3,72 @@
 const db = require("../db");
 const bcrypt = require("bcrypt");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const { paginate } = require("../helpers/pagination");
+const Application = require("./application");
+const Job = require("./job");
+const Role = require("./role");
+const Session = require("./session");
+const AuditEvent = require("./auditEvent");
+const Resume = require("./resume");
+const { logger } = require("../helpers/logger");
 const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
-  ExpressError
+  ConflictError,
+  ForbiddenError,
+  TooManyRequestsError,
 } = require("../expressError");
 
-const { BCRYPT_WORK_FACTOR } = require("../config.js");
+const {
+  BCRYPT_WORK_FACTOR,
+  AUTH_LOCKOUT_THRESHOLD,
+  AUTH_LOCKOUT_BASE_MS,
+  AUTH_LOCKOUT_MAX_MS,
+} = require("../config.js");
+
+function accountLockedError(lockedForSeconds) {
+  return new TooManyRequestsError(
+      "Account is locked after too many failed logins; try again later",
+      lockedForSeconds, "account_locked");
+}
+
+// there is no is_admin column: admins are the users with the admin role
+function isAdminSql(usersTable) {
+  return `EXISTS (SELECT 1
+                  FROM user_roles ur
+                  WHERE ur.username = ${usersTable}.username
+                    AND ur.role = 'admin') AS "isAdmin"`;
+}
 
-/** Related functions for users. */
+// a user as update returns them, and as the audit log keeps them
+const USER_COLUMNS = `username,
+                      first_name AS "firstName",
+                      last_name AS "lastName",
+                      email,
+                      ${isAdminSql("users")}`;
+
+/** Related functions for users.
+ *
+ * Users are soft deleted (see remove): they can't log in, and finders leave
+ * them out unless asked for them with { includeDeleted: true }. Their
+ * usernames stay taken until they're purged.
+ */
 
 class User {
   /** authenticate user with username, password.
    *
-   * Returns { username, first_name, last_name, email, is_admin }
+   * Returns { username, firstName, lastName, email, isAdmin, roles, permissions }
    *
    * Throws UnauthorizedError is user not found or wrong password.
+   *
+   * AUTH_LOCKOUT_THRESHOLD wrong passwords in a row lock the account for
+   * AUTH_LOCKOUT_BASE_MS, doubling with each further one (up to
+   * AUTH_LOCKOUT_MAX_MS). While it's locked, this throws
+   * TooManyRequestsError (code account_locked) without checking the
+   * password. Logging in, or User.unlock, starts the count again; with
+   * two-factor authentication on, the right password isn't enough for
+   * that, as it takes the right code too (see POST /auth/token/mfa).
    **/
 
   static async authenticate(username, password) {
@@ -30,29 +79,129 @@ class User {
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
+                  ${isAdminSql("users")},
+                  failed_logins AS "failedLogins",
+                  EXISTS (SELECT 1
+                          FROM user_totp t
+                          WHERE t.username = users.username
+                            AND t.confirmed_at IS NOT NULL) AS "mfaEnabled",
+                  CEIL(EXTRACT(EPOCH FROM locked_until - NOW()))
+                    AS "lockedForSeconds"
            FROM users
-           WHERE username = $1`,
+           WHERE username = $1 AND deleted_at IS NULL`,
         [username],
     );
 
     const user = result.rows[0];
 
     if (user) {
+      const { failedLogins, mfaEnabled, lockedForSeconds } = user;
+      delete user.failedLogins;
+      delete user.mfaEnabled;
+      delete user.lockedForSeconds;
+
+      if (lockedForSeconds > 0) throw accountLockedError(+lockedForSeconds);
+
       // compare hashed password to a new hash from password
       const isValid = await bcrypt.compare(password, user.password);
       if (isValid === true) {
+        if (failedLogins > 0 && !mfaEnabled) await User.unlock(username);
         delete user.password;
-        return user;
+        return { ...user, ...await Role.forUser(username) };
       }
+
+      await User.recordFailedLogin(username);
     }
 
     throw new UnauthorizedError("Invalid username/password");
   }
 
+  /** Throw TooManyRequestsError if username's account is locked (see
+   * authenticate), eg before checking their 2FA code. */
+
+  static async ensureNotLocked(username) {
+    const result = await db.query(
+          `SELECT CEIL(EXTRACT(EPOCH FROM locked_until - NOW()))
+                    AS "lockedForSeconds"
+           FROM users
+           WHERE username = $1`,
+        [username]);
+
+    const user = result.rows[0];
+    if (user && user.lockedForSeconds > 0) {
+      throw accountLockedError(+user.lockedForSeconds);
+    }
+  }
+
+  /** Count a failed login for username, locking the account if that's one
+   * too many (see authenticate). */
+
+  static async recordFailedLogin(username) {
+    const result = await db.query(
+          `UPDATE users
+           SET failed_logins = failed_logins + 1,
+               locked_until = CASE
+                 WHEN failed_logins + 1 >= $2
+                 THEN NOW() + make_interval(secs => LEAST(
+                     $3 * POWER(2, failed_logins + 1 - $2), $4) / 1000.0)
+                 ELSE locked_until END
+           WHERE username = $1
+           RETURNING failed_logins AS "failedLogins",
+                     locked_until AS "lockedUntil"`,
+        [username, AUTH_LOCKOUT_THRESHOLD, AUTH_LOCKOUT_BASE_MS,
+         AUTH_LOCKOUT_MAX_MS]);
+
+    const { failedLogins, lockedUntil } = result.rows[0];
+    if (failedLogins >= AUTH_LOCKOUT_THRESHOLD) {
+      logger.warn("Locked account after failed logins",
+          { account: username, failedLogins, lockedUntil });
+      await AuditEvent.record({
+        action: "user.lock",
+        targetType: "user",
+        targetId: username,
+        after: { failedLogins, lockedUntil },
+      });
+    }
+  }
+
+  /** Unlock username's account and forget its failed logins.
+   *
+   * Throws NotFoundError if there's no such user.
+   **/
+
+  static async unlock(username) {
+    const result = await db.query(
+          `UPDATE users
+           SET failed_logins = 0,
+               locked_until = NULL
+           FROM (SELECT locked_until
+                 FROM users
+                 WHERE username = $1
+                 FOR UPDATE) AS old
+           WHERE username = $1
+           RETURNING old.locked_until AS "lockedUntil"`,
+        [username]);
+
+    const user = result.rows[0];
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    // just forgetting failed logins isn't worth an audit event
+    if (user.lockedUntil) {
+      await AuditEvent.record({
+        action: "user.unlock",
+        targetType: "user",
+        targetId: username,
+        before: { lockedUntil: user.lockedUntil },
+        after: { lockedUntil: null },
+      });
+    }
+  }
+
   /** Register user with data.
    *
-   * Returns { username, firstName, lastName, email, isAdmin }
+   * New users get the admin role if isAdmin is true, else candidate.
+   *
+   * Returns { username, firstName, lastName, email, isAdmin, roles, permissions }
    *
    * Throws BadRequestError on duplicates.
    **/
@@ -72,90 +221,100 @@ class User {
 
     const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
 
-    const result = await db.query(
-          `INSERT INTO users
-           (username,
-            password,
-            first_name,
-            last_name,
+    // a user is never left without a role
+    return db.withTransaction(async function () {
+      const result = await db.query(
+            `INSERT INTO users
+             (username,
+              password,
+              first_name,
+              last_name,
+              email)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (username) DO NOTHING
+             RETURNING username, first_name AS "firstName", last_name AS "lastName", email`,
+          [
+            username,
+            hashedPassword,
+            firstName,
+            lastName,
             email,
-            is_admin)
-           VALUES ($1, $2, $3, $4, $5, $6)
-           RETURNING username, first_name AS "firstName", last_name AS "lastName", email, is_admin AS "isAdmin"`,
-        [
-          username,
-          hashedPassword,
-          firstName,
-          lastName,
-          email,
-          isAdmin,
-        ],
-    );
+          ],
+      );
 
-    const user = result.rows[0];
+      const user = result.rows[0];
+
+      // someone else registered the name since the check above
+      if (!user) throw new BadRequestError(`Duplicate username: ${username}`);
+
+      await Role.assign(username, isAdmin ? "admin" : "candidate");
 
-    return user;
+      const created = {
+        ...user,
+        isAdmin: !!isAdmin,
+        ...await Role.forUser(username),
+      };
+
+      await AuditEvent.record({
+        action: "user.create",
+        targetType: "user",
+        targetId: username,
+        after: created,
+      });
+
+      return created;
+    });
   }
 
-  /** Find all users.
+  /** Find all users, one page at a time, ordered by username.
+   *
+   * page is { limit, cursor } as returned by parsePage.
    *
-   * Returns [{ username, firstName, lastName, email, isAdmin, jobs }, ...]
-   * where jobs is [jobId, ...]
+   * Returns { users, meta }
+   *   where users is [{ username, firstName, lastName, email, isAdmin }, ...]
+   *   and meta is { limit, total, nextCursor, prevCursor }
    **/
 
-  static async findAll() {
-    const results = await db.query(
-          `SELECT u.username,
-                  first_name AS "firstName",
-                  last_name AS "lastName",
-                  email,
-                  is_admin AS "isAdmin",
-                  job_id AS "job"
-           FROM users u
-           LEFT JOIN applications a
-           ON a.username = u.username
-           ORDER BY username`
-    );
-
-    return results.rows.reduceRight((rows, row ) => {
-      if( rows && rows[0] != row.username ) {
-        rows.unshift( {
-          username:row.username, 
-          firstName:row.firstName, 
-          lastName:row.lastName, 
-          email:row.email, 
-          isAdmin:row.isAdmin, 
-          // jobs:[row.job]
-        } )
-      }
-      else{
-        rows[0].jobs.unshift( row.job )
-      }
-      return rows
-    },[]);
+  static async findAll(page = {}, { includeDeleted = false } = {}) {
+    const { rows, meta } = await paginate(db, {
+      columns: includeDeleted
+          ? `${USER_COLUMNS}, deleted_at AS "deletedAt"`
+          : USER_COLUMNS,
+      from: "users",
+      where: includeDeleted ? [] : ["deleted_at IS NULL"],
+      orderBy: ["username"],
+      page,
+    });
+
+    return { users: rows, meta };
   }
 
   /** Given a username, return data about user.
    *
-   * Returns { username, firstName, lastName, isAdmin, jobs }
-   *   where jobs is [ jobId , ..A
+   * Returns { username, firstName, lastName, email, emailVerified, isAdmin,
+   *           roles, permissions }
+   * plus deletedAt with includeDeleted.
    *
-   * Throws NotFoundError if user not found.
+   * Throws NotFoundError if user not found (or deleted, without
+   * includeDeleted).
    **/
 
-  static async get(username) {
+  static async get(username, { includeDeleted = false } = {}) {
     const userRes = await db.query(
           `SELECT u.username,
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin",
+                  email_verified_at IS NOT NULL AS "emailVerified",
+                  ${isAdminSql("u")},
+                  u.deleted_at AS "deletedAt",
                   job_id AS "jobId"
           FROM users u
           LEFT JOIN applications a
           ON a.username = u.username
-          WHERE u.username = $1`,
-        [username],
+          WHERE u.username = $1
+            AND ($2 OR u.deleted_at IS NULL)`,
+        [username, includeDeleted],
     );
 
     if (!userRes.rowCount) {
@@ -169,19 +328,28 @@ class User {
       firstName:user.firstName,
       lastName:user.lastName,
       email:user.email,
+      emailVerified:user.emailVerified,
       isAdmin:user.isAdmin,
+      ...await Role.forUser(username),
+      ...(includeDeleted && { deletedAt: user.deletedAt }),
       // jobs:userRes.rows.map( row => row.jobId )
     };
   }
 
   // Given a username and a jobId, applies user to a job
   // returns the username and jobId if successful, or throws 
-  // an error if not
+  // an error if not. appliedBy is who made the application (an admin can
+  // apply for someone) and is recorded as the first step in its history.
+  // Only published jobs take applications: drafts, closed and expired jobs
+  // are refused with a 409. coverLetter is optional text sent with it.
+  // Users can't apply until they've verified their email (403).
 
-  static async apply( username, jobId ) {
+  static async apply( username, jobId, appliedBy = username, coverLetter = null ) {
 
     let usersAndJobs = await db.query(
-      `select u.username, j.id 
+      `select u.username, j.id,
+        u.email_verified_at is not null as "emailVerified",
+        u.deleted_at is not null as "deleted"
       from applications a
       full outer join jobs j on a.job_id = j.id
       full outer join users u on u.username = a.username
@@ -202,28 +370,66 @@ class User {
       return (line.username == username) && (line.id == jobId)
     })
 
-    if( !userExists ) throw new NotFoundError(`user: ${username} not found`)
+    if( !userExists || userExists.deleted ) {
+      throw new NotFoundError(`user: ${username} not found`)
+    }
     if( !jobExists ) throw new NotFoundError(`job ID: ${jobId} not found`)
 
-    console.log(appliedAlready)
+    if( !userExists.emailVerified ) {
+      throw new ForbiddenError(
+        `${username} must verify their email before applying`,
+        "email_not_verified"
+      )
+    }
+
+    const { status } = await Job.get(jobId)
+    if( status != "published" ) {
+      throw new ConflictError(
+        `job ID: ${jobId} is ${status} and not taking applications`,
+        "job_not_open"
+      )
+    }
+
     if( !!appliedAlready ) {
-      throw new ExpressError(
+      throw new ConflictError(
         `${username} has already applied to job:${jobId}`, 
-        409
+        "already_applied"
       )
     }
 
-    let confirmation = await db.query(
-      `insert into applications
-        ( username, job_id )
-      values ( $1, $2 )
-      returning username, job_id as "jobId"`,
-      [ username, jobId ]
-    )
+    // the application and the first step of its history go in together
+    return db.withTransaction( async () => {
+      let confirmation = await db.query(
+        `insert into applications
+          ( username, job_id, cover_letter )
+        values ( $1, $2, $3 )
+        on conflict ( username, job_id ) do nothing
+        returning username, job_id as "jobId"`,
+        [ username, jobId, coverLetter ]
+      )
 
-    console.log( confirmation.rows )
+      // lost a race with another request applying for the same job
+      if( !confirmation.rows[0] ) {
+        throw new ConflictError(
+          `${username} has already applied to job:${jobId}`, 
+          "already_applied"
+        )
+      }
 
-    return confirmation.rows[0]
+      await Application.recordTransition(
+        username, jobId, null, "applied", appliedBy
+      )
+      await AuditEvent.record({
+        action: "application.create",
+        targetType: "application",
+        targetId: `${username}/${jobId}`,
+        after: { state: "applied" },
+      })
+
+      logger.info("Applied to job", { applicant: username, jobId, appliedBy })
+
+      return confirmation.rows[0]
+    })
 
   }
 
@@ -234,6 +440,8 @@ class User {
    *
    * Data can include:
    *   { firstName, lastName, password, email, isAdmin }
+   * where isAdmin gives or takes away the admin role. A new email is
+   * unverified (see EmailVerification).
    *
    * Returns { username, firstName, lastName, email, isAdmin }
    *
@@ -245,49 +453,186 @@ class User {
    */
 
   static async update(username, data) {
-    if (data.password) {
-      data.password = await bcrypt.hash(data.password, BCRYPT_WORK_FACTOR);
+    const { isAdmin, ...fields } = data;
+
+    if (fields.password) {
+      fields.password = await bcrypt.hash(fields.password, BCRYPT_WORK_FACTOR);
     }
 
-    const { setCols, values } = sqlForPartialUpdate(
-        data,
-        {
-          firstName: "first_name",
-          lastName: "last_name",
-          isAdmin: "is_admin",
-        });
-    const usernameVarIdx = "$" + (values.length + 1);
-
-    const querySql = `UPDATE users 
-                      SET ${setCols} 
-                      WHERE username = ${usernameVarIdx} 
-                      RETURNING username,
-                                first_name AS "firstName",
-                                last_name AS "lastName",
-                                email,
-                                is_admin AS "isAdmin"`;
-    const result = await db.query(querySql, [...values, username]);
-    const user = result.rows[0];
+    // with only isAdmin to change, there's nothing to update in users
+    let updateSql, updateValues;
+    if (isAdmin === undefined || Object.keys(fields).length) {
+      const { setCols, values } = sqlForPartialUpdate(
+          fields,
+          {
+            firstName: "first_name",
+            lastName: "last_name",
+          });
+      updateSql = `UPDATE users
+                   SET ${setCols}
+                   WHERE username = $${values.length + 1}
+                   RETURNING ${USER_COLUMNS}`;
+      updateValues = [...values, username];
+    }
 
-    if (!user) throw new NotFoundError(`No user: ${username}`);
+    return db.withTransaction(async function () {
+      const beforeRes = await db.query(
+            `SELECT ${USER_COLUMNS}
+             FROM users
+             WHERE username = $1 AND deleted_at IS NULL
+             FOR UPDATE`,
+          [username]);
+      const before = beforeRes.rows[0];
+
+      if (!before) throw new NotFoundError(`No user: ${username}`);
+
+      if (fields.email !== undefined) {
+        await db.query(
+              `UPDATE users
+               SET email_verified_at = NULL,
+                   email_version = email_version + 1
+               WHERE username = $1 AND email <> $2`,
+            [username, fields.email]);
+      }
 
-    delete user.password;
-    return user;
+      if (isAdmin === true) {
+        await Role.assign(username, "admin");
+      } else if (isAdmin === false) {
+        await db.query(
+              `DELETE FROM user_roles
+               WHERE username = $1 AND role = 'admin'`,
+            [username]);
+      }
+
+      const result = updateSql
+          ? await db.query(updateSql, updateValues)
+          : await db.query(
+                `SELECT ${USER_COLUMNS}
+                 FROM users
+                 WHERE username = $1`,
+              [username]);
+      const user = result.rows[0];
+
+      await AuditEvent.record({
+        action: "user.update",
+        targetType: "user",
+        targetId: username,
+        before,
+        after: user,
+      });
+      // the log notes a new password, but never its hash
+      if (fields.password) {
+        await AuditEvent.record({
+          action: "user.password_change",
+          targetType: "user",
+          targetId: username,
+        });
+      }
+
+      return user;
+    });
   }
 
-  /** Delete given user from database; returns undefined. */
+  /** Delete given user; returns undefined.
+   *
+   * They're only marked deleted, and can be brought back with restore until
+   * they're purged. Their sessions end at once, and their API keys stop
+   * working while they're deleted.
+   *
+   * Throws NotFoundError if user not found.
+   **/
 
   static async remove(username) {
-    let result = await db.query(
-          `DELETE
-           FROM users
-           WHERE username = $1
-           RETURNING username`,
-        [username],
-    );
-    const user = result.rows[0];
+    return db.withTransaction(async function () {
+      let result = await db.query(
+            `UPDATE users
+             SET deleted_at = NOW()
+             WHERE username = $1 AND deleted_at IS NULL
+             RETURNING username,
+                       first_name AS "firstName",
+                       last_name AS "lastName",
+                       email`,
+          [username],
+      );
+      const user = result.rows[0];
+
+      if (!user) throw new NotFoundError(`No user: ${username}`);
+
+      await Session.revokeAllForUser(username);
+
+      await AuditEvent.record({
+        action: "user.remove",
+        targetType: "user",
+        targetId: username,
+        before: user,
+      });
+    });
+  }
 
-    if (!user) throw new NotFoundError(`No user: ${username}`);
+  /** Bring back a deleted user. They'll need to log in again.
+   *
+   * Returns { username, firstName, lastName, email, isAdmin }
+   *
+   * Throws NotFoundError if there's no deleted user with username.
+   **/
+
+  static async restore(username) {
+    return db.withTransaction(async function () {
+      const result = await db.query(
+            `UPDATE users
+             SET deleted_at = NULL
+             WHERE username = $1 AND deleted_at IS NOT NULL
+             RETURNING ${USER_COLUMNS}`,
+          [username]);
+      const user = result.rows[0];
+
+      if (!user) throw new NotFoundError(`No deleted user: ${username}`);
+
+      await AuditEvent.record({
+        action: "user.restore",
+        targetType: "user",
+        targetId: username,
+        after: user,
+      });
+
+      return user;
+    });
+  }
+
+  /** Remove users deleted more than days ago for good, with everything of
+   * theirs (applications, roles, sessions, API keys, ...).
+   *
+   * Returns [username, ...]
+   **/
+
+  static async purge(days) {
+    return db.withTransaction(async function () {
+      // resume rows go with the users' applications, but not their files
+      const resumes = await db.query(
+            `SELECT r.storage_key AS "storageKey"
+             FROM application_resumes r
+             JOIN users u ON u.username = r.username
+             WHERE u.deleted_at < NOW() - make_interval(days => $1)`,
+          [days]);
+      await Resume.removeFiles(resumes.rows.map(r => r.storageKey));
+
+      const result = await db.query(
+            `DELETE
+             FROM users
+             WHERE deleted_at < NOW() - make_interval(days => $1)
+             RETURNING username`,
+          [days]);
+
+      for (const { username } of result.rows) {
+        await AuditEvent.record({
+          action: "user.purge",
+          targetType: "user",
+          targetId: username,
+        });
+      }
+
+      return result.rows.map(row => row.username);
+    });
   }
 }
 
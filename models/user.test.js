@@ -4,9 +4,16 @@ const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  ConflictError,
+  ForbiddenError,
+  TooManyRequestsError,
 } = require("../expressError");
+const { AUTH_LOCKOUT_THRESHOLD, AUTH_LOCKOUT_BASE_MS } = require("../config");
 const db = require("../db.js");
 const User = require("./user.js");
+const AuditEvent = require("./auditEvent.js");
+const Resume = require("./resume.js");
+const { setStorage } = require("../helpers/storage");
 const {
   commonBeforeAll,
   commonBeforeEach,
@@ -30,6 +37,8 @@ describe("authenticate", function () {
       lastName: "U1L",
       email: "u1@email.com",
       isAdmin: false,
+      roles: ["candidate"],
+      permissions: ["applications:apply"],
     });
   });
 
@@ -50,6 +59,80 @@ describe("authenticate", function () {
       expect(err instanceof UnauthorizedError).toBeTruthy();
     }
   });
+
+  test("unauth if deleted", async function () {
+    await User.remove("u1");
+    await expect(User.authenticate("u1", "password1"))
+        .rejects.toBeInstanceOf(UnauthorizedError);
+  });
+
+  test("locks the account after too many wrong passwords", async function () {
+    for (let i = 0; i < AUTH_LOCKOUT_THRESHOLD; i++) {
+      await expect(User.authenticate("u1", "wrong"))
+          .rejects.toBeInstanceOf(UnauthorizedError);
+    }
+
+    try {
+      await User.authenticate("u1", "password1");
+      fail();
+    } catch (err) {
+      expect(err instanceof TooManyRequestsError).toBeTruthy();
+      expect(err.code).toEqual("account_locked");
+      expect(err.retryAfter).toEqual(AUTH_LOCKOUT_BASE_MS / 1000);
+    }
+
+    const { events } = await AuditEvent.findAll({ targetId: "u1" });
+    expect(events).toEqual([expect.objectContaining({
+      actor: null,
+      action: "user.lock",
+      after: {
+        failedLogins: AUTH_LOCKOUT_THRESHOLD,
+        lockedUntil: expect.any(String),
+      },
+    })]);
+  });
+
+  test("lockouts get longer with each further failure", async function () {
+    await db.query(
+        `UPDATE users SET failed_logins = $1 WHERE username = 'u1'`,
+        [AUTH_LOCKOUT_THRESHOLD]);
+    await expect(User.authenticate("u1", "wrong"))
+        .rejects.toBeInstanceOf(UnauthorizedError);
+
+    await expect(User.authenticate("u1", "password1"))
+        .rejects.toMatchObject({ retryAfter: 2 * AUTH_LOCKOUT_BASE_MS / 1000 });
+  });
+
+  test("logging in starts the count again", async function () {
+    await db.query(
+        `UPDATE users SET failed_logins = $1 WHERE username = 'u1'`,
+        [AUTH_LOCKOUT_THRESHOLD - 1]);
+    await User.authenticate("u1", "password1");
+    await expect(User.authenticate("u1", "wrong"))
+        .rejects.toBeInstanceOf(UnauthorizedError);
+    await User.authenticate("u1", "password1");
+  });
+});
+
+/************************************** unlock */
+
+describe("unlock", function () {
+  test("works", async function () {
+    await db.query(
+        `UPDATE users
+         SET failed_logins = 10, locked_until = NOW() + INTERVAL '1 hour'
+         WHERE username = 'u1'`);
+    await User.unlock("u1");
+    const user = await User.authenticate("u1", "password1");
+    expect(user.username).toEqual("u1");
+
+    const { events } = await AuditEvent.findAll({ targetId: "u1" });
+    expect(events.map(e => e.action)).toEqual(["user.unlock"]);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(User.unlock("nope")).rejects.toBeInstanceOf(NotFoundError);
+  });
 });
 
 /************************************** register */
@@ -68,10 +151,13 @@ describe("register", function () {
       ...newUser,
       password: "password",
     });
-    expect(user).toEqual(newUser);
+    expect(user).toEqual({
+      ...newUser,
+      roles: ["candidate"],
+      permissions: ["applications:apply"],
+    });
     const found = await db.query("SELECT * FROM users WHERE username = 'new'");
     expect(found.rows.length).toEqual(1);
-    expect(found.rows[0].is_admin).toEqual(false);
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
@@ -81,10 +167,14 @@ describe("register", function () {
       password: "password",
       isAdmin: true,
     });
-    expect(user).toEqual({ ...newUser, isAdmin: true });
+    expect(user).toEqual({
+      ...newUser,
+      isAdmin: true,
+      roles: ["admin"],
+      permissions: [],
+    });
     const found = await db.query("SELECT * FROM users WHERE username = 'new'");
     expect(found.rows.length).toEqual(1);
-    expect(found.rows[0].is_admin).toEqual(true);
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
@@ -109,7 +199,7 @@ describe("register", function () {
 
 describe("findAll", function () {
   test("works", async function () {
-    const users = await User.findAll();
+    const { users } = await User.findAll();
     expect(users).toEqual([
       {
         username: "u1",
@@ -139,7 +229,10 @@ describe("get", function () {
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
+      emailVerified: true,
       isAdmin: false,
+      roles: ["candidate"],
+      permissions: ["applications:apply"],
     });
   });
 
@@ -151,6 +244,17 @@ describe("get", function () {
       expect(err instanceof NotFoundError).toBeTruthy();
     }
   });
+
+  test("deleted users only with includeDeleted", async function () {
+    await User.remove("u1");
+    await expect(User.get("u1")).rejects.toBeInstanceOf(NotFoundError);
+
+    const user = await User.get("u1", { includeDeleted: true });
+    expect(user).toEqual(expect.objectContaining({
+      username: "u1",
+      deletedAt: expect.any(Date),
+    }));
+  });
 });
 
 /************************************** update */
@@ -171,6 +275,32 @@ describe("update", function () {
     });
   });
 
+  test("works: a new email is unverified", async function () {
+    await User.update("u1", { email: "u1@email.com" });
+    expect((await User.get("u1")).emailVerified).toEqual(true);
+
+    await User.update("u1", { email: "new@email.com" });
+    expect((await User.get("u1")).emailVerified).toEqual(false);
+  });
+
+  test("works: isAdmin gives and takes away the admin role", async function () {
+    await User.update("u1", { isAdmin: true });
+    expect((await User.get("u1")).roles).toEqual(["admin", "candidate"]);
+
+    const user = await User.update("u1", { isAdmin: false });
+    expect(user.isAdmin).toEqual(false);
+    expect((await User.get("u1")).roles).toEqual(["candidate"]);
+  });
+
+  test("works: audited, isAdmin included", async function () {
+    await User.update("u1", { firstName: "New", isAdmin: true });
+    const { events } = await AuditEvent.findAll({ targetId: "u1" });
+    expect(events.map(e => e.action))
+        .toEqual(["user.update", "user.role_assign"]);
+    expect(events[0].before).toEqual({ firstName: "U1F", isAdmin: false });
+    expect(events[0].after).toEqual({ firstName: "New", isAdmin: true });
+  });
+
   test("works: set password", async function () {
     let job = await User.update("u1", {
       password: "new",
@@ -185,6 +315,13 @@ describe("update", function () {
     const found = await db.query("SELECT * FROM users WHERE username = 'u1'");
     expect(found.rows.length).toEqual(1);
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
+
+    const { events } = await AuditEvent.findAll({ targetId: "u1" });
+    expect(events).toEqual([expect.objectContaining({
+      action: "user.password_change",
+      before: null,
+      after: null,
+    })]);
   });
 
   test("not found if no such user", async function () {
@@ -209,14 +346,69 @@ describe("update", function () {
   });
 });
 
+/************************************** apply */
+
+describe("apply", function () {
+  test("works", async function () {
+    const application = await User.apply("u2", 1);
+    expect(application).toEqual({ username: "u2", jobId: 1 });
+
+    const { events } = await AuditEvent.findAll({ targetId: "u2/1" });
+    expect(events).toEqual([expect.objectContaining({
+      action: "application.create",
+      targetType: "application",
+      after: { state: "applied" },
+    })]);
+  });
+
+  test("conflict if job is closed", async function () {
+    await db.query("UPDATE jobs SET status = 'closed' WHERE id = 1");
+    try {
+      await User.apply("u2", 1);
+      fail();
+    } catch (err) {
+      expect(err instanceof ConflictError).toBeTruthy();
+      expect(err.code).toEqual("job_not_open");
+    }
+  });
+
+  test("conflict if job has expired", async function () {
+    await db.query(
+        "UPDATE jobs SET expires_at = NOW() - INTERVAL '1 hour' WHERE id = 1");
+    try {
+      await User.apply("u2", 1);
+      fail();
+    } catch (err) {
+      expect(err.status).toEqual(409);
+    }
+  });
+
+  test("forbidden until the user verifies their email", async function () {
+    await db.query(
+        "UPDATE users SET email_verified_at = NULL WHERE username = 'u2'");
+    try {
+      await User.apply("u2", 1);
+      fail();
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+      expect(err.code).toEqual("email_not_verified");
+    }
+  });
+});
+
 /************************************** remove */
 
 describe("remove", function () {
   test("works", async function () {
     await User.remove("u1");
     const res = await db.query(
-        "SELECT * FROM users WHERE username='u1'");
-    expect(res.rows.length).toEqual(0);
+        "SELECT deleted_at FROM users WHERE username='u1'");
+    expect(res.rows[0].deleted_at).toEqual(expect.any(Date));
+
+    const { users } = await User.findAll();
+    expect(users.map(u => u.username)).toEqual(["u2"]);
+    const all = await User.findAll({}, { includeDeleted: true });
+    expect(all.users.map(u => u.username)).toEqual(["u1", "u2"]);
   });
 
   test("not found if no such user", async function () {
@@ -228,3 +420,66 @@ describe("remove", function () {
     }
   });
 });
+
+/************************************** restore */
+
+describe("restore", function () {
+  test("works", async function () {
+    await User.remove("u1");
+    const user = await User.restore("u1");
+    expect(user).toEqual({
+      username: "u1",
+      firstName: "U1F",
+      lastName: "U1L",
+      email: "u1@email.com",
+      isAdmin: false,
+    });
+    expect((await User.authenticate("u1", "password1")).username)
+        .toEqual("u1");
+
+    const { events } = await AuditEvent.findAll({ targetId: "u1" });
+    expect(events.map(e => e.action)).toEqual(["user.restore", "user.remove"]);
+  });
+
+  test("not found if not deleted", async function () {
+    await expect(User.restore("u1")).rejects.toBeInstanceOf(NotFoundError);
+  });
+});
+
+/************************************** purge */
+
+describe("purge", function () {
+  test("works", async function () {
+    await db.query(
+        `UPDATE users SET deleted_at = NOW() - INTERVAL '31 days'
+         WHERE username = 'u1'`);
+    expect(await User.purge(30)).toEqual(["u1"]);
+    expect(await User.purge(30)).toEqual([]);
+    const res = await db.query("SELECT username FROM users");
+    expect(res.rows).toEqual([{ username: "u2" }]);
+  });
+
+  test("removes the stored resume files", async function () {
+    const files = new Map();
+    setStorage({
+      put: async (key, data) => files.set(key, data),
+      get: async key => files.get(key) || null,
+      remove: async key => files.delete(key),
+    });
+    try {
+      await Resume.save("u1", 1, {
+        originalname: "cv.pdf",
+        mimetype: "application/pdf",
+        size: 8,
+        buffer: Buffer.from("%PDF-1.7"),
+      });
+      await db.query(
+          `UPDATE users SET deleted_at = NOW() - INTERVAL '31 days'
+           WHERE username = 'u1'`);
+      await User.purge(30);
+      expect(files.size).toEqual(0);
+    } finally {
+      setStorage();
+    }
+  });
+});
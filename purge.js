@@ -0,0 +1,41 @@
+"use strict";
+
+/** Command line runner that removes soft-deleted records for good.
+ *
+ *   node purge.js [days]  purge companies, jobs and users deleted more than
+ *                         `days` ago (default SOFT_DELETE_RETENTION_DAYS)
+ *
+ * Purged companies take their jobs with them, and jobs their applications
+ * (and the applications' resume files).
+ * Runs against the same database the app would (see config.js); run it
+ * daily from cron or the like.
+ */
+
+const db = require("./db");
+const { SOFT_DELETE_RETENTION_DAYS } = require("./config");
+const Company = require("./models/company");
+const Job = require("./models/job");
+const User = require("./models/user");
+
+async function main([arg]) {
+  try {
+    const days = arg === undefined ? SOFT_DELETE_RETENTION_DAYS : Number(arg);
+    if (!Number.isInteger(days) || days < 0) {
+      throw new Error(`days must be a whole number, not ${arg}`);
+    }
+
+    const jobs = await Job.purge(days);
+    const companies = await Company.purge(days);
+    const users = await User.purge(days);
+
+    console.log(`Purged ${jobs.length} jobs, ${companies.length} companies `
+        + `and ${users.length} users deleted over ${days} days ago.`);
+  } finally {
+    await db.close();
+  }
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -2,15 +2,35 @@
 
 const db = require("../db.js");
 const User = require("../models/user");
+const Role = require("../models/role");
+const CompanyMember = require("../models/companyMember");
 const Company = require("../models/company");
 const { createToken } = require("../helpers/tokens");
 const Job = require("../models/job.js");
+const { loginAttempts } = require("../middleware/rateLimit");
+
+// tokens are only good with a session, so each test user has one with a
+// known id; commonBeforeAll stores them
+const TEST_SESSIONS = {
+  u1: "test-session-u1",
+  u2: "test-session-u2",
+  u3: "test-session-u3",
+};
 
 async function commonBeforeAll() {
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM users");
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM companies");
+  // the audit log is append-only, even to TRUNCATE; only its owner can
+  // switch that off, as here
+  await db.withTransaction(async function () {
+    await db.query(
+        "ALTER TABLE audit_events DISABLE TRIGGER audit_events_no_truncate");
+    await db.query("TRUNCATE audit_events");
+    await db.query(
+        "ALTER TABLE audit_events ENABLE TRIGGER audit_events_no_truncate");
+  });
 
   await Company.create(
       {
@@ -61,6 +81,13 @@ async function commonBeforeAll() {
     password: "password3",
     isAdmin: false,
   });
+  await Role.assign("u3", "recruiter");
+  await db.query("UPDATE users SET email_verified_at = NOW()");
+  for (const [username, sessionId] of Object.entries(TEST_SESSIONS)) {
+    await db.query(
+        `INSERT INTO auth_sessions (id, username) VALUES ($1, $2)`,
+        [sessionId, username]);
+  }
 
     // this is needed to reset the auto incrementor so you test better
     await db.query("alter sequence jobs_id_seq restart with 1")
@@ -83,10 +110,17 @@ async function commonBeforeAll() {
     equity:0,
     companyHandle:"c3",
   })
+
+  await User.apply("u2", 3)
+
+  // u3 recruits for c1 and c3, but not c2
+  await CompanyMember.add("c1", "u3");
+  await CompanyMember.add("c3", "u3");
 }
 
 async function commonBeforeEach() {
   await db.query("BEGIN");
+  await loginAttempts.clear();
 }
 
 async function commonAfterEach() {
@@ -98,8 +132,16 @@ async function commonAfterAll() {
 }
 
 
-const u1Token = createToken({ username: "u1", isAdmin: true });
-const u2Token = createToken({ username: "u2", isAdmin: false });
+const u1Token = createToken(
+    { username: "u1", isAdmin: true }, TEST_SESSIONS.u1);
+const u2Token = createToken(
+    { username: "u2", isAdmin: false }, TEST_SESSIONS.u2);
+const u3Token = createToken({
+  username: "u3",
+  isAdmin: false,
+  roles: ["candidate", "recruiter"],
+  permissions: ["applications:review", "jobs:write"],
+}, TEST_SESSIONS.u3);
 
 
 module.exports = {
@@ -108,5 +150,7 @@ module.exports = {
   commonAfterEach,
   commonAfterAll,
   u1Token,
-  u2Token
+  u2Token,
+  u3Token,
+  TEST_SESSIONS,
 };
@@ -0,0 +1,46 @@
+"use strict";
+
+/** Routes for the audit log. */
+
+const express = require("express");
+
+const AuditEvent = require("../models/auditEvent");
+const { ensureIsAdmin } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { parsePage } = require("../helpers/pagination");
+
+const auditQuerySchema = require("../schemas/auditQuery.json");
+
+const router = new express.Router();
+
+
+/** GET /  =>
+ *   { events: [ { id, occurredAt, actor, action, targetType, targetId,
+ *                 before, after, requestId, ip }, ...],
+ *     meta: { limit, total, nextCursor, prevCursor } }
+ *
+ * Lists what was done to companies, jobs, users and API keys, and by
+ * whom, newest first. before and after hold just the fields that changed;
+ * actor is null for things done without logging in (eg locking an account
+ * after failed logins).
+ *
+ * Can filter on actor, targetType, targetId, and a time range with since
+ * (inclusive) and until (exclusive). Results are paged like GET /companies.
+ *
+ * Authorization required: admin
+ */
+
+router.get("/", ensureIsAdmin, validate({ query: auditQuerySchema }),
+    async function (req, res, next) {
+  try {
+    const { limit, cursor, ...filters } = req.query;
+    const page = parsePage({ limit, cursor });
+    const result = await AuditEvent.findAll(filters, page);
+    return res.json(result);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,89 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  u2Token,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /audit */
+
+describe("GET /audit", function () {
+  test("records who changed what, and from where", async function () {
+    await request(app)
+        .patch("/companies/c1")
+        .send({ name: "C1-new" })
+        .set("X-Request-Id", "req-audit-1")
+        .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app)
+        .get("/audit?actor=u1")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.events).toEqual([{
+      id: expect.any(Number),
+      occurredAt: expect.any(String),
+      actor: "u1",
+      action: "company.update",
+      targetType: "company",
+      targetId: "c1",
+      before: { name: "C1" },
+      after: { name: "C1-new" },
+      requestId: "req-audit-1",
+      ip: expect.any(String),
+    }]);
+    expect(resp.body.meta).toEqual(expect.objectContaining({ total: 1 }));
+  });
+
+  test("filters by target type and time", async function () {
+    const since = new Date().toISOString();
+    await request(app)
+        .delete("/companies/c3")
+        .set("authorization", `Bearer ${u1Token}`);
+    const afterDelete = new Date().toISOString();
+
+    const resp = await request(app)
+        .get("/audit")
+        .query({ targetType: "company", since })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.events.map(e => [e.action, e.targetId]))
+        .toEqual([["company.remove", "c3"]]);
+
+    const later = await request(app)
+        .get("/audit")
+        .query({ targetType: "company", since: afterDelete })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(later.body.events).toEqual([]);
+  });
+
+  test("bad request with invalid filters", async function () {
+    const resp = await request(app)
+        .get("/audit?since=yesterday")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .get("/audit")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/audit");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
@@ -2,61 +2,291 @@
 
 /** Routes for authentication. */
 
-const jsonschema = require("jsonschema");
-
+const db = require("../db");
 const User = require("../models/user");
+const PasswordReset = require("../models/passwordReset");
+const Session = require("../models/session");
+const EmailVerification = require("../models/emailVerification");
+const TwoFactor = require("../models/twoFactor");
 const express = require("express");
 const router = new express.Router();
-const { createToken } = require("../helpers/tokens");
+const {
+  createToken,
+  createMfaToken,
+  readMfaToken,
+} = require("../helpers/tokens");
 const userAuthSchema = require("../schemas/userAuth.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
-const { BadRequestError } = require("../expressError");
+const refreshTokenSchema = require("../schemas/refreshToken.json");
+const passwordResetRequestSchema = require("../schemas/passwordResetRequest.json");
+const passwordResetConfirmSchema = require("../schemas/passwordResetConfirm.json");
+const emailVerificationSchema = require("../schemas/emailVerification.json");
+const mfaChallengeSchema = require("../schemas/mfaChallenge.json");
+const { validate } = require("../middleware/validate");
+const { ensureLoggedIn } = require("../middleware/auth");
+const { ConflictError, UnauthorizedError } = require("../expressError");
+const {
+  limitLogins,
+  limitMfaAttempts,
+  limitVerificationMails,
+  forgetLoginAttempts,
+} = require("../middleware/rateLimit");
+
+/** Apply the 2FA policy for admins to user, as returned by User.get or
+ * User.authenticate.
+ *
+ * Admins only get admin powers in tokens if they have 2FA on. Until they
+ * turn it on, their tokens are those of a user without the admin role,
+ * and user.mfaEnrollmentRequired is set.
+ */
+
+async function withMfaPolicy(user) {
+  if (!user.isAdmin || await TwoFactor.isEnabled(user.username)) return user;
+
+  return {
+    ...user,
+    isAdmin: false,
+    roles: user.roles.filter(role => role !== "admin"),
+    mfaEnrollmentRequired: true,
+  };
+}
+
+/** Start a login session for user.
+ *
+ * Returns { token, refreshToken }: a short-lived JWT for authenticating
+ * requests and a refresh token to get new ones from POST /auth/refresh;
+ * plus mfaEnrollmentRequired: true for admins who must turn on 2FA.
+ */
 
-/** POST /auth/token:  { username, password } => { token }
+async function startSession(user) {
+  user = await withMfaPolicy(user);
+  const { sessionId, refreshToken } = await Session.create(user.username);
+  const tokens = { token: createToken(user, sessionId), refreshToken };
+  if (user.mfaEnrollmentRequired) tokens.mfaEnrollmentRequired = true;
+  return tokens;
+}
+
+/** POST /auth/token:  { username, password } => { token, refreshToken }
+ *
+ * Returns JWT token which can be used to authenticate further requests,
+ * and a refresh token for getting new ones when it expires.
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * For users with two-factor authentication on, returns
+ * { mfaRequired: true, mfaToken } instead: send the mfaToken and a code
+ * to POST /auth/token/mfa to finish logging in.
+ *
+ * Admins without 2FA are logged in without their admin powers, and the
+ * response says mfaEnrollmentRequired: true.
+ *
+ * Attempts are rate limited per client and per username, and too many
+ * wrong passwords lock the account for a while (see User.authenticate);
+ * either gets a 429 with a Retry-After header.
  *
  * Authorization required: none
  */
 
-router.post("/token", async function (req, res, next) {
+router.post("/token", validate({ body: userAuthSchema }), limitLogins,
+    async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, userAuthSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
     const { username, password } = req.body;
     const user = await User.authenticate(username, password);
-    const token = createToken(user);
-    return res.json({ token });
+    await forgetLoginAttempts(username);
+
+    if (await TwoFactor.isEnabled(username)) {
+      return res.json({ mfaRequired: true, mfaToken: createMfaToken(username) });
+    }
+
+    const tokens = await startSession(user);
+    return res.json(tokens);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/token/mfa:  { mfaToken, code } => { token, refreshToken }
+ *
+ * Second step of logging in with two-factor authentication: mfaToken is
+ * from POST /auth/token, and code is from the user's authenticator app or
+ * one of their recovery codes. Wrong codes count as failed logins.
+ *
+ * Authorization required: none
+ */
+
+router.post("/token/mfa", validate({ body: mfaChallengeSchema }),
+    limitMfaAttempts, async function (req, res, next) {
+  try {
+    const username = readMfaToken(req.body.mfaToken);
+    if (!username) throw new UnauthorizedError("Invalid or expired MFA token");
+
+    await User.ensureNotLocked(username);
+    if (!await TwoFactor.verify(username, req.body.code)) {
+      await User.recordFailedLogin(username);
+      throw new UnauthorizedError("Invalid code");
+    }
+    await User.unlock(username);
+
+    const tokens = await startSession(await User.get(username));
+    return res.json(tokens);
   } catch (err) {
     return next(err);
   }
 });
 
 
-/** POST /auth/register:   { user } => { token }
+/** POST /auth/register:   { user } => { token, refreshToken }
  *
  * user must include { username, password, firstName, lastName, email }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests,
+ * and a refresh token for getting new ones when it expires.
+ *
+ * Mails the user a link to verify their email address; they can't apply
+ * to jobs until they follow it (see POST /auth/verify-email). If that
+ * fails, the user isn't made, so they can try again.
  *
  * Authorization required: none
  */
 
-router.post("/register", async function (req, res, next) {
+router.post("/register", validate({ body: userRegisterSchema }),
+    async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, userRegisterSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
+    const tokens = await db.withTransaction(async () => {
+      const newUser = await User.register({ ...req.body, isAdmin: false });
+      await EmailVerification.send(newUser.username);
+      return startSession(newUser);
+    });
+    return res.status(201).json(tokens);
+  } catch (err) {
+    return next(err);
+  }
+});
+
 
-    const newUser = await User.register({ ...req.body, isAdmin: false });
-    const token = createToken(newUser);
-    return res.status(201).json({ token });
+/** POST /auth/refresh:   { refreshToken } => { token, refreshToken }
+ *
+ * Trades a refresh token for a new JWT and a new refresh token; the old
+ * refresh token can't be used again. Presenting an already-used refresh
+ * token revokes the whole session.
+ *
+ * Authorization required: none
+ */
+
+router.post("/refresh", validate({ body: refreshTokenSchema }),
+    async function (req, res, next) {
+  try {
+    const { username, sessionId, refreshToken } =
+        await Session.rotate(req.body.refreshToken);
+    const user = await withMfaPolicy(await User.get(username));
+    const token = createToken(user, sessionId);
+    return res.json({ token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/logout:   { refreshToken } => { loggedOut: username }
+ *
+ * Ends the session the refresh token belongs to. Its refresh token and
+ * any JWTs issued for it stop working.
+ *
+ * Authorization required: none
+ */
+
+router.post("/logout", validate({ body: refreshTokenSchema }),
+    async function (req, res, next) {
+  try {
+    const { sessionId, username } =
+        await Session.findByRefreshToken(req.body.refreshToken);
+    await Session.revoke(sessionId);
+    return res.json({ loggedOut: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/password-reset/request:   { username } => { message }
+ *
+ * Mails the user a link with a single-use password reset token. Responds
+ * the same way whether or not the user exists.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/request",
+    validate({ body: passwordResetRequestSchema }),
+    async function (req, res, next) {
+  try {
+    await PasswordReset.request(req.body.username);
+    return res.status(202).json({
+      message: "If that account exists, a reset link has been sent to it",
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/password-reset/confirm:   { token, password } => { reset }
+ *
+ * Sets a new password using the token from a reset email.
+ *
+ * Returns { reset: username }
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/confirm",
+    validate({ body: passwordResetConfirmSchema }),
+    async function (req, res, next) {
+  try {
+    const { username } = await PasswordReset.confirm(
+        req.body.token, req.body.password);
+    return res.json({ reset: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/verify-email:   { token } => { verified: username }
+ *
+ * Marks the user's email address verified, using the token from the link
+ * mailed to them.
+ *
+ * Authorization required: none
+ */
+
+router.post("/verify-email", validate({ body: emailVerificationSchema }),
+    async function (req, res, next) {
+  try {
+    const { username } = await EmailVerification.confirm(req.body.token);
+    return res.json({ verified: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/verify-email/resend:   {} => { message }
+ *
+ * Mails the logged in user a new verification link. 409 if their address
+ * is already verified, and 429 if they've asked for too many links lately
+ * (see limitVerificationMails).
+ *
+ * Authorization required: login
+ */
+
+router.post("/verify-email/resend", ensureLoggedIn, limitVerificationMails,
+    async function (req, res, next) {
+  try {
+    const sent = await EmailVerification.send(res.locals.user.username);
+    if (!sent) {
+      throw new ConflictError("Email is already verified", "already_verified");
+    }
+    return res.status(202).json({ message: "Verification link sent" });
   } catch (err) {
     return next(err);
   }
@@ -3,12 +3,26 @@
 const request = require("supertest");
 
 const app = require("../app");
+const db = require("../db");
+const { loginAttempts } = require("../middleware/rateLimit");
+const Role = require("../models/role");
+const AuditEvent = require("../models/auditEvent");
+const TwoFactor = require("../models/twoFactor");
+const { totp } = require("../helpers/totp");
+const { setTransport } = require("../helpers/mail");
+const { SECRET_KEY } = require("../config");
+const jwt = require("jsonwebtoken");
+const {
+  AUTH_RATE_LIMIT_MAX,
+  AUTH_RATE_LIMIT_WINDOW_MS,
+} = require("../config");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  u2Token,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -28,6 +42,7 @@ describe("POST /auth/token", function () {
         });
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -69,6 +84,56 @@ describe("POST /auth/token", function () {
         });
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("too many attempts against a username", async function () {
+    for (let i = 0; i < AUTH_RATE_LIMIT_MAX; i++) {
+      await request(app)
+          .post("/auth/token")
+          .send({ username: "no-such-user", password: "guess" });
+    }
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "no-such-user", password: "guess" });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.body.code).toEqual("rate_limited");
+    expect(+resp.headers["retry-after"])
+        .toBeGreaterThan(AUTH_RATE_LIMIT_WINDOW_MS / 1000 - 5);
+  });
+
+  test("too many attempts from one client", async function () {
+    for (let i = 0; i < AUTH_RATE_LIMIT_MAX; i++) {
+      await request(app)
+          .post("/auth/token")
+          .send({ username: `guess${i}`, password: "guess" });
+    }
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(429);
+  });
+
+  test("logging in forgets attempts against the username", async function () {
+    for (let i = 0; i < AUTH_RATE_LIMIT_MAX - 1; i++) {
+      await loginAttempts.hit("user:u1", AUTH_RATE_LIMIT_WINDOW_MS);
+    }
+    await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    const { hits } = await loginAttempts.hit("user:u1", AUTH_RATE_LIMIT_WINDOW_MS);
+    expect(hits).toEqual(1);
+  });
+
+  test("locked account", async function () {
+    await db.query(
+        `UPDATE users SET locked_until = NOW() + INTERVAL '1 minute'
+         WHERE username = 'u1'`);
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.body.code).toEqual("account_locked");
+    expect(resp.headers["retry-after"]).toEqual("60");
+  });
 });
 
 /************************************** POST /auth/register */
@@ -87,9 +152,34 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
+  test("nothing is made if the mail can't be sent", async function () {
+    const newUser = {
+      username: "new",
+      firstName: "first",
+      lastName: "last",
+      password: "password",
+      email: "new@email.com",
+    };
+    setTransport({ send: async () => { throw new Error("mail server down"); } });
+    try {
+      const failed = await request(app).post("/auth/register").send(newUser);
+      expect(failed.statusCode).toEqual(500);
+    } finally {
+      setTransport();
+    }
+
+    const found = await db.query(
+        "SELECT username FROM users WHERE username = 'new'");
+    expect(found.rows).toEqual([]);
+
+    const retry = await request(app).post("/auth/register").send(newUser);
+    expect(retry.statusCode).toEqual(201);
+  });
+
   test("bad request with missing fields", async function () {
     const resp = await request(app)
         .post("/auth/register")
@@ -112,3 +202,410 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(400);
   });
 });
+
+/************************************** POST /auth/refresh */
+
+describe("POST /auth/refresh", function () {
+  async function login() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    return resp.body;
+  }
+
+  test("works", async function () {
+    const { refreshToken } = await login();
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(refreshToken);
+
+    const me = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${resp.body.token}`);
+    expect(me.statusCode).toEqual(200);
+  });
+
+  test("reuse revokes the session", async function () {
+    const { token, refreshToken } = await login();
+    const first = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+
+    const replay = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(replay.statusCode).toEqual(401);
+
+    // the rotated refresh token and both JWTs died with the session
+    const next = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: first.body.refreshToken });
+    expect(next.statusCode).toEqual(401);
+    for (const jwt of [token, first.body.token]) {
+      const me = await request(app)
+          .get("/users/u1")
+          .set("authorization", `Bearer ${jwt}`);
+      expect(me.statusCode).toEqual(401);
+    }
+  });
+
+  test("unauth with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: "made-up" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe("POST /auth/logout", function () {
+  test("works", async function () {
+    const { body: { token, refreshToken } } = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken });
+    expect(resp.body).toEqual({ loggedOut: "u1" });
+
+    const me = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${token}`);
+    expect(me.statusCode).toEqual(401);
+
+    const refresh = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(refresh.statusCode).toEqual(401);
+  });
+
+  test("logging in and out is audited, with the request", async function () {
+    const { body: { refreshToken } } = await request(app)
+        .post("/auth/token")
+        .set("x-request-id", "req-login")
+        .send({ username: "u1", password: "password1" });
+    await request(app)
+        .post("/auth/logout")
+        .set("x-request-id", "req-logout")
+        .send({ refreshToken });
+
+    const { events } = await AuditEvent.findAll({ targetId: "u1" });
+    expect(events.slice(0, 2)).toEqual([
+      expect.objectContaining({
+        actor: "u1",
+        action: "user.logout",
+        requestId: "req-logout",
+        ip: expect.any(String),
+      }),
+      expect.objectContaining({
+        actor: "u1",
+        action: "user.login",
+        requestId: "req-login",
+        ip: expect.any(String),
+      }),
+    ]);
+  });
+
+  test("unauth with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken: "made-up" });
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /auth/password-reset */
+
+describe("POST /auth/password-reset", function () {
+  async function mailedToken() {
+    const result = await db.query(
+        "SELECT body FROM mail_outbox ORDER BY id DESC LIMIT 1");
+    return /token=([\w-]+)/.exec(result.rows[0].body)[1];
+  }
+
+  test("works: request then confirm", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username: "u1" });
+    expect(resp.statusCode).toEqual(202);
+
+    const token = await mailedToken();
+    const confirm = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "brand-new" });
+    expect(confirm.body).toEqual({ reset: "u1" });
+
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "brand-new" });
+    expect(login.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+  });
+
+  test("same response for unknown user", async function () {
+    const known = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username: "u1" });
+    const unknown = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username: "no-such-user" });
+    expect(unknown.statusCode).toEqual(202);
+    expect(unknown.body).toEqual(known.body);
+  });
+
+  test("bad request with bad token", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: "made-up", password: "brand-new" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: "made-up" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/verify-email */
+
+describe("POST /auth/verify-email", function () {
+  async function mailedToken() {
+    const result = await db.query(
+        "SELECT body FROM mail_outbox ORDER BY id DESC LIMIT 1");
+    return /token=([\w.-]+)/.exec(result.rows[0].body)[1];
+  }
+
+  test("works: register, verify, then apply", async function () {
+    const register = await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+    const auth = `Bearer ${register.body.token}`;
+
+    const blocked = await request(app)
+        .post("/users/new/jobs/1")
+        .set("authorization", auth);
+    expect(blocked.statusCode).toEqual(403);
+    expect(blocked.body.code).toEqual("email_not_verified");
+
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({ token: await mailedToken() });
+    expect(resp.body).toEqual({ verified: "new" });
+
+    const applied = await request(app)
+        .post("/users/new/jobs/1")
+        .set("authorization", auth);
+    expect(applied.statusCode).toEqual(201);
+  });
+
+  test("bad request with invalid token", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({ token: "nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with missing token", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/verify-email/resend */
+
+describe("POST /auth/verify-email/resend", function () {
+  test("works", async function () {
+    await db.query(
+        "UPDATE users SET email_verified_at = NULL WHERE username = 'u2'");
+    const resp = await request(app)
+        .post("/auth/verify-email/resend")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(202);
+
+    const mail = await db.query("SELECT to_address FROM mail_outbox");
+    expect(mail.rows).toEqual([{ to_address: "user2@user.com" }]);
+  });
+
+  test("conflict if already verified", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email/resend")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(409);
+    expect(resp.body.code).toEqual("already_verified");
+  });
+
+  test("too many links asked for", async function () {
+    await db.query(
+        "UPDATE users SET email_verified_at = NULL WHERE username = 'u2'");
+    for (let i = 0; i < AUTH_RATE_LIMIT_MAX; i++) {
+      await request(app)
+          .post("/auth/verify-email/resend")
+          .set("authorization", `Bearer ${u2Token}`);
+    }
+    const resp = await request(app)
+        .post("/auth/verify-email/resend")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.headers["retry-after"]).toBeDefined();
+
+    const mail = await db.query("SELECT COUNT(*) AS count FROM mail_outbox");
+    expect(+mail.rows[0].count).toEqual(AUTH_RATE_LIMIT_MAX);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email/resend");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** two-factor authentication */
+
+describe("POST /auth/token with 2FA", function () {
+  let secret;
+
+  beforeEach(async function () {
+    ({ secret } = await TwoFactor.enroll("u2"));
+    await TwoFactor.confirm("u2", totp(secret));
+  });
+
+  // a code from the next time step, as this one's was used to confirm
+  function nextCode() {
+    return totp(secret, Date.now() + 30 * 1000);
+  }
+
+  async function mfaToken() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u2", password: "password2" });
+    return resp.body.mfaToken;
+  }
+
+  test("works: password, then code", async function () {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u2", password: "password2" });
+    expect(resp.body).toEqual({ mfaRequired: true, mfaToken: expect.any(String) });
+
+    const finish = await request(app)
+        .post("/auth/token/mfa")
+        .send({ mfaToken: resp.body.mfaToken, code: nextCode() });
+    expect(finish.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+  });
+
+  test("works with a recovery code", async function () {
+    const [code] = await TwoFactor.newRecoveryCodes("u2");
+    const resp = await request(app)
+        .post("/auth/token/mfa")
+        .send({ mfaToken: await mfaToken(), code });
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth with wrong code, which counts as a failed login", async function () {
+    const resp = await request(app)
+        .post("/auth/token/mfa")
+        .send({ mfaToken: await mfaToken(), code: "000000" });
+    expect(resp.statusCode).toEqual(401);
+
+    const user = await db.query(
+        "SELECT failed_logins FROM users WHERE username = 'u2'");
+    expect(user.rows[0].failed_logins).toEqual(1);
+
+    // the right password again doesn't start the count again
+    await mfaToken();
+    const again = await db.query(
+        "SELECT failed_logins FROM users WHERE username = 'u2'");
+    expect(again.rows[0].failed_logins).toEqual(1);
+  });
+
+  test("unauth with invalid MFA token", async function () {
+    const resp = await request(app)
+        .post("/auth/token/mfa")
+        .send({ mfaToken: u2Token, code: nextCode() });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("refused while the account is locked", async function () {
+    const token = await mfaToken();
+    await db.query(
+        `UPDATE users SET locked_until = NOW() + INTERVAL '1 minute'
+         WHERE username = 'u2'`);
+    const resp = await request(app)
+        .post("/auth/token/mfa")
+        .send({ mfaToken: token, code: nextCode() });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.body.code).toEqual("account_locked");
+  });
+});
+
+describe("2FA policy for admins", function () {
+  beforeEach(async function () {
+    await Role.assign("u1", "admin");
+  });
+
+  test("admins without 2FA are logged in without admin powers", async function () {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+      mfaEnrollmentRequired: true,
+    });
+    const payload = jwt.verify(resp.body.token, SECRET_KEY);
+    expect(payload.isAdmin).toEqual(false);
+    expect(payload.roles).toEqual(["candidate"]);
+
+    const refreshed = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: resp.body.refreshToken });
+    expect(jwt.verify(refreshed.body.token, SECRET_KEY).isAdmin).toEqual(false);
+  });
+
+  test("admins with 2FA get admin powers", async function () {
+    const { secret } = await TwoFactor.enroll("u1");
+    await TwoFactor.confirm("u1", totp(secret));
+
+    const first = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    const resp = await request(app)
+        .post("/auth/token/mfa")
+        .send({
+          mfaToken: first.body.mfaToken,
+          code: totp(secret, Date.now() + 30 * 1000),
+        });
+    expect(resp.body.mfaEnrollmentRequired).toBeUndefined();
+    expect(jwt.verify(resp.body.token, SECRET_KEY).isAdmin).toEqual(true);
+  });
+});
+
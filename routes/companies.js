@@ -2,15 +2,23 @@
 
 /** Routes for companies. */
 
-const jsonschema = require("jsonschema");
 const express = require("express");
 
-const { BadRequestError } = require("../expressError");
-const { ensureIsAdmin } = require("../middleware/auth");
+const {
+  ensureIsAdmin,
+  ensureAdminForIncludeDeleted,
+  ensureCompanyMember,
+} = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
 const Company = require("../models/company");
+const CompanyMember = require("../models/companyMember");
+const { parsePage } = require("../helpers/pagination");
 
 const companyNewSchema = require("../schemas/companyNew.json");
 const companyUpdateSchema = require("../schemas/companyUpdate.json");
+const companyMemberNewSchema = require("../schemas/companyMemberNew.json");
+const companyQuerySchema = require("../schemas/companyQuery.json");
+const includeDeletedQuerySchema = require("../schemas/includeDeletedQuery.json");
 
 const router = new express.Router();
 
@@ -24,14 +32,8 @@ const router = new express.Router();
  * Authorization required: admin
  */
 
-router.post("/", ensureIsAdmin, async function (req, res, next) {
+router.post("/", ensureIsAdmin, validate({ body: companyNewSchema }), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, companyNewSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
     const company = await Company.create(req.body);
     return res.status(201).json({ company });
   } catch (err) {
@@ -40,28 +42,39 @@ router.post("/", ensureIsAdmin, async function (req, res, next) {
 });
 
 /** GET /  =>
- *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...] }
+ *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...],
+ *     meta: { limit, total, nextCursor, prevCursor } }
  *
  * Can filter on provided search filters:
  * - minEmployees
  * - maxEmployees
  * - nameLike (will find case-insensitive, partial matches)
  *
- * Authorization required: none
+ * Filters are checked against companyQuery.json; bad values are a 400.
+ *
+ * Results are paged: pass `limit` (default 20, max 100) and the `cursor`
+ * from meta.nextCursor or meta.prevCursor to move between pages.
+ *
+ * Deleted companies are left out; admins can pass includeDeleted=true to
+ * list them too, with their deletedAt.
+ *
+ * Authorization required: none (admin for includeDeleted)
  */
 
-router.get("/", async function (req, res, next) {
+router.get("/", validate({ query: companyQuerySchema }), ensureAdminForIncludeDeleted, async function (req, res, next) {
   try {
-    let { minEmployees, maxEmployees, nameLike } = req.query
-    let companies;
+    let { minEmployees, maxEmployees, nameLike, includeDeleted, limit, cursor } = req.query
+    const page = parsePage({ limit, cursor });
+    const options = { includeDeleted };
+    let result;
 
     if( minEmployees || maxEmployees || nameLike ){
-      companies = await Company.find( { minEmployees, maxEmployees, nameLike } )
+      result = await Company.find( { minEmployees, maxEmployees, nameLike }, page, options )
     }
     else{
-      companies = await Company.findAll();
+      result = await Company.findAll(page, options);
     }
-    return res.json({ companies });
+    return res.json(result);
   } catch (err) {
     return next(err);
   }
@@ -72,12 +85,16 @@ router.get("/", async function (req, res, next) {
  *  Company is { handle, name, description, numEmployees, logoUrl, jobs }
  *   where jobs is [{ id, title, salary, equity }, ...]
  *
- * Authorization required: none
+ * Admins can pass includeDeleted=true to get a deleted company, with its
+ * deletedAt.
+ *
+ * Authorization required: none (admin for includeDeleted)
  */
 
-router.get("/:handle", async function (req, res, next) {
+router.get("/:handle", validate({ query: includeDeletedQuerySchema }), ensureAdminForIncludeDeleted, async function (req, res, next) {
   try {
-    const company = await Company.get(req.params.handle);
+    const company = await Company.get(
+        req.params.handle, { includeDeleted: req.query.includeDeleted });
     return res.json({ company });
   } catch (err) {
     return next(err);
@@ -95,14 +112,8 @@ router.get("/:handle", async function (req, res, next) {
  * Authorization required: admin
  */
 
-router.patch("/:handle", ensureIsAdmin, async function (req, res, next) {
+router.patch("/:handle", ensureIsAdmin, validate({ body: companyUpdateSchema }), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, companyUpdateSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
     const company = await Company.update(req.params.handle, req.body);
     return res.json({ company });
   } catch (err) {
@@ -111,6 +122,9 @@ router.patch("/:handle", ensureIsAdmin, async function (req, res, next) {
 });
 
 /** DELETE /[handle]  =>  { deleted: handle }
+ *
+ * The company and its jobs are soft deleted: hidden, but kept until
+ * `npm run purge` removes them, so they can be restored.
  *
  * Authorization: admin
  */
@@ -124,5 +138,72 @@ router.delete("/:handle", ensureIsAdmin, async function (req, res, next) {
   }
 });
 
+/** POST /[handle]/restore  =>  { restored: handle }
+ *
+ * Brings back a deleted company, with the jobs deleted along with it.
+ *
+ * Authorization: admin
+ */
+
+router.post("/:handle/restore", ensureIsAdmin, async function (req, res, next) {
+  try {
+    await Company.restore(req.params.handle);
+    return res.json({ restored: req.params.handle });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[handle]/members  =>  { members }
+ *
+ * members is [{ username, firstName, lastName, email, addedAt }, ...]
+ *
+ * Authorization required: admin or member of the company
+ */
+
+router.get("/:handle/members", ensureCompanyMember, async function (req, res, next) {
+  try {
+    const members = await CompanyMember.findAll(req.params.handle);
+    return res.json({ members });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[handle]/members { username }  =>  { member }
+ *
+ * Makes the user a member of the company. Recruiters who are members can
+ * manage the company's jobs and applications.
+ *
+ * Returns { companyHandle, username }
+ *
+ * Authorization required: admin
+ */
+
+router.post("/:handle/members", ensureIsAdmin,
+    validate({ body: companyMemberNewSchema }), async function (req, res, next) {
+  try {
+    const member = await CompanyMember.add(
+        req.params.handle, req.body.username);
+    return res.status(201).json({ member });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[handle]/members/[username]  =>  { removed: username }
+ *
+ * Authorization required: admin
+ */
+
+router.delete("/:handle/members/:username", ensureIsAdmin, async function (req, res, next) {
+  try {
+    await CompanyMember.remove(req.params.handle, req.params.username);
+    return res.json({ removed: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 
 module.exports = router;
@@ -11,6 +11,8 @@ const {
   commonAfterEach,
   commonAfterAll,
   u1Token,
+  u2Token,
+  u3Token,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -60,15 +62,26 @@ describe("POST /companies", function () {
         })
         .set("authorization", `Bearer ${u1Token}`);
     expect(resp.statusCode).toEqual(400);
+    expect(resp.body.errors).toEqual([
+      { field: "logoUrl", rule: "format", message: expect.any(String) },
+    ]);
   });
 });
 
 /************************************** GET /companies */
 
 describe("GET /companies", function () {
+  test("unauth for includeDeleted unless admin", async function () {
+    const resp = await request(app)
+        .get("/companies?includeDeleted=true")
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("ok for anon", async function () {
     const resp = await request(app).get("/companies");
     expect(resp.body).toEqual({
+      meta: expect.any(Object),
       companies:
           [
             {
@@ -99,6 +112,7 @@ describe("GET /companies", function () {
   test("filtering for companies with a '1'", async function () {
     const resp = await request(app).get("/companies?nameLike=1");
     expect(resp.body).toEqual({
+      meta: expect.any(Object),
       companies:
           [
             {
@@ -114,6 +128,7 @@ describe("GET /companies", function () {
   test("filtering for companies with a 'c'", async function () {
     const resp = await request(app).get("/companies?nameLike=c")
     expect(resp.body).toEqual({
+      meta: expect.any(Object),
       companies:
           [
             {
@@ -143,6 +158,7 @@ describe("GET /companies", function () {
   test("filtering for companies with max of 2 employees", async function () {
     const resp = await request(app).get("/companies?MaxEmployees=2")
     expect(resp.body).toEqual({
+      meta: expect.any(Object),
       companies:
           [
             {
@@ -172,6 +188,7 @@ describe("GET /companies", function () {
   test("filtering for companies with minimum of 2 employees", async function () {
     const resp = await request(app).get("/companies?minEmployees=2")
     expect(resp.body).toEqual({
+      meta: expect.any(Object),
       companies:
           [
             {
@@ -196,6 +213,7 @@ describe("GET /companies", function () {
     const resp = await request(app)
                         .get("/companies?maxEmployees=2&minEmployees=2")
     expect(resp.body).toEqual({
+      meta: expect.any(Object),
       companies:
           [
             {
@@ -225,6 +243,40 @@ describe("GET /companies", function () {
         .set("authorization", `Bearer ${u1Token}`);
     expect(resp.statusCode).toEqual(500);
   });
+
+  test("works: paged", async function () {
+    const resp = await request(app).get("/companies?limit=2");
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+    expect(resp.body.meta).toEqual({
+      limit: 2,
+      total: 3,
+      nextCursor: expect.any(String),
+      prevCursor: null,
+    });
+
+    const next = await request(app)
+        .get(`/companies?limit=2&cursor=${resp.body.meta.nextCursor}`);
+    expect(next.body.companies.map(c => c.handle)).toEqual(["c3"]);
+    expect(next.body.meta).toEqual({
+      limit: 2,
+      total: 3,
+      nextCursor: null,
+      prevCursor: expect.any(String),
+    });
+  });
+
+  test("bad request on bad cursor", async function () {
+    const resp = await request(app).get("/companies?cursor=garbage");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on bad filters, with the fields at fault", async function () {
+    const resp = await request(app).get("/companies?minEmployees=abc");
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.errors).toEqual([
+      { field: "minEmployees", rule: "type", message: expect.any(String) },
+    ]);
+  });
 });
 
 /************************************** GET /companies/:handle */
@@ -260,6 +312,30 @@ describe("GET /companies/:handle", function () {
     const resp = await request(app).get(`/companies/nope`);
     expect(resp.statusCode).toEqual(404);
   });
+
+  test("deleted companies: not found, unless admin asks", async function () {
+    await request(app)
+        .delete(`/companies/c1`)
+        .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app).get(`/companies/c1`);
+    expect(resp.statusCode).toEqual(404);
+
+    const admin = await request(app)
+        .get(`/companies/c1?includeDeleted=true`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(admin.body.company).toEqual(expect.objectContaining({
+      handle: "c1",
+      deletedAt: expect.any(String),
+    }));
+  });
+
+  test("unauth for includeDeleted unless admin", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1?includeDeleted=true`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
 });
 
 /************************************** PATCH /companies/:handle */
@@ -320,6 +396,9 @@ describe("PATCH /companies/:handle", function () {
         })
         .set("authorization", `Bearer ${u1Token}`);
     expect(resp.statusCode).toEqual(400);
+    expect(resp.body.errors).toEqual([
+      { field: "logoUrl", rule: "format", message: expect.any(String) },
+    ]);
   });
 });
 
@@ -345,4 +424,169 @@ describe("DELETE /companies/:handle", function () {
         .set("authorization", `Bearer ${u1Token}`);
     expect(resp.statusCode).toEqual(404);
   });
+
+  test("hides the company and its jobs from lists", async function () {
+    await request(app)
+        .delete(`/companies/c1`)
+        .set("authorization", `Bearer ${u1Token}`);
+
+    const companies = await request(app).get("/companies");
+    expect(companies.body.companies.map(c => c.handle)).toEqual(["c2", "c3"]);
+    const jobs = await request(app).get("/jobs");
+    expect(jobs.body.jobs.map(j => j.companyHandle)).not.toContain("c1");
+
+    const admin = await request(app)
+        .get("/companies?includeDeleted=true")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(admin.body.companies.map(c => [c.handle, !!c.deletedAt]))
+        .toEqual([["c1", true], ["c2", false], ["c3", false]]);
+  });
+});
+
+/************************************** POST /companies/:handle/restore */
+
+describe("POST /companies/:handle/restore", function () {
+  beforeEach(async function () {
+    await request(app)
+        .delete(`/companies/c1`)
+        .set("authorization", `Bearer ${u1Token}`);
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/restore`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ restored: "c1" });
+
+    const company = await request(app).get(`/companies/c1`);
+    expect(company.statusCode).toEqual(200);
+    const job = await request(app).get(`/jobs/1`);
+    expect(job.statusCode).toEqual(200);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/restore`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not deleted", async function () {
+    const resp = await request(app)
+        .post(`/companies/c2/restore`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /companies/:handle/members */
+
+describe("GET /companies/:handle/members", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/members`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      members: [
+        {
+          username: "u3",
+          firstName: "U3F",
+          lastName: "U3L",
+          email: "user3@user.com",
+          addedAt: expect.any(String),
+        },
+      ],
+    });
+  });
+
+  test("works for member", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/members`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth for non-member", async function () {
+    const resp = await request(app)
+        .get(`/companies/c2/members`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/members`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such company", async function () {
+    const resp = await request(app)
+        .get(`/companies/nope/members`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /companies/:handle/members */
+
+describe("POST /companies/:handle/members", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post(`/companies/c2/members`)
+        .send({ username: "u3" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      member: { companyHandle: "c2", username: "u3" },
+    });
+  });
+
+  test("unauth for recruiter", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u2" })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such user", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "nope" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ user: "u2" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** DELETE /companies/:handle/members/:username */
+
+describe("DELETE /companies/:handle/members/:username", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u3`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ removed: "u3" });
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u3`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not a member", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c2/members/u3`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
 });
@@ -0,0 +1,56 @@
+"use strict";
+
+/** Routes for the API's own documentation. */
+
+const express = require("express");
+
+const { buildSpec } = require("../helpers/openapi");
+
+const router = new express.Router();
+
+// the routes can't change once the app is serving, so the document is
+// built once, on the first request for it
+let spec;
+
+// Swagger UI, from a CDN, pointed at /openapi.json
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Jobly API</title>
+  <link rel="stylesheet"
+        href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: "/openapi.json", dom_id: "#docs" });
+  </script>
+</body>
+</html>
+`;
+
+
+/** GET /openapi.json  =>  the OpenAPI 3 document for this API
+ *
+ * Authorization required: none
+ */
+
+router.get("/openapi.json", function (req, res) {
+  spec = spec || buildSpec(req.app);
+  return res.json(spec);
+});
+
+
+/** GET /docs  =>  interactive docs for the API, as an HTML page
+ *
+ * Authorization required: none
+ */
+
+router.get("/docs", function (req, res) {
+  return res.type("html").send(DOCS_PAGE);
+});
+
+
+module.exports = router;
@@ -0,0 +1,35 @@
+"use strict";
+
+const request = require("supertest");
+
+const db = require("../db");
+const app = require("../app");
+
+afterAll(async function () {
+  await db.end();
+});
+
+/************************************** GET /openapi.json */
+
+describe("GET /openapi.json", function () {
+  test("works for anon", async function () {
+    const resp = await request(app).get("/openapi.json");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.openapi).toEqual("3.1.0");
+    expect(resp.body.paths["/jobs"]).toEqual({
+      get: expect.any(Object),
+      post: expect.any(Object),
+    });
+  });
+});
+
+/************************************** GET /docs */
+
+describe("GET /docs", function () {
+  test("works for anon", async function () {
+    const resp = await request(app).get("/docs");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toMatch(/^text\/html/);
+    expect(resp.text).toContain("/openapi.json");
+  });
+});
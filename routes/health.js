@@ -0,0 +1,51 @@
+"use strict";
+
+/** Routes for load balancers and orchestrators to probe. */
+
+const express = require("express");
+
+const db = require("../db");
+const { readiness } = require("../helpers/health");
+
+const router = new express.Router();
+
+
+/** GET /health  =>  { status: "ok", uptime }
+ *
+ * Liveness: answers as long as the process can serve requests at all.
+ * uptime is in seconds. Doesn't touch the database, so a database outage
+ * doesn't get the app restarted.
+ *
+ * Authorization required: none
+ */
+
+router.get("/health", function (req, res) {
+  return res.json({ status: "ok", uptime: process.uptime() });
+});
+
+
+/** GET /ready  =>  { status, checks: { database, tables } }
+ *
+ * Readiness: whether the database answers and has the tables the app
+ * needs. Each check is { status: "ok" | "failed" | "skipped", ... }.
+ * Responds 503 with status "unavailable" if any check fails, or with
+ * status "draining" (and no checks) while the server is shutting down.
+ *
+ * Authorization required: none
+ */
+
+router.get("/ready", async function (req, res, next) {
+  try {
+    if (req.app.locals.draining) {
+      return res.status(503).json({ status: "draining" });
+    }
+
+    const result = await readiness(db);
+    return res.status(result.status === "ok" ? 200 : 503).json(result);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
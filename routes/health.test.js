@@ -0,0 +1,66 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const db = require("../db");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+
+/************************************** GET /health */
+
+describe("GET /health", function () {
+  test("works", async function () {
+    const resp = await request(app).get("/health");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ status: "ok", uptime: expect.any(Number) });
+  });
+});
+
+/************************************** GET /ready */
+
+describe("GET /ready", function () {
+  test("works", async function () {
+    const resp = await request(app).get("/ready");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      status: "ok",
+      checks: {
+        database: { status: "ok", latencyMs: expect.any(Number) },
+        tables: { status: "ok" },
+      },
+    });
+  });
+
+  test("draining while the server shuts down", async function () {
+    app.locals.draining = true;
+    try {
+      const resp = await request(app).get("/ready");
+      expect(resp.statusCode).toEqual(503);
+      expect(resp.body).toEqual({ status: "draining" });
+    } finally {
+      delete app.locals.draining;
+    }
+  });
+
+  test("unavailable if a table is missing", async function () {
+    await db.query("DROP TABLE application_resumes");
+    const resp = await request(app).get("/ready");
+    expect(resp.statusCode).toEqual(503);
+    expect(resp.body.status).toEqual("unavailable");
+    expect(resp.body.checks.tables).toEqual({
+      status: "failed",
+      missing: ["application_resumes"],
+    });
+  });
+});
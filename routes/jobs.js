@@ -2,35 +2,67 @@
 
 /** Routes for jobs. */
 
-const jsonschema = require("jsonschema");
 const express = require("express");
 
-const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, ensureIsAdmin } = require("../middleware/auth");
+const {
+    NotFoundError,
+    UnauthorizedError,
+} = require("../expressError");
+const {
+    ensureIsAdmin,
+    ensureAdminForIncludeDeleted,
+    ensurePermission,
+    hasCompanyPermission,
+} = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
 const Job = require("../models/job");
+const Application = require("../models/application");
+const { parsePage } = require("../helpers/pagination");
 
 const jobNewSchema = require("../schemas/jobNew.json");
 const jobUpdateSchema = require("../schemas/jobUpdate.json");
+const jobStatusChangeSchema = require("../schemas/jobStatusChange.json");
+const jobQuerySchema = require("../schemas/jobQuery.json");
+const jobParamsSchema = require("../schemas/jobParams.json");
+const includeDeletedQuerySchema = require("../schemas/includeDeletedQuery.json");
 
 const router = new express.Router();
 
+// Throws UnauthorizedError unless the logged in user has permission for
+// companyHandle: admins always do, recruiters only for their own companies.
+
+async function checkCompanyPermission(res, companyHandle, permission) {
+    const allowed = await hasCompanyPermission(
+        res.locals.user, companyHandle, permission
+    )
+    if( !allowed ) throw new UnauthorizedError()
+}
+
+// Same as checkCompanyPermission, for the company that posted job id.
+// Throws NotFoundError if there is no such job.
+
+async function checkJobPermission(res, id, permission) {
+    const job = await Job.get(id)
+    await checkCompanyPermission(res, job.companyHandle, permission)
+}
+
 /** POST / { job } =>  { job }
  *
- * job should be { title, salary, equity, companyHandle }
+ * job should be { title, salary, equity, companyHandle } and can also have
+ * status ("draft", or the default "published") and expiresAt
  *
- * Returns { id, title, salary, equity, companyHandle }
+ * Returns { id, title, salary, equity, companyHandle, status, expiresAt }
  *
- * Authorization required: login
+ * Authorization required: jobs:write permission for companyHandle
  */
 
- router.post("/", ensureLoggedIn, async function (req, res, next) {
+ router.post(
+    "/",
+    ensurePermission("jobs:write"),
+    validate({ body: jobNewSchema }),
+    async function (req, res, next) {
     try {
-
-        const validator = jsonschema.validate(req.body, jobNewSchema);
-        if (!validator.valid) {
-            const errs = validator.errors.map(e => e.stack);
-            throw new BadRequestError(errs);
-        }
+        await checkCompanyPermission(res, req.body.companyHandle, "jobs:write")
     
         const job = await Job.create(req.body);
         return res.status(201).json({ job });
@@ -42,45 +74,82 @@ const router = new express.Router();
 
 
 /** GET /  =>
- *   { jobs: [ { id, title, salary, equity, companyHandle }, ...] }
+ *   { jobs: [ { id, title, salary, equity, companyHandle, status,
+ *               expiresAt }, ...],
+ *     meta: { limit, total, nextCursor, prevCursor } }
  *
  * Can filter on provided search filters:
  * - title (will find case-insensitive, partial matches)
  * - minSalary
- * - equity
+ * - hasEquity (true for only jobs with equity)
+ * - status (draft, published or closed)
+ *
+ * Filters are checked against jobQuery.json; bad values are a 400.
  *
- * Authorization required: none
+ * Only published jobs are listed, except to admins (who see every job) and
+ * recruiters (who also see their own companies' drafts and closed jobs).
+ *
+ * Results are paged: pass `limit` (default 20, max 100) and the `cursor`
+ * from meta.nextCursor or meta.prevCursor to move between pages.
+ *
+ * Deleted jobs are left out; admins can pass includeDeleted=true to list
+ * them too, with their deletedAt.
+ *
+ * Authorization required: none (admin for includeDeleted)
  */
 
- router.get("/", async function (req, res, next) {
+ router.get(
+    "/",
+    validate({ query: jobQuerySchema }),
+    ensureAdminForIncludeDeleted,
+    async function (req, res, next) {
     try {
-        let { title, minSalary, equity, sortBy } = req.query
-        let jobs;
+        let { title, minSalary, hasEquity, status, sortBy, includeDeleted, limit, cursor } = req.query
+        const page = parsePage({ limit, cursor })
+        const viewer = res.locals.user
+        const options = { includeDeleted }
+        let result;
     
-        if( title || minSalary || equity ){
-            jobs = await Job.find( 
-                { title, minSalary, equity } 
+        if( title || minSalary || hasEquity || status ){
+            result = await Job.find( 
+                { title, minSalary, hasEquity, status }, page, viewer, options
             )
         }
         else{
-            jobs = await Job.findAll(sortBy);
+            result = await Job.findAll(sortBy, true, page, viewer, options);
         }
-        return res.json({ jobs });
+        return res.json(result);
     } catch (err) {
           return next(err);
     }
 });
 
-  /** GET /[id]  =>  { company }
+  /** GET /[id]  =>  { job }
  *
- *  Job is { id, title, salary, equity, companyHandle }
+ *  Job is { id, title, salary, equity, companyHandle, status, expiresAt }
  *
- * Authorization required: none
+ * Drafts and closed jobs are only found by admins and by recruiters at the
+ * job's company. Admins can pass includeDeleted=true to get a deleted job,
+ * with its deletedAt.
+ *
+ * Authorization required: none (admin for includeDeleted)
  */
 
-router.get("/:id", async function (req, res, next) {
+router.get(
+    "/:id",
+    validate({ params: jobParamsSchema, query: includeDeletedQuerySchema }),
+    ensureAdminForIncludeDeleted,
+    async function (req, res, next) {
     try {
-        const job = await Job.get(req.params.id);
+        const job = await Job.get(
+            req.params.id, { includeDeleted: req.query.includeDeleted }
+        );
+        if( job.status != "published" ){
+            const allowed = await hasCompanyPermission(
+                res.locals.user, job.companyHandle, "jobs:write"
+            )
+            if( !allowed ) throw new NotFoundError(`No job: ${req.params.id}`)
+        }
         return res.json({ job });
     } catch (err) {
         return next(err);
@@ -91,20 +160,20 @@ router.get("/:id", async function (req, res, next) {
  *
  * Patches job data.
  *
- * fields can be: { title, salary, equity }
+ * fields can be: { title, salary, equity, expiresAt }
  *
- * Returns { id, title, salary, equity, companyHandle }
+ * Returns { id, title, salary, equity, companyHandle, status, expiresAt }
  *
- * Authorization required: admin
+ * Authorization required: jobs:write permission for the job's company
  */
 
-router.patch("/:id", ensureIsAdmin, async function (req, res, next) {
+router.patch(
+    "/:id",
+    ensurePermission("jobs:write"),
+    validate({ params: jobParamsSchema, body: jobUpdateSchema }),
+    async function (req, res, next) {
     try {
-        const validator = jsonschema.validate(req.body, jobUpdateSchema);
-        if (!validator.valid) {
-            const errs = validator.errors.map(e => e.stack);
-            throw new BadRequestError(errs);
-        }
+        await checkJobPermission(res, req.params.id, "jobs:write")
     
         const job = await Job.update(req.params.id, req.body);
         return res.status(201).json({ job });
@@ -114,13 +183,102 @@ router.patch("/:id", ensureIsAdmin, async function (req, res, next) {
     }
 });
 
+/** POST /[id]/publish, /[id]/close, /[id]/reopen { expiresAt } => { job }
+ *
+ * Moves a job along its lifecycle:
+ * - publish: draft => published
+ * - close: published => closed
+ * - reopen: closed (by hand or by expiring) => published
+ *
+ * The body is optional; expiresAt sets a new expiry (or null for none).
+ * Otherwise publishing keeps the job's expiry and reopening clears it.
+ *
+ * Returns { id, title, salary, equity, companyHandle, status, expiresAt }
+ *
+ * Authorization required: jobs:write permission for the job's company
+ */
+
+router.post(
+    `/:id/:action(${ Object.keys(Job.STATUS_ACTIONS).join("|") })`,
+    ensurePermission("jobs:write"),
+    validate({ params: jobParamsSchema, body: jobStatusChangeSchema }),
+    async function (req, res, next) {
+    try {
+        await checkJobPermission(res, req.params.id, "jobs:write")
+
+        const job = await Job.changeStatus(
+            req.params.id, req.params.action, req.body.expiresAt
+        )
+        return res.json({ job });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+/** GET /[id]/applications  =>  { applications }
+ *
+ * applications is [{ username, jobId, state, updatedAt }, ...]
+ *
+ * Applications from deleted users are left out; admins can pass
+ * includeDeleted=true to list them too.
+ *
+ * Authorization required: applications:review permission for the job's
+ * company (admin for includeDeleted)
+ */
+
+router.get(
+    "/:id/applications",
+    ensurePermission("applications:review"),
+    validate({ params: jobParamsSchema, query: includeDeletedQuerySchema }),
+    ensureAdminForIncludeDeleted,
+    async function (req, res, next) {
+    try {
+        await checkJobPermission(res, req.params.id, "applications:review")
+        const applications = await Application.findForJob(
+            req.params.id, { includeDeleted: req.query.includeDeleted }
+        )
+        return res.json({ applications });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+/** POST /[id]/restore  =>  { restored: id }
+ *
+ * Brings back a deleted job. Its company must not be deleted: restore that
+ * first (409 if not).
+ *
+ * Authorization: admin
+ */
+
+router.post(
+    "/:id/restore",
+    ensureIsAdmin,
+    validate({ params: jobParamsSchema }),
+    async function (req, res, next) {
+    try {
+        await Job.restore(req.params.id)
+        return res.json({ restored: req.params.id })
+    } catch (err) {
+        return next(err);
+    }
+});
+
 /** DELETE /[id]  =>  { deleted: id }
  *
- * Authorization: Admin
+ * The job is soft deleted: hidden, but kept until `npm run purge` removes
+ * it, so admins can restore it.
+ *
+ * Authorization: jobs:write permission for the job's company
  */
 
-router.delete("/:id", ensureIsAdmin, async function (req, res, next) {
+router.delete(
+    "/:id",
+    ensurePermission("jobs:write"),
+    validate({ params: jobParamsSchema }),
+    async function (req, res, next) {
     try {
+        await checkJobPermission(res, req.params.id, "jobs:write")
         await Job.remove(req.params.id);
         return res.json({ deleted: req.params.id });
     } catch (err) {
@@ -5,6 +5,7 @@ const request = require("supertest");
 const db = require("../db.js");
 const app = require("../app");
 const Job = require("../models/job");
+const { encodeCursor } = require("../helpers/pagination");
 
 const {
   commonBeforeAll,
@@ -13,6 +14,7 @@ const {
   commonAfterAll,
   u1Token,
   u2Token,
+  u3Token,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -42,11 +44,55 @@ describe("POST /jobs", function () {
         title:"j44", 
         salary:100, 
         equity:"0", 
-        companyHandle:'c1' 
+        companyHandle:'c1',
+        status:'published',
+        expiresAt:null
       }
     })
   })
 
+  test("works for recruiter", async function () {
+    const resp = 
+              await request(app)
+                      .post("/jobs")
+                      .send({ 
+                        title:"j44", 
+                        salary:100, 
+                        equity:0, 
+                        companyHandle:'c1' 
+                      })
+                      .set("authorization", `Bearer ${u3Token}`)
+    expect(resp.statusCode).toEqual(201)
+  })
+
+  test("unauth for recruiter at another company", async function () {
+    const resp = 
+              await request(app)
+                      .post("/jobs")
+                      .send({ 
+                        title:"j44", 
+                        salary:100, 
+                        equity:0, 
+                        companyHandle:'c2' 
+                      })
+                      .set("authorization", `Bearer ${u3Token}`)
+    expect(resp.statusCode).toEqual(401)
+  })
+
+  test("unauth for candidate", async function () {
+    const resp = 
+              await request(app)
+                      .post("/jobs")
+                      .send({ 
+                        title:"j44", 
+                        salary:100, 
+                        equity:0, 
+                        companyHandle:'c1' 
+                      })
+                      .set("authorization", `Bearer ${u2Token}`)
+    expect(resp.statusCode).toEqual(401)
+  })
+
   test("unauth for anon", async function () {
     const resp = 
               await request(app)
@@ -59,6 +105,22 @@ describe("POST /jobs", function () {
                       })
     expect(resp.statusCode).toEqual(401);
   })
+
+  test("bad request if expiresAt is in the past", async function () {
+    const resp = 
+              await request(app)
+                      .post("/jobs")
+                      .send({ 
+                        title:"j44", 
+                        salary:100, 
+                        equity:0, 
+                        companyHandle:'c1',
+                        expiresAt:"2000-01-01T00:00:00.000Z"
+                      })
+                      .set("authorization", `Bearer ${u1Token}`)
+    expect(resp.statusCode).toEqual(400)
+    expect(resp.body.detail).toEqual("expiresAt must be in the future")
+  })
 })
 
 /************************************** GET /jobs */
@@ -69,6 +131,78 @@ describe("GET /jobs", function () {
     expect(resp.statusCode).toEqual(200)  
     expect(resp.body.jobs.length).toEqual(3)
   })
+  test("works: paged", async function () {
+    const resp = await request(app).get("/jobs?limit=2&sortBy=id")
+    expect(resp.statusCode).toEqual(200)
+    expect(resp.body.jobs.map(j => j.id)).toEqual([1, 2])
+    expect(resp.body.meta).toEqual({
+      limit: 2,
+      total: 3,
+      nextCursor: expect.any(String),
+      prevCursor: null,
+    })
+
+    const next = await request(app)
+        .get(`/jobs?limit=2&sortBy=id&cursor=${resp.body.meta.nextCursor}`)
+    expect(next.body.jobs.map(j => j.id)).toEqual([3])
+    expect(next.body.meta.nextCursor).toBeNull()
+  })
+  test("hides drafts except from admins and the company's recruiters", async function () {
+    await db.query("update jobs set status = 'draft' where id in (1, 2)")
+
+    let resp = await request(app).get("/jobs?sortBy=id")
+    expect(resp.body.jobs.map(j => j.id)).toEqual([3])
+
+    resp = await request(app)
+                .get("/jobs?sortBy=id")
+                .set("authorization", `Bearer ${u1Token}`)
+    expect(resp.body.jobs.map(j => j.id)).toEqual([1, 2, 3])
+
+    resp = await request(app)
+                .get("/jobs?status=draft")
+                .set("authorization", `Bearer ${u3Token}`)
+    expect(resp.body.jobs.map(j => j.id)).toEqual([1])
+  })
+  test("bad request on bad limit", async function () {
+    const resp = await request(app).get("/jobs?limit=0")
+    expect(resp.statusCode).toEqual(400)
+  })
+  test("bad request on bad cursor", async function () {
+    const resp = await request(app).get("/jobs?cursor=garbage")
+    expect(resp.statusCode).toEqual(400)
+  })
+  test("bad request on a cursor from another sort", async function () {
+    const resp = await request(app).get("/jobs?limit=1&sortBy=title")
+    const next = await request(app)
+        .get(`/jobs?limit=1&sortBy=salary&cursor=${resp.body.meta.nextCursor}`)
+    expect(next.statusCode).toEqual(400)
+  })
+  test("bad request on cursor values that don't fit the sort", async function () {
+    const cursor = encodeCursor({
+      direction: "next",
+      sortKey: "COALESCE(salary, -1),id ASC",
+      values: ["lots", 1],
+    })
+    const resp = await request(app).get(`/jobs?sortBy=salary&cursor=${cursor}`)
+    expect(resp.statusCode).toEqual(400)
+  })
+  test("filters on hasEquity", async function () {
+    await db.query("update jobs set equity = 0.5 where id = 2")
+
+    let resp = await request(app).get("/jobs?hasEquity=true")
+    expect(resp.body.jobs.map(j => j.id)).toEqual([2])
+
+    resp = await request(app).get("/jobs?hasEquity=false&sortBy=id")
+    expect(resp.body.jobs.map(j => j.id)).toEqual([1, 2, 3])
+  })
+  test("bad request on bad filters, with the fields at fault", async function () {
+    const resp = await request(app).get("/jobs?minSalary=lots&status=open")
+    expect(resp.statusCode).toEqual(400)
+    expect(resp.body.errors).toEqual([
+      { field: "minSalary", rule: "type", message: expect.any(String) },
+      { field: "status", rule: "enum", message: expect.any(String) },
+    ])
+  })
 })
 
 /************************************** GET /jobs/:id */
@@ -83,7 +217,9 @@ describe("GET /jobs/:id", function () {
         title:"j1",
         salary:1,
         equity:"0",
-        companyHandle:"c1"      
+        companyHandle:"c1",
+        status:"published",
+        expiresAt:null
       }
     })
   })
@@ -91,6 +227,47 @@ describe("GET /jobs/:id", function () {
     const resp = await request(app).get("/jobs/100")
     expect(resp.statusCode).toEqual(404)
   })
+  test("bad request when id isn't a number", async function () {
+    const resp = await request(app).get("/jobs/one")
+    expect(resp.statusCode).toEqual(400)
+    expect(resp.body.errors[0].field).toEqual("id")
+  })
+  test("deleted jobs: not found, unless admin asks", async function () {
+    await Job.remove(1)
+    const resp = await request(app).get("/jobs/1")
+    expect(resp.statusCode).toEqual(404)
+
+    const admin = await request(app)
+                          .get("/jobs/1?includeDeleted=true")
+                          .set("authorization", `Bearer ${u1Token}`)
+    expect(admin.body.job).toEqual(expect.objectContaining({
+      id:1,
+      deletedAt:expect.any(String)
+    }))
+  })
+  test("unauth for includeDeleted unless admin", async function () {
+    const resp = await request(app)
+                          .get("/jobs?includeDeleted=true")
+                          .set("authorization", `Bearer ${u3Token}`)
+    expect(resp.statusCode).toEqual(401)
+  })
+})
+
+describe("GET /jobs/:id for a draft", function () {
+  beforeEach(async function () {
+    await db.query("update jobs set status = 'draft' where id = 1")
+  })
+  test("not found for anon", async function () {
+    const resp = await request(app).get("/jobs/1")
+    expect(resp.statusCode).toEqual(404)
+  })
+  test("works for recruiter at the job's company", async function () {
+    const resp = 
+              await request(app)
+                      .get("/jobs/1")
+                      .set("authorization", `Bearer ${u3Token}`)
+    expect(resp.body.job.status).toEqual("draft")
+  })
 })
 
 /************************************** PATCH /jobs/:id */
@@ -109,10 +286,28 @@ describe("PATCH /jobs/:id", function () {
         title:"j1", 
         salary:100, 
         equity:"0", 
-        companyHandle:'c1' 
+        companyHandle:'c1',
+        status:'published',
+        expiresAt:null
       } 
     })    
   })
+  test("works for recruiter at the job's company", async function () {
+    const resp = 
+              await request(app)
+                      .patch("/jobs/1")
+                      .send({ salary:100 })
+                      .set("authorization", `Bearer ${u3Token}`)
+    expect(resp.body.job.salary).toEqual(100)
+  })
+  test("unauth for recruiter at another company", async function () {
+    const resp = 
+              await request(app)
+                      .patch("/jobs/2")
+                      .send({ salary:100 })
+                      .set("authorization", `Bearer ${u3Token}`)
+    expect(resp.statusCode).toEqual(401)
+  })
   test("unauth for anon", async function () {
     const resp = 
               await request(app)
@@ -130,6 +325,128 @@ describe("PATCH /jobs/:id", function () {
   })
 })
 
+/************************************** POST /jobs/:id/publish, close, reopen */
+
+describe("POST /jobs/:id/:action", function () {
+  test("works: close then reopen", async function () {
+    let resp = 
+              await request(app)
+                      .post("/jobs/1/close")
+                      .set("authorization", `Bearer ${u3Token}`)
+    expect(resp.body.job.status).toEqual("closed")
+
+    resp = 
+              await request(app)
+                      .post("/jobs/1/reopen")
+                      .send({ expiresAt:"2999-01-01T00:00:00.000Z" })
+                      .set("authorization", `Bearer ${u3Token}`)
+    expect(resp.body.job).toEqual(expect.objectContaining({
+      status:"published",
+      expiresAt:"2999-01-01T00:00:00.000Z"
+    }))
+  })
+  test("works: publish a draft", async function () {
+    await db.query("update jobs set status = 'draft' where id = 1")
+    const resp = 
+              await request(app)
+                      .post("/jobs/1/publish")
+                      .set("authorization", `Bearer ${u1Token}`)
+    expect(resp.body.job.status).toEqual("published")
+  })
+  test("conflict on a move the lifecycle does not allow", async function () {
+    const resp = 
+              await request(app)
+                      .post("/jobs/1/reopen")
+                      .set("authorization", `Bearer ${u1Token}`)
+    expect(resp.statusCode).toEqual(409)
+  })
+  test("bad request on invalid expiresAt", async function () {
+    const resp = 
+              await request(app)
+                      .post("/jobs/1/close")
+                      .send({ expiresAt:"tomorrow" })
+                      .set("authorization", `Bearer ${u1Token}`)
+    expect(resp.statusCode).toEqual(400)
+  })
+  test("unauth for recruiter at another company", async function () {
+    const resp = 
+              await request(app)
+                      .post("/jobs/2/close")
+                      .set("authorization", `Bearer ${u3Token}`)
+    expect(resp.statusCode).toEqual(401)
+  })
+  test("not found for unknown action", async function () {
+    const resp = 
+              await request(app)
+                      .post("/jobs/1/archive")
+                      .set("authorization", `Bearer ${u1Token}`)
+    expect(resp.statusCode).toEqual(404)
+  })
+})
+
+/************************************** GET /jobs/:id/applications */
+
+describe("GET /jobs/:id/applications", function () {
+  test("works for admin", async function () {
+    const resp = 
+              await request(app)
+                      .get("/jobs/3/applications")
+                      .set("authorization", `Bearer ${u1Token}`)
+    expect(resp.body).toEqual({
+      applications:[
+        {
+          username:"u2",
+          jobId:3,
+          state:"applied",
+          updatedAt:expect.any(String)
+        }
+      ]
+    })
+  })
+  test("works for recruiter", async function () {
+    const resp = 
+              await request(app)
+                      .get("/jobs/3/applications")
+                      .set("authorization", `Bearer ${u3Token}`)
+    expect(resp.statusCode).toEqual(200)
+  })
+  test("leaves out deleted users unless admin asks", async function () {
+    await db.query("UPDATE users SET deleted_at = NOW() WHERE username = 'u2'")
+    const resp = 
+              await request(app)
+                      .get("/jobs/3/applications")
+                      .set("authorization", `Bearer ${u3Token}`)
+    expect(resp.body).toEqual({ applications: [] })
+
+    const all = 
+              await request(app)
+                      .get("/jobs/3/applications?includeDeleted=true")
+                      .set("authorization", `Bearer ${u1Token}`)
+    expect(all.body.applications.map(a => a.username)).toEqual(["u2"])
+  })
+  test("unauth for recruiter at another company", async function () {
+    const resp = 
+              await request(app)
+                      .get("/jobs/2/applications")
+                      .set("authorization", `Bearer ${u3Token}`)
+    expect(resp.statusCode).toEqual(401)
+  })
+  test("unauth for candidate", async function () {
+    const resp = 
+              await request(app)
+                      .get("/jobs/3/applications")
+                      .set("authorization", `Bearer ${u2Token}`)
+    expect(resp.statusCode).toEqual(401)
+  })
+  test("404 if job not found", async function () {
+    const resp = 
+              await request(app)
+                      .get("/jobs/100/applications")
+                      .set("authorization", `Bearer ${u1Token}`)
+    expect(resp.statusCode).toEqual(404)
+  })
+})
+
 /************************************** DELETE /jobs/:id */
 
 describe("DELETE /jobs/:id", function () {
@@ -141,6 +458,27 @@ describe("DELETE /jobs/:id", function () {
       
     expect(resp.body).toEqual({ deleted:"1" })    
   })
+  test("works for recruiter", async function () {
+    const resp = 
+              await request(app)
+                      .delete("/jobs/1")
+                      .set("authorization", `Bearer ${u3Token}`)
+    expect(resp.body).toEqual({ deleted:"1" })
+  })
+  test("unauth for recruiter at another company", async function () {
+    const resp = 
+              await request(app)
+                      .delete("/jobs/2")
+                      .set("authorization", `Bearer ${u3Token}`)
+    expect(resp.statusCode).toEqual(401);
+  })
+  test("unauth for candidate", async function () {
+    const resp = 
+              await request(app)
+                      .delete("/jobs/1")
+                      .set("authorization", `Bearer ${u2Token}`)
+    expect(resp.statusCode).toEqual(401);
+  })
   test("unauth for anon", async function () {
     const resp = 
               await request(app)
@@ -156,3 +494,42 @@ describe("DELETE /jobs/:id", function () {
   })
 })
 
+/************************************** POST /jobs/:id/restore */
+
+describe("POST /jobs/:id/restore", function () {
+  test("works for admin", async function () {
+    await Job.remove(1)
+    const resp = 
+              await request(app)
+                      .post("/jobs/1/restore")
+                      .set("authorization", `Bearer ${u1Token}`)
+    expect(resp.body).toEqual({ restored:"1" })
+    expect((await request(app).get("/jobs/1")).statusCode).toEqual(200)
+  })
+  test("conflict if its company is deleted", async function () {
+    await request(app)
+            .delete("/companies/c1")
+            .set("authorization", `Bearer ${u1Token}`)
+    const resp = 
+              await request(app)
+                      .post("/jobs/1/restore")
+                      .set("authorization", `Bearer ${u1Token}`)
+    expect(resp.statusCode).toEqual(409)
+    expect(resp.body.code).toEqual("company_deleted")
+  })
+  test("unauth for recruiter", async function () {
+    await Job.remove(1)
+    const resp = 
+              await request(app)
+                      .post("/jobs/1/restore")
+                      .set("authorization", `Bearer ${u3Token}`)
+    expect(resp.statusCode).toEqual(401)
+  })
+  test("404 if job isn't deleted", async function () {
+    const resp = 
+              await request(app)
+                      .post("/jobs/1/restore")
+                      .set("authorization", `Bearer ${u1Token}`)
+    expect(resp.statusCode).toEqual(404)
+  })
+})
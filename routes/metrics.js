@@ -0,0 +1,30 @@
+"use strict";
+
+/** Routes for monitoring. */
+
+const express = require("express");
+
+const { registry } = require("../helpers/metrics");
+
+const router = new express.Router();
+
+
+/** GET /metrics  =>  metrics in the Prometheus text format
+ *
+ * Request counts and latencies by route, error counts by status, database
+ * query timings, and counts of open jobs and applications.
+ *
+ * Authorization required: none
+ */
+
+router.get("/metrics", async function (req, res, next) {
+  try {
+    const text = await registry.render();
+    return res.type("text/plain; version=0.0.4").send(text);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,66 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const { registry } = require("../helpers/metrics");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+
+/************************************** GET /metrics */
+
+describe("GET /metrics", function () {
+  beforeEach(function () {
+    registry.reset();
+  });
+
+  test("works", async function () {
+    const resp = await request(app).get("/metrics");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toMatch(/^text\/plain/);
+    expect(resp.text).toContain("# TYPE jobly_http_requests_total counter");
+    expect(resp.text).toContain("# TYPE jobly_db_query_duration_seconds histogram");
+  });
+
+  test("counts requests by route", async function () {
+    await request(app).get("/jobs/1");
+    await request(app).get("/jobs/2");
+    await request(app).get("/jobs/100");
+    await request(app).get("/no-such-path");
+
+    const resp = await request(app).get("/metrics");
+    expect(resp.text).toContain(
+        'jobly_http_requests_total{method="GET",route="/jobs/:id",status="200"} 2');
+    expect(resp.text).toContain(
+        'jobly_http_requests_total{method="GET",route="/jobs/:id",status="404"} 1');
+    expect(resp.text).toContain(
+        'jobly_http_requests_total{method="GET",route="unmatched",status="404"} 1');
+    expect(resp.text).toContain('jobly_http_errors_total{status="404"} 2');
+    expect(resp.text).toContain(
+        'jobly_http_request_duration_seconds_count{method="GET",route="/jobs/:id"} 3');
+  });
+
+  test("times database queries", async function () {
+    await request(app).get("/jobs/1");
+
+    const resp = await request(app).get("/metrics");
+    expect(resp.text).toMatch(
+        /jobly_db_query_duration_seconds_count{statement="SELECT",outcome="ok"} \d+/);
+  });
+
+  test("counts open jobs and applications", async function () {
+    const resp = await request(app).get("/metrics");
+    expect(resp.text).toContain("\njobly_open_jobs 3\n");
+    expect(resp.text).toContain('\njobly_applications{state="applied"} 1\n');
+  });
+});
@@ -0,0 +1,31 @@
+"use strict";
+
+/** Routes for roles. */
+
+const express = require("express");
+
+const Role = require("../models/role");
+const { ensureIsAdmin } = require("../middleware/auth");
+
+const router = new express.Router();
+
+
+/** GET /  =>  { roles: [ { name, description, permissions }, ... ] }
+ *
+ * Lists every role and the permissions it grants. Roles are given to users
+ * with POST /users/[username]/roles/[role].
+ *
+ * Authorization required: admin
+ */
+
+router.get("/", ensureIsAdmin, async function (req, res, next) {
+  try {
+    const roles = await Role.findAll();
+    return res.json({ roles });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
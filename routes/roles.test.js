@@ -0,0 +1,48 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  u2Token,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /roles */
+
+describe("GET /roles", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get("/roles")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.roles.map(r => r.name))
+        .toEqual(["admin", "candidate", "recruiter"]);
+    expect(resp.body.roles[2]).toEqual({
+      name: "recruiter",
+      description: expect.any(String),
+      permissions: ["applications:review", "jobs:write"],
+    });
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .get("/roles")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/roles");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
@@ -0,0 +1,40 @@
+"use strict";
+
+/** Routes for search. */
+
+const express = require("express");
+
+const { validate } = require("../middleware/validate");
+const Search = require("../models/search");
+const { parsePage } = require("../helpers/pagination");
+
+const searchQuerySchema = require("../schemas/searchQuery.json");
+
+const router = new express.Router();
+
+
+/** GET /?q=[terms]  =>  { results: [ result, ... ] }
+ *
+ * Ranked full-text search over company names and descriptions and job
+ * titles and their company's name. Results are mixed, best match first:
+ *   { type: "company", handle, name, snippet, rank }
+ *   { type: "job", id, title, companyHandle, snippet, rank }
+ * snippet is HTML: the matching text, escaped, with matches in <b></b>.
+ *
+ * Optional `limit` (default 20, max 100) caps the number of results.
+ *
+ * Authorization required: none
+ */
+
+router.get("/", validate({ query: searchQuerySchema }), async function (req, res, next) {
+  try {
+    const { limit } = parsePage({ limit: req.query.limit });
+    const results = await Search.search(req.query.q, limit);
+    return res.json({ results });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
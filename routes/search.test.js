@@ -0,0 +1,60 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /search */
+
+describe("GET /search", function () {
+  test("ok for anon", async function () {
+    const resp = await request(app).get("/search?q=C2");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      results: [
+        {
+          type: "company",
+          handle: "c2",
+          name: "C2",
+          snippet: expect.stringContaining("<b>C2</b>"),
+          rank: expect.any(Number),
+        },
+        {
+          type: "job",
+          id: 2,
+          title: "j2",
+          companyHandle: "c2",
+          snippet: "j2 at <b>C2</b>",
+          rank: expect.any(Number),
+        },
+      ],
+    });
+  });
+
+  test("works: limit", async function () {
+    const resp = await request(app).get("/search?q=C2&limit=1");
+    expect(resp.body.results.length).toEqual(1);
+  });
+
+  test("bad request without q", async function () {
+    const resp = await request(app).get("/search");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with bad limit", async function () {
+    const resp = await request(app).get("/search?q=C2&limit=1000");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
@@ -2,59 +2,147 @@
 
 /** Routes for users. */
 
-const jsonschema = require("jsonschema");
-
 const express = require("express");
-const { ensureLoggedIn, ensureIsAdmin } = require("../middleware/auth");
-const { BadRequestError, UnauthorizedError } = require("../expressError");
+const multer = require("multer");
+const {
+  ensureLoggedIn,
+  ensureIsAdmin,
+  ensureAdminForIncludeDeleted,
+  ensureNotApiKey,
+  checkApiKeyScope,
+  ensureApiKeyScope,
+  hasCompanyPermission,
+} = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const {
+  limitMfaAttempts,
+  forgetLoginAttempts,
+} = require("../middleware/rateLimit");
+const { resumeRequestContext } = require("../middleware/requestLog");
+const {
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+} = require("../expressError");
 const User = require("../models/user");
-const { createToken } = require("../helpers/tokens");
+const Job = require("../models/job");
+const Application = require("../models/application");
+const Role = require("../models/role");
+const Resume = require("../models/resume");
+const EmailVerification = require("../models/emailVerification");
+const TwoFactor = require("../models/twoFactor");
+const ApiKey = require("../models/apiKey");
+const { parsePage } = require("../helpers/pagination");
 const userNewSchema = require("../schemas/userNew.json");
 const userUpdateSchema = require("../schemas/userUpdate.json");
+const applicationNewSchema = require("../schemas/applicationNew.json");
+const applicationUpdateSchema = require("../schemas/applicationUpdate.json");
+const jobParamsSchema = require("../schemas/jobParams.json");
+const pageQuerySchema = require("../schemas/pageQuery.json");
+const includeDeletedQuerySchema = require("../schemas/includeDeletedQuery.json");
+const twoFactorCodeSchema = require("../schemas/twoFactorCode.json");
+const twoFactorDisableSchema = require("../schemas/twoFactorDisable.json");
+const apiKeyNewSchema = require("../schemas/apiKeyNew.json");
+const { MAX_RESUME_BYTES } = require("../config");
+const db = require("../db");
 
 const router = express.Router();
 
+/** Throw UnauthorizedError unless the logged in user may review applications
+ * to jobId: admins can, and so can recruiters at the company that posted it.
+ *
+ * Throws NotFoundError if there is no such job.
+ */
+
+async function checkCanReview(res, jobId) {
+  const job = await Job.get(jobId);
+  const allowed = await hasCompanyPermission(
+      res.locals.user, job.companyHandle, "applications:review");
+  if (!allowed) throw new UnauthorizedError();
+}
+
+// resumes are held in memory until Resume.check has looked at them
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_RESUME_BYTES, files: 1 },
+});
+
+/** Middleware to parse a multipart/form-data upload with an optional
+ * `resume` file into req.file (other fields go in req.body).
+ *
+ * Requests that aren't multipart pass straight through. Bad uploads raise
+ * BadRequest.
+ *
+ * Like express.json, multer reads the body in stream callbacks, so this puts
+ * the request back in its context (see resumeRequestContext) afterwards.
+ *
+ * `files` describes the file field, for the API docs (see helpers/openapi).
+ */
+
+function uploadResume(req, res, next) {
+  upload.single("resume")(req, res, function (err) {
+    resumeRequestContext(req, res, function () {
+      if (err instanceof multer.MulterError) {
+        return next(new BadRequestError(
+            (err.code === "LIMIT_FILE_SIZE")
+                ? `Resume must be at most ${MAX_RESUME_BYTES} bytes`
+                : err.message));
+      }
+      return next(err);
+    });
+  });
+}
+
+uploadResume.files = { resume: "PDF or DOCX" };
 
-/** POST / { user }  => { user, token }
+
+/** POST / { user }  => { user }
  *
  * Adds a new user. This is not the registration endpoint --- instead, this is
  * only for admin users to add new users. The new user being added can be an
  * admin.
  *
- * This returns the newly created user and an authentication token for them:
- *  {user: { username, firstName, lastName, email, isAdmin }, token }
+ * This returns the newly created user:
+ *  {user: { username, firstName, lastName, email, isAdmin, roles, permissions } }
+ * but no token: the new user logs in for themselves, which starts their
+ * session, and new admins must then turn on 2FA to use their admin powers
+ * (see withMfaPolicy in routes/auth.js).
  *
  * Authorization required: admin
  **/
 
-router.post("/", ensureIsAdmin, async function (req, res, next) {
+router.post("/", ensureIsAdmin, validate({ body: userNewSchema }), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, userNewSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
-    const user = await User.register(req.body);
-    const token = createToken(user);
-    return res.status(201).json({ user, token });
+    const user = await db.withTransaction(async () => {
+      const user = await User.register(req.body);
+      await EmailVerification.send(user.username);
+      return user;
+    });
+    return res.status(201).json({ user });
   } catch (err) {
     return next(err);
   }
 });
 
 
-/** GET / => { users: [ {username, firstName, lastName, email }, ... ] }
+/** GET / => { users: [ {username, firstName, lastName, email }, ... ], meta }
  *
- * Returns list of all users.
+ * Returns list of all users, one page at a time: pass `limit` (default 20,
+ * max 100) and the `cursor` from meta.nextCursor or meta.prevCursor.
+ * meta is { limit, total, nextCursor, prevCursor }.
+ *
+ * Deleted users are left out unless includeDeleted=true; they then have
+ * their deletedAt.
  *
  * Authorization required: admin
  **/
 
-router.get("/", ensureIsAdmin, async function (req, res, next) {
+router.get("/", ensureIsAdmin, validate({ query: pageQuerySchema }), async function (req, res, next) {
   try {
-    const users = await User.findAll();
-    return res.json({ users });
+    const page = parsePage(req.query);
+    const result = await User.findAll(
+        page, { includeDeleted: req.query.includeDeleted });
+    return res.json(result);
   } catch (err) {
     return next(err);
   }
@@ -63,12 +151,18 @@ router.get("/", ensureIsAdmin, async function (req, res, next) {
 
 /** GET /[username] => { user }
  *
- * Returns { username, firstName, lastName, isAdmin }
+ * Returns { username, firstName, lastName, email, emailVerified, isAdmin,
+ *           roles, permissions }
+ *
+ * Admins can pass includeDeleted=true to get a deleted user; the user then
+ * has their deletedAt too.
  *
- * Authorization required: login
+ * Authorization required: login (admin for includeDeleted)
  **/
 
-router.get("/:username", ensureLoggedIn, async function (req, res, next) {
+router.get("/:username", ensureLoggedIn,
+    validate({ query: includeDeletedQuerySchema }),
+    ensureAdminForIncludeDeleted, async function (req, res, next) {
   try {
     if( 
       !res.locals.user.isAdmin &&
@@ -76,7 +170,8 @@ router.get("/:username", ensureLoggedIn, async function (req, res, next) {
     ){
       throw new UnauthorizedError()
     }
-    const user = await User.get(req.params.username);
+    const user = await User.get(
+        req.params.username, { includeDeleted: req.query.includeDeleted });
     return res.json({ user });
   } catch (err) {
     return next(err);
@@ -91,24 +186,25 @@ router.get("/:username", ensureLoggedIn, async function (req, res, next) {
  *
  * Returns { username, firstName, lastName, email, isAdmin }
  *
- * Authorization required: login
+ * Authorization required: admin or same user-as-:username, not with an
+ * API key
  **/
 
-router.patch("/:username", ensureLoggedIn, async function (req, res, next) {
+router.patch("/:username", ensureLoggedIn, ensureNotApiKey,
+    validate({ body: userUpdateSchema }), async function (req, res, next) {
   try {
     if( 
       !res.locals.user.isAdmin && 
-      res.locals.user.username != res.params.username
+      res.locals.user.username != req.params.username
     ){
       throw new UnauthorizedError()
     }
-    const validator = jsonschema.validate(req.body, userUpdateSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
-    const user = await User.update(req.params.username, req.body);
+    const user = await db.withTransaction(async () => {
+      const user = await User.update(req.params.username, req.body);
+      // mails a link if the address is unverified, as a new one is
+      if (req.body.email) await EmailVerification.send(user.username);
+      return user;
+    });
     return res.json({ user });
   } catch (err) {
     return next(err);
@@ -118,10 +214,16 @@ router.patch("/:username", ensureLoggedIn, async function (req, res, next) {
 
 /** DELETE /[username]  =>  { deleted: username }
  *
- * Authorization required: login
+ * The user is soft deleted: they can't log in, and their sessions end, but
+ * they're kept until `npm run purge` removes them, so admins can restore
+ * them.
+ *
+ * Authorization required: admin or same user-as-:username, not with an
+ * API key
  **/
 
-router.delete("/:username", ensureLoggedIn, async function (req, res, next) {
+router.delete("/:username", ensureLoggedIn, ensureNotApiKey,
+    async function (req, res, next) {
   try {
     if( 
       !res.locals.user.isAdmin && 
@@ -139,9 +241,17 @@ router.delete("/:username", ensureLoggedIn, async function (req, res, next) {
 // POST /users/:username/jobs/:jobId that allows that user to apply 
 // for a job (or an admin to do it for them). That route should return JSON like:
 
-// { applied: jobId }
+// { applied: { username, jobId } }
+
+// The body is optional. Send multipart/form-data (or JSON, without the file)
+// with a `coverLetter` text field and a `resume` file (PDF or DOCX); with a
+// resume the response also has resume: { filename, contentType, size,
+// uploadedAt }
+// API keys need the applications:apply scope.
 
-router.post("/:username/jobs/:jobId", ensureLoggedIn, async (req, res, next) => {
+router.post("/:username/jobs/:jobId", ensureLoggedIn,
+    ensureApiKeyScope("applications:apply"), uploadResume,
+    validate({ params: jobParamsSchema, body: applicationNewSchema }), async (req, res, next) => {
   try{
 
     if( 
@@ -150,12 +260,25 @@ router.post("/:username/jobs/:jobId", ensureLoggedIn, async (req, res, next) =>
     ){
       throw new UnauthorizedError()
     }
+
+    // check the file before applying, so a bad one doesn't leave half an
+    // application behind
+    if( req.file ) Resume.check(req.file)
     
     const { username, jobId } = req.params
 
-    let applied = await User.apply( username, jobId )
+    // if the resume can't be stored, don't keep the application either
+    const result = await db.withTransaction( async () => {
+      const applied = await User.apply( 
+        username, jobId, res.locals.user.username, req.body.coverLetter
+      )
+      if( !req.file ) return { applied }
+
+      const resume = await Resume.save( username, jobId, req.file )
+      return { applied, resume }
+    })
 
-    return res.status(201).json({ applied })
+    return res.status(201).json(result)
   }
   catch(err){
     next(err)
@@ -164,4 +287,393 @@ router.post("/:username/jobs/:jobId", ensureLoggedIn, async (req, res, next) =>
 
 
 
+/** GET /[username]/jobs/[jobId] => { application }
+ *
+ * Returns { username, jobId, state, coverLetter, resume, history }
+ *   where resume is { filename, contentType, size, uploadedAt } or null
+ *   and history is [{ fromState, toState, changedBy, changedAt }, ...]
+ *
+ * Authorization required: applications:review permission for the job's
+ * company, or same user-as-:username
+ **/
+
+router.get("/:username/jobs/:jobId", ensureLoggedIn,
+    validate({ params: jobParamsSchema }), async function (req, res, next) {
+  try {
+    if( res.locals.user.username != req.params.username ){
+      await checkCanReview(res, req.params.jobId)
+    }
+
+    const application = await Application.get(
+        req.params.username, req.params.jobId);
+    return res.json({ application });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** PUT /[username]/jobs/[jobId]/resume => { resume }
+ *
+ * Attaches a resume to an existing application, replacing any earlier one.
+ * Send multipart/form-data with the PDF or DOCX file in `resume`.
+ *
+ * Returns { filename, contentType, size, uploadedAt }
+ *
+ * Authorization required: same user-as-:username (API keys need the
+ * applications:apply scope)
+ **/
+
+router.put("/:username/jobs/:jobId/resume", ensureLoggedIn,
+    ensureApiKeyScope("applications:apply"), uploadResume,
+    validate({ params: jobParamsSchema }), async function (req, res, next) {
+  try {
+    if (res.locals.user.username != req.params.username) {
+      throw new UnauthorizedError();
+    }
+    if (!req.file) throw new BadRequestError("A resume file is required");
+
+    const resume = await Resume.save(
+        req.params.username, req.params.jobId, req.file);
+    return res.json({ resume });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[username]/jobs/[jobId]/resume => the resume file
+ *
+ * Responds with the file itself, as a download.
+ *
+ * Authorization required: applications:review permission for the job's
+ * company, or same user-as-:username
+ **/
+
+router.get("/:username/jobs/:jobId/resume", ensureLoggedIn,
+    validate({ params: jobParamsSchema }), async function (req, res, next) {
+  try {
+    if( res.locals.user.username != req.params.username ){
+      await checkCanReview(res, req.params.jobId)
+    }
+
+    const resume = await Resume.get(req.params.username, req.params.jobId);
+    return res
+        .attachment(resume.filename)
+        .type(resume.contentType)
+        .set("X-Content-Type-Options", "nosniff")
+        .send(resume.data);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** PATCH /[username]/jobs/[jobId] { state } => { application }
+ *
+ * Moves an application along its pipeline (see models/application.js for
+ * the allowed moves). Reviewers may make any allowed move; users may only
+ * withdraw their own applications.
+ *
+ * Returns { username, jobId, state }
+ *
+ * Authorization required: applications:review permission for the job's
+ * company, or same user-as-:username to withdraw (API keys need the
+ * applications:apply scope for that)
+ **/
+
+router.patch("/:username/jobs/:jobId", ensureLoggedIn,
+    validate({ params: jobParamsSchema, body: applicationUpdateSchema }), async function (req, res, next) {
+  try {
+    if( 
+      res.locals.user.username != req.params.username ||
+      req.body.state != "withdrawn"
+    ){
+      await checkCanReview(res, req.params.jobId)
+    } else {
+      checkApiKeyScope(res.locals.user, "applications:apply")
+    }
+
+    const application = await Application.transition(
+        req.params.username,
+        req.params.jobId,
+        req.body.state,
+        res.locals.user.username);
+    return res.json({ application });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/roles/[role] => { assigned: role }
+ *
+ * Gives the user a role. Takes effect at their next login or token refresh.
+ *
+ * Authorization required: admin
+ **/
+
+router.post("/:username/roles/:role", ensureIsAdmin, async function (req, res, next) {
+  try {
+    await Role.assign(req.params.username, req.params.role);
+    return res.status(201).json({ assigned: req.params.role });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/roles/[role] => { unassigned: role }
+ *
+ * Takes a role away from the user.
+ *
+ * Authorization required: admin
+ **/
+
+router.delete("/:username/roles/:role", ensureIsAdmin, async function (req, res, next) {
+  try {
+    await Role.unassign(req.params.username, req.params.role);
+    return res.json({ unassigned: req.params.role });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/unlock => { unlocked: username }
+ *
+ * Unlocks an account locked by failed logins, and forgets the recent
+ * login attempts against it, so the user can log in again at once.
+ *
+ * Authorization required: admin
+ **/
+
+router.post("/:username/unlock", ensureIsAdmin, async function (req, res, next) {
+  try {
+    await User.unlock(req.params.username);
+    await forgetLoginAttempts(req.params.username);
+    return res.json({ unlocked: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/restore => { restored: username }
+ *
+ * Brings back a deleted user. Their sessions stay ended; they log in again.
+ *
+ * Authorization required: admin
+ **/
+
+router.post("/:username/restore", ensureIsAdmin, async function (req, res, next) {
+  try {
+    await User.restore(req.params.username);
+    return res.json({ restored: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** Only the user in :username may change their own 2FA. */
+
+function ensureSameUser(req, res, next) {
+  if (res.locals.user.username !== req.params.username) {
+    return next(new UnauthorizedError());
+  }
+  return next();
+}
+
+/** For things admins may do for anyone, and users for themselves. */
+
+function ensureAdminOrSameUser(req, res, next) {
+  if (!res.locals.user.isAdmin
+      && res.locals.user.username !== req.params.username) {
+    return next(new UnauthorizedError());
+  }
+  return next();
+}
+
+
+/** Check a code of username's for changing their 2FA settings, throwing
+ * BadRequestError if it's wrong. As when logging in with one (see
+ * POST /auth/token/mfa), wrong codes count as failed logins, and none are
+ * checked while the account is locked. */
+
+async function verifyTwoFactorCode(username, code) {
+  await User.ensureNotLocked(username);
+  if (!code || !await TwoFactor.verify(username, code)) {
+    if (code) await User.recordFailedLogin(username);
+    throw new BadRequestError("Invalid code");
+  }
+  await User.unlock(username);
+}
+
+
+/** POST /[username]/2fa => { secret, otpauthUri }
+ *
+ * Starts turning on two-factor authentication: returns a new secret for
+ * the user's authenticator app (otpauthUri is for showing as a QR code).
+ * 2FA is only on once confirmed with POST /[username]/2fa/confirm.
+ *
+ * Authorization required: same user-as-:username
+ **/
+
+router.post("/:username/2fa", ensureLoggedIn, ensureNotApiKey, ensureSameUser,
+    async function (req, res, next) {
+  try {
+    const enrollment = await TwoFactor.enroll(req.params.username);
+    return res.status(201).json(enrollment);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/2fa/confirm { code } => { enabled, recoveryCodes }
+ *
+ * Turns on two-factor authentication, given a code from the authenticator
+ * app. Returns recovery codes, each good for one login without the app;
+ * they aren't shown again.
+ *
+ * Authorization required: same user-as-:username
+ **/
+
+router.post("/:username/2fa/confirm", ensureLoggedIn, ensureNotApiKey,
+    ensureSameUser,
+    validate({ body: twoFactorCodeSchema }), async function (req, res, next) {
+  try {
+    const { recoveryCodes } =
+        await TwoFactor.confirm(req.params.username, req.body.code);
+    return res.json({ enabled: true, recoveryCodes });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/2fa/recovery-codes { code } => { recoveryCodes }
+ *
+ * Replaces the user's recovery codes with new ones, given a current code.
+ * Codes are rate limited and wrong ones count as failed logins, as for
+ * POST /auth/token/mfa.
+ *
+ * Authorization required: same user-as-:username
+ **/
+
+router.post("/:username/2fa/recovery-codes", ensureLoggedIn, ensureNotApiKey,
+    ensureSameUser, validate({ body: twoFactorCodeSchema }), limitMfaAttempts,
+    async function (req, res, next) {
+  try {
+    const { username } = req.params;
+    await verifyTwoFactorCode(username, req.body.code);
+    const recoveryCodes = await TwoFactor.newRecoveryCodes(username);
+    return res.json({ recoveryCodes });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/2fa { code } => { disabled: username }
+ *
+ * Turns off two-factor authentication. Users turning off their own need a
+ * current code; admins can turn it off for others without one (eg when
+ * they've lost their phone and recovery codes). Admins can't turn off
+ * their own, as admins must have it. Codes are rate limited and wrong ones
+ * count as failed logins, as for POST /auth/token/mfa.
+ *
+ * Authorization required: admin or same user-as-:username
+ **/
+
+router.delete("/:username/2fa", ensureLoggedIn, ensureNotApiKey,
+    validate({ body: twoFactorDisableSchema }), limitMfaAttempts,
+    async function (req, res, next) {
+  try {
+    const { username } = req.params;
+    const self = res.locals.user.username === username;
+
+    if (!self && !res.locals.user.isAdmin) throw new UnauthorizedError();
+
+    if (self) {
+      if ((await User.get(username)).isAdmin) {
+        throw new ForbiddenError(
+            "Admins must keep two-factor authentication on", "mfa_required");
+      }
+      await verifyTwoFactorCode(username, req.body.code);
+    }
+
+    await TwoFactor.disable(username);
+    return res.json({ disabled: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/api-keys { name, scopes, expiresAt } => { apiKey, key }
+ *
+ * Makes a personal API key, for machine clients to send as
+ * "Authorization: ApiKey <key>". scopes are the permissions it may use
+ * (default none) and expiresAt is optional. key is only shown now.
+ *
+ * apiKey is { id, name, prefix, scopes, createdAt, expiresAt, lastUsedAt }
+ *
+ * Authorization required: admin or same user-as-:username, logged in
+ * (not with an API key)
+ **/
+
+router.post("/:username/api-keys", ensureLoggedIn, ensureNotApiKey,
+    ensureAdminOrSameUser, validate({ body: apiKeyNewSchema }),
+    async function (req, res, next) {
+  try {
+    const result = await ApiKey.create(req.params.username, req.body);
+    return res.status(201).json(result);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[username]/api-keys => { apiKeys: [ apiKey, ... ] }
+ *
+ * Lists the user's API keys that haven't been revoked, newest first; see
+ * POST for what's in each. The keys themselves can't be shown again.
+ *
+ * Authorization required: admin or same user-as-:username
+ **/
+
+router.get("/:username/api-keys", ensureLoggedIn, ensureAdminOrSameUser,
+    async function (req, res, next) {
+  try {
+    const apiKeys = await ApiKey.findAll(req.params.username);
+    return res.json({ apiKeys });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/api-keys/[id] => { revoked: id }
+ *
+ * Revokes an API key; it stops working at once.
+ *
+ * Authorization required: admin or same user-as-:username, not with an
+ * API key
+ **/
+
+router.delete("/:username/api-keys/:id", ensureLoggedIn, ensureNotApiKey,
+    ensureAdminOrSameUser, validate({ params: jobParamsSchema }),
+    async function (req, res, next) {
+  try {
+    const id = +req.params.id;
+    await ApiKey.revoke(req.params.username, id);
+    return res.json({ revoked: id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
 module.exports = router;
@@ -5,6 +5,13 @@ const request = require("supertest");
 const db = require("../db.js");
 const app = require("../app");
 const User = require("../models/user");
+const Role = require("../models/role");
+const TwoFactor = require("../models/twoFactor");
+const { totp } = require("../helpers/totp");
+const { setStorage } = require("../helpers/storage");
+const { requestContext } = require("../helpers/logger");
+const { createToken } = require("../helpers/tokens");
+const { AUTH_RATE_LIMIT_MAX, AUTH_LOCKOUT_THRESHOLD } = require("../config");
 
 const {
   commonBeforeAll,
@@ -13,6 +20,8 @@ const {
   commonAfterAll,
   u1Token,
   u2Token,
+  u3Token,
+  TEST_SESSIONS,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -43,7 +52,9 @@ describe("POST /users", function () {
         lastName: "Last-newL",
         email: "new@email.com",
         isAdmin: false,
-      }, token: expect.any(String),
+        roles: ["candidate"],
+        permissions: ["applications:apply"],
+      },
     });
   });
 
@@ -67,10 +78,36 @@ describe("POST /users", function () {
         lastName: "Last-newL",
         email: "new@email.com",
         isAdmin: true,
-      }, token: expect.any(String),
+        roles: ["admin"],
+        permissions: [],
+      },
     });
   });
 
+  test("a new admin has no admin powers until they turn on 2FA",
+      async function () {
+        await request(app)
+            .post("/users")
+            .send({
+              username: "u-new",
+              firstName: "First-new",
+              lastName: "Last-newL",
+              password: "password-new",
+              email: "new@email.com",
+              isAdmin: true,
+            })
+            .set("authorization", `Bearer ${u1Token}`);
+
+        const login = await request(app)
+            .post("/auth/token")
+            .send({ username: "u-new", password: "password-new" });
+        expect(login.body.mfaEnrollmentRequired).toEqual(true);
+        const resp = await request(app)
+            .get("/users")
+            .set("authorization", `Bearer ${login.body.token}`);
+        expect(resp.statusCode).toEqual(401);
+      });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .post("/users")
@@ -119,6 +156,7 @@ describe("GET /users", function () {
         .get("/users")
         .set("authorization", `Bearer ${u1Token}`);
     expect(resp.body).toEqual({
+      meta: expect.any(Object),
       users: [
         {
           username: "u1",
@@ -151,6 +189,23 @@ describe("GET /users", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("deleted users only with includeDeleted", async function () {
+    await request(app)
+        .delete(`/users/u2`)
+        .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app)
+        .get("/users")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.users.map(u => u.username)).toEqual(["u1", "u3"]);
+
+    const all = await request(app)
+        .get("/users?includeDeleted=true")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(all.body.users.map(u => [u.username, !!u.deletedAt]))
+        .toEqual([["u1", false], ["u2", true], ["u3", false]]);
+  });
+
   test("fails: test next() handler", async function () {
     // there's no normal failure event which will cause this route to fail ---
     // thus making it hard to test that the error-handler works with it. This
@@ -176,7 +231,10 @@ describe("GET /users/:username", function () {
         firstName: "U2F",
         lastName: "U2L",
         email: "user2@user.com",
+        emailVerified: true,
         isAdmin: false,
+        roles: ["candidate"],
+        permissions: ["applications:apply"],
       },
     });
   });
@@ -191,7 +249,10 @@ describe("GET /users/:username", function () {
         firstName: "U2F",
         lastName: "U2L",
         email: "user2@user.com",
+        emailVerified: true,
         isAdmin: false,
+        roles: ["candidate"],
+        permissions: ["applications:apply"],
       },
     });
   });
@@ -215,6 +276,27 @@ describe("GET /users/:username", function () {
         .set("authorization", `Bearer ${u1Token}`);
     expect(resp.statusCode).toEqual(404);
   });
+
+  test("admins can get deleted users with includeDeleted", async function () {
+    await request(app)
+        .delete(`/users/u2`)
+        .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app)
+        .get(`/users/u2?includeDeleted=true`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.user).toEqual(expect.objectContaining({
+      username: "u2",
+      deletedAt: expect.any(String),
+    }));
+  });
+
+  test("unauth for includeDeleted unless admin", async function () {
+    const resp = await request(app)
+        .get(`/users/u2?includeDeleted=true`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
 });
 
 /************************************** PATCH /users/:username */
@@ -238,6 +320,30 @@ describe("PATCH /users/:username", () => {
     });
   });
 
+  test("works for same user: changing email mails a link", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2`)
+        .send({
+          email: "new2@user.com",
+        })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.user.email).toEqual("new2@user.com");
+
+    const mail = await db.query("SELECT to_address FROM mail_outbox");
+    expect(mail.rows).toEqual([{ to_address: "new2@user.com" }]);
+  });
+
+  test("unauth for other non-admin user", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          firstName: "New",
+        })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .patch(`/users/u1`)
@@ -322,11 +428,20 @@ describe("POST /users/:username/jobs/:jobId", function () {
 
   test("not found if no such user", async function () {
     const resp = await request(app)
-        .patch(`/users/nope/jobs/1`)
+        .post(`/users/nope/jobs/1`)
         .set("authorization", `Bearer ${u1Token}`);
     expect(resp.statusCode).toEqual(404);
   });
 
+  test("conflict if job is closed", async function () {
+    await db.query("UPDATE jobs SET status = 'closed' WHERE id = 1");
+    const resp = await request(app)
+        .post(`/users/u2/jobs/1`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(409);
+    expect(resp.body.code).toEqual("job_not_open");
+  });
+
   test("already applied", async function () {
     await request(app)
         .post(`/users/u1/jobs/1`)
@@ -336,10 +451,715 @@ describe("POST /users/:username/jobs/:jobId", function () {
         .post(`/users/u1/jobs/1`)
         .set("authorization", `Bearer ${u1Token}`);
     expect(resp.statusCode).toEqual(409);
+    expect(resp.headers["content-type"]).toMatch(/application\/problem\+json/);
+    expect(resp.body).toEqual({
+      type: "/problems/already_applied",
+      title: "Conflict",
+      status: 409,
+      detail: "u1 has already applied to job:1",
+      instance: "/users/u1/jobs/1",
+      code: "already_applied",
+    });
   });
 
 })
 
+/************************************** GET /users/:username/jobs/:jobId */
+
+describe("GET /users/:username/jobs/:jobId", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .get(`/users/u2/jobs/3`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({
+      application: {
+        username: "u2",
+        jobId: 3,
+        state: "applied",
+        coverLetter: null,
+        resume: null,
+        history: [
+          {
+            fromState: null,
+            toState: "applied",
+            changedBy: "u2",
+            changedAt: expect.any(String),
+          },
+        ],
+      },
+    });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/jobs/3`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such application", async function () {
+    const resp = await request(app)
+        .get(`/users/u2/jobs/1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** resumes */
+
+describe("resumes", function () {
+  const files = new Map();
+  const pdf = Buffer.from("%PDF-1.7 my resume");
+
+  beforeEach(function () {
+    files.clear();
+    setStorage({
+      put: async (key, data) => { files.set(key, data); },
+      get: async (key) => files.get(key) || null,
+      remove: async (key) => { files.delete(key); },
+    });
+  });
+
+  afterEach(function () {
+    setStorage();
+  });
+
+  test("apply with a cover letter and resume", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/jobs/1`)
+        .field("coverLetter", "Hire me")
+        .attach("resume", pdf,
+            { filename: "cv.pdf", contentType: "application/pdf" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      applied: { username: "u2", jobId: 1 },
+      resume: {
+        filename: "cv.pdf",
+        contentType: "application/pdf",
+        size: pdf.length,
+        uploadedAt: expect.any(String),
+      },
+    });
+    expect(files.size).toEqual(1);
+
+    const application = await request(app)
+        .get(`/users/u2/jobs/1`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(application.body.application.coverLetter).toEqual("Hire me");
+    expect(application.body.application.resume.filename).toEqual("cv.pdf");
+  });
+
+  test("apply with a cover letter as JSON", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/jobs/1`)
+        .send({ coverLetter: "Hire me" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("bad request applying with a file that isn't a resume", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/jobs/1`)
+        .attach("resume", Buffer.from("MZ"),
+            { filename: "cv.pdf", contentType: "application/pdf" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+
+    // and nothing was applied for
+    const application = await request(app)
+        .get(`/users/u2/jobs/1`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(application.statusCode).toEqual(404);
+  });
+
+  test("bad request applying with unknown fields", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/jobs/1`)
+        .send({ salary: 1000000 })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("upload and download", async function () {
+    let resp = await request(app)
+        .put(`/users/u2/jobs/3/resume`)
+        .attach("resume", pdf,
+            { filename: "cv.pdf", contentType: "application/pdf" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body.resume.filename).toEqual("cv.pdf");
+
+    for (const token of [u2Token, u3Token, u1Token]) {
+      resp = await request(app)
+          .get(`/users/u2/jobs/3/resume`)
+          .buffer()
+          .set("authorization", `Bearer ${token}`);
+      expect(resp.statusCode).toEqual(200);
+      expect(resp.headers["content-type"]).toEqual("application/pdf");
+      expect(resp.headers["content-disposition"])
+          .toEqual(`attachment; filename="cv.pdf"`);
+      expect(resp.body).toEqual(pdf);
+    }
+  });
+
+  test("upload keeps the request's context", async function () {
+    let context;
+    setStorage({
+      put: async () => { context = requestContext.getStore(); },
+      get: async () => null,
+      remove: async () => {},
+    });
+    // sent in two parts, so the upload finishes in a later read
+    const req = request(app)
+        .put(`/users/u2/jobs/3/resume`)
+        .set("authorization", `Bearer ${u2Token}`)
+        .set("content-type", "multipart/form-data; boundary=b");
+    req.write(`--b\r\nContent-Disposition: form-data; name="resume"; `
+        + `filename="cv.pdf"\r\nContent-Type: application/pdf\r\n\r\n`);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    req.write(`${pdf}\r\n--b--\r\n`);
+    const resp = await req;
+    expect(resp.statusCode).toEqual(200);
+    expect(context.requestId).toEqual(resp.headers["x-request-id"]);
+    expect(context.username).toEqual("u2");
+  });
+
+  test("unauth uploading for someone else", async function () {
+    const resp = await request(app)
+        .put(`/users/u2/jobs/3/resume`)
+        .attach("resume", pdf,
+            { filename: "cv.pdf", contentType: "application/pdf" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request uploading without a file", async function () {
+    const resp = await request(app)
+        .put(`/users/u2/jobs/3/resume`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth downloading another candidate's resume", async function () {
+    await request(app)
+        .put(`/users/u2/jobs/3/resume`)
+        .attach("resume", pdf,
+            { filename: "cv.pdf", contentType: "application/pdf" })
+        .set("authorization", `Bearer ${u2Token}`);
+
+    const resp = await request(app)
+        .get(`/users/u2/jobs/3/resume`)
+        .set("authorization", `Bearer ${createToken(
+            { username: "u3", isAdmin: false }, TEST_SESSIONS.u3)}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no resume", async function () {
+    const resp = await request(app)
+        .get(`/users/u2/jobs/3/resume`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PATCH /users/:username/jobs/:jobId */
+
+describe("PATCH /users/:username/jobs/:jobId", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2/jobs/3`)
+        .send({ state: "screening" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      application: { username: "u2", jobId: 3, state: "screening" },
+    });
+  });
+
+  test("works for recruiter", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2/jobs/3`)
+        .send({ state: "screening" })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body).toEqual({
+      application: { username: "u2", jobId: 3, state: "screening" },
+    });
+  });
+
+  test("unauth for recruiter at another company", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2/jobs/2`)
+        .send({ state: "screening" })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("works for same user withdrawing", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2/jobs/3`)
+        .send({ state: "withdrawn" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({
+      application: { username: "u2", jobId: 3, state: "withdrawn" },
+    });
+  });
+
+  test("unauth for same user advancing", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2/jobs/3`)
+        .send({ state: "offered" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2/jobs/3`)
+        .send({ state: "withdrawn" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("conflict on a move the pipeline does not allow", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2/jobs/3`)
+        .send({ state: "hired" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(409);
+  });
+
+  test("bad request on unknown state", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2/jobs/3`)
+        .send({ state: "promoted" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /users/:username/roles/:role */
+
+describe("POST /users/:username/roles/:role", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/roles/recruiter`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ assigned: "recruiter" });
+
+    const user = await request(app)
+        .get(`/users/u2`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(user.body.user.roles).toEqual(["candidate", "recruiter"]);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/roles/recruiter`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such role", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/roles/nope`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /users/:username/roles/:role */
+
+describe("DELETE /users/:username/roles/:role", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .delete(`/users/u3/roles/recruiter`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ unassigned: "recruiter" });
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .delete(`/users/u3/roles/recruiter`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if user doesn't have role", async function () {
+    const resp = await request(app)
+        .delete(`/users/u2/roles/recruiter`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /users/:username/unlock */
+
+describe("POST /users/:username/unlock", function () {
+  test("works for admin", async function () {
+    await db.query(
+        `UPDATE users SET locked_until = NOW() + INTERVAL '1 hour'
+         WHERE username = 'u2'`);
+    const resp = await request(app)
+        .post("/users/u2/unlock")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ unlocked: "u2" });
+
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u2", password: "password2" });
+    expect(login.statusCode).toEqual(200);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .post("/users/u2/unlock")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+        .post("/users/nope/unlock")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** two-factor authentication */
+
+describe("two-factor authentication routes", function () {
+  async function enable(username) {
+    const { secret } = await TwoFactor.enroll(username);
+    await TwoFactor.confirm(username, totp(secret));
+    return secret;
+  }
+
+  function nextCode(secret) {
+    return totp(secret, Date.now() + 30 * 1000);
+  }
+
+  test("enroll then confirm", async function () {
+    const resp = await request(app)
+        .post("/users/u2/2fa")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      secret: expect.any(String),
+      otpauthUri: expect.stringMatching(/^otpauth:\/\/totp\//),
+    });
+
+    const confirm = await request(app)
+        .post("/users/u2/2fa/confirm")
+        .send({ code: totp(resp.body.secret) })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(confirm.body).toEqual({
+      enabled: true,
+      recoveryCodes: expect.any(Array),
+    });
+    expect(await TwoFactor.isEnabled("u2")).toEqual(true);
+  });
+
+  test("confirm: bad request with wrong code", async function () {
+    await TwoFactor.enroll("u2");
+    const resp = await request(app)
+        .post("/users/u2/2fa/confirm")
+        .send({ code: "000000" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("enroll: unauth for another user, even an admin", async function () {
+    const resp = await request(app)
+        .post("/users/u2/2fa")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("enroll: unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/users/u2/2fa");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("new recovery codes", async function () {
+    const secret = await enable("u2");
+    const resp = await request(app)
+        .post("/users/u2/2fa/recovery-codes")
+        .send({ code: nextCode(secret) })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body.recoveryCodes).toHaveLength(10);
+
+    const wrong = await request(app)
+        .post("/users/u2/2fa/recovery-codes")
+        .send({ code: "000000" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(wrong.statusCode).toEqual(400);
+  });
+
+  test("wrong codes count as failed logins", async function () {
+    await enable("u2");
+    for (let i = 0; i < AUTH_LOCKOUT_THRESHOLD; i++) {
+      await request(app)
+          .post("/users/u2/2fa/recovery-codes")
+          .send({ code: "000000" })
+          .set("authorization", `Bearer ${u2Token}`);
+    }
+    const resp = await request(app)
+        .delete("/users/u2/2fa")
+        .send({ code: "000000" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.body.code).toEqual("account_locked");
+    expect(await TwoFactor.isEnabled("u2")).toEqual(true);
+  });
+
+  test("codes are rate limited", async function () {
+    await enable("u2");
+    for (let i = 0; i < AUTH_RATE_LIMIT_MAX; i++) {
+      await request(app)
+          .delete("/users/u2/2fa")
+          .send({})
+          .set("authorization", `Bearer ${u2Token}`);
+    }
+    const resp = await request(app)
+        .post("/users/u2/2fa/recovery-codes")
+        .send({ code: "000000" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.body.code).toEqual("rate_limited");
+  });
+
+  test("disable own with a code", async function () {
+    const secret = await enable("u2");
+    const wrong = await request(app)
+        .delete("/users/u2/2fa")
+        .send({})
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(wrong.statusCode).toEqual(400);
+
+    const resp = await request(app)
+        .delete("/users/u2/2fa")
+        .send({ code: nextCode(secret) })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({ disabled: "u2" });
+    expect(await TwoFactor.isEnabled("u2")).toEqual(false);
+  });
+
+  test("admins can disable others' without a code", async function () {
+    await enable("u2");
+    const resp = await request(app)
+        .delete("/users/u2/2fa")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ disabled: "u2" });
+  });
+
+  test("admins can't disable their own", async function () {
+    await Role.assign("u1", "admin");
+    const secret = await enable("u1");
+    const resp = await request(app)
+        .delete("/users/u1/2fa")
+        .send({ code: nextCode(secret) })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+    expect(resp.body.code).toEqual("mfa_required");
+  });
+
+  test("disable: unauth for other users", async function () {
+    await enable("u1");
+    const resp = await request(app)
+        .delete("/users/u1/2fa")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** API keys */
+
+describe("API key routes", function () {
+  async function createKey(username, body = { name: "ats" }) {
+    const resp = await request(app)
+        .post(`/users/${username}/api-keys`)
+        .send(body)
+        .set("authorization", `Bearer ${u2Token}`);
+    return resp.body;
+  }
+
+  test("create, use, list, revoke", async function () {
+    const resp = await request(app)
+        .post("/users/u2/api-keys")
+        .send({ name: "ats" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      apiKey: {
+        id: expect.any(Number),
+        name: "ats",
+        prefix: expect.stringMatching(/^jobly_/),
+        scopes: [],
+        createdAt: expect.any(String),
+        expiresAt: null,
+        lastUsedAt: null,
+      },
+      key: expect.stringMatching(/^jobly_/),
+    });
+    const { apiKey, key } = resp.body;
+
+    const me = await request(app)
+        .get("/users/u2")
+        .set("authorization", `ApiKey ${key}`);
+    expect(me.statusCode).toEqual(200);
+    expect(me.body.user.username).toEqual("u2");
+
+    const list = await request(app)
+        .get("/users/u2/api-keys")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(list.body.apiKeys).toEqual([{
+      ...apiKey,
+      lastUsedAt: expect.any(String),
+    }]);
+
+    const revoked = await request(app)
+        .delete(`/users/u2/api-keys/${apiKey.id}`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(revoked.body).toEqual({ revoked: apiKey.id });
+
+    const after = await request(app)
+        .get("/users/u2")
+        .set("authorization", `ApiKey ${key}`);
+    expect(after.statusCode).toEqual(401);
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post("/users/u2/api-keys")
+        .send({ name: "ats" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("unauth for other users", async function () {
+    const { apiKey } = await createKey("u2");
+    const create = await request(app)
+        .post("/users/u2/api-keys")
+        .send({ name: "ats" })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(create.statusCode).toEqual(401);
+    const list = await request(app)
+        .get("/users/u2/api-keys")
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(list.statusCode).toEqual(401);
+    const revoke = await request(app)
+        .delete(`/users/u2/api-keys/${apiKey.id}`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(revoke.statusCode).toEqual(401);
+  });
+
+  test("API keys can't make more keys", async function () {
+    const { key } = await createKey("u2");
+    const resp = await request(app)
+        .post("/users/u2/api-keys")
+        .send({ name: "another" })
+        .set("authorization", `ApiKey ${key}`);
+    expect(resp.statusCode).toEqual(403);
+    expect(resp.body.code).toEqual("api_key_not_allowed");
+  });
+
+  test("scopes limit permissions", async function () {
+    const unscoped = await request(app)
+        .post("/users/u3/api-keys")
+        .send({ name: "ats" })
+        .set("authorization", `Bearer ${u3Token}`);
+    const scoped = await request(app)
+        .post("/users/u3/api-keys")
+        .send({ name: "ats", scopes: ["jobs:write"] })
+        .set("authorization", `Bearer ${u3Token}`);
+    const job = { companyHandle: "c1", title: "J-new", salary: 10 };
+
+    const refused = await request(app)
+        .post("/jobs")
+        .send(job)
+        .set("authorization", `ApiKey ${unscoped.body.key}`);
+    expect(refused.statusCode).toEqual(401);
+
+    const allowed = await request(app)
+        .post("/jobs")
+        .send(job)
+        .set("authorization", `ApiKey ${scoped.body.key}`);
+    expect(allowed.statusCode).toEqual(201);
+  });
+
+  test("keys without scopes can't touch the account or applications",
+      async function () {
+        const { apiKey, key } = await createKey("u2");
+        const other = await createKey("u2");
+        const asKey = { authorization: `ApiKey ${key}` };
+
+        const calls = [
+          request(app).patch("/users/u2").send({ firstName: "Key" }),
+          request(app).delete("/users/u2"),
+          request(app).delete(`/users/u2/api-keys/${other.apiKey.id}`),
+          request(app).post("/users/u2/jobs/1").send({}),
+          request(app).patch("/users/u2/jobs/3").send({ state: "withdrawn" }),
+          request(app).put("/users/u2/jobs/3/resume")
+              .attach("resume", Buffer.from("%PDF-1.7"),
+                  { filename: "cv.pdf", contentType: "application/pdf" }),
+        ];
+        for (const call of calls) {
+          const resp = await call.set(asKey);
+          expect(resp.statusCode).toEqual(403);
+        }
+
+        const user = await request(app)
+            .get("/users/u2")
+            .set("authorization", `Bearer ${u2Token}`);
+        expect(user.body.user.firstName).toEqual("U2F");
+        const keys = await request(app)
+            .get("/users/u2/api-keys")
+            .set("authorization", `Bearer ${u2Token}`);
+        expect(keys.body.apiKeys.map(k => k.id).sort())
+            .toEqual([apiKey.id, other.apiKey.id].sort());
+      });
+
+  test("keys with applications:apply can apply and withdraw",
+      async function () {
+        const { key } = await createKey(
+            "u2", { name: "ats", scopes: ["applications:apply"] });
+        const applied = await request(app)
+            .post("/users/u2/jobs/1")
+            .send({})
+            .set("authorization", `ApiKey ${key}`);
+        expect(applied.statusCode).toEqual(201);
+
+        const withdrawn = await request(app)
+            .patch("/users/u2/jobs/1")
+            .send({ state: "withdrawn" })
+            .set("authorization", `ApiKey ${key}`);
+        expect(withdrawn.statusCode).toEqual(200);
+      });
+
+  test("bad request with unknown scope", async function () {
+    const resp = await request(app)
+        .post("/users/u2/api-keys")
+        .send({ name: "ats", scopes: ["everything"] })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post("/users/u2/api-keys")
+        .send({ name: "", expiresAt: "tomorrow" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found revoking an unknown key", async function () {
+    const resp = await request(app)
+        .delete("/users/u2/api-keys/0")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
 /************************************** DELETE /users/:username */
 
 describe("DELETE /users/:username", function () {
@@ -363,3 +1183,44 @@ describe("DELETE /users/:username", function () {
     expect(resp.statusCode).toEqual(404);
   });
 });
+
+/************************************** POST /users/:username/restore */
+
+describe("POST /users/:username/restore", function () {
+  beforeEach(async function () {
+    await request(app)
+        .delete(`/users/u2`)
+        .set("authorization", `Bearer ${u1Token}`);
+  });
+
+  test("works for admin: they can log in again", async function () {
+    const denied = await request(app)
+        .post("/auth/token")
+        .send({ username: "u2", password: "password2" });
+    expect(denied.statusCode).toEqual(401);
+
+    const resp = await request(app)
+        .post(`/users/u2/restore`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ restored: "u2" });
+
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u2", password: "password2" });
+    expect(login.statusCode).toEqual(200);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/restore`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not deleted", async function () {
+    const resp = await request(app)
+        .post(`/users/u3/restore`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
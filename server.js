@@ -1,8 +1,88 @@
 "use strict";
 
+// config checks itself when it's loaded, and everything else needs it; if
+// it's wrong, say what's wrong (without a stack trace) and stop
+let config;
+try {
+  config = require("./config");
+} catch (err) {
+  console.error(err.message);
+  process.exit(2); // EXIT_CODES.CONFIG_INVALID, which can't be loaded yet
+}
+
 const app = require("./app");
-const { PORT } = require("./config");
+const db = require("./db");
+const {
+  PORT,
+  DATABASE_STARTUP_TIMEOUT_MS,
+  SHUTDOWN_TIMEOUT_MS,
+} = config;
+const { logger } = require("./helpers/logger");
+const {
+  EXIT_CODES,
+  waitForDatabase,
+  listen,
+  shutdown,
+} = require("./helpers/lifecycle");
+
+let stopping = false;
+
+/** Drain and exit: with code OK if everything finished in time, else
+ * ERROR (or with code, if given). A second signal while stopping exits at
+ * once. */
+
+async function stop(server, reason, code) {
+  if (stopping) {
+    logger.warn("Stopping now, without waiting", { reason });
+    process.exit(EXIT_CODES.ERROR);
+  }
+  stopping = true;
+  logger.info("Shutting down", { reason, timeoutMs: SHUTDOWN_TIMEOUT_MS });
+
+  let drained = false;
+  try {
+    drained = await shutdown(
+        { server, app, db }, { timeoutMs: SHUTDOWN_TIMEOUT_MS });
+  } catch (err) {
+    logger.error("Shutdown failed", { err });
+  }
+
+  const exitCode = code !== undefined
+      ? code
+      : drained ? EXIT_CODES.OK : EXIT_CODES.ERROR;
+  logger.info("Stopped", { exitCode });
+  process.exit(exitCode);
+}
+
+async function main() {
+  logger.info("Configuration", config.describeConfig(config));
+
+  try {
+    await waitForDatabase(db, { timeoutMs: DATABASE_STARTUP_TIMEOUT_MS });
+  } catch (err) {
+    logger.error("Could not reach the database; not starting", { err });
+    await db.close();
+    process.exit(EXIT_CODES.DATABASE_UNAVAILABLE);
+  }
+
+  let server;
+  try {
+    server = await listen(app, PORT);
+  } catch (err) {
+    logger.error(`Could not listen on port ${PORT}`, { err });
+    await db.close();
+    process.exit(EXIT_CODES.LISTEN_FAILED);
+  }
+  logger.info(`Started on http://localhost:${PORT}`, { port: PORT });
+
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.on(signal, () => stop(server, signal));
+  }
+
+  process.on("unhandledRejection", function (err) {
+    logger.error("Unhandled promise rejection", { err });
+    stop(server, "unhandledRejection", EXIT_CODES.ERROR);
+  });
+}
 
-app.listen(PORT, function () {
-  console.log(`Started on http://localhost:${PORT}`);
-});
+main();